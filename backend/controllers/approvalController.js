@@ -0,0 +1,140 @@
+/**
+ * Approval Controller
+ * Handles the queue of transaction changes waiting for an admin
+ */
+
+import ChangeRequest, { CHANGE_STATUSES } from '../models/ChangeRequest.js';
+import { ApprovalService } from '../services/approvals.js';
+
+/**
+ * @desc    Get change requests, newest first (admins see everyone's, others their own)
+ * @route   GET /api/approvals?status=PENDING
+ * @access  Private
+ */
+export const getApprovals = async (req, res) => {
+    try {
+        const { status = 'PENDING', limit = 100 } = req.query;
+
+        const query = {};
+        if (status !== 'ALL') {
+            if (!CHANGE_STATUSES.includes(status)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Unknown status: ${status}`
+                });
+            }
+            query.status = status;
+        }
+        if (!['admin', 'superadmin'].includes(req.user.role)) {
+            query.requestedBy = req.user.userId;
+        }
+
+        const changes = await ChangeRequest.find(query)
+            .sort({ createdAt: -1 })
+            .limit(parseInt(limit))
+            .populate('reviewedBy', 'username')
+            .lean();
+
+        res.json({
+            success: true,
+            count: changes.length,
+            data: changes
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Approve a change request and apply it
+ * @route   POST /api/approvals/:id/approve
+ * @access  Private (Admin)
+ */
+export const approveChange = async (req, res) => {
+    try {
+        const result = await ApprovalService.approve(req.params.id, req, req.body.comment);
+        if (result.error) {
+            return res.status(result.status).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        res.json({
+            success: true,
+            data: result.change,
+            warning: result.result.warning
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(e => e.message);
+            return res.status(400).json({
+                success: false,
+                error: messages.join(', ')
+            });
+        }
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                error: 'Change request not found'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Reject a change request (nothing is applied)
+ * @route   POST /api/approvals/:id/reject
+ * @access  Private (Admin)
+ */
+export const rejectChange = async (req, res) => {
+    try {
+        const change = await ChangeRequest.findOneAndUpdate(
+            { _id: req.params.id, status: 'PENDING' },
+            {
+                status: 'REJECTED',
+                reviewedBy: req.user.userId,
+                reviewedAt: new Date(),
+                reviewComment: req.body.comment
+            },
+            { new: true, runValidators: true }
+        );
+
+        if (!change) {
+            return res.status(404).json({
+                success: false,
+                error: 'Change request not found or already reviewed'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: change
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(e => e.message);
+            return res.status(400).json({
+                success: false,
+                error: messages.join(', ')
+            });
+        }
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                error: 'Change request not found'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
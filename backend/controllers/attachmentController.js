@@ -0,0 +1,180 @@
+/**
+ * Attachment Controller
+ * Handles receipts, tickets and bills attached to transactions
+ */
+
+import mongoose from 'mongoose';
+import Transaction from '../models/Transaction.js';
+import { AttachmentService } from '../services/attachments.js';
+import { AuditService } from '../services/audit.js';
+
+/**
+ * @desc    List a transaction's attachments
+ * @route   GET /api/transactions/:id/attachments
+ * @access  Private
+ */
+export const getAttachments = async (req, res) => {
+    try {
+        const transaction = await Transaction.findById(req.params.id).select('attachments');
+
+        if (!transaction) {
+            return res.status(404).json({
+                success: false,
+                error: 'Transaction not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            count: transaction.attachments.length,
+            data: transaction.attachments
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Upload an attachment (base64 `data`, optional image `thumbnail`)
+ * @route   POST /api/transactions/:id/attachments
+ * @access  Private
+ */
+export const uploadAttachment = async (req, res) => {
+    try {
+        const transaction = await Transaction.findById(req.params.id);
+
+        if (!transaction) {
+            return res.status(404).json({
+                success: false,
+                error: 'Transaction not found'
+            });
+        }
+
+        const saved = await AttachmentService.save(req.body, {
+            transactionId: transaction._id,
+            userId: req.user.userId
+        });
+        if (saved.error) {
+            return res.status(400).json({
+                success: false,
+                error: saved.error
+            });
+        }
+
+        // Push atomically so parallel uploads don't overwrite each other
+        const updated = await Transaction.findByIdAndUpdate(
+            transaction._id,
+            { $push: { attachments: saved.attachment } },
+            { new: true }
+        ).select('attachments');
+
+        await AuditService.record(req, {
+            action: 'UPDATE',
+            entityId: transaction._id,
+            changes: [{ field: 'attachments', before: null, after: saved.attachment.fileName }]
+        });
+
+        res.status(201).json({
+            success: true,
+            data: updated.attachments[updated.attachments.length - 1]
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Download an attachment (`?thumbnail=true` for the image preview)
+ * @route   GET /api/transactions/:id/attachments/:attachmentId
+ * @access  Private
+ */
+export const downloadAttachment = async (req, res) => {
+    try {
+        const transaction = mongoose.isValidObjectId(req.params.attachmentId)
+            ? await Transaction.findById(req.params.id).select('attachments')
+            : null;
+        const attachment = transaction?.attachments.id(req.params.attachmentId);
+
+        if (!attachment) {
+            return res.status(404).json({
+                success: false,
+                error: 'Attachment not found'
+            });
+        }
+
+        const wantsThumbnail = req.query.thumbnail === 'true' && attachment.thumbnailId;
+        const fileId = wantsThumbnail ? attachment.thumbnailId : attachment.fileId;
+
+        res.set({
+            'Content-Type': wantsThumbnail ? 'image/jpeg' : attachment.mimeType,
+            'Content-Disposition': `inline; filename="${encodeURIComponent(attachment.fileName)}"`,
+            'Cache-Control': 'private, max-age=86400'
+        });
+
+        AttachmentService.openDownload(fileId)
+            .on('error', (error) => {
+                if (!res.headersSent) {
+                    res.status(404).json({
+                        success: false,
+                        error: 'Attachment file is missing'
+                    });
+                } else {
+                    res.destroy(error);
+                }
+            })
+            .pipe(res);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Delete an attachment
+ * @route   DELETE /api/transactions/:id/attachments/:attachmentId
+ * @access  Private
+ */
+export const deleteAttachment = async (req, res) => {
+    try {
+        const transaction = mongoose.isValidObjectId(req.params.attachmentId)
+            ? await Transaction.findById(req.params.id)
+            : null;
+        const attachment = transaction?.attachments.id(req.params.attachmentId);
+
+        if (!attachment) {
+            return res.status(404).json({
+                success: false,
+                error: 'Attachment not found'
+            });
+        }
+
+        await AttachmentService.remove([attachment]);
+        await Transaction.updateOne(
+            { _id: transaction._id },
+            { $pull: { attachments: { _id: attachment._id } } }
+        );
+        await AuditService.record(req, {
+            action: 'UPDATE',
+            entityId: transaction._id,
+            changes: [{ field: 'attachments', before: attachment.fileName, after: null }]
+        });
+
+        res.json({
+            success: true,
+            data: {}
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
@@ -5,6 +5,7 @@
 
 import User from '../models/User.js';
 import Session from '../models/Session.js';
+import Organization from '../models/Organization.js';
 import { CryptoService } from '../services/crypto.js';
 import crypto from 'crypto';
 
@@ -283,11 +284,20 @@ export const getCurrentUser = async (req, res) => {
         // Get active sessions count
         const activeSessions = await Session.getActiveSessionsForUser(user._id);
 
+        // Organizations the header switcher offers (superadmins see every active one)
+        const organizations = await Organization.find(
+            user.role === 'superadmin'
+                ? { isActive: true }
+                : { _id: { $in: user.memberships.map(m => m.organization) }, isActive: true }
+        ).select('name').sort({ name: 1 });
+
         res.json({
             success: true,
             data: {
                 user: user.toPublicJSON(),
-                activeSessions: activeSessions.length
+                activeSessions: activeSessions.length,
+                organizations,
+                organization: req.organization
             }
         });
     } catch (error) {
@@ -298,6 +308,55 @@ export const getCurrentUser = async (req, res) => {
     }
 };
 
+/**
+ * @desc    Switch the organization this session works in
+ * @route   PUT /api/auth/organization
+ * @access  Private
+ */
+export const switchOrganization = async (req, res) => {
+    try {
+        const { organizationId } = req.body;
+
+        const [user, organization] = await Promise.all([
+            User.findById(req.user.userId),
+            Organization.findOne({ _id: organizationId, isActive: true })
+        ]);
+
+        if (!organization) {
+            return res.status(404).json({
+                success: false,
+                error: 'Organization not found'
+            });
+        }
+
+        if (!user || !user.canAccessOrganization(organization._id)) {
+            return res.status(403).json({
+                success: false,
+                error: 'You are not a member of this organization'
+            });
+        }
+
+        req.session.organization = organization._id;
+        await req.session.save();
+
+        res.json({
+            success: true,
+            data: { _id: organization._id, name: organization.name }
+        });
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                error: 'Organization not found'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
 /**
  * @desc    Logout (terminate session)
  * @route   POST /api/auth/logout
@@ -405,6 +464,8 @@ export const createUser = async (req, res) => {
             keyFileCreatedAt: new Date(),
             keyFileExpiresAt: expiresAt,
             createdBy: req.user.userId,
+            // New users join the organization they were created from
+            memberships: req.organization ? [{ organization: req.organization }] : [],
             notes
         });
 
@@ -712,6 +773,12 @@ export const initializeSuperAdmin = async (req, res) => {
             neverExpires: true
         });
 
+        // Join the organization created at start-up
+        const organization = await Organization.findOne().sort({ createdAt: 1 });
+        if (organization) {
+            user.memberships.push({ organization: organization._id });
+        }
+
         // Set password for admin panel access
         user.setPassword(password);
         
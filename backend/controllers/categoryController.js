@@ -0,0 +1,220 @@
+/**
+ * Category Controller
+ * Handles admin-managed expense and income categories
+ */
+
+import Category from '../models/Category.js';
+import Transaction from '../models/Transaction.js';
+import RecurringTemplate from '../models/RecurringTemplate.js';
+import { AuditService } from '../services/audit.js';
+import { WAGE_CATEGORY } from '../services/wages.js';
+
+/**
+ * @desc    Get categories with how often each is used
+ * @route   GET /api/categories
+ * @access  Private
+ */
+export const getCategories = async (req, res) => {
+    try {
+        const { type, includeArchived } = req.query;
+
+        await Category.ensureDefaults();
+
+        const query = {};
+        if (type) query.type = type;
+        if (includeArchived !== 'true') query.archived = false;
+
+        const [categories, usage] = await Promise.all([
+            Category.find(query).sort({ type: 1, name: 1 }).lean(),
+            Transaction.aggregate([
+                { $match: { type: { $in: ['EXPENSE', 'INCOME'] }, category: { $ne: null } } },
+                { $group: { _id: { type: '$type', category: '$category' }, count: { $sum: 1 } } }
+            ])
+        ]);
+
+        res.json({
+            success: true,
+            count: categories.length,
+            data: categories.map(c => ({
+                ...c,
+                transactionCount: usage.find(u => u._id.type === c.type && u._id.category === c.name)?.count || 0
+            }))
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Create category
+ * @route   POST /api/categories
+ * @access  Private (Admin)
+ */
+export const createCategory = async (req, res) => {
+    try {
+        const { type, name, icon } = req.body;
+
+        if (!name || !name.trim()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Name is required'
+            });
+        }
+
+        await Category.ensureDefaults();
+
+        const existing = await Category.findOne({
+            type,
+            name: new RegExp(`^${name.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i')
+        });
+        if (existing) {
+            return res.status(400).json({
+                success: false,
+                error: `Category "${existing.name}" already exists${existing.archived ? ' (archived)' : ''}`
+            });
+        }
+
+        const category = await Category.create({
+            type,
+            name,
+            icon: icon || undefined,
+            createdBy: req.user.userId
+        });
+
+        res.status(201).json({
+            success: true,
+            data: category
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(e => e.message);
+            return res.status(400).json({
+                success: false,
+                error: messages.join(', ')
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Update category (rename, icon, archive/restore)
+ * @route   PUT /api/categories/:id
+ * @access  Private (Admin)
+ */
+export const updateCategory = async (req, res) => {
+    try {
+        const { name, icon, archived } = req.body;
+        const category = await Category.findById(req.params.id);
+
+        if (!category) {
+            return res.status(404).json({
+                success: false,
+                error: 'Category not found'
+            });
+        }
+
+        // Wage payments are booked under this category by name
+        const previousName = category.name;
+        if (category.type === 'EXPENSE' && previousName === WAGE_CATEGORY
+            && name !== undefined && String(name).trim() !== previousName) {
+            return res.status(400).json({
+                success: false,
+                error: `The ${WAGE_CATEGORY} category is used for wage payments and cannot be renamed`
+            });
+        }
+
+        if (name !== undefined) category.name = name;
+        if (icon !== undefined) category.icon = icon;
+        if (archived !== undefined) category.archived = archived;
+        await category.save();
+
+        // Transactions and recurring templates store the name, so carry a rename over to them
+        if (category.name !== previousName) {
+            const filter = { type: category.type, category: previousName };
+            const renamed = await Transaction.find(filter).setOptions({ withDeleted: true }).select('_id');
+            await Transaction.updateMany(filter, { category: category.name });
+            await RecurringTemplate.updateMany(filter, { category: category.name });
+
+            await AuditService.recordMany(req, 'UPDATE', renamed, {
+                changes: [{ field: 'category', before: previousName, after: category.name }],
+                note: 'Category renamed'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: category
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(e => e.message);
+            return res.status(400).json({
+                success: false,
+                error: messages.join(', ')
+            });
+        }
+
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                error: 'A category with that name already exists'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Delete category (archives if used by transactions)
+ * @route   DELETE /api/categories/:id
+ * @access  Private (Admin)
+ */
+export const deleteCategory = async (req, res) => {
+    try {
+        const category = await Category.findById(req.params.id);
+
+        if (!category) {
+            return res.status(404).json({
+                success: false,
+                error: 'Category not found'
+            });
+        }
+
+        const inUse = await Transaction.exists({ type: category.type, category: category.name }).setOptions({ withDeleted: true });
+
+        if (inUse) {
+            category.archived = true;
+            await category.save();
+
+            return res.json({
+                success: true,
+                message: 'Category has transactions and was archived instead of deleted',
+                data: category
+            });
+        }
+
+        await category.deleteOne();
+
+        res.json({
+            success: true,
+            data: {}
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,345 @@
+/**
+ * Counterparty Controller
+ * Handles supplier/buyer registry and migration from free-text notes
+ */
+
+import Counterparty from '../models/Counterparty.js';
+import Transaction from '../models/Transaction.js';
+import { AuditService } from '../services/audit.js';
+
+/**
+ * @desc    Get all counterparties
+ * @route   GET /api/counterparties
+ * @access  Private
+ */
+export const getCounterparties = async (req, res) => {
+    try {
+        const { type, includeInactive } = req.query;
+
+        const query = {};
+        if (type) {
+            // Counterparties marked BOTH can act as supplier or buyer
+            query.type = { $in: [type, 'BOTH'] };
+        }
+        if (includeInactive !== 'true') {
+            query.isActive = true;
+        }
+
+        const [counterparties, totals] = await Promise.all([
+            Counterparty.find(query).sort({ name: 1 }).lean(),
+            Transaction.getCounterpartyTotals()
+        ]);
+
+        res.json({
+            success: true,
+            count: counterparties.length,
+            data: counterparties.map(c => ({
+                ...c,
+                stats: totals.get(c._id.toString()) || {
+                    tradeCount: 0,
+                    boughtQty: 0,
+                    soldQty: 0,
+                    totalValue: 0,
+                    outstanding: 0,
+                    lastTradeAt: null
+                }
+            }))
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Get single counterparty
+ * @route   GET /api/counterparties/:id
+ * @access  Private
+ */
+export const getCounterparty = async (req, res) => {
+    try {
+        const counterparty = await Counterparty.findById(req.params.id).lean();
+
+        if (!counterparty) {
+            return res.status(404).json({
+                success: false,
+                error: 'Counterparty not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: counterparty
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Create counterparty
+ * @route   POST /api/counterparties
+ * @access  Private
+ */
+export const createCounterparty = async (req, res) => {
+    try {
+        const { name, type, phone, address, notes } = req.body;
+
+        if (!name || !name.trim()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Name is required'
+            });
+        }
+
+        // Avoid duplicates that only differ by case or spacing
+        const existing = await Counterparty.findByName(name);
+        if (existing) {
+            return res.status(400).json({
+                success: false,
+                error: `Counterparty "${existing.name}" already exists`
+            });
+        }
+
+        const counterparty = await Counterparty.create({ name, type, phone, address, notes });
+
+        res.status(201).json({
+            success: true,
+            data: counterparty
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(e => e.message);
+            return res.status(400).json({
+                success: false,
+                error: messages.join(', ')
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Update counterparty
+ * @route   PUT /api/counterparties/:id
+ * @access  Private
+ */
+export const updateCounterparty = async (req, res) => {
+    try {
+        const { name, type, phone, address, notes, isActive } = req.body;
+
+        const counterparty = await Counterparty.findByIdAndUpdate(
+            req.params.id,
+            { name, type, phone, address, notes, isActive },
+            { new: true, runValidators: true }
+        );
+
+        if (!counterparty) {
+            return res.status(404).json({
+                success: false,
+                error: 'Counterparty not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: counterparty
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Delete counterparty (deactivates if referenced by transactions)
+ * @route   DELETE /api/counterparties/:id
+ * @access  Private
+ */
+export const deleteCounterparty = async (req, res) => {
+    try {
+        const counterparty = await Counterparty.findById(req.params.id);
+
+        if (!counterparty) {
+            return res.status(404).json({
+                success: false,
+                error: 'Counterparty not found'
+            });
+        }
+
+        // Keep history intact: counterparties with trades are only deactivated
+        const inUse = await Transaction.exists({ counterparty: counterparty._id }).setOptions({ withDeleted: true });
+        if (inUse) {
+            counterparty.isActive = false;
+            await counterparty.save();
+
+            return res.json({
+                success: true,
+                message: 'Counterparty has transactions and was deactivated instead of deleted',
+                data: counterparty
+            });
+        }
+
+        await counterparty.deleteOne();
+
+        res.json({
+            success: true,
+            data: {}
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Suggest counterparties from BUY/SELL notes without a counterparty
+ * @route   GET /api/counterparties/suggestions
+ * @access  Private
+ */
+export const getSuggestions = async (req, res) => {
+    try {
+        const transactions = await Transaction.find({
+            type: { $in: ['BUY', 'SELL'] },
+            counterparty: null,
+            notes: { $nin: [null, ''] }
+        })
+            .select('type notes qty date')
+            .lean();
+
+        // Group transactions by the name extracted from their notes
+        const groups = new Map();
+        transactions.forEach(t => {
+            const name = extractNameFromNotes(t.notes);
+            if (!name) return;
+
+            const key = Counterparty.normalizeName(name);
+            if (!groups.has(key)) {
+                groups.set(key, { name, types: new Set(), transactionIds: [], totalQty: 0, lastTradeAt: null });
+            }
+
+            const group = groups.get(key);
+            group.types.add(t.type);
+            group.transactionIds.push(t._id);
+            group.totalQty += t.qty || 0;
+            if (!group.lastTradeAt || t.date > group.lastTradeAt) {
+                group.lastTradeAt = t.date;
+            }
+        });
+
+        const suggestions = [];
+        for (const group of groups.values()) {
+            const existing = await Counterparty.findByName(group.name);
+            let type = 'BOTH';
+            if (group.types.size === 1) {
+                type = group.types.has('BUY') ? 'SUPPLIER' : 'BUYER';
+            }
+
+            suggestions.push({
+                name: existing ? existing.name : group.name,
+                type: existing ? existing.type : type,
+                existingId: existing ? existing._id : null,
+                transactionCount: group.transactionIds.length,
+                transactionIds: group.transactionIds,
+                totalQty: group.totalQty,
+                lastTradeAt: group.lastTradeAt
+            });
+        }
+
+        suggestions.sort((a, b) => b.transactionCount - a.transactionCount);
+
+        res.json({
+            success: true,
+            count: suggestions.length,
+            data: suggestions
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Apply a suggestion: create (or reuse) the counterparty and link transactions
+ * @route   POST /api/counterparties/suggestions/apply
+ * @access  Private
+ */
+export const applySuggestion = async (req, res) => {
+    try {
+        const { name, type, transactionIds } = req.body;
+
+        if (!name || !Array.isArray(transactionIds) || transactionIds.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Name and at least one transaction ID are required'
+            });
+        }
+
+        let counterparty = await Counterparty.findByName(name);
+        if (!counterparty) {
+            counterparty = await Counterparty.create({ name: name.trim(), type: type || 'BOTH' });
+        }
+
+        // Only link trades the counterparty can take part in, and never overwrite an existing link
+        const allowedTypes = ['BUY', 'SELL'].filter(t => counterparty.acceptsType(t));
+        const filter = {
+            _id: { $in: transactionIds },
+            type: { $in: allowedTypes },
+            counterparty: null
+        };
+        const linked = await Transaction.find(filter).select('_id');
+        const result = await Transaction.updateMany(filter, { counterparty: counterparty._id });
+
+        await AuditService.recordMany(req, 'UPDATE', linked, {
+            changes: [{ field: 'counterparty', before: null, after: String(counterparty._id) }]
+        });
+
+        res.json({
+            success: true,
+            data: {
+                counterparty,
+                linked: result.modifiedCount
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// Helper function to pull a person/company name out of free-text notes
+// e.g. "Seller: Nimal, 3 bags" → "Nimal", "from Sunil Stores - wet" → "Sunil Stores"
+function extractNameFromNotes(notes = '') {
+    let text = notes.trim();
+    if (!text) return null;
+
+    // Drop leading labels the forms' placeholders encouraged
+    text = text.replace(/^(seller|buyer|supplier|sold to|bought from|from|to)\s*[:\-]?\s*/i, '');
+
+    // Keep only the part before the first separator
+    text = text.split(/[,;|()\n]| - | – /)[0].trim();
+
+    // Ignore notes that are clearly not names (numbers, too long, AUTO entries)
+    if (!text || text.length > 60 || /^auto\b/i.test(text) || !/[a-z]/i.test(text)) {
+        return null;
+    }
+
+    return text.replace(/\s+/g, ' ');
+}
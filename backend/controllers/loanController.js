@@ -0,0 +1,337 @@
+/**
+ * Loan Controller
+ * Handles loans, installment schedules and repayments
+ */
+
+import Loan from '../models/Loan.js';
+import Transaction from '../models/Transaction.js';
+import PeriodClose from '../models/PeriodClose.js';
+import { AuditService } from '../services/audit.js';
+
+/**
+ * @desc    Get loans with current balances
+ * @route   GET /api/loans
+ * @access  Private
+ */
+export const getLoans = async (req, res) => {
+    try {
+        const { status } = req.query;
+
+        const query = {};
+        if (status) query.status = status;
+
+        const loans = await Loan.find(query).sort({ status: -1, startDate: 1 });
+        const asOf = new Date();
+
+        res.json({
+            success: true,
+            count: loans.length,
+            data: loans.map(loan => ({
+                ...loan.toJSON(),
+                balance: loan.getBalance(asOf)
+            }))
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Get single loan with its transactions
+ * @route   GET /api/loans/:id
+ * @access  Private
+ */
+export const getLoan = async (req, res) => {
+    try {
+        const loan = await Loan.findById(req.params.id);
+
+        if (!loan) {
+            return res.status(404).json({
+                success: false,
+                error: 'Loan not found'
+            });
+        }
+
+        const transactions = await Transaction.find({ loan: loan._id })
+            .sort({ date: 1, createdAt: 1 })
+            .lean();
+
+        res.json({
+            success: true,
+            data: {
+                ...loan.toJSON(),
+                balance: loan.getBalance(),
+                transactions
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Take a new loan (creates the loan and its LOAN/TAKE transaction)
+ * @route   POST /api/loans
+ * @access  Private
+ */
+export const createLoan = async (req, res) => {
+    try {
+        const { lender, principal, interestRate, startDate, installmentCount, installmentFrequency, notes } = req.body;
+
+        if (!lender || !principal || !startDate) {
+            return res.status(400).json({
+                success: false,
+                error: 'Lender, principal and start date are required'
+            });
+        }
+
+        // Its LOAN transaction cannot go into a closed period
+        const lockError = await PeriodClose.getLockError(new Date(startDate));
+        if (lockError) {
+            return res.status(400).json({
+                success: false,
+                error: lockError
+            });
+        }
+
+        const loan = new Loan({
+            lender,
+            principal: parseFloat(principal),
+            interestRate: parseFloat(interestRate) || 0,
+            startDate: new Date(startDate),
+            installmentCount: parseInt(installmentCount) || 1,
+            installmentFrequency: installmentFrequency || 'MONTHLY',
+            notes
+        });
+        loan.buildSchedule();
+        loan.lastAccrualDate = loan.startDate;
+        await loan.save();
+
+        // Cash comes in when the loan is taken
+        const transaction = await new Transaction({
+            type: 'LOAN',
+            date: loan.startDate,
+            amount: loan.principal,
+            loan: loan._id,
+            loanType: 'TAKE',
+            notes: `Loan Taken: ${loan.lender}${notes ? ` - ${notes}` : ''}`
+        }).stampActor(AuditService.actor(req)).save();
+        await AuditService.record(req, { action: 'CREATE', after: transaction });
+
+        res.status(201).json({
+            success: true,
+            data: {
+                loan: { ...loan.toJSON(), balance: loan.getBalance() },
+                transaction
+            }
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(e => e.message);
+            return res.status(400).json({
+                success: false,
+                error: messages.join(', ')
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Update loan terms (rebuilds schedule and balances)
+ * @route   PUT /api/loans/:id
+ * @access  Private
+ */
+export const updateLoan = async (req, res) => {
+    try {
+        const loan = await Loan.findById(req.params.id);
+
+        if (!loan) {
+            return res.status(404).json({
+                success: false,
+                error: 'Loan not found'
+            });
+        }
+
+        const { lender, interestRate, installmentCount, installmentFrequency, notes } = req.body;
+
+        // New terms re-split every repayment, so none of them may be in a closed period
+        if ([interestRate, installmentCount, installmentFrequency].some(value => value !== undefined)) {
+            const repayments = await Transaction.find({ loan: loan._id, loanType: 'REPAY' }).select('date');
+            const lockError = await PeriodClose.getLockError(...repayments.map(r => r.date));
+            if (lockError) {
+                return res.status(400).json({
+                    success: false,
+                    error: lockError
+                });
+            }
+        }
+
+        if (lender !== undefined) loan.lender = lender;
+        if (notes !== undefined) loan.notes = notes;
+        if (interestRate !== undefined) loan.interestRate = parseFloat(interestRate) || 0;
+        if (installmentCount !== undefined) loan.installmentCount = parseInt(installmentCount) || 1;
+        if (installmentFrequency !== undefined) loan.installmentFrequency = installmentFrequency;
+
+        loan.buildSchedule();
+        await loan.save();
+
+        // Re-apply repayments against the new schedule and rate
+        const updated = await Loan.recalculate(loan._id);
+
+        res.json({
+            success: true,
+            data: { ...updated.toJSON(), balance: updated.getBalance() }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Delete loan (only if nothing has been repaid; moves it to the recycle bin)
+ * @route   DELETE /api/loans/:id
+ * @access  Private
+ */
+export const deleteLoan = async (req, res) => {
+    try {
+        const loan = await Loan.findById(req.params.id);
+
+        if (!loan) {
+            return res.status(404).json({
+                success: false,
+                error: 'Loan not found'
+            });
+        }
+
+        const hasRepayments = await Transaction.exists({ loan: loan._id, loanType: 'REPAY' });
+        if (hasRepayments) {
+            return res.status(400).json({
+                success: false,
+                error: 'This loan has repayments. Delete the repayments first.'
+            });
+        }
+
+        const lockError = await PeriodClose.getLockError(loan.startDate);
+        if (lockError) {
+            return res.status(400).json({
+                success: false,
+                error: lockError
+            });
+        }
+
+        // Both go to the recycle bin; restoring the LOAN transaction brings the loan back
+        const opening = await Transaction.find({ loan: loan._id, loanType: 'TAKE' }).select('_id');
+        await Transaction.softDeleteMany({ loan: loan._id, loanType: 'TAKE' }, req.user.userId);
+        await loan.softDelete(req.user.userId);
+        await AuditService.recordMany(req, 'DELETE', opening, { note: 'Loan deleted' });
+
+        res.json({
+            success: true,
+            data: {}
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Record a repayment (interest first, then principal)
+ * @route   POST /api/loans/:id/repayments
+ * @access  Private
+ */
+export const repayLoan = async (req, res) => {
+    try {
+        const { date, amount, notes } = req.body;
+        const loan = await Loan.findById(req.params.id);
+
+        if (!loan) {
+            return res.status(404).json({
+                success: false,
+                error: 'Loan not found'
+            });
+        }
+
+        if (loan.status === 'CLOSED') {
+            return res.status(400).json({
+                success: false,
+                error: 'This loan is already fully repaid'
+            });
+        }
+
+        const repayment = Math.abs(parseFloat(amount));
+        const repaymentDate = date ? new Date(date) : new Date();
+
+        if (!repayment) {
+            return res.status(400).json({
+                success: false,
+                error: 'Repayment amount must be greater than 0'
+            });
+        }
+
+        if (repaymentDate < loan.startDate) {
+            return res.status(400).json({
+                success: false,
+                error: 'Repayment cannot be dated before the loan start date'
+            });
+        }
+
+        const lockError = await PeriodClose.getLockError(repaymentDate);
+        if (lockError) {
+            return res.status(400).json({
+                success: false,
+                error: lockError
+            });
+        }
+
+        const { totalOutstanding } = loan.getBalance(repaymentDate);
+        if (repayment > totalOutstanding + 0.005) {
+            return res.status(400).json({
+                success: false,
+                error: `Repayment exceeds outstanding balance of LKR ${totalOutstanding.toLocaleString()}`
+            });
+        }
+
+        const transaction = await new Transaction({
+            type: 'LOAN',
+            date: repaymentDate,
+            amount: -repayment,
+            loan: loan._id,
+            loanType: 'REPAY',
+            notes: `Loan Repayment: ${loan.lender}${notes ? ` - ${notes}` : ''}`
+        }).stampActor(AuditService.actor(req)).save();
+        await AuditService.record(req, { action: 'CREATE', after: transaction });
+
+        const updated = await Loan.recalculate(loan._id);
+        const saved = await Transaction.findById(transaction._id).lean();
+
+        res.status(201).json({
+            success: true,
+            data: {
+                loan: { ...updated.toJSON(), balance: updated.getBalance() },
+                transaction: saved
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,190 @@
+/**
+ * Location Controller
+ * Handles storage locations and stock held at each
+ */
+
+import Location from '../models/Location.js';
+import Transaction from '../models/Transaction.js';
+
+/**
+ * @desc    Get locations with current stock
+ * @route   GET /api/locations
+ * @access  Private
+ */
+export const getLocations = async (req, res) => {
+    try {
+        const query = req.query.includeInactive === 'true' ? {} : { isActive: true };
+
+        const [locations, stock] = await Promise.all([
+            Location.find(query).sort({ isDefault: -1, name: 1 }).lean(),
+            Transaction.getStockByLocation()
+        ]);
+
+        res.json({
+            success: true,
+            count: locations.length,
+            data: locations.map(l => {
+                const here = stock.find(s => String(s.location) === l._id.toString());
+                return {
+                    ...l,
+                    rawStock: here?.rawStock || 0,
+                    procStock: here?.procStock || 0
+                };
+            }),
+            // Stock recorded before locations existed
+            unassigned: stock.find(s => s.location === null) || null
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Create location
+ * @route   POST /api/locations
+ * @access  Private
+ */
+export const createLocation = async (req, res) => {
+    try {
+        const { name, address, notes, isDefault } = req.body;
+
+        if (!name || !name.trim()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Name is required'
+            });
+        }
+
+        const existing = await Location.findOne({ name: new RegExp(`^${name.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i') });
+        if (existing) {
+            return res.status(400).json({
+                success: false,
+                error: `Location "${existing.name}" already exists`
+            });
+        }
+
+        // The first location becomes the default
+        const isFirst = !(await Location.exists({}));
+        const location = await Location.create({ name, address, notes });
+        if (isDefault || isFirst) {
+            await Location.setDefault(location._id);
+            location.isDefault = true;
+        }
+
+        res.status(201).json({
+            success: true,
+            data: location
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(e => e.message);
+            return res.status(400).json({
+                success: false,
+                error: messages.join(', ')
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Update location
+ * @route   PUT /api/locations/:id
+ * @access  Private
+ */
+export const updateLocation = async (req, res) => {
+    try {
+        const { name, address, notes, isActive, isDefault } = req.body;
+
+        const location = await Location.findByIdAndUpdate(
+            req.params.id,
+            { name, address, notes, isActive },
+            { new: true, runValidators: true }
+        );
+
+        if (!location) {
+            return res.status(404).json({
+                success: false,
+                error: 'Location not found'
+            });
+        }
+
+        if (isDefault === true) {
+            await Location.setDefault(location._id);
+            location.isDefault = true;
+        }
+
+        res.json({
+            success: true,
+            data: location
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Delete location (deactivates if referenced by transactions)
+ * @route   DELETE /api/locations/:id
+ * @access  Private
+ */
+export const deleteLocation = async (req, res) => {
+    try {
+        const location = await Location.findById(req.params.id);
+
+        if (!location) {
+            return res.status(404).json({
+                success: false,
+                error: 'Location not found'
+            });
+        }
+
+        const inUse = await Transaction.exists({
+            $or: [{ location: location._id }, { toLocation: location._id }]
+        }).setOptions({ withDeleted: true });
+
+        if (inUse) {
+            // Stock still held here has to be transferred out first
+            const stock = await Transaction.getStockByLocation();
+            const here = stock.find(s => String(s.location) === location._id.toString());
+            if (here && (Math.abs(here.rawStock) > 0.0005 || Math.abs(here.procStock) > 0.0005)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `${location.name} still holds stock. Transfer it to another location first.`
+                });
+            }
+
+            location.isActive = false;
+            location.isDefault = false;
+            await location.save();
+
+            return res.json({
+                success: true,
+                message: 'Location has transactions and was deactivated instead of deleted',
+                data: location
+            });
+        }
+
+        await location.deleteOne();
+
+        res.json({
+            success: true,
+            data: {}
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,78 @@
+/**
+ * Lot Controller
+ * Handles purchase lots, processed batches and traceability
+ */
+
+import { LotService } from '../services/lots.js';
+
+/**
+ * @desc    Get purchase lots with remaining qty and recovery
+ * @route   GET /api/lots
+ * @access  Private
+ */
+export const getLots = async (req, res) => {
+    try {
+        const lots = await LotService.listLots({ openOnly: req.query.status === 'open' });
+
+        res.json({
+            success: true,
+            count: lots.length,
+            data: lots
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Get processed batches with kernel left to sell
+ * @route   GET /api/lots/batches
+ * @access  Private
+ */
+export const getBatches = async (req, res) => {
+    try {
+        const batches = await LotService.listBatches({ openOnly: req.query.status === 'open' });
+
+        res.json({
+            success: true,
+            count: batches.length,
+            data: batches
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Trace a lot, batch or sale through the whole chain
+ * @route   GET /api/lots/:id/trace
+ * @access  Private
+ */
+export const traceLot = async (req, res) => {
+    try {
+        const trace = await LotService.trace(req.params.id);
+
+        if (!trace) {
+            return res.status(404).json({
+                success: false,
+                error: 'Lot, batch or sale not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: trace
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
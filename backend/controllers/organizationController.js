@@ -0,0 +1,247 @@
+/**
+ * Organization Controller
+ * Handles organizations and who is a member of each (admin only)
+ */
+
+import Organization from '../models/Organization.js';
+import User from '../models/User.js';
+
+// Organizations an admin may manage: every one for superadmins, their own for admins
+const findManageable = async (req, id) => {
+    const admin = await User.findById(req.user.userId);
+    if (!admin || !admin.canAccessOrganization(id)) return null;
+    return Organization.findById(id);
+};
+
+/**
+ * @desc    Get organizations with their members
+ * @route   GET /api/organizations
+ * @access  Private (Admin)
+ */
+export const getOrganizations = async (req, res) => {
+    try {
+        const admin = await User.findById(req.user.userId);
+        const query = admin.role === 'superadmin'
+            ? {}
+            : { _id: { $in: admin.memberships.map(m => m.organization) } };
+
+        const [organizations, users] = await Promise.all([
+            Organization.find(query).sort({ name: 1 }).lean(),
+            User.find({ 'memberships.0': { $exists: true } }).select('username role memberships').lean()
+        ]);
+
+        res.json({
+            success: true,
+            count: organizations.length,
+            data: organizations.map(o => ({
+                ...o,
+                isCurrent: String(o._id) === String(req.organization),
+                members: users
+                    .filter(u => u.memberships.some(m => String(m.organization) === String(o._id)))
+                    .map(u => ({ _id: u._id, username: u.username, role: u.role }))
+            }))
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Create organization (the creator becomes its first member)
+ * @route   POST /api/organizations
+ * @access  Private (Admin)
+ */
+export const createOrganization = async (req, res) => {
+    try {
+        const organization = await Organization.create({
+            name: req.body.name,
+            createdBy: req.user.userId
+        });
+
+        await User.updateOne(
+            { _id: req.user.userId },
+            { $push: { memberships: { organization: organization._id } } }
+        );
+
+        res.status(201).json({
+            success: true,
+            data: organization
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(e => e.message);
+            return res.status(400).json({
+                success: false,
+                error: messages.join(', ')
+            });
+        }
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                error: 'An organization with this name already exists'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Rename or deactivate organization
+ * @route   PUT /api/organizations/:id
+ * @access  Private (Admin)
+ */
+export const updateOrganization = async (req, res) => {
+    try {
+        const organization = await findManageable(req, req.params.id);
+        if (!organization) {
+            return res.status(404).json({
+                success: false,
+                error: 'Organization not found'
+            });
+        }
+
+        const { name, isActive } = req.body;
+
+        if (isActive === false && String(organization._id) === String(req.organization)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Switch to another organization before deactivating this one'
+            });
+        }
+
+        if (name !== undefined) organization.name = name;
+        if (isActive !== undefined) organization.isActive = isActive;
+        await organization.save();
+
+        res.json({
+            success: true,
+            data: organization
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(e => e.message);
+            return res.status(400).json({
+                success: false,
+                error: messages.join(', ')
+            });
+        }
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                error: 'An organization with this name already exists'
+            });
+        }
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                error: 'Organization not found'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Add a user to an organization
+ * @route   POST /api/organizations/:id/members
+ * @access  Private (Admin)
+ */
+export const addMember = async (req, res) => {
+    try {
+        const organization = await findManageable(req, req.params.id);
+        if (!organization) {
+            return res.status(404).json({
+                success: false,
+                error: 'Organization not found'
+            });
+        }
+
+        const user = await User.findById(req.body.userId);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                error: 'User not found'
+            });
+        }
+
+        if (user.memberships.some(m => m.organization.equals(organization._id))) {
+            return res.status(400).json({
+                success: false,
+                error: `${user.username} is already a member of ${organization.name}`
+            });
+        }
+
+        user.memberships.push({ organization: organization._id });
+        await user.save();
+
+        res.status(201).json({
+            success: true,
+            data: user.toPublicJSON()
+        });
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                error: 'Organization or user not found'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Remove a user from an organization (their sessions there move on next request)
+ * @route   DELETE /api/organizations/:id/members/:userId
+ * @access  Private (Admin)
+ */
+export const removeMember = async (req, res) => {
+    try {
+        const organization = await findManageable(req, req.params.id);
+        if (!organization) {
+            return res.status(404).json({
+                success: false,
+                error: 'Organization not found'
+            });
+        }
+
+        const user = await User.findById(req.params.userId);
+        const index = user ? user.memberships.findIndex(m => m.organization.equals(organization._id)) : -1;
+        if (index === -1) {
+            return res.status(404).json({
+                success: false,
+                error: 'User is not a member of this organization'
+            });
+        }
+
+        user.memberships.splice(index, 1);
+        await user.save();
+
+        res.json({
+            success: true,
+            data: user.toPublicJSON()
+        });
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                error: 'Organization or user not found'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,156 @@
+/**
+ * Period Controller
+ * Handles closing accounting periods (locking their transactions) and reopening them
+ */
+
+import PeriodClose from '../models/PeriodClose.js';
+
+/**
+ * @desc    Get period closes, latest closing date first, with the current lock
+ * @route   GET /api/periods
+ * @access  Private
+ */
+export const getPeriods = async (req, res) => {
+    try {
+        const [periods, lockedUntil] = await Promise.all([
+            PeriodClose.find()
+                .sort({ closingDate: -1, createdAt: -1 })
+                .populate('closedBy', 'username')
+                .populate('reopenedBy', 'username')
+                .lean(),
+            PeriodClose.getLockedUntil()
+        ]);
+
+        res.json({
+            success: true,
+            count: periods.length,
+            data: periods,
+            lockedUntil
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Close a period: lock every transaction dated on or before the closing date
+ * @route   POST /api/periods
+ * @access  Private (Admin)
+ */
+export const closePeriod = async (req, res) => {
+    try {
+        const { closingDate, notes } = req.body;
+        const date = new Date(closingDate);
+
+        if (!closingDate || Number.isNaN(date.getTime())) {
+            return res.status(400).json({
+                success: false,
+                error: 'A valid closing date is required'
+            });
+        }
+
+        // Days still to come cannot be closed
+        const today = new Date();
+        today.setUTCHours(0, 0, 0, 0);
+        if (date > today) {
+            return res.status(400).json({
+                success: false,
+                error: 'The closing date cannot be in the future'
+            });
+        }
+
+        // Closing an earlier date than the current lock would change nothing
+        const lockedUntil = await PeriodClose.getLockedUntil();
+        if (lockedUntil && date < lockedUntil) {
+            return res.status(400).json({
+                success: false,
+                error: `The books are already closed up to ${new Date(lockedUntil.getTime() - 86400000).toISOString().split('T')[0]}`
+            });
+        }
+
+        const period = await PeriodClose.create({
+            closingDate: date,
+            notes,
+            closedBy: req.user.userId
+        });
+
+        res.status(201).json({
+            success: true,
+            data: period
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(e => e.message);
+            return res.status(400).json({
+                success: false,
+                error: messages.join(', ')
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Reopen a closed period (a reason is required)
+ * @route   POST /api/periods/:id/reopen
+ * @access  Private (Admin)
+ */
+export const reopenPeriod = async (req, res) => {
+    try {
+        const { reason } = req.body;
+
+        if (!reason || !reason.trim()) {
+            return res.status(400).json({
+                success: false,
+                error: 'A reason is required to reopen a period'
+            });
+        }
+
+        const period = await PeriodClose.findById(req.params.id);
+
+        if (!period) {
+            return res.status(404).json({
+                success: false,
+                error: 'Period close not found'
+            });
+        }
+
+        if (period.reopenedAt) {
+            return res.status(400).json({
+                success: false,
+                error: 'This period has already been reopened'
+            });
+        }
+
+        period.reopenedAt = new Date();
+        period.reopenedBy = req.user.userId;
+        period.reopenReason = reason.trim();
+        await period.save();
+
+        res.json({
+            success: true,
+            data: period,
+            lockedUntil: await PeriodClose.getLockedUntil()
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(e => e.message);
+            return res.status(400).json({
+                success: false,
+                error: messages.join(', ')
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,386 @@
+/**
+ * Recurring Controller
+ * Handles recurring transaction templates and the occurrences waiting for confirmation
+ */
+
+import RecurringTemplate from '../models/RecurringTemplate.js';
+import Loan from '../models/Loan.js';
+import Category from '../models/Category.js';
+import { RecurringService } from '../services/recurring.js';
+
+// Fields that move the schedule; changing one continues after the last occurrence handled
+const SCHEDULE_FIELDS = ['frequency', 'interval', 'startDate', 'endDate'];
+
+/**
+ * Check the category or loan a template posts to
+ * @returns {string|null} error message
+ */
+const checkTarget = async ({ type, category, loan }) => {
+    if (['EXPENSE', 'INCOME'].includes(type) && category && !(await Category.findActive(type, category))) {
+        return `Unknown or archived ${type.toLowerCase()} category: ${category}`;
+    }
+    if (type === 'LOAN' && loan && !(await Loan.exists({ _id: loan }))) {
+        return 'Loan not found';
+    }
+    return null;
+};
+
+/**
+ * @desc    Get recurring templates
+ * @route   GET /api/recurring
+ * @access  Private
+ */
+export const getTemplates = async (req, res) => {
+    try {
+        const templates = await RecurringTemplate.find()
+            .sort({ isActive: -1, nextDueDate: 1 })
+            .populate('loan', 'lender status');
+        const asOf = new Date();
+
+        res.json({
+            success: true,
+            count: templates.length,
+            data: templates.map(template => ({
+                ...template.toObject(),
+                behind: template.isBehind(asOf)
+            }))
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Create recurring template
+ * @route   POST /api/recurring
+ * @access  Private
+ */
+export const createTemplate = async (req, res) => {
+    try {
+        const {
+            name, type, amount, category, loan, notes, frequency, interval, startDate, endDate, mode
+        } = req.body;
+
+        const targetError = await checkTarget({ type, category, loan });
+        if (targetError) {
+            return res.status(400).json({
+                success: false,
+                error: targetError
+            });
+        }
+
+        const template = new RecurringTemplate({
+            name,
+            type,
+            amount: Math.abs(parseFloat(amount)),
+            category: ['EXPENSE', 'INCOME'].includes(type) ? category : undefined,
+            loan: type === 'LOAN' ? loan : undefined,
+            notes,
+            frequency,
+            interval,
+            startDate: startDate ? new Date(startDate) : undefined,
+            endDate: endDate ? new Date(endDate) : null,
+            mode,
+            createdBy: req.user.userId
+        });
+        if (template.startDate) template.refreshNextDue();
+        await template.save();
+
+        // Post anything already due from a start date in the past
+        const run = await RecurringService.run();
+
+        res.status(201).json({
+            success: true,
+            data: await RecurringTemplate.findById(template._id).populate('loan', 'lender status'),
+            run
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(e => e.message);
+            return res.status(400).json({
+                success: false,
+                error: messages.join(', ')
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Update recurring template (pause/resume with `isActive`)
+ * @route   PUT /api/recurring/:id
+ * @access  Private
+ */
+export const updateTemplate = async (req, res) => {
+    try {
+        const template = await RecurringTemplate.findById(req.params.id);
+
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                error: 'Recurring template not found'
+            });
+        }
+
+        const updates = req.body;
+        const resuming = updates.isActive === true && !template.isActive;
+        for (const field of ['name', 'amount', 'category', 'loan', 'notes', 'mode', 'isActive', ...SCHEDULE_FIELDS]) {
+            if (updates[field] === undefined) continue;
+
+            if (field === 'amount') {
+                template.amount = Math.abs(parseFloat(updates.amount));
+            } else if (['startDate', 'endDate'].includes(field)) {
+                template[field] = updates[field] ? new Date(updates[field]) : null;
+            } else {
+                template[field] = updates[field];
+            }
+        }
+
+        const targetError = await checkTarget(template);
+        if (targetError) {
+            return res.status(400).json({
+                success: false,
+                error: targetError
+            });
+        }
+
+        if (SCHEDULE_FIELDS.some(field => updates[field] !== undefined) && template.startDate) {
+            template.reschedule();
+        }
+        // Occurrences that fell while it was paused are not posted
+        if (resuming) {
+            const today = new Date();
+            today.setUTCHours(0, 0, 0, 0);
+            template.skipBefore(today);
+        }
+        await template.save();
+
+        // A resumed or rescheduled template may have occurrences due already
+        const run = await RecurringService.run();
+
+        res.json({
+            success: true,
+            data: await RecurringTemplate.findById(template._id).populate('loan', 'lender status'),
+            run
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(e => e.message);
+            return res.status(400).json({
+                success: false,
+                error: messages.join(', ')
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Delete recurring template (transactions it posted stay in the ledger)
+ * @route   DELETE /api/recurring/:id
+ * @access  Private
+ */
+export const deleteTemplate = async (req, res) => {
+    try {
+        const template = await RecurringTemplate.findByIdAndDelete(req.params.id);
+
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                error: 'Recurring template not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {}
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Occurrences waiting for confirmation, oldest first
+ * @route   GET /api/recurring/pending
+ * @access  Private
+ */
+export const getPending = async (req, res) => {
+    try {
+        const templates = await RecurringTemplate.find({ 'pending.0': { $exists: true } })
+            .populate('loan', 'lender status')
+            .lean();
+
+        const pending = templates
+            .flatMap(template => template.pending.map(occurrence => ({
+                ...occurrence,
+                template: {
+                    _id: template._id,
+                    name: template.name,
+                    type: template.type,
+                    amount: template.amount,
+                    category: template.category,
+                    loan: template.loan
+                }
+            })))
+            .sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate));
+
+        res.json({
+            success: true,
+            count: pending.length,
+            data: pending
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Post a queued occurrence (`date` and `amount` may be adjusted)
+ * @route   POST /api/recurring/:id/pending/:pendingId/confirm
+ * @access  Private
+ */
+export const confirmPending = async (req, res) => {
+    try {
+        const template = await RecurringTemplate.findById(req.params.id);
+        const occurrence = template?.pending.id(req.params.pendingId);
+
+        if (!occurrence) {
+            return res.status(404).json({
+                success: false,
+                error: 'Pending occurrence not found'
+            });
+        }
+
+        const { date, amount } = req.body;
+        const result = await RecurringService.post(template, occurrence.dueDate, req, { date, amount });
+        if (result.error) {
+            return res.status(400).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        occurrence.deleteOne();
+        await template.save();
+
+        res.status(201).json({
+            success: true,
+            data: result.transaction
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(e => e.message);
+            return res.status(400).json({
+                success: false,
+                error: messages.join(', ')
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Skip a queued occurrence without posting it
+ * @route   DELETE /api/recurring/:id/pending/:pendingId
+ * @access  Private
+ */
+export const skipPending = async (req, res) => {
+    try {
+        const template = await RecurringTemplate.findById(req.params.id);
+        const occurrence = template?.pending.id(req.params.pendingId);
+
+        if (!occurrence) {
+            return res.status(404).json({
+                success: false,
+                error: 'Pending occurrence not found'
+            });
+        }
+
+        occurrence.deleteOne();
+        await template.save();
+
+        res.json({
+            success: true,
+            data: {}
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Post or queue everything due now, without waiting for the scheduler
+ * @route   POST /api/recurring/run
+ * @access  Private
+ */
+export const runRecurring = async (req, res) => {
+    try {
+        const result = await RecurringService.run();
+
+        res.json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Record or queue every occurrence of a template that is further behind than the
+ *          scheduler catches up on its own
+ * @route   POST /api/recurring/:id/catch-up
+ * @access  Private
+ */
+export const catchUpTemplate = async (req, res) => {
+    try {
+        const template = await RecurringTemplate.findById(req.params.id);
+
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                error: 'Recurring template not found'
+            });
+        }
+
+        const result = await RecurringService.run(new Date(), { catchUp: template._id });
+
+        res.json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
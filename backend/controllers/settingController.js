@@ -0,0 +1,107 @@
+/**
+ * Setting Controller
+ * Handles business-wide settings
+ */
+
+import Setting from '../models/Setting.js';
+import Transaction from '../models/Transaction.js';
+import { CostingService } from '../services/costing.js';
+
+/**
+ * @desc    Get settings
+ * @route   GET /api/settings
+ * @access  Private
+ */
+export const getSettings = async (req, res) => {
+    try {
+        const settings = await Setting.getSettings();
+
+        res.json({
+            success: true,
+            data: settings
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Update settings
+ * @route   PUT /api/settings
+ * @access  Private (Admin)
+ */
+export const updateSettings = async (req, res) => {
+    try {
+        const { costingMethod, negativeStockPolicy, autoProcessOnSell, approvalAfterDays, kernelGrades, customFields } = req.body;
+        const settings = await Setting.getSettings();
+        const previousMethod = settings.costingMethod;
+
+        if (costingMethod !== undefined) settings.costingMethod = costingMethod;
+        if (negativeStockPolicy !== undefined) settings.negativeStockPolicy = negativeStockPolicy;
+        if (autoProcessOnSell !== undefined) settings.autoProcessOnSell = autoProcessOnSell;
+        if (approvalAfterDays !== undefined) settings.approvalAfterDays = approvalAfterDays;
+
+        if (Array.isArray(kernelGrades)) {
+            // Grades already on transactions can only be deactivated, not removed
+            const keptCodes = kernelGrades.map(g => String(g.code || '').trim().toUpperCase());
+            const removed = settings.kernelGrades.filter(g => !keptCodes.includes(g.code));
+            for (const grade of removed) {
+                const inUse = await Transaction.exists({ $or: [{ grade: grade.code }, { 'gradeOutputs.grade': grade.code }] })
+                    .setOptions({ withDeleted: true });
+                if (inUse) {
+                    return res.status(400).json({
+                        success: false,
+                        error: `Grade ${grade.name} is used by transactions. Deactivate it instead.`
+                    });
+                }
+            }
+            settings.kernelGrades = kernelGrades;
+        }
+
+        if (Array.isArray(customFields)) {
+            // Values already stored under a key would be orphaned
+            const keptKeys = customFields.map(f => String(f.key || '').trim().toLowerCase());
+            const removed = settings.customFields.filter(f => !keptKeys.includes(f.key));
+            for (const field of removed) {
+                const inUse = await Transaction.exists({ [`customFields.${field.key}`]: { $exists: true } })
+                    .setOptions({ withDeleted: true });
+                if (inUse) {
+                    return res.status(400).json({
+                        success: false,
+                        error: `Field ${field.label} has values on transactions. Deactivate it instead.`
+                    });
+                }
+            }
+            settings.customFields = customFields;
+        }
+
+        settings.updatedBy = req.user.userId;
+        await settings.save();
+
+        // Switching method recosts every PROCESS and SELL
+        if (settings.costingMethod !== previousMethod) {
+            await CostingService.recalculate();
+        }
+
+        res.json({
+            success: true,
+            data: settings
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(e => e.message);
+            return res.status(400).json({
+                success: false,
+                error: messages.join(', ')
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
@@ -3,7 +3,696 @@
  * Handles all transaction-related business logic
  */
 
-import Transaction from '../models/Transaction.js';
+import mongoose from 'mongoose';
+import Transaction, { BYPRODUCT_KINDS } from '../models/Transaction.js';
+import Counterparty from '../models/Counterparty.js';
+import Loan from '../models/Loan.js';
+import Location from '../models/Location.js';
+import Setting from '../models/Setting.js';
+import Category from '../models/Category.js';
+import { CostingService } from '../services/costing.js';
+import { LotService } from '../services/lots.js';
+import { AttachmentService } from '../services/attachments.js';
+import { AuditService } from '../services/audit.js';
+import { StockGuardService } from '../services/stockGuard.js';
+import AuditLog from '../models/AuditLog.js';
+import PeriodClose from '../models/PeriodClose.js';
+import FinancialYear from '../models/FinancialYear.js';
+
+/**
+ * Keep records derived from transactions in step after they are created, edited, deleted
+ * or restored: trade settlement (PAYMENT → BUY/SELL), loan balances (LOAN → Loan) and inventory cost
+ */
+const syncLinkedRecords = async (...transactions) => {
+    const trades = new Set();
+    const loans = new Set();
+
+    for (const transaction of transactions) {
+        if (['BUY', 'SELL'].includes(transaction.type)) {
+            trades.add(String(transaction._id));
+        } else if (transaction.type === 'PAYMENT' && transaction.settles) {
+            trades.add(String(transaction.settles));
+        } else if (transaction.type === 'LOAN' && transaction.loan) {
+            loans.add(String(transaction.loan));
+        }
+    }
+
+    for (const id of trades) await Transaction.refreshSettlement(id);
+    for (const id of loans) await Loan.recalculate(id);
+
+    // Any stock movement can change the cost of every later PROCESS and SELL
+    if (transactions.some(t => ['BUY', 'DRYING', 'PROCESS', 'SELL', 'ADJUSTMENT'].includes(t.type))) {
+        await CostingService.recalculate();
+    }
+};
+
+/**
+ * The deleted automatic PROCESS a sale still draws from, if any
+ */
+const getDeletedAutoProcess = (transaction) => {
+    if (transaction.type !== 'SELL') return null;
+    return Transaction.findOne({
+        _id: { $in: (transaction.batchesDrawn || []).map(b => b.batch) },
+        autoProcessFor: transaction._id,
+        deletedAt: { $ne: null }
+    });
+};
+
+/**
+ * Why a deleted transaction cannot be restored yet: it is in a closed period, or what it
+ * links to must be back first
+ * @returns {string|null} Reason, or null when it can be restored
+ */
+const getRestoreBlocker = async (transaction) => {
+    const lockError = await PeriodClose.getLockError(transaction.date);
+    if (lockError) return lockError;
+    if (transaction.type === 'PAYMENT' && transaction.settles
+        && !(await Transaction.exists({ _id: transaction.settles }))) {
+        return 'The trade this payment settles is deleted. Restore it first.';
+    }
+    for (const { lot } of transaction.lotsConsumed || []) {
+        if (!(await Transaction.exists({ _id: lot }))) {
+            return 'A lot this batch used is deleted. Restore it first.';
+        }
+    }
+    // An automatic PROCESS deleted with its sale is restored along with it
+    const autoProcess = await getDeletedAutoProcess(transaction);
+    if (autoProcess) {
+        const blocker = await getRestoreBlocker(autoProcess);
+        if (blocker) return blocker;
+    }
+    for (const { batch } of transaction.batchesDrawn || []) {
+        if (String(batch) === String(autoProcess?._id)) continue;
+        if (!(await Transaction.exists({ _id: batch }))) {
+            return 'A batch this sale drew from is deleted. Restore it first.';
+        }
+    }
+    if (transaction.type === 'LOAN' && transaction.loan) {
+        const loan = await Loan.findById(transaction.loan).setOptions({ withDeleted: true });
+        if (!loan) {
+            return 'The loan for this transaction was permanently deleted';
+        }
+        if (loan.deletedAt && transaction.loanType !== 'TAKE') {
+            return 'The loan for this repayment is deleted. Restore the loan transaction first.';
+        }
+    }
+    return null;
+};
+
+/**
+ * Bring a deleted transaction back (and the loan it opened)
+ */
+const restoreOne = async (transaction) => {
+    await transaction.restore();
+
+    if (transaction.type === 'LOAN' && transaction.loanType === 'TAKE' && transaction.loan) {
+        const loan = await Loan.findOne({ _id: transaction.loan, deletedAt: { $ne: null } });
+        if (loan) await loan.restore();
+    }
+};
+
+/**
+ * Permanently remove deleted transactions, their files and loans opened by them
+ */
+const purgeDeleted = async (transactions) => {
+    for (const transaction of transactions) {
+        await AttachmentService.remove(transaction.attachments);
+    }
+
+    const loanIds = transactions
+        .filter(t => t.type === 'LOAN' && t.loanType === 'TAKE' && t.loan)
+        .map(t => t.loan);
+    if (loanIds.length) {
+        await Loan.deleteMany({ _id: { $in: loanIds }, deletedAt: { $ne: null } });
+    }
+
+    await Transaction.deleteMany({ _id: { $in: transactions.map(t => t._id) }, deletedAt: { $ne: null } });
+};
+
+/**
+ * Check a PROCESS grade split against the active grades; it must add up to outputQty.
+ * An empty split leaves the output ungraded.
+ * @returns {Object} { gradeOutputs } or { error }
+ */
+const parseGradeOutputs = (gradeOutputs, outputQty, settings) => {
+    if (!Array.isArray(gradeOutputs) || !gradeOutputs.length) {
+        return { gradeOutputs: [] };
+    }
+
+    const active = settings.getActiveGrades().map(g => g.code);
+    const parsed = [];
+
+    for (const entry of gradeOutputs) {
+        const grade = String(entry.grade || '').trim().toUpperCase();
+        const qty = parseFloat(entry.qty) || 0;
+        if (qty <= 0) continue;
+
+        if (!active.includes(grade)) {
+            return { error: `Unknown or inactive kernel grade: ${entry.grade}` };
+        }
+        if (parsed.some(p => p.grade === grade)) {
+            return { error: `Grade ${grade} is listed more than once` };
+        }
+        parsed.push({ grade, qty });
+    }
+
+    const total = parsed.reduce((sum, p) => sum + p.qty, 0);
+    if (parsed.length && Math.abs(total - outputQty) > 0.0005) {
+        return { error: `Grade quantities add up to ${+total.toFixed(3)} kg but output is ${outputQty} kg` };
+    }
+
+    return { gradeOutputs: parsed };
+};
+
+/**
+ * Normalise a grade code from the request and check it is active
+ * @returns {Object} { grade } (null when not given) or { error }
+ */
+const parseGrade = (grade, settings) => {
+    if (!grade) return { grade: null };
+
+    const code = String(grade).trim().toUpperCase();
+    if (!settings.getActiveGrades().some(g => g.code === code)) {
+        return { error: `Unknown or inactive kernel grade: ${grade}` };
+    }
+    return { grade: code };
+};
+
+/**
+ * Normalise tags from an array or a comma-separated string (lowercase, no duplicates)
+ * @returns {Object} { tags } or { error }
+ */
+const parseTags = (tags) => {
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+    const parsed = [...new Set(list.map(t => String(t).trim().toLowerCase()).filter(Boolean))];
+
+    if (parsed.length > 20) {
+        return { error: 'A transaction can have at most 20 tags' };
+    }
+    const tooLong = parsed.find(t => t.length > 30);
+    if (tooLong) {
+        return { error: `Tag "${tooLong}" is longer than 30 characters` };
+    }
+    return { tags: parsed };
+};
+
+/**
+ * Check custom field values against the fields set up for a transaction type.
+ * Empty values are dropped; fields no longer active keep their value but are not required.
+ * @returns {Object} { customFields } or { error }
+ */
+const parseCustomFields = (values, type, settings, includeInactive = false) => {
+    const fields = settings.getCustomFields(type, includeInactive);
+    const parsed = {};
+
+    for (const [key, raw] of Object.entries(values || {})) {
+        const field = fields.find(f => f.key === key);
+        if (!field) {
+            return { error: `Unknown custom field for ${type}: ${key}` };
+        }
+        if (raw === null || raw === undefined || String(raw).trim() === '') continue;
+
+        const text = String(raw).trim();
+        switch (field.fieldType) {
+            case 'NUMBER': {
+                const number = Number(text);
+                if (!Number.isFinite(number)) {
+                    return { error: `${field.label} must be a number` };
+                }
+                parsed[key] = number;
+                break;
+            }
+            case 'DATE':
+                if (Number.isNaN(new Date(text).getTime())) {
+                    return { error: `${field.label} must be a date` };
+                }
+                parsed[key] = new Date(text).toISOString().split('T')[0];
+                break;
+            case 'SELECT':
+                if (!field.options.includes(text)) {
+                    return { error: `${field.label} must be one of ${field.options.join(', ')}` };
+                }
+                parsed[key] = text;
+                break;
+            default:
+                if (text.length > 200) {
+                    return { error: `${field.label} cannot exceed 200 characters` };
+                }
+                parsed[key] = text;
+        }
+    }
+
+    const missing = fields.find(f => f.isActive && f.required && parsed[f.key] === undefined);
+    if (missing) {
+        return { error: `${missing.label} is required` };
+    }
+
+    return { customFields: parsed };
+};
+
+// Fields a user may edit, by type; everything else is derived or owned by another record
+const COMMON_EDITABLE_FIELDS = ['date', 'notes', 'tags', 'customFields'];
+const EDITABLE_FIELDS = {
+    BUY: ['qty', 'price', 'counterparty', 'dueDate', 'paidUpfront'],
+    SELL: ['qty', 'price', 'counterparty', 'dueDate', 'paidUpfront'],
+    PROCESS: ['inputQty', 'outputQty', 'gradeOutputs', 'byProducts'],
+    DRYING: ['inputQty', 'outputQty'],
+    BYPRODUCT_SALE: ['qty', 'price', 'counterparty'],
+    EXPENSE: ['category', 'amount'],
+    INCOME: ['category', 'amount'],
+    LOAN: ['amount'],
+    PAYMENT: ['amount'],
+    TRANSFER: ['qty'],
+    ADJUSTMENT: ['amount', 'rawStockChange', 'procStockChange']
+};
+
+/**
+ * Sum of the quantities in a list of allocations
+ */
+const sumQty = (entries) => (entries || []).reduce((sum, e) => sum + (e.qty || 0), 0);
+
+/**
+ * Keep an edited row's existing lot/batch choices, trimmed to its new quantity
+ * (the last ones give back first); any extra is allocated oldest first
+ */
+const fitAllocations = (allocations, qty, key) => {
+    let left = qty;
+    return (allocations || []).map(a => {
+        const taken = Math.min(a.qty, Math.max(left, 0));
+        left -= taken;
+        return { id: a[key], qty: +taken.toFixed(3) };
+    }).filter(a => a.qty > 0);
+};
+
+/**
+ * How much raw stock a sale would need processed to cover its kernel shortfall,
+ * at the average recovery so far (25% before anything has been processed)
+ * @returns {Object} { kernelInStock, kernelShort, recovery, rawNeeded, rawInStock }
+ */
+const planAutoProcess = async (qty, grade, settings) => {
+    const stats = await Transaction.getStats();
+
+    // With grades in use only kernel of the grade sold counts
+    let kernelInStock = stats.totalProcStock || 0;
+    if (settings.getActiveGrades().length > 0) {
+        const gradeStock = await Transaction.getStockByGrade();
+        kernelInStock = gradeStock.find(g => g.grade === grade)?.procStock || 0;
+    }
+
+    const kernelShort = Math.max(+(qty - kernelInStock).toFixed(3), 0);
+    const recovery = (stats.processCount || 0) > 0 && stats.avgRecovery ? stats.avgRecovery : 25;
+
+    return {
+        kernelInStock: +kernelInStock.toFixed(3),
+        kernelShort,
+        recovery,
+        rawNeeded: +(kernelShort / (recovery / 100)).toFixed(3),
+        rawInStock: stats.totalRawStock || 0
+    };
+};
+
+/**
+ * Ledger note on an automatic PROCESS, so it is clear the system made it
+ */
+const autoProcessNotes = (process, settings) => {
+    const grade = process.gradeOutputs?.[0]?.grade;
+    return `AUTO: Processed ${process.inputQty} raw → ${process.outputQty} kernel${grade ? ` (${settings.getGradeName(grade)})` : ''} for sale`;
+};
+
+/**
+ * Re-draw an edited sale that has an automatic PROCESS behind it. The PROCESS takes the
+ * change in quantity (a cut bigger than its share comes out of the other batches), keeps
+ * its recovery and moves to the sale's date.
+ * @returns {Object} { batchesDrawn, cascade: { process, before, remove } } or { error }
+ */
+const resizeAutoProcess = async (sale, process, previousQty, settings) => {
+    const key = String(process._id);
+    const autoDraw = sumQty(sale.batchesDrawn.filter(b => String(b.batch) === key));
+    const others = sale.batchesDrawn.filter(b => String(b.batch) !== key);
+    const soldElsewhere = Math.max(process.outputQty - autoDraw, 0);
+
+    let newAutoDraw = +(autoDraw + sale.qty - previousQty).toFixed(3);
+    const requested = newAutoDraw >= 0
+        ? fitAllocations(others, sale.qty - newAutoDraw, 'batch')
+        : fitAllocations(others, sale.qty, 'batch');
+    newAutoDraw = Math.max(newAutoDraw, 0);
+
+    const drawn = await LotService.allocateBatches(sale.qty - newAutoDraw, requested, sale.date, [sale._id, process._id]);
+    if (drawn.error) return drawn;
+    if (drawn.unallocated > 0.0005) {
+        return { error: `Only ${+(sale.qty - drawn.unallocated).toFixed(3)} kg of processed stock is available for this sale` };
+    }
+
+    const before = process.toObject();
+    const outputQty = +(soldElsewhere + newAutoDraw).toFixed(3);
+    if (outputQty <= 0.0005) {
+        return { batchesDrawn: drawn.batchesDrawn, cascade: { process, before, remove: true } };
+    }
+    if (soldElsewhere > 0.0005 && sale.date.getTime() !== new Date(process.date).getTime()) {
+        return { error: `Batch ${process.batchId} has other sales drawn from it and cannot move with this sale` };
+    }
+
+    const inputQty = +(outputQty * (process.inputQty / process.outputQty)).toFixed(3);
+    const consumed = await LotService.allocateLots(
+        inputQty,
+        fitAllocations(process.lotsConsumed, inputQty, 'lot'),
+        sale.date,
+        process._id
+    );
+    if (consumed.error) return consumed;
+
+    process.date = sale.date;
+    process.inputQty = inputQty;
+    process.outputQty = outputQty;
+    process.lotsConsumed = consumed.lotsConsumed;
+    if (process.gradeOutputs.length === 1) process.gradeOutputs[0].qty = outputQty;
+    if (process.notes?.startsWith('AUTO:')) process.notes = autoProcessNotes(process, settings);
+    process.applyDerivedFields();
+
+    return {
+        batchesDrawn: newAutoDraw > 0
+            ? [...drawn.batchesDrawn, { batch: process._id, batchId: process.batchId, qty: newAutoDraw }]
+            : drawn.batchesDrawn,
+        cascade: { process, before, remove: false }
+    };
+};
+
+/**
+ * Apply an edit to a transaction with the same per-type rules as createTransaction.
+ * Fields derived from the inputs are recomputed by applyDerivedFields/save afterwards.
+ * @returns {Object} {}, { cascade } when a sale's automatic PROCESS changes with it, or { error }
+ */
+const applyEdits = async (transaction, body, settings) => {
+    const { type } = transaction;
+    const id = transaction._id;
+
+    if (body.type !== undefined && body.type !== type) {
+        return { error: 'The type of a transaction cannot be changed. Delete it and record a new one.' };
+    }
+
+    const allowed = [...COMMON_EDITABLE_FIELDS, ...(EDITABLE_FIELDS[type] || [])];
+    const rejected = Object.keys(body).filter(f => f !== 'type' && !allowed.includes(f));
+    if (rejected.length) {
+        return { error: `${rejected.join(', ')} cannot be edited on a ${type} transaction` };
+    }
+
+    // Edited value, or the current one when the field was not sent
+    const number = (field) => body[field] === undefined ? transaction[field] : parseFloat(body[field]);
+
+    if (body.date !== undefined) {
+        const date = new Date(body.date);
+        if (Number.isNaN(date.getTime())) {
+            return { error: 'Date is invalid' };
+        }
+        transaction.date = date;
+    }
+    if (body.notes !== undefined) transaction.notes = body.notes || '';
+
+    if (body.tags !== undefined) {
+        const parsedTags = parseTags(body.tags);
+        if (parsedTags.error) return parsedTags;
+        transaction.tags = parsedTags.tags;
+    }
+    if (body.customFields !== undefined) {
+        const parsedFields = parseCustomFields(body.customFields, type, settings, true);
+        if (parsedFields.error) return parsedFields;
+        transaction.customFields = parsedFields.customFields;
+    }
+
+    if (body.counterparty !== undefined) {
+        if (!body.counterparty) {
+            transaction.counterparty = undefined;
+        } else if (String(body.counterparty) !== String(transaction.counterparty)) {
+            const party = await Counterparty.findById(body.counterparty);
+            if (!party || !party.isActive) {
+                return { error: 'Counterparty not found or inactive' };
+            }
+            if (!party.acceptsType(type)) {
+                return { error: `${party.name} is not registered as a ${type === 'BUY' ? 'supplier' : 'buyer'}` };
+            }
+            transaction.counterparty = party._id;
+        }
+    }
+
+    const dateChanged = transaction.isModified('date');
+    let cascade;
+
+    switch (type) {
+        case 'BUY':
+        case 'SELL': {
+            const qty = number('qty');
+            const price = number('price');
+            if (!(qty > 0)) return { error: 'Quantity must be greater than 0' };
+            if (!(price >= 0)) return { error: 'Price cannot be negative' };
+
+            const isCredit = transaction.paymentTerms === 'CREDIT';
+            if (!isCredit && (body.dueDate || body.paidUpfront)) {
+                return { error: 'Only credit trades have a due date or upfront payment' };
+            }
+            if (isCredit && body.dueDate !== undefined) {
+                transaction.dueDate = body.dueDate ? new Date(body.dueDate) : undefined;
+            }
+            if (isCredit && body.paidUpfront !== undefined) {
+                transaction.paidUpfront = Math.abs(parseFloat(body.paidUpfront) || 0);
+            }
+
+            const previousQty = transaction.qty;
+            transaction.qty = qty;
+            transaction.price = price;
+
+            const state = await LotService.getState();
+
+            // Kernel processed out of a lot cannot be un-bought
+            if (type === 'BUY') {
+                const lot = state.lots.get(String(id));
+                const processed = sumQty(lot?.consumedBy);
+                if (qty < processed - 0.0005) {
+                    return { error: `Lot ${transaction.lotId} has ${+processed.toFixed(3)} kg processed already` };
+                }
+                const earlier = (lot?.consumedBy || [])
+                    .map(c => state.batches.get(c.batch)?.txn)
+                    .find(batch => batch && new Date(batch.date) < transaction.date);
+                if (dateChanged && earlier) {
+                    return { error: `Lot ${transaction.lotId} was processed in batch ${earlier.batchId} before that date` };
+                }
+            }
+
+            // A sale is drawn again from the batches, keeping the ones it already used;
+            // an automatic PROCESS made for it follows the edit
+            const autoProcess = type === 'SELL' ? await Transaction.findOne({ autoProcessFor: id }) : null;
+            if (autoProcess && (transaction.isModified('qty') || dateChanged)) {
+                const resized = await resizeAutoProcess(transaction, autoProcess, previousQty, settings);
+                if (resized.error) return resized;
+                transaction.batchesDrawn = resized.batchesDrawn;
+                cascade = resized.cascade;
+            } else if (type === 'SELL' && (transaction.isModified('qty') || dateChanged)) {
+                const drawn = await LotService.allocateBatches(
+                    qty,
+                    fitAllocations(transaction.batchesDrawn, qty, 'batch'),
+                    transaction.date,
+                    id
+                );
+                if (drawn.error) return drawn;
+                if (drawn.unallocated > 0.0005) {
+                    return { error: `Only ${+(qty - drawn.unallocated).toFixed(3)} kg of processed stock is available for this sale` };
+                }
+                transaction.batchesDrawn = drawn.batchesDrawn;
+            }
+
+            // Payments already recorded must still fit in the trade
+            const payments = await Transaction.aggregate([
+                { $match: { type: 'PAYMENT', settles: id } },
+                { $group: { _id: null, total: { $sum: { $abs: '$amount' } } } }
+            ]);
+            const paid = payments[0]?.total || 0;
+            const upfront = isCredit ? (transaction.paidUpfront || 0) : 0;
+            if (paid && upfront + paid > qty * price + 0.005) {
+                return { error: `Payments of LKR ${paid.toLocaleString()} already recorded are more than the new trade value` };
+            }
+            transaction.$locals.paymentsTotal = paid;
+            break;
+        }
+
+        case 'PROCESS': {
+            const inputQty = number('inputQty');
+            const outputQty = number('outputQty');
+            if (!(inputQty > 0) || !(outputQty > 0)) {
+                return { error: 'Input and output must be greater than 0' };
+            }
+            transaction.inputQty = inputQty;
+            transaction.outputQty = outputQty;
+
+            // The grade split must still add up to the output
+            if (body.gradeOutputs !== undefined) {
+                const split = parseGradeOutputs(body.gradeOutputs, outputQty, settings);
+                if (split.error) return split;
+                transaction.gradeOutputs = split.gradeOutputs;
+            } else if (transaction.gradeOutputs.length === 1) {
+                transaction.gradeOutputs[0].qty = outputQty;
+            } else if (transaction.gradeOutputs.length && Math.abs(sumQty(transaction.gradeOutputs) - outputQty) > 0.0005) {
+                return { error: 'Update the grade split so it adds up to the new output' };
+            }
+
+            if (body.byProducts !== undefined) {
+                const byProducts = (Array.isArray(body.byProducts) ? body.byProducts : [])
+                    .map(b => ({ kind: b.kind, qty: parseFloat(b.qty) || 0 }))
+                    .filter(b => b.qty > 0);
+                if (byProducts.some(b => !BYPRODUCT_KINDS.includes(b.kind))) {
+                    return { error: `By-product must be one of ${BYPRODUCT_KINDS.join(', ')}` };
+                }
+                transaction.byProducts = byProducts;
+            }
+
+            // What was already sold from this batch has to stay covered
+            const state = await LotService.getState();
+            const batch = state.batches.get(String(id));
+            const sold = sumQty(batch?.sales);
+            if (outputQty < sold - 0.0005) {
+                return { error: `Batch ${transaction.batchId} has ${+sold.toFixed(3)} kg sold from it already` };
+            }
+            for (const kind of BYPRODUCT_KINDS) {
+                const soldOfKind = sumQty(state.byProducts.get(kind).get(String(id))?.sales);
+                const left = transaction.byProducts.find(b => b.kind === kind)?.qty || 0;
+                if (left < soldOfKind - 0.0005) {
+                    return { error: `Batch ${transaction.batchId} has ${+soldOfKind.toFixed(3)} kg of ${kind.toLowerCase()} sold already` };
+                }
+            }
+            const earlier = (batch?.sales || [])
+                .map(s => state.sales.get(s.sale)?.txn)
+                .find(sale => sale && new Date(sale.date) < transaction.date);
+            if (dateChanged && earlier) {
+                return { error: `Batch ${transaction.batchId} has sales dated before that date` };
+            }
+
+            if (transaction.isModified('inputQty') || dateChanged) {
+                const consumed = await LotService.allocateLots(
+                    inputQty,
+                    fitAllocations(transaction.lotsConsumed, inputQty, 'lot'),
+                    transaction.date,
+                    id
+                );
+                if (consumed.error) return consumed;
+                transaction.lotsConsumed = consumed.lotsConsumed;
+            }
+            break;
+        }
+
+        case 'DRYING': {
+            const inputQty = number('inputQty');
+            const outputQty = number('outputQty');
+            if (!(inputQty > 0) || !(outputQty > 0)) {
+                return { error: 'Wet and dry weights must be greater than 0' };
+            }
+            if (outputQty > inputQty) {
+                return { error: 'Dry weight cannot be more than the wet weight' };
+            }
+            transaction.inputQty = inputQty;
+            transaction.outputQty = outputQty;
+            break;
+        }
+
+        case 'BYPRODUCT_SALE': {
+            const qty = number('qty');
+            const price = number('price');
+            if (!(qty > 0)) return { error: 'Quantity must be greater than 0' };
+            if (!(price >= 0)) return { error: 'Price cannot be negative' };
+            transaction.qty = qty;
+            transaction.price = price;
+
+            if (transaction.isModified('qty') || dateChanged) {
+                const drawn = await LotService.allocateByProducts(transaction.byProduct, qty, transaction.date, id);
+                if (drawn.unallocated > 0.0005) {
+                    return { error: `Only ${+(qty - drawn.unallocated).toFixed(3)} kg of ${transaction.byProduct.toLowerCase()} in stock` };
+                }
+                transaction.batchesDrawn = drawn.batchesDrawn;
+            }
+            break;
+        }
+
+        case 'EXPENSE':
+        case 'INCOME': {
+            if (body.category !== undefined && body.category !== transaction.category) {
+                if (!(await Category.findActive(type, body.category))) {
+                    return { error: `Unknown or archived category: ${body.category}` };
+                }
+                transaction.category = body.category;
+            }
+            const amount = Math.abs(number('amount'));
+            if (!(amount > 0)) return { error: 'Amount must be greater than 0' };
+            transaction.amount = type === 'EXPENSE' ? -amount : amount;
+            break;
+        }
+
+        case 'LOAN': {
+            const amount = Math.abs(number('amount'));
+            if (!(amount > 0)) return { error: 'Amount must be greater than 0' };
+
+            const signed = transaction.loanType === 'TAKE' ? amount : -amount;
+            if (transaction.loan && transaction.loanType === 'TAKE' && signed !== transaction.amount) {
+                return { error: 'This transaction opened a loan. Change the loan from the Loans view instead.' };
+            }
+
+            // A repayment can be raised up to what the loan still owes with it taken back out
+            if (transaction.loan && transaction.loanType === 'REPAY' && signed !== transaction.amount) {
+                const loan = await Loan.findById(transaction.loan);
+                if (loan) {
+                    const outstanding = loan.getBalance(transaction.date).totalOutstanding + Math.abs(transaction.amount || 0);
+                    if (amount > outstanding + 0.005) {
+                        return { error: `Repayment exceeds outstanding balance of LKR ${outstanding.toLocaleString()}` };
+                    }
+                }
+            }
+            transaction.amount = signed;
+            break;
+        }
+
+        case 'PAYMENT': {
+            const amount = Math.abs(number('amount'));
+            if (!(amount > 0)) return { error: 'Payment amount must be greater than 0' };
+
+            const trade = await Transaction.findById(transaction.settles);
+            if (trade) {
+                const outstanding = Math.max((trade.tradeValue || 0) - (trade.settledAmount || 0), 0)
+                    + Math.abs(transaction.amount || 0);
+                if (amount > outstanding + 0.005) {
+                    return { error: `Payment exceeds outstanding balance of LKR ${outstanding.toLocaleString()}` };
+                }
+            }
+            // Money in for sales, money out for purchases
+            const outgoing = trade ? trade.type === 'BUY' : transaction.amount < 0;
+            transaction.amount = outgoing ? -amount : amount;
+            break;
+        }
+
+        case 'TRANSFER': {
+            const qty = number('qty');
+            if (!(qty > 0)) return { error: 'Transfer quantity must be greater than 0' };
+
+            // This transfer already took its old quantity out of the source
+            const stock = await Transaction.getStockByLocation();
+            const here = stock.find(s => String(s.location) === String(transaction.location ?? null));
+            const available = (here ? (transaction.stockType === 'RAW' ? here.rawStock : here.procStock) : 0)
+                + (transaction.qty || 0);
+            if (qty > available + 0.0005) {
+                return { error: `Only ${+available.toFixed(3)} kg of ${transaction.stockType === 'RAW' ? 'raw' : 'processed'} stock at the source location` };
+            }
+            transaction.qty = qty;
+            break;
+        }
+
+        case 'ADJUSTMENT': {
+            transaction.amount = Number(number('amount') || 0);
+            transaction.rawStockChange = Number(number('rawStockChange') || 0);
+            transaction.procStockChange = Number(number('procStockChange') || 0);
+            if (!transaction.amount && !transaction.rawStockChange && !transaction.procStockChange) {
+                return { error: 'At least one of cash, raw stock, or processed stock adjustment must be non-zero' };
+            }
+            break;
+        }
+    }
+
+    return cascade ? { cascade } : {};
+};
 
 /**
  * @desc    Get all transactions
@@ -13,26 +702,983 @@ import Transaction from '../models/Transaction.js';
 export const getTransactions = async (req, res) => {
     try {
         // Default sort: date desc, then createdAt desc (latest entry within the same day first)
-        const { type, startDate, endDate, limit = 100, sort = '-date -createdAt' } = req.query;
+        const { type, counterparty, settlementStatus, settles, location, grade, tag, fields, user, startDate, endDate, limit = 100, sort = '-date -createdAt' } = req.query;
+        
+        // Build query
+        const query = {};
+        if (type) query.type = type;
+        if (counterparty) query.counterparty = counterparty;
+        if (settlementStatus) query.settlementStatus = { $in: settlementStatus.split(',') };
+        if (settles) query.settles = settles;
+        if (location) query.$or = [{ location }, { toLocation: location }];
+        if (grade) query.$and = [{ $or: [{ grade }, { 'gradeOutputs.grade': grade }] }];
+        if (tag) query.tags = { $all: parseTags(tag).tags || [] };
+        // Entered or last edited by this user
+        if (user) query.$and = [...(query.$and || []), { $or: [{ createdBy: user }, { updatedBy: user }] }];
+        
+        // Custom field filters: ?fields[vehicle_no]=WP-1234 (text matches partially)
+        if (fields && typeof fields === 'object') {
+            const settings = await Setting.getSettings();
+            for (const [key, value] of Object.entries(fields)) {
+                const field = settings.customFields.find(f => f.key === key);
+                if (!field) {
+                    return res.status(400).json({
+                        success: false,
+                        error: `Unknown custom field: ${key}`
+                    });
+                }
+                const text = String(value).trim();
+                query[`customFields.${key}`] = field.fieldType === 'NUMBER'
+                    ? Number(text)
+                    : field.fieldType === 'TEXT'
+                        ? new RegExp(text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i')
+                        : text;
+            }
+        }
+        if (startDate || endDate) {
+            query.date = {};
+            if (startDate) query.date.$gte = new Date(startDate);
+            if (endDate) query.date.$lte = new Date(endDate);
+        }
+        
+        const transactions = await Transaction.find(query)
+            .sort(sort)
+            .limit(parseInt(limit))
+            .populate('counterparty', 'name type')
+            .populate('location toLocation', 'name')
+            .populate('createdBy updatedBy', 'username')
+            .lean();
+        
+        res.json({
+            success: true,
+            count: transactions.length,
+            data: transactions
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Get single transaction
+ * @route   GET /api/transactions/:id
+ * @access  Public
+ */
+export const getTransaction = async (req, res) => {
+    try {
+        const transaction = await Transaction.findById(req.params.id)
+            .populate('counterparty', 'name type')
+            .populate('createdBy updatedBy', 'username')
+            .lean();
+        
+        if (!transaction) {
+            return res.status(404).json({
+                success: false,
+                error: 'Transaction not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: transaction
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Get the change history of a transaction (also works once it is deleted or purged)
+ * @route   GET /api/transactions/:id/history
+ * @access  Private
+ */
+export const getTransactionHistory = async (req, res) => {
+    try {
+        const history = await AuditLog.getHistory(req.params.id);
+        
+        if (!history.length && !(await Transaction.exists({ _id: req.params.id }).setOptions({ withDeleted: true }))) {
+            return res.status(404).json({
+                success: false,
+                error: 'Transaction not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            count: history.length,
+            data: history
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Preview the PROCESS a sale would create to cover its kernel shortfall
+ * @route   GET /api/transactions/auto-process/preview?qty=&grade=&date=
+ * @access  Private
+ */
+export const previewAutoProcess = async (req, res) => {
+    try {
+        const { qty, grade, date } = req.query;
+        const saleQty = parseFloat(qty);
+        const asOf = date ? new Date(date) : new Date();
+
+        if (!(saleQty > 0)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Quantity must be greater than 0'
+            });
+        }
+        if (Number.isNaN(asOf.getTime())) {
+            return res.status(400).json({
+                success: false,
+                error: 'Date is invalid'
+            });
+        }
+
+        const settings = await Setting.getSettings();
+        const saleGrade = parseGrade(grade, settings);
+        if (saleGrade.error) {
+            return res.status(400).json({
+                success: false,
+                error: saleGrade.error
+            });
+        }
+
+        const plan = await planAutoProcess(saleQty, saleGrade.grade, settings);
+
+        // Lots it would consume, oldest first, as of the sale date
+        const consumed = plan.rawNeeded > 0
+            ? await LotService.allocateLots(plan.rawNeeded, [], asOf)
+            : { lotsConsumed: [], unallocated: 0 };
+
+        res.json({
+            success: true,
+            data: {
+                enabled: settings.autoProcessOnSell,
+                ...plan,
+                lotsConsumed: consumed.lotsConsumed,
+                unallocated: consumed.unallocated
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Create transaction
+ * @route   POST /api/transactions
+ * @access  Public
+ */
+export const createTransaction = async (req, res) => {
+    try {
+        const {
+            type, date, qty, price, inputQty, outputQty, amount, category, notes, loanType, counterparty,
+            paymentTerms, dueDate, paidUpfront, settles, loan, lotId, lots, batches,
+            location, toLocation, stockType, grade, gradeOutputs, byProducts, byProduct, tags, customFields,
+            autoProcess
+        } = req.body;
+        
+        // Debug logging
+        console.log('Creating transaction:', { type, date, amount, category, notes });
+        
+        // Validate required fields
+        if (!type) {
+            return res.status(400).json({
+                success: false,
+                error: 'Transaction type is required'
+            });
+        }
+        
+        if (!date) {
+            return res.status(400).json({
+                success: false,
+                error: 'Date is required'
+            });
+        }
+        
+        // Nothing can be added to a closed period
+        const lockError = await PeriodClose.getLockError(new Date(date));
+        if (lockError) {
+            return res.status(400).json({
+                success: false,
+                error: lockError
+            });
+        }
+        
+        // Prepare transaction data
+        const txnData = {
+            type,
+            date: new Date(date),
+            notes: notes || ''
+        };
+        
+        // Link the supplier/buyer for trades
+        if (counterparty && ['BUY', 'SELL', 'BYPRODUCT_SALE'].includes(type)) {
+            const party = await Counterparty.findById(counterparty);
+            if (!party || !party.isActive) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Counterparty not found or inactive'
+                });
+            }
+            if (!party.acceptsType(type)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `${party.name} is not registered as a ${type === 'BUY' ? 'supplier' : 'buyer'}`
+                });
+            }
+            txnData.counterparty = party._id;
+        }
+        
+        // Credit terms: cash moves later through PAYMENT transactions
+        if (['BUY', 'SELL'].includes(type) && paymentTerms === 'CREDIT') {
+            txnData.paymentTerms = 'CREDIT';
+            txnData.paidUpfront = Math.abs(parseFloat(paidUpfront) || 0);
+            if (dueDate) txnData.dueDate = new Date(dueDate);
+        }
+        
+        // Where the stock is; entries without one go to the default location
+        if (['BUY', 'SELL', 'PROCESS', 'DRYING', 'ADJUSTMENT'].includes(type)) {
+            const place = location ? await Location.findById(location) : await Location.getDefault();
+            if (location && (!place || !place.isActive)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Location not found or inactive'
+                });
+            }
+            if (place) txnData.location = place._id;
+        }
+        
+        // Kernel grades and custom fields are configured in settings
+        const settings = await Setting.getSettings();
+        
+        const parsedTags = parseTags(tags);
+        if (parsedTags.error) {
+            return res.status(400).json({
+                success: false,
+                error: parsedTags.error
+            });
+        }
+        if (parsedTags.tags.length) txnData.tags = parsedTags.tags;
+        
+        const parsedFields = parseCustomFields(customFields, type, settings);
+        if (parsedFields.error) {
+            return res.status(400).json({
+                success: false,
+                error: parsedFields.error
+            });
+        }
+        if (Object.keys(parsedFields.customFields).length) txnData.customFields = parsedFields.customFields;
+        
+        // Set when a SELL checks stock together with its automatic PROCESS
+        let stockCheck = null;
+        let autoBatch = null;
+        
+        // Type-specific processing
+        switch (type) {
+            case 'BUY': {
+                txnData.qty = parseFloat(qty);
+                txnData.price = parseFloat(price);
+                
+                // Every purchase is a lot; use the supplier's lot number if given
+                if (lotId && lotId.trim()) {
+                    if (await Transaction.exists({ lotId: lotId.trim() }).setOptions({ withDeleted: true })) {
+                        return res.status(400).json({
+                            success: false,
+                            error: `Lot ${lotId.trim()} already exists`
+                        });
+                    }
+                    txnData.lotId = lotId.trim();
+                } else {
+                    txnData.lotId = await LotService.nextCode('LOT', 'lotId', txnData.date);
+                }
+                break;
+            }
+                
+            case 'SELL': {
+                txnData.qty = parseFloat(qty);
+                txnData.price = parseFloat(price);
+                
+                // Every sale is of one grade; only kernel recorded before grading can be sold ungraded
+                const saleGrade = parseGrade(grade, settings);
+                if (saleGrade.error) {
+                    return res.status(400).json({
+                        success: false,
+                        error: saleGrade.error
+                    });
+                }
+                const gradeStock = await Transaction.getStockByGrade();
+                const stockOfGrade = gradeStock.find(g => g.grade === saleGrade.grade)?.procStock || 0;
+                const usesGrades = settings.getActiveGrades().length > 0;
+                if (usesGrades && !saleGrade.grade && txnData.qty > stockOfGrade + 0.0005) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Select the kernel grade being sold'
+                    });
+                }
+                if (saleGrade.grade) txnData.grade = saleGrade.grade;
+                
+                // Kernel short for this sale can be covered by processing raw stock, when asked for
+                const requested = Array.isArray(batches) ? batches.map(b => ({ id: b.batch, qty: b.qty })) : [];
+                const plan = await planAutoProcess(txnData.qty || 0, saleGrade.grade, settings);
+                
+                if (autoProcess && plan.kernelShort > 0) {
+                    if (!settings.autoProcessOnSell) {
+                        return res.status(400).json({
+                            success: false,
+                            error: 'Auto-processing is turned off in Settings. Record a PROCESS first.'
+                        });
+                    }
+                    
+                    // The sale's id is fixed up front so the PROCESS can point at it
+                    txnData._id = new mongoose.Types.ObjectId();
+                    const autoData = {
+                        type: 'PROCESS',
+                        date: txnData.date,
+                        inputQty: plan.rawNeeded,
+                        outputQty: plan.kernelShort,
+                        location: txnData.location,
+                        gradeOutputs: saleGrade.grade ? [{ grade: saleGrade.grade, qty: plan.kernelShort }] : [],
+                        autoProcessFor: txnData._id
+                    };
+                    
+                    // The automatic PROCESS and the sale are checked together
+                    stockCheck = await StockGuardService.check({
+                        add: [
+                            new Transaction(autoData).applyDerivedFields(),
+                            new Transaction(txnData).applyDerivedFields()
+                        ]
+                    });
+                    if (stockCheck.error) {
+                        return res.status(400).json({
+                            success: false,
+                            error: stockCheck.error,
+                            conflict: stockCheck.conflict
+                        });
+                    }
+                    
+                    // Nothing is saved for a sale that would be refused anyway
+                    await new Transaction(txnData).validate();
+                    
+                    const autoLots = await LotService.allocateLots(plan.rawNeeded, [], txnData.date);
+                    autoData.lotsConsumed = autoLots.lotsConsumed || [];
+                    autoData.batchId = await LotService.nextCode('BAT', 'batchId', txnData.date);
+                    // Make it clear in the ledger that this is system-generated
+                    autoData.notes = autoProcessNotes(autoData, settings);
+                    
+                    // Saved first so the sale can draw from it; removed again if the sale is not recorded
+                    autoBatch = await new Transaction(autoData).stampActor(AuditService.actor(req)).save();
+                    requested.push({ id: autoBatch._id, qty: plan.kernelShort });
+                }
+                
+                // Draw from the chosen processed batches, then oldest first
+                const drawn = await LotService.allocateBatches(txnData.qty, requested, txnData.date);
+                if (drawn.error) {
+                    if (autoBatch) await Transaction.deleteOne({ _id: autoBatch._id });
+                    return res.status(400).json({
+                        success: false,
+                        error: drawn.error
+                    });
+                }
+                txnData.batchesDrawn = drawn.batchesDrawn;
+                
+                break;
+            }
+                
+            case 'PROCESS': {
+                txnData.inputQty = parseFloat(inputQty);
+                txnData.outputQty = parseFloat(outputQty);
+                
+                // Optional split of the kernel into grades
+                const split = parseGradeOutputs(gradeOutputs, txnData.outputQty, settings);
+                if (split.error) {
+                    return res.status(400).json({
+                        success: false,
+                        error: split.error
+                    });
+                }
+                txnData.gradeOutputs = split.gradeOutputs;
+                
+                // Husk and shell go to their own stock
+                txnData.byProducts = (Array.isArray(byProducts) ? byProducts : [])
+                    .map(b => ({ kind: b.kind, qty: parseFloat(b.qty) || 0 }))
+                    .filter(b => b.qty > 0);
+                if (txnData.byProducts.some(b => !BYPRODUCT_KINDS.includes(b.kind))) {
+                    return res.status(400).json({
+                        success: false,
+                        error: `By-product must be one of ${BYPRODUCT_KINDS.join(', ')}`
+                    });
+                }
+                
+                // Consume the chosen purchase lots, then oldest first
+                const consumed = await LotService.allocateLots(
+                    txnData.inputQty,
+                    Array.isArray(lots) ? lots.map(l => ({ id: l.lot, qty: l.qty })) : [],
+                    txnData.date
+                );
+                if (consumed.error) {
+                    return res.status(400).json({
+                        success: false,
+                        error: consumed.error
+                    });
+                }
+                txnData.lotsConsumed = consumed.lotsConsumed;
+                txnData.batchId = await LotService.nextCode('BAT', 'batchId', txnData.date);
+                break;
+            }
+                
+            case 'DRYING': {
+                // Wet nuts in, dried nuts out; the difference is moisture lost
+                txnData.inputQty = parseFloat(inputQty);
+                txnData.outputQty = parseFloat(outputQty);
+                
+                if (!(txnData.inputQty > 0) || !(txnData.outputQty > 0)) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Wet and dry weights must be greater than 0'
+                    });
+                }
+                if (txnData.outputQty > txnData.inputQty) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Dry weight cannot be more than the wet weight'
+                    });
+                }
+                break;
+            }
+                
+            case 'BYPRODUCT_SALE': {
+                txnData.byProduct = byProduct;
+                txnData.qty = parseFloat(qty);
+                txnData.price = parseFloat(price);
+                
+                if (!BYPRODUCT_KINDS.includes(byProduct)) {
+                    return res.status(400).json({
+                        success: false,
+                        error: `By-product must be one of ${BYPRODUCT_KINDS.join(', ')}`
+                    });
+                }
+                if (!(txnData.qty > 0)) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Quantity must be greater than 0'
+                    });
+                }
+                
+                // Sold from the batches that produced it, oldest first
+                const drawn = await LotService.allocateByProducts(byProduct, txnData.qty, txnData.date);
+                if (drawn.unallocated > 0.0005) {
+                    return res.status(400).json({
+                        success: false,
+                        error: `Only ${+(txnData.qty - drawn.unallocated).toFixed(3)} kg of ${byProduct.toLowerCase()} in stock`
+                    });
+                }
+                txnData.batchesDrawn = drawn.batchesDrawn;
+                break;
+            }
+                
+            case 'EXPENSE': {
+                if (!(await Category.findActive('EXPENSE', category))) {
+                    return res.status(400).json({
+                        success: false,
+                        error: `Unknown or archived expense category: ${category || '(none)'}`
+                    });
+                }
+                txnData.category = category;
+                txnData.amount = -Math.abs(parseFloat(amount));
+                break;
+            }
+                
+            case 'INCOME': {
+                if (!(await Category.findActive('INCOME', category))) {
+                    return res.status(400).json({
+                        success: false,
+                        error: `Unknown or archived income category: ${category || '(none)'}`
+                    });
+                }
+                txnData.category = category;
+                txnData.amount = Math.abs(parseFloat(amount));
+                break;
+            }
+                
+            case 'PAYMENT': {
+                // Partial/full settlement of a credit BUY or SELL
+                const trade = settles ? await Transaction.findById(settles) : null;
+                if (!trade || !['BUY', 'SELL'].includes(trade.type)) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Payment must reference a BUY or SELL transaction'
+                    });
+                }
+
+                const paymentAmount = Math.abs(parseFloat(amount));
+                const outstanding = Math.max((trade.tradeValue || 0) - (trade.settledAmount || 0), 0);
+                if (!paymentAmount) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Payment amount must be greater than 0'
+                    });
+                }
+                if (paymentAmount > outstanding + 0.005) {
+                    return res.status(400).json({
+                        success: false,
+                        error: `Payment exceeds outstanding balance of LKR ${outstanding.toLocaleString()}`
+                    });
+                }
+
+                // Money in for sales, money out for purchases
+                txnData.settles = trade._id;
+                txnData.counterparty = trade.counterparty;
+                txnData.amount = trade.type === 'SELL' ? paymentAmount : -paymentAmount;
+                break;
+            }
+
+            case 'ADJUSTMENT': {
+                // Manual corrections: directly adjust cash and stock deltas.
+                const cashDelta = Number(amount || 0);
+                const rawDelta = Number(req.body.rawStockChange || 0);
+                const procDelta = Number(req.body.procStockChange || 0);
+
+                if (!cashDelta && !rawDelta && !procDelta) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'At least one of cash, raw stock, or processed stock adjustment must be non-zero'
+                    });
+                }
+
+                // Kernel found or lost can be booked against a grade
+                const adjustGrade = parseGrade(procDelta ? grade : null, settings);
+                if (adjustGrade.error) {
+                    return res.status(400).json({
+                        success: false,
+                        error: adjustGrade.error
+                    });
+                }
+
+                txnData.amount = cashDelta;
+                txnData.rawStockChange = rawDelta;
+                txnData.procStockChange = procDelta;
+                if (adjustGrade.grade) txnData.grade = adjustGrade.grade;
+                break;
+            }
+
+            case 'TRANSFER': {
+                // Move raw or processed stock between locations (empty source = unassigned stock)
+                const transferQty = parseFloat(qty);
+                if (!['RAW', 'PROC'].includes(stockType)) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Stock type must be RAW or PROC'
+                    });
+                }
+                if (!transferQty || transferQty <= 0) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Transfer quantity must be greater than 0'
+                    });
+                }
+
+                const source = location ? await Location.findById(location) : null;
+                const destination = toLocation ? await Location.findById(toLocation) : null;
+                if ((location && !source) || !destination || !destination.isActive) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Location not found or inactive'
+                    });
+                }
+                if (source && source._id.equals(destination._id)) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Source and destination must be different locations'
+                    });
+                }
+
+                const stock = await Transaction.getStockByLocation();
+                const here = stock.find(s => String(s.location) === String(source?._id ?? null));
+                const available = here ? (stockType === 'RAW' ? here.rawStock : here.procStock) : 0;
+                if (transferQty > available + 0.0005) {
+                    return res.status(400).json({
+                        success: false,
+                        error: `Only ${available} kg of ${stockType === 'RAW' ? 'raw' : 'processed'} stock at ${source?.name || 'unassigned'}`
+                    });
+                }
+
+                txnData.qty = transferQty;
+                txnData.stockType = stockType;
+                txnData.location = source?._id;
+                txnData.toLocation = destination._id;
+                break;
+            }
+
+            case 'LOAN': {
+                const loanAmount = parseFloat(amount);
+                if (loanType === 'TAKE') {
+                    txnData.amount = Math.abs(loanAmount);
+                    txnData.loanType = 'TAKE';
+                    txnData.notes = `Loan Taken: ${notes}`;
+                } else {
+                    txnData.amount = -Math.abs(loanAmount);
+                    txnData.loanType = 'REPAY';
+                    txnData.notes = `Loan Repayment: ${notes}`;
+                }
+                
+                // New loans are opened through /api/loans; here we only link repayments
+                if (loan) {
+                    const linkedLoan = await Loan.findById(loan);
+                    if (!linkedLoan || txnData.loanType !== 'REPAY') {
+                        return res.status(400).json({
+                            success: false,
+                            error: 'Only repayments can be linked to an existing loan'
+                        });
+                    }
+                    if (linkedLoan.status === 'CLOSED') {
+                        return res.status(400).json({
+                            success: false,
+                            error: 'This loan is already fully repaid'
+                        });
+                    }
+                    if (txnData.date < linkedLoan.startDate) {
+                        return res.status(400).json({
+                            success: false,
+                            error: 'Repayment cannot be dated before the loan start date'
+                        });
+                    }
+                    
+                    // Anything above the balance would not be applied to the loan
+                    const { totalOutstanding } = linkedLoan.getBalance(txnData.date);
+                    if (Math.abs(txnData.amount) > totalOutstanding + 0.005) {
+                        return res.status(400).json({
+                            success: false,
+                            error: `Repayment exceeds outstanding balance of LKR ${totalOutstanding.toLocaleString()}`
+                        });
+                    }
+                    txnData.loan = linkedLoan._id;
+                }
+                break;
+            }
+                
+            default:
+                return res.status(400).json({
+                    success: false,
+                    error: `Unknown transaction type: ${type}`
+                });
+        }
+        
+        // Stock must not go below zero at any date from this entry on
+        if (!stockCheck) {
+            stockCheck = await StockGuardService.check({ add: [new Transaction(txnData).applyDerivedFields()] });
+            if (stockCheck.error) {
+                return res.status(400).json({
+                    success: false,
+                    error: stockCheck.error,
+                    conflict: stockCheck.conflict
+                });
+            }
+        }
+        
+        console.log('Transaction data to save:', txnData);
+        
+        let transaction;
+        try {
+            transaction = await new Transaction(txnData).stampActor(AuditService.actor(req)).save();
+        } catch (error) {
+            if (autoBatch) await Transaction.deleteOne({ _id: autoBatch._id });
+            throw error;
+        }
+        
+        if (autoBatch) {
+            await AuditService.record(req, {
+                action: 'CREATE',
+                after: autoBatch,
+                note: 'Processed automatically to cover a sale'
+            });
+        }
+        await AuditService.record(req, { action: 'CREATE', after: transaction });
+        await syncLinkedRecords(transaction);
+        
+        res.status(201).json({
+            success: true,
+            data: transaction,
+            warning: stockCheck.warning
+        });
+    } catch (error) {
+        console.error('Transaction creation error:', error);
+        
+        // Handle validation errors
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(e => e.message);
+            console.error('Validation errors:', messages);
+            return res.status(400).json({
+                success: false,
+                error: messages.join(', ')
+            });
+        }
+        
+        // Handle duplicate key errors
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                error: 'Duplicate entry error'
+            });
+        }
+        
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Update transaction (`?preview=true` validates and returns the recalculated fields without saving)
+ * @route   PUT /api/transactions/:id
+ * @access  Public
+ */
+export const updateTransaction = async (req, res) => {
+    try {
+        const transaction = await Transaction.findById(req.params.id);
+        
+        if (!transaction) {
+            return res.status(404).json({
+                success: false,
+                error: 'Transaction not found'
+            });
+        }
+        
+        // Neither the current nor the new date may be in a closed period
+        const lockError = await PeriodClose.getLockError(
+            transaction.date,
+            req.body.date !== undefined ? new Date(req.body.date) : null
+        );
+        if (lockError) {
+            return res.status(400).json({
+                success: false,
+                error: lockError
+            });
+        }
+        
+        const before = transaction.toObject();
+        const edited = await applyEdits(transaction, req.body, await Setting.getSettings());
+        if (edited.error) {
+            return res.status(400).json({
+                success: false,
+                error: edited.error
+            });
+        }
+        
+        // Same derivation as on create: cash, stock deltas, recovery, trade value
+        transaction.applyDerivedFields();
+        const changes = AuditService.diff(before, transaction);
+        
+        // The sale's automatic PROCESS, when the edit resized, moved or removed it
+        const { cascade } = edited;
+        const autoProcess = cascade && {
+            _id: cascade.process._id,
+            batchId: cascade.process.batchId,
+            removed: cascade.remove,
+            changes: cascade.remove ? [] : AuditService.diff(cascade.before, cascade.process)
+        };
+        
+        let stockCheck = {};
+        if (cascade || changes.some(c => ['date', 'rawStockChange', 'procStockChange'].includes(c.field))) {
+            stockCheck = await StockGuardService.check({
+                add: cascade && !cascade.remove ? [transaction, cascade.process] : [transaction],
+                remove: cascade ? [transaction._id, cascade.process._id] : [transaction._id]
+            });
+            if (stockCheck.error) {
+                return res.status(400).json({
+                    success: false,
+                    error: stockCheck.error,
+                    conflict: stockCheck.conflict
+                });
+            }
+        }
+        
+        if (req.query.preview === 'true') {
+            await transaction.validate();
+            if (cascade && !cascade.remove) await cascade.process.validate();
+            return res.json({
+                success: true,
+                preview: true,
+                data: transaction,
+                changes,
+                autoProcess,
+                warning: stockCheck.warning
+            });
+        }
+        
+        await transaction.stampActor(AuditService.actor(req)).save();
+        
+        if (cascade?.remove) {
+            await cascade.process.softDelete(req.user.userId);
+            await AuditService.record(req, {
+                action: 'DELETE',
+                before: cascade.before,
+                after: cascade.process,
+                note: 'No longer needed after its sale was edited'
+            });
+        } else if (cascade) {
+            await cascade.process.stampActor(AuditService.actor(req)).save();
+            await AuditService.record(req, {
+                action: 'UPDATE',
+                before: cascade.before,
+                after: cascade.process,
+                note: 'Follows its sale'
+            });
+        }
+        
+        // Payments carry their trade's counterparty
+        if (['BUY', 'SELL'].includes(transaction.type) && changes.some(c => c.field === 'counterparty')) {
+            await Transaction.updateMany(
+                { type: 'PAYMENT', settles: transaction._id },
+                { counterparty: transaction.counterparty ?? null }
+            );
+        }
+        
+        await AuditService.record(req, { action: 'UPDATE', before, after: transaction });
+        await syncLinkedRecords(...(cascade ? [transaction, cascade.process] : [transaction]));
+        
+        res.json({
+            success: true,
+            data: await Transaction.findById(transaction._id).populate('counterparty', 'name type'),
+            changes,
+            autoProcess,
+            warning: stockCheck.warning
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(e => e.message);
+            return res.status(400).json({
+                success: false,
+                error: messages.join(', ')
+            });
+        }
+        
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Delete transaction (moves it to the recycle bin)
+ * @route   DELETE /api/transactions/:id
+ * @access  Public
+ */
+export const deleteTransaction = async (req, res) => {
+    try {
+        const transaction = await Transaction.findById(req.params.id);
+        
+        if (!transaction) {
+            return res.status(404).json({
+                success: false,
+                error: 'Transaction not found'
+            });
+        }
+        
+        const lockError = await PeriodClose.getLockError(transaction.date);
+        if (lockError) {
+            return res.status(400).json({
+                success: false,
+                error: lockError
+            });
+        }
+        
+        // Payments would be orphaned if their trade disappeared
+        if (['BUY', 'SELL'].includes(transaction.type)) {
+            const hasPayments = await Transaction.exists({ type: 'PAYMENT', settles: transaction._id });
+            if (hasPayments) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'This trade has payments recorded against it. Delete the payments first.'
+                });
+            }
+        }
+        
+        // Keep lot genealogy intact: lots and batches already used downstream stay
+        if (transaction.type === 'BUY') {
+            const usedBy = await Transaction.findOne({ 'lotsConsumed.lot': transaction._id }).select('batchId');
+            if (usedBy) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Lot ${transaction.lotId} was processed in batch ${usedBy.batchId}. Delete that batch first.`
+                });
+            }
+        }
+        
+        if (transaction.type === 'PROCESS') {
+            const soldIn = await Transaction.exists({ 'batchesDrawn.batch': transaction._id });
+            if (soldIn) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Batch ${transaction.batchId} has sales drawn from it. Delete those sales first.`
+                });
+            }
+        }
+        
+        // The loan itself owns its opening transaction
+        if (transaction.type === 'LOAN' && transaction.loan && transaction.loanType === 'TAKE') {
+            return res.status(400).json({
+                success: false,
+                error: 'This transaction opened a loan. Delete the loan from the Loans view instead.'
+            });
+        }
         
-        // Build query
-        const query = {};
-        if (type) query.type = type;
-        if (startDate || endDate) {
-            query.date = {};
-            if (startDate) query.date.$gte = new Date(startDate);
-            if (endDate) query.date.$lte = new Date(endDate);
+        // The automatic PROCESS made for a sale goes with it, unless other sales drew from it too
+        let autoProcess = null;
+        if (transaction.type === 'SELL') {
+            autoProcess = await Transaction.findOne({ autoProcessFor: transaction._id });
+            if (autoProcess && await Transaction.exists({ 'batchesDrawn.batch': autoProcess._id, _id: { $ne: transaction._id } })) {
+                autoProcess = null;
+            }
         }
+        const deleting = autoProcess ? [transaction, autoProcess] : [transaction];
         
-        const transactions = await Transaction.find(query)
-            .sort(sort)
-            .limit(parseInt(limit))
-            .lean();
+        // Taking out a purchase can leave later sales and batches without stock
+        const stockCheck = await StockGuardService.check({ remove: deleting.map(t => t._id) });
+        if (stockCheck.error) {
+            return res.status(400).json({
+                success: false,
+                error: stockCheck.error,
+                conflict: stockCheck.conflict
+            });
+        }
+        
+        // Kept in the recycle bin until restored or purged
+        for (const deleted of deleting) {
+            const before = deleted.toObject();
+            await deleted.softDelete(req.user.userId);
+            await AuditService.record(req, {
+                action: 'DELETE',
+                before,
+                after: deleted,
+                note: deleted === autoProcess ? 'Deleted with its sale' : undefined
+            });
+        }
+        
+        await syncLinkedRecords(...deleting);
         
         res.json({
             success: true,
-            count: transactions.length,
-            data: transactions
+            message: 'Transaction moved to the recycle bin',
+            data: {},
+            warning: stockCheck.warning
         });
     } catch (error) {
         res.status(500).json({
@@ -43,24 +1689,31 @@ export const getTransactions = async (req, res) => {
 };
 
 /**
- * @desc    Get single transaction
- * @route   GET /api/transactions/:id
+ * @desc    Delete all transactions (moves them and all loans to the recycle bin)
+ * @route   DELETE /api/transactions
  * @access  Public
  */
-export const getTransaction = async (req, res) => {
+export const deleteAllTransactions = async (req, res) => {
     try {
-        const transaction = await Transaction.findById(req.params.id).lean();
-        
-        if (!transaction) {
-            return res.status(404).json({
+        // A reset cannot reach into closed periods
+        const earliest = await Transaction.findOne().sort({ date: 1 }).select('date');
+        const lockError = await PeriodClose.getLockError(earliest?.date);
+        if (lockError) {
+            return res.status(400).json({
                 success: false,
-                error: 'Transaction not found'
+                error: lockError
             });
         }
         
+        const transactions = await Transaction.find().select('_id');
+        
+        await Transaction.softDeleteMany({}, req.user.userId);
+        await Loan.softDeleteMany({}, req.user.userId);
+        await AuditService.recordMany(req, 'DELETE', transactions, { note: 'Reset all' });
+        
         res.json({
             success: true,
-            data: transaction
+            message: 'All transactions moved to the recycle bin'
         });
     } catch (error) {
         res.status(500).json({
@@ -71,176 +1724,89 @@ export const getTransaction = async (req, res) => {
 };
 
 /**
- * @desc    Create transaction
- * @route   POST /api/transactions
- * @access  Public
+ * @desc    Get deleted transactions (recycle bin), most recently deleted first
+ * @route   GET /api/transactions/deleted
+ * @access  Private
  */
-export const createTransaction = async (req, res) => {
+export const getDeletedTransactions = async (req, res) => {
     try {
-        const { type, date, qty, price, inputQty, outputQty, amount, category, notes, loanType } = req.body;
+        const { limit = 200 } = req.query;
         
-        // Debug logging
-        console.log('Creating transaction:', { type, date, amount, category, notes });
+        const transactions = await Transaction.find({ deletedAt: { $ne: null } })
+            .sort({ deletedAt: -1, date: -1 })
+            .limit(parseInt(limit))
+            .populate('counterparty', 'name type')
+            .populate('deletedBy', 'username')
+            .lean();
         
-        // Validate required fields
-        if (!type) {
-            return res.status(400).json({
+        res.json({
+            success: true,
+            count: transactions.length,
+            data: transactions
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Restore a deleted transaction
+ * @route   POST /api/transactions/:id/restore
+ * @access  Private
+ */
+export const restoreTransaction = async (req, res) => {
+    try {
+        const transaction = await Transaction.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+        
+        if (!transaction) {
+            return res.status(404).json({
                 success: false,
-                error: 'Transaction type is required'
+                error: 'Deleted transaction not found'
             });
         }
         
-        if (!date) {
+        const blocker = await getRestoreBlocker(transaction);
+        if (blocker) {
             return res.status(400).json({
                 success: false,
-                error: 'Date is required'
+                error: blocker
             });
         }
         
-        // Prepare transaction data
-        const txnData = {
-            type,
-            date: new Date(date),
-            notes: notes || ''
-        };
-        
-        // Type-specific processing
-        switch (type) {
-            case 'BUY': {
-                txnData.qty = parseFloat(qty);
-                txnData.price = parseFloat(price);
-                break;
-            }
-                
-            case 'SELL': {
-                txnData.qty = parseFloat(qty);
-                txnData.price = parseFloat(price);
-                
-                // --- Auto-processing logic when processed stock is insufficient ---
-                // 1. Get current stock and recovery stats
-                const stats = await Transaction.getStats();
-                const currentProcStock = stats.totalProcStock || 0;
-                
-                // 2. If there isn't enough processed stock, auto-convert raw stock
-                const requiredProc = txnData.qty || 0;
-                const deficitProc = requiredProc - currentProcStock;
-                
-                if (deficitProc > 0) {
-                    // Use average recovery if we have processing history, otherwise default to 25%
-                    const hasProcessHistory = (stats.processCount || 0) > 0;
-                    const recovery = hasProcessHistory && stats.avgRecovery
-                        ? stats.avgRecovery
-                        : 25;
-                    
-                    // Raw needed = deficitProc / (recovery / 100)
-                    const rawNeeded = +(deficitProc / (recovery / 100)).toFixed(3);
-                    
-                    console.log('Auto-processing before SELL', {
-                        requiredProc,
-                        currentProcStock,
-                        deficitProc,
-                        recovery,
-                        rawNeeded
-                    });
-                    
-                    await Transaction.create({
-                        type: 'PROCESS',
-                        date: new Date(date),
-                        inputQty: rawNeeded,
-                        outputQty: deficitProc,
-                        // Make it clear in the ledger that this is system-generated
-                        notes: `AUTO: Processed ${rawNeeded} raw → ${deficitProc} kernel for sale`
-                    });
-                }
-                
-                break;
-            }
-                
-            case 'PROCESS': {
-                txnData.inputQty = parseFloat(inputQty);
-                txnData.outputQty = parseFloat(outputQty);
-                break;
-            }
-                
-            case 'EXPENSE': {
-                txnData.category = category;
-                txnData.amount = -Math.abs(parseFloat(amount));
-                break;
-            }
-                
-            case 'INCOME': {
-                txnData.category = category;
-                txnData.amount = Math.abs(parseFloat(amount));
-                break;
-            }
-                
-            case 'ADJUSTMENT': {
-                // Manual corrections: directly adjust cash and stock deltas.
-                const cashDelta = Number(amount || 0);
-                const rawDelta = Number(req.body.rawStockChange || 0);
-                const procDelta = Number(req.body.procStockChange || 0);
-
-                if (!cashDelta && !rawDelta && !procDelta) {
-                    return res.status(400).json({
-                        success: false,
-                        error: 'At least one of cash, raw stock, or processed stock adjustment must be non-zero'
-                    });
-                }
-
-                txnData.amount = cashDelta;
-                txnData.rawStockChange = rawDelta;
-                txnData.procStockChange = procDelta;
-                break;
-            }
-
-            case 'LOAN': {
-                const loanAmount = parseFloat(amount);
-                if (loanType === 'TAKE') {
-                    txnData.amount = Math.abs(loanAmount);
-                    txnData.notes = `Loan Taken: ${notes}`;
-                } else {
-                    txnData.amount = -Math.abs(loanAmount);
-                    txnData.notes = `Loan Repayment: ${notes}`;
-                }
-                break;
-            }
-                
-            default:
-                return res.status(400).json({
-                    success: false,
-                    error: `Unknown transaction type: ${type}`
-                });
-        }
-        
-        console.log('Transaction data to save:', txnData);
-        
-        const transaction = await Transaction.create(txnData);
-        
-        res.status(201).json({
-            success: true,
-            data: transaction
-        });
-    } catch (error) {
-        console.error('Transaction creation error:', error);
+        // A sale comes back with the automatic PROCESS that covered it
+        const autoProcess = await getDeletedAutoProcess(transaction);
+        const restoring = autoProcess ? [autoProcess, transaction] : [transaction];
         
-        // Handle validation errors
-        if (error.name === 'ValidationError') {
-            const messages = Object.values(error.errors).map(e => e.message);
-            console.error('Validation errors:', messages);
+        const stockCheck = await StockGuardService.check({ add: restoring });
+        if (stockCheck.error) {
             return res.status(400).json({
                 success: false,
-                error: messages.join(', ')
+                error: stockCheck.error,
+                conflict: stockCheck.conflict
             });
         }
         
-        // Handle duplicate key errors
-        if (error.code === 11000) {
-            return res.status(400).json({
-                success: false,
-                error: 'Duplicate entry error'
+        for (const restored of restoring) {
+            const before = restored.toObject();
+            await restoreOne(restored);
+            await AuditService.record(req, {
+                action: 'RESTORE',
+                before,
+                after: restored,
+                note: restored === autoProcess ? 'Restored with its sale' : undefined
             });
         }
+        await syncLinkedRecords(...restoring);
         
+        res.json({
+            success: true,
+            data: transaction,
+            warning: stockCheck.warning
+        });
+    } catch (error) {
         res.status(500).json({
             success: false,
             error: error.message
@@ -249,28 +1815,45 @@ export const createTransaction = async (req, res) => {
 };
 
 /**
- * @desc    Update transaction
- * @route   PUT /api/transactions/:id
- * @access  Public
+ * @desc    Restore everything in the recycle bin that can be restored
+ * @route   POST /api/transactions/deleted/restore
+ * @access  Private
  */
-export const updateTransaction = async (req, res) => {
+export const restoreAllTransactions = async (req, res) => {
     try {
-        const transaction = await Transaction.findByIdAndUpdate(
-            req.params.id,
-            req.body,
-            { new: true, runValidators: true }
-        );
+        let pending = await Transaction.find({ deletedAt: { $ne: null } }).sort({ date: 1, createdAt: 1 });
+        const restored = [];
+        const audited = [];
         
-        if (!transaction) {
-            return res.status(404).json({
-                success: false,
-                error: 'Transaction not found'
-            });
+        // Repeat until nothing more comes back, so lots return before the batches that used them
+        let progress = true;
+        while (pending.length && progress) {
+            progress = false;
+            const blocked = [];
+            for (const transaction of pending) {
+                // A sale waits until its automatic PROCESS is back
+                if (await getRestoreBlocker(transaction) || await getDeletedAutoProcess(transaction)) {
+                    blocked.push(transaction);
+                    continue;
+                }
+                audited.push({ _id: transaction._id, deletedAt: transaction.deletedAt });
+                await restoreOne(transaction);
+                restored.push(transaction);
+                progress = true;
+            }
+            pending = blocked;
         }
         
+        await AuditService.recordMany(req, 'RESTORE', audited);
+        await syncLinkedRecords(...restored);
+        
         res.json({
             success: true,
-            data: transaction
+            restored: restored.length,
+            skipped: pending.length,
+            message: pending.length
+                ? `${restored.length} restored; ${pending.length} are in a closed period or link to records that were permanently deleted`
+                : `${restored.length} restored`
         });
     } catch (error) {
         res.status(500).json({
@@ -281,21 +1864,30 @@ export const updateTransaction = async (req, res) => {
 };
 
 /**
- * @desc    Delete transaction
- * @route   DELETE /api/transactions/:id
- * @access  Public
+ * @desc    Permanently delete a transaction from the recycle bin
+ * @route   DELETE /api/transactions/:id/purge
+ * @access  Private (Admin)
  */
-export const deleteTransaction = async (req, res) => {
+export const purgeTransaction = async (req, res) => {
     try {
-        const transaction = await Transaction.findByIdAndDelete(req.params.id);
+        const transaction = await Transaction.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
         
         if (!transaction) {
             return res.status(404).json({
                 success: false,
-                error: 'Transaction not found'
+                error: 'Deleted transaction not found'
             });
         }
         
+        // The automatic PROCESS of a sale goes with it
+        const autoProcess = await getDeletedAutoProcess(transaction);
+        
+        await purgeDeleted(autoProcess ? [transaction, autoProcess] : [transaction]);
+        await AuditService.recordMany(req, 'PURGE', [transaction]);
+        if (autoProcess) {
+            await AuditService.recordMany(req, 'PURGE', [autoProcess], { note: 'Purged with its sale' });
+        }
+        
         res.json({
             success: true,
             data: {}
@@ -309,17 +1901,21 @@ export const deleteTransaction = async (req, res) => {
 };
 
 /**
- * @desc    Delete all transactions
- * @route   DELETE /api/transactions
- * @access  Public
+ * @desc    Empty the recycle bin
+ * @route   DELETE /api/transactions/deleted
+ * @access  Private (Admin)
  */
-export const deleteAllTransactions = async (req, res) => {
+export const emptyRecycleBin = async (req, res) => {
     try {
-        await Transaction.deleteMany({});
+        const transactions = await Transaction.find({ deletedAt: { $ne: null } });
+        
+        await purgeDeleted(transactions);
+        await AuditService.recordMany(req, 'PURGE', transactions, { note: 'Emptied the recycle bin' });
+        await Loan.deleteMany({ deletedAt: { $ne: null } });
         
         res.json({
             success: true,
-            message: 'All transactions deleted'
+            message: `${transactions.length} transactions permanently deleted`
         });
     } catch (error) {
         res.status(500).json({
@@ -330,29 +1926,72 @@ export const deleteAllTransactions = async (req, res) => {
 };
 
 /**
- * @desc    Get dashboard stats
- * @route   GET /api/transactions/stats
+ * @desc    Get dashboard stats (`?year=` scopes them to a financial year)
+ * @route   GET /api/transactions/stats?year=
  * @access  Public
  */
 export const getStats = async (req, res) => {
     try {
-        const [stats, chartData] = await Promise.all([
-            Transaction.getStats(),
-            Transaction.getChartData()
+        // A financial year scopes the totals, charts and costing to its dates, starting from its opening balances
+        let year = null;
+        if (req.query.year) {
+            year = await FinancialYear.findById(req.query.year);
+            if (!year) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Financial year not found'
+                });
+            }
+        }
+        const range = year ? year.getRange() : {};
+        const opening = year?.opening || {};
+        
+        const [stats, chartData, costing, stockByLocation, stockByGrade, byProductStock, settings] = await Promise.all([
+            Transaction.getStats(range),
+            Transaction.getChartData({ ...range, opening: year?.opening }),
+            CostingService.getSummary(range),
+            Transaction.getStockByLocation(),
+            Transaction.getStockByGrade(),
+            Transaction.getByProductStock(),
+            Setting.getSettings()
         ]);
         
+        // PROCESS recovery is against dried nuts; scale it back to the wet weight bought
+        const avgRecovery = stats.avgRecovery || 0;
+        const avgMoistureLoss = stats.dryingInput > 0
+            ? ((stats.dryingInput - stats.dryingOutput) / stats.dryingInput) * 100
+            : 0;
+        
         res.json({
             success: true,
             data: {
-                cash: stats.totalCash || 0,
-                rawStock: stats.totalRawStock || 0,
-                procStock: stats.totalProcStock || 0,
-                avgRecovery: parseFloat((stats.avgRecovery || 0).toFixed(1)),
+                cash: (opening.cash || 0) + (stats.totalCash || 0),
+                rawStock: (opening.rawStock || 0) + (stats.totalRawStock || 0),
+                procStock: (opening.procStock || 0) + (stats.totalProcStock || 0),
+                avgRecovery: parseFloat(avgRecovery.toFixed(1)),
+                avgMoistureLoss: parseFloat(avgMoistureLoss.toFixed(1)),
+                avgWetRecovery: parseFloat((avgRecovery * (1 - avgMoistureLoss / 100)).toFixed(1)),
                 processCount: stats.processCount || 0,
+                receivables: stats.totalReceivables || 0,
+                payables: stats.totalPayables || 0,
+                costing,
+                stockByLocation,
+                byProductStock,
+                stockByGrade: stockByGrade.map(g => ({ ...g, name: settings.getGradeName(g.grade) })),
                 chartDates: chartData.dates,
                 cashPoints: chartData.cashPoints,
                 rawPoints: chartData.rawPoints,
-                procPoints: chartData.procPoints
+                procPoints: chartData.procPoints,
+                gradeSeries: chartData.gradeSeries.map(g => ({ ...g, name: settings.getGradeName(g.grade) })),
+                year: year && {
+                    _id: year._id,
+                    name: year.name,
+                    startDate: year.startDate,
+                    endDate: year.endDate,
+                    status: year.status,
+                    opening: year.opening,
+                    closing: year.closing
+                }
             }
         });
     } catch (error) {
@@ -363,14 +2002,41 @@ export const getStats = async (req, res) => {
     }
 };
 
+/**
+ * @desc    Get what each user entered, edited and deleted in a date range (from the audit trail)
+ * @route   GET /api/transactions/activity?from=&to=
+ * @access  Private (Admin)
+ */
+export const getActivity = async (req, res) => {
+    try {
+        const { from, to } = req.query;
+        const users = await AuditLog.getActivity({
+            from,
+            before: to ? new Date(new Date(to).getTime() + 24 * 60 * 60 * 1000) : undefined
+        });
+        
+        res.json({
+            success: true,
+            count: users.length,
+            data: users
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
 /**
  * @desc    Get market analytics for decision engine
- * @route   GET /api/transactions/analytics/:type
+ * @route   GET /api/transactions/analytics/:type?grade=
  * @access  Public
  */
 export const getAnalytics = async (req, res) => {
     try {
         const { type } = req.params;
+        const grade = req.query.grade ? String(req.query.grade).toUpperCase() : null;
         
         if (!['BUY', 'SELL'].includes(type)) {
             return res.status(400).json({
@@ -379,19 +2045,48 @@ export const getAnalytics = async (req, res) => {
             });
         }
         
-        const analytics = await Transaction.getMarketAnalytics(type);
+        const [analytics, settings] = await Promise.all([
+            Transaction.getMarketAnalytics(type, grade),
+            Setting.getSettings()
+        ]);
+        analytics.gradeName = grade ? settings.getGradeName(grade) : null;
         
         // Get recent sell prices for buy analysis
         if (type === 'BUY') {
-            const sellTxns = await Transaction.find({ type: 'SELL' })
-                .sort({ date: -1 })
-                .limit(3)
-                .select('price')
-                .lean();
+            // Nuts turn into a mix of grades, so weight each grade's recent price by its share of output
+            analytics.gradePrices = await Promise.all(analytics.gradeMix.map(async ({ grade: code, share }) => {
+                const gradeSells = await Transaction.find({ type: 'SELL', grade: code })
+                    .sort({ date: -1 })
+                    .limit(3)
+                    .select('price')
+                    .lean();
+                
+                return {
+                    grade: code,
+                    name: settings.getGradeName(code),
+                    share,
+                    avgPrice: gradeSells.length > 0
+                        ? gradeSells.reduce((sum, t) => sum + (t.price || 0), 0) / gradeSells.length
+                        : null
+                };
+            }));
+            
+            const priced = analytics.gradePrices.filter(g => g.avgPrice !== null);
+            const pricedShare = priced.reduce((sum, g) => sum + g.share, 0);
             
-            analytics.avgSellPrice = sellTxns.length > 0
-                ? sellTxns.reduce((sum, t) => sum + (t.price || 0), 0) / sellTxns.length
-                : 3000;
+            if (pricedShare > 0) {
+                analytics.avgSellPrice = priced.reduce((sum, g) => sum + g.avgPrice * g.share, 0) / pricedShare;
+            } else {
+                const sellTxns = await Transaction.find({ type: 'SELL' })
+                    .sort({ date: -1 })
+                    .limit(3)
+                    .select('price')
+                    .lean();
+                
+                analytics.avgSellPrice = sellTxns.length > 0
+                    ? sellTxns.reduce((sum, t) => sum + (t.price || 0), 0) / sellTxns.length
+                    : 3000;
+            }
         }
         
         // Get recent buy prices for sell analysis
@@ -418,3 +2113,34 @@ export const getAnalytics = async (req, res) => {
         });
     }
 };
+
+/**
+ * @desc    Get receivable or payable aging
+ * @route   GET /api/transactions/aging/:side
+ * @access  Public
+ */
+export const getAging = async (req, res) => {
+    try {
+        const { side } = req.params;
+        
+        if (!['receivables', 'payables'].includes(side)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Side must be receivables or payables'
+            });
+        }
+        
+        const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+        const aging = await Transaction.getAging(side, asOf);
+        
+        res.json({
+            success: true,
+            data: aging
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,516 @@
+/**
+ * Worker Controller
+ * Handles workers, daily attendance, wage payments and labour cost per kg of kernel
+ */
+
+import mongoose from 'mongoose';
+import Worker from '../models/Worker.js';
+import Attendance from '../models/Attendance.js';
+import Transaction from '../models/Transaction.js';
+import Category from '../models/Category.js';
+import PeriodClose from '../models/PeriodClose.js';
+import { AuditService } from '../services/audit.js';
+import { WageService, WAGE_CATEGORY } from '../services/wages.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * The PROCESS batch attendance is linked to, by id or batch code
+ * @returns {Object} { batch } or { error }; batch is null when none was given
+ */
+const findBatch = async (value) => {
+    if (!value) return { batch: null };
+
+    const or = [{ batchId: value }];
+    if (mongoose.isValidObjectId(value)) or.push({ _id: value });
+
+    const batch = await Transaction.findOne({ $or: or, type: 'PROCESS' }).select('batchId date');
+    return batch ? { batch } : { error: `Processing batch ${value} not found` };
+};
+
+/**
+ * @desc    Get workers with wages earned, paid and owed
+ * @route   GET /api/workers
+ * @access  Private
+ */
+export const getWorkers = async (req, res) => {
+    try {
+        const query = req.query.includeInactive === 'true' ? {} : { isActive: true };
+        const [workers, balances] = await Promise.all([
+            Worker.find(query).sort({ isActive: -1, name: 1 }).lean(),
+            WageService.balances()
+        ]);
+
+        res.json({
+            success: true,
+            count: workers.length,
+            data: workers.map(w => ({
+                ...w,
+                balance: balances.get(String(w._id)) || { earned: 0, paid: 0, balance: 0, days: 0, qty: 0, lastWorked: null, lastPaid: null }
+            }))
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Create worker
+ * @route   POST /api/workers
+ * @access  Private
+ */
+export const createWorker = async (req, res) => {
+    try {
+        const { name, phone, rateType, dailyRate, pieceRate, notes } = req.body;
+
+        const worker = await Worker.create({
+            name,
+            phone,
+            rateType,
+            dailyRate: parseFloat(dailyRate) || 0,
+            pieceRate: parseFloat(pieceRate) || 0,
+            notes,
+            createdBy: req.user.userId
+        });
+
+        res.status(201).json({
+            success: true,
+            data: worker
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(e => e.message);
+            return res.status(400).json({
+                success: false,
+                error: messages.join(', ')
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Update worker (rate changes apply to attendance recorded from now on)
+ * @route   PUT /api/workers/:id
+ * @access  Private
+ */
+export const updateWorker = async (req, res) => {
+    try {
+        const worker = await Worker.findById(req.params.id);
+
+        if (!worker) {
+            return res.status(404).json({
+                success: false,
+                error: 'Worker not found'
+            });
+        }
+
+        for (const field of ['name', 'phone', 'rateType', 'dailyRate', 'pieceRate', 'isActive', 'notes']) {
+            if (req.body[field] === undefined) continue;
+            worker[field] = ['dailyRate', 'pieceRate'].includes(field)
+                ? parseFloat(req.body[field]) || 0
+                : req.body[field];
+        }
+        await worker.save();
+
+        res.json({
+            success: true,
+            data: worker
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(e => e.message);
+            return res.status(400).json({
+                success: false,
+                error: messages.join(', ')
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Delete worker (or mark inactive if they have attendance or payments)
+ * @route   DELETE /api/workers/:id
+ * @access  Private
+ */
+export const deleteWorker = async (req, res) => {
+    try {
+        const worker = await Worker.findById(req.params.id);
+
+        if (!worker) {
+            return res.status(404).json({
+                success: false,
+                error: 'Worker not found'
+            });
+        }
+
+        const [worked, paid] = await Promise.all([
+            Attendance.exists({ worker: worker._id }),
+            Transaction.exists({ worker: worker._id }).setOptions({ withDeleted: true })
+        ]);
+
+        if (worked || paid) {
+            worker.isActive = false;
+            await worker.save();
+
+            return res.json({
+                success: true,
+                message: 'Worker has attendance or payments and was marked inactive instead of deleted',
+                data: worker
+            });
+        }
+
+        await worker.deleteOne();
+
+        res.json({
+            success: true,
+            data: {}
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Pay wages: records a Labour expense linked to the worker (more than is owed is an advance)
+ * @route   POST /api/workers/:id/payments
+ * @access  Private
+ */
+export const payWorker = async (req, res) => {
+    try {
+        const { date, amount, notes } = req.body;
+        const worker = await Worker.findById(req.params.id);
+
+        if (!worker) {
+            return res.status(404).json({
+                success: false,
+                error: 'Worker not found'
+            });
+        }
+
+        const payment = Math.abs(parseFloat(amount));
+        const paymentDate = date ? new Date(date) : new Date();
+
+        if (!payment) {
+            return res.status(400).json({
+                success: false,
+                error: 'Payment amount must be greater than 0'
+            });
+        }
+
+        const lockError = await PeriodClose.getLockError(paymentDate);
+        if (lockError) {
+            return res.status(400).json({
+                success: false,
+                error: lockError
+            });
+        }
+
+        if (!(await Category.findActive('EXPENSE', WAGE_CATEGORY))) {
+            return res.status(400).json({
+                success: false,
+                error: `The ${WAGE_CATEGORY} expense category is missing or archived`
+            });
+        }
+
+        const transaction = await new Transaction({
+            type: 'EXPENSE',
+            date: paymentDate,
+            amount: -payment,
+            category: WAGE_CATEGORY,
+            worker: worker._id,
+            notes: `Wages: ${worker.name}${notes ? ` - ${notes}` : ''}`
+        }).stampActor(AuditService.actor(req)).save();
+        await AuditService.record(req, { action: 'CREATE', after: transaction });
+
+        const balances = await WageService.balances();
+
+        res.status(201).json({
+            success: true,
+            data: {
+                worker: { ...worker.toObject(), balance: balances.get(String(worker._id)) },
+                transaction
+            }
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(e => e.message);
+            return res.status(400).json({
+                success: false,
+                error: messages.join(', ')
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Get attendance (`?date=`, `?from=&to=`, `?worker=`, `?batch=`), latest first
+ * @route   GET /api/workers/attendance
+ * @access  Private
+ */
+export const getAttendance = async (req, res) => {
+    try {
+        const { date, from, to, worker, batch } = req.query;
+        const query = {};
+
+        if (date) {
+            const day = new Date(date);
+            query.date = { $gte: day, $lt: new Date(day.getTime() + DAY_MS) };
+        } else if (from || to) {
+            query.date = {};
+            if (from) query.date.$gte = new Date(from);
+            if (to) query.date.$lt = new Date(new Date(to).getTime() + DAY_MS);
+        }
+        if (worker) query.worker = worker;
+        if (batch) query.batch = batch;
+
+        const attendance = await Attendance.find(query)
+            .sort({ date: -1, createdAt: -1 })
+            .limit(500)
+            .populate('worker', 'name rateType')
+            .populate('batch', 'batchId date outputQty')
+            .lean();
+
+        res.json({
+            success: true,
+            count: attendance.length,
+            data: attendance
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Record a day's attendance for several workers: `{ date, batch, entries: [{ worker, days, qty, notes }] }`
+ * @route   POST /api/workers/attendance
+ * @access  Private
+ */
+export const recordAttendance = async (req, res) => {
+    try {
+        const { date, batch: batchRef, entries } = req.body;
+
+        if (!date) {
+            return res.status(400).json({
+                success: false,
+                error: 'Date is required'
+            });
+        }
+
+        if (!Array.isArray(entries) || !entries.length) {
+            return res.status(400).json({
+                success: false,
+                error: 'Mark at least one worker present'
+            });
+        }
+
+        const { batch, error: batchError } = await findBatch(batchRef);
+        if (batchError) {
+            return res.status(400).json({
+                success: false,
+                error: batchError
+            });
+        }
+
+        const day = new Date(date);
+        const workers = await Worker.find({ _id: { $in: entries.map(e => e.worker).filter(id => mongoose.isValidObjectId(id)) } });
+        const records = [];
+
+        for (const entry of entries) {
+            const worker = workers.find(w => String(w._id) === String(entry.worker));
+            if (!worker || !worker.isActive) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Worker not found or inactive'
+                });
+            }
+
+            const record = new Attendance({
+                worker: worker._id,
+                date: day,
+                days: entry.days === undefined || entry.days === '' ? 1 : parseFloat(entry.days),
+                qty: parseFloat(entry.qty) || 0,
+                batch: batch?._id,
+                notes: entry.notes,
+                createdBy: req.user.userId
+            });
+            record.applyRate(worker);
+
+            if (worker.rateType === 'PIECE' && !(record.qty > 0)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Enter the kg handled by ${worker.name} (paid by the piece)`
+                });
+            }
+
+            // One entry per worker, day and batch
+            const duplicate = records.some(r => String(r.worker) === String(worker._id)) || await Attendance.exists({
+                worker: worker._id,
+                date: { $gte: day, $lt: new Date(day.getTime() + DAY_MS) },
+                batch: batch?._id || null
+            });
+            if (duplicate) {
+                return res.status(400).json({
+                    success: false,
+                    error: `${worker.name} is already marked for ${day.toISOString().split('T')[0]}${batch ? ` on batch ${batch.batchId}` : ''}`
+                });
+            }
+
+            await record.validate();
+            records.push(record);
+        }
+
+        const saved = await Attendance.insertMany(records);
+
+        res.status(201).json({
+            success: true,
+            count: saved.length,
+            data: saved
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(e => e.message);
+            return res.status(400).json({
+                success: false,
+                error: messages.join(', ')
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Update attendance (the wage is recalculated at the rate of the day)
+ * @route   PUT /api/workers/attendance/:id
+ * @access  Private
+ */
+export const updateAttendance = async (req, res) => {
+    try {
+        const record = await Attendance.findById(req.params.id);
+
+        if (!record) {
+            return res.status(404).json({
+                success: false,
+                error: 'Attendance not found'
+            });
+        }
+
+        const { date, days, qty, batch: batchRef, notes } = req.body;
+
+        if (batchRef !== undefined) {
+            const { batch, error: batchError } = await findBatch(batchRef);
+            if (batchError) {
+                return res.status(400).json({
+                    success: false,
+                    error: batchError
+                });
+            }
+            record.batch = batch?._id || null;
+        }
+        if (date !== undefined) record.date = new Date(date);
+        if (days !== undefined) record.days = parseFloat(days);
+        if (qty !== undefined) record.qty = parseFloat(qty) || 0;
+        if (notes !== undefined) record.notes = notes;
+
+        record.recalculateWage();
+        await record.save();
+
+        res.json({
+            success: true,
+            data: record
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(e => e.message);
+            return res.status(400).json({
+                success: false,
+                error: messages.join(', ')
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Delete attendance
+ * @route   DELETE /api/workers/attendance/:id
+ * @access  Private
+ */
+export const deleteAttendance = async (req, res) => {
+    try {
+        const record = await Attendance.findByIdAndDelete(req.params.id);
+
+        if (!record) {
+            return res.status(404).json({
+                success: false,
+                error: 'Attendance not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {}
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Labour cost per kg of kernel for processing batches (`?from=&to=` by batch date)
+ * @route   GET /api/workers/labour-cost
+ * @access  Private
+ */
+export const getLabourCost = async (req, res) => {
+    try {
+        const { from, to } = req.query;
+        const result = await WageService.labourCost({
+            from,
+            before: to ? new Date(new Date(to).getTime() + DAY_MS) : undefined
+        });
+
+        res.json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
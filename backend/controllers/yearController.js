@@ -0,0 +1,172 @@
+/**
+ * Financial Year Controller
+ * Handles financial years, their opening balances and the year-end rollover
+ */
+
+import FinancialYear from '../models/FinancialYear.js';
+import { FinancialYearService } from '../services/financialYear.js';
+
+/**
+ * @desc    Get financial years, latest first
+ * @route   GET /api/years
+ * @access  Private
+ */
+export const getYears = async (req, res) => {
+    try {
+        const years = await FinancialYear.find()
+            .sort({ startDate: -1 })
+            .populate('closedBy', 'username')
+            .lean();
+
+        res.json({
+            success: true,
+            count: years.length,
+            data: years
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Create financial year (opening balances default to the ledger before its start)
+ * @route   POST /api/years
+ * @access  Private (Admin)
+ */
+export const createYear = async (req, res) => {
+    try {
+        const { name, startDate, endDate, opening } = req.body;
+
+        const result = await FinancialYearService.create({ name, startDate, endDate, opening }, req.user.userId);
+        if (result.error) {
+            return res.status(400).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            data: result.year
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(e => e.message);
+            return res.status(400).json({
+                success: false,
+                error: messages.join(', ')
+            });
+        }
+
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                error: 'A financial year with that name already exists'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Update financial year name or opening balances (open years only)
+ * @route   PUT /api/years/:id
+ * @access  Private (Admin)
+ */
+export const updateYear = async (req, res) => {
+    try {
+        const { name, opening } = req.body;
+        const year = await FinancialYear.findById(req.params.id);
+
+        if (!year) {
+            return res.status(404).json({
+                success: false,
+                error: 'Financial year not found'
+            });
+        }
+
+        if (year.status === 'CLOSED') {
+            return res.status(400).json({
+                success: false,
+                error: `Financial year ${year.name} is closed`
+            });
+        }
+
+        if (name !== undefined) year.name = name;
+        if (opening) {
+            for (const field of ['cash', 'rawStock', 'procStock', 'loans']) {
+                if (opening[field] !== undefined) year.opening[field] = opening[field];
+            }
+        }
+        await year.save();
+
+        res.json({
+            success: true,
+            data: year
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(e => e.message);
+            return res.status(400).json({
+                success: false,
+                error: messages.join(', ')
+            });
+        }
+
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                error: 'A financial year with that name already exists'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Year-end rollover: snapshot closing balances as the next year's opening
+ * @route   POST /api/years/:id/rollover
+ * @access  Private (Admin)
+ */
+export const rolloverYear = async (req, res) => {
+    try {
+        const year = await FinancialYear.findById(req.params.id);
+
+        if (!year) {
+            return res.status(404).json({
+                success: false,
+                error: 'Financial year not found'
+            });
+        }
+
+        const result = await FinancialYearService.rollover(year, req.user.userId);
+        if (result.error) {
+            return res.status(400).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        res.json({
+            success: true,
+            data: result.year,
+            next: result.next
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,52 @@
+/**
+ * Approval Middleware
+ * Holds sensitive transaction changes by non-admins for an admin to approve
+ */
+
+import { ApprovalService } from '../services/approvals.js';
+
+/**
+ * Queue the change instead of applying it when it needs approval (edit previews pass, as they
+ * save nothing; only the edit handler honours `?preview=true`)
+ * @param {string} action - CREATE, UPDATE or DELETE
+ */
+export const requireApproval = (action) => {
+    return async (req, res, next) => {
+        try {
+            const preview = action === 'UPDATE' && req.query.preview === 'true';
+            if (preview || !(await ApprovalService.needsApproval(req, action))) {
+                return next();
+            }
+
+            const { change, response } = await ApprovalService.request(req, action);
+            if (response) {
+                return res.status(response.status).json(response.body);
+            }
+
+            res.status(202).json({
+                success: true,
+                pending: true,
+                message: 'Sent to an admin for approval',
+                data: change
+            });
+        } catch (error) {
+            if (error.name === 'ValidationError') {
+                const messages = Object.values(error.errors).map(e => e.message);
+                return res.status(400).json({
+                    success: false,
+                    error: messages.join(', ')
+                });
+            }
+            if (error.name === 'CastError') {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Transaction not found'
+                });
+            }
+            res.status(500).json({
+                success: false,
+                error: error.message
+            });
+        }
+    };
+};
@@ -4,7 +4,31 @@
  */
 
 import Session from '../models/Session.js';
+import User from '../models/User.js';
+import Organization from '../models/Organization.js';
 import { CryptoService } from '../services/crypto.js';
+import { TenantContext } from '../services/tenancy.js';
+
+/**
+ * Organization a session works in: the one it last switched to, else the user's first
+ * (superadmins without memberships get the oldest). Null when the user has none.
+ */
+const resolveOrganization = async (userId, session) => {
+    const user = await User.findById(userId).select('role memberships');
+    if (!user) return null;
+
+    const candidates = [session.organization, ...user.memberships.map(m => m.organization)]
+        .filter(id => id && user.canAccessOrganization(id));
+    const active = await Organization.find({ _id: { $in: candidates }, isActive: true }).select('_id');
+    const chosen = candidates.find(id => active.some(o => o._id.equals(id)));
+    if (chosen) return chosen;
+
+    if (user.role === 'superadmin') {
+        const oldest = await Organization.findOne({ isActive: true }).sort({ createdAt: 1 }).select('_id');
+        return oldest?._id || null;
+    }
+    return null;
+};
 
 /**
  * Protect routes - Require valid session token
@@ -58,6 +82,10 @@ export const protect = async (req, res, next) => {
             });
         }
 
+        // Work in the session's organization; every query below is scoped to it
+        const organization = await resolveOrganization(decoded.userId, session);
+        session.organization = organization;
+
         // Update session activity
         session.updateActivity();
         await session.save();
@@ -65,8 +93,9 @@ export const protect = async (req, res, next) => {
         // Attach user data to request
         req.user = decoded;
         req.session = session;
+        req.organization = organization;
 
-        next();
+        TenantContext.run(organization, next);
     } catch (error) {
         console.error('Auth middleware error:', error);
         res.status(401).json({
@@ -142,7 +171,7 @@ export const requireRole = (...roles) => {
 };
 
 /**
- * Require specific permission
+ * Require specific permission (admins and superadmins hold every permission)
  */
 export const requirePermission = (...permissions) => {
     return (req, res, next) => {
@@ -154,7 +183,8 @@ export const requirePermission = (...permissions) => {
         }
 
         const userPermissions = req.user.permissions || [];
-        const hasPermission = permissions.some(p => userPermissions.includes(p));
+        const hasPermission = ['admin', 'superadmin'].includes(req.user.role)
+            || permissions.some(p => userPermissions.includes(p));
 
         if (!hasPermission) {
             return res.status(403).json({
@@ -0,0 +1,100 @@
+/**
+ * Attendance Model
+ * A worker's day (or half day) of work, its wage at the rate of the day and, when the work
+ * was dehusking, the PROCESS batch it went into
+ */
+
+import mongoose from 'mongoose';
+import tenant from './plugins/tenant.js';
+import { round2 } from '../utils/rounding.js';
+
+const attendanceSchema = new mongoose.Schema({
+    worker: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Worker',
+        required: [true, 'Worker is required']
+    },
+    date: {
+        type: Date,
+        required: [true, 'Date is required']
+    },
+    // Days worked (0.5 for a half day) — daily-wage workers
+    days: {
+        type: Number,
+        default: 1,
+        min: [0, 'Days cannot be negative'],
+        max: [1, 'Days cannot exceed 1']
+    },
+    // Kg handled — piece-rate workers
+    qty: {
+        type: Number,
+        default: 0,
+        min: [0, 'Quantity cannot be negative']
+    },
+    // Rate and wage as of the day, so later rate changes do not rewrite what was earned
+    rateType: {
+        type: String,
+        enum: ['DAILY', 'PIECE']
+    },
+    rate: Number,
+    wage: {
+        type: Number,
+        default: 0
+    },
+    // PROCESS batch the work went into (for labour cost per kg of kernel)
+    batch: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Transaction'
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Notes cannot exceed 200 characters']
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+attendanceSchema.index({ worker: 1, date: -1 });
+attendanceSchema.index({ date: -1 });
+attendanceSchema.index({ batch: 1 }, { sparse: true });
+
+// Method: Wage from the days or kg worked at the rate of the day
+attendanceSchema.methods.recalculateWage = function() {
+    const worked = this.rateType === 'PIECE' ? this.qty : this.days;
+    this.wage = round2((worked || 0) * (this.rate || 0));
+};
+
+// Method: Take the worker's current rate and work out the wage
+attendanceSchema.methods.applyRate = function(worker) {
+    this.rateType = worker.rateType;
+    this.rate = worker.rateType === 'PIECE' ? worker.pieceRate : worker.dailyRate;
+    this.recalculateWage();
+};
+
+// Static method: Wages earned, days and kg worked per worker
+attendanceSchema.statics.getEarnedByWorker = async function() {
+    const rows = await this.aggregate([
+        {
+            $group: {
+                _id: '$worker',
+                earned: { $sum: '$wage' },
+                days: { $sum: '$days' },
+                qty: { $sum: '$qty' },
+                lastWorked: { $max: '$date' }
+            }
+        }
+    ]);
+    return new Map(rows.map(r => [String(r._id), r]));
+};
+
+// Each organization has its own
+attendanceSchema.plugin(tenant);
+
+const Attendance = mongoose.model('Attendance', attendanceSchema);
+
+export default Attendance;
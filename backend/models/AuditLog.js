@@ -0,0 +1,121 @@
+/**
+ * Audit Log Model
+ * Who created, changed or deleted a transaction, what each field was before and after,
+ * and from which session and device
+ */
+
+import mongoose from 'mongoose';
+import tenant from './plugins/tenant.js';
+
+export const AUDIT_ACTIONS = ['CREATE', 'UPDATE', 'DELETE', 'RESTORE', 'PURGE'];
+
+const auditLogSchema = new mongoose.Schema({
+    entityType: {
+        type: String,
+        enum: ['Transaction'],
+        default: 'Transaction'
+    },
+    entityId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    action: {
+        type: String,
+        enum: AUDIT_ACTIONS,
+        required: true
+    },
+    // Field-level diff: values are stored as plain JSON
+    changes: [{
+        _id: false,
+        field: String,
+        before: mongoose.Schema.Types.Mixed,
+        after: mongoose.Schema.Types.Mixed
+    }],
+    // Why the entry exists when it is not a direct edit, e.g. an automatic PROCESS
+    note: String,
+
+    // Who and where
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    username: String,
+    session: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Session'
+    },
+    device: {
+        browser: String,
+        os: String,
+        device: String,
+        ip: String
+    },
+    at: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+auditLogSchema.index({ entityType: 1, entityId: 1, at: -1 });
+auditLogSchema.index({ user: 1, at: -1 });
+
+// Static method: Timeline of one record, newest first
+auditLogSchema.statics.getHistory = function(entityId, entityType = 'Transaction') {
+    return this.find({ entityType, entityId }).sort({ at: -1 }).lean();
+};
+
+// Static method: What each user did in a date range (before = exclusive end), most recently active first
+auditLogSchema.statics.getActivity = function({ from, before } = {}) {
+    const match = {};
+    if (from || before) {
+        match.at = {};
+        if (from) match.at.$gte = new Date(from);
+        if (before) match.at.$lt = new Date(before);
+    }
+    const count = (action) => ({ $sum: { $cond: [{ $eq: ['$action', action] }, 1, 0] } });
+
+    return this.aggregate([
+        { $match: match },
+        {
+            $group: {
+                _id: '$user',
+                username: { $last: '$username' },
+                created: count('CREATE'),
+                updated: count('UPDATE'),
+                deleted: count('DELETE'),
+                restored: count('RESTORE'),
+                purged: count('PURGE'),
+                transactions: { $addToSet: '$entityId' },
+                sessions: { $addToSet: '$session' },
+                devices: { $addToSet: { browser: '$device.browser', os: '$device.os', ip: '$device.ip' } },
+                firstAt: { $min: '$at' },
+                lastAt: { $max: '$at' }
+            }
+        },
+        {
+            $project: {
+                _id: 0,
+                user: '$_id',
+                username: { $ifNull: ['$username', 'System'] },
+                created: 1,
+                updated: 1,
+                deleted: 1,
+                restored: 1,
+                purged: 1,
+                transactionCount: { $size: '$transactions' },
+                sessionCount: { $size: { $setDifference: ['$sessions', [null]] } },
+                devices: 1,
+                firstAt: 1,
+                lastAt: 1
+            }
+        },
+        { $sort: { lastAt: -1 } }
+    ]);
+};
+
+// Each organization has its own
+auditLogSchema.plugin(tenant);
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+export default AuditLog;
@@ -0,0 +1,79 @@
+/**
+ * Category Model
+ * Admin-managed categories for EXPENSE and INCOME transactions
+ */
+
+import mongoose from 'mongoose';
+import tenant from './plugins/tenant.js';
+
+// Categories the app shipped with, created the first time categories are needed
+const DEFAULT_CATEGORIES = [
+    { type: 'EXPENSE', name: 'Labour', icon: 'fa-users' },
+    { type: 'EXPENSE', name: 'Electricity', icon: 'fa-bolt' },
+    { type: 'EXPENSE', name: 'Transport', icon: 'fa-truck' },
+    { type: 'EXPENSE', name: 'Other', icon: 'fa-receipt' },
+    { type: 'INCOME', name: 'Sale', icon: 'fa-store' },
+    { type: 'INCOME', name: 'Service', icon: 'fa-hands-helping' },
+    { type: 'INCOME', name: 'Investment', icon: 'fa-piggy-bank' },
+    { type: 'INCOME', name: 'Other', icon: 'fa-money-bill-wave' }
+];
+
+const categorySchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['EXPENSE', 'INCOME'],
+        required: [true, 'Category type is required']
+    },
+    name: {
+        type: String,
+        required: [true, 'Name is required'],
+        trim: true,
+        maxlength: [50, 'Name cannot exceed 50 characters']
+    },
+    // Font Awesome icon class, e.g. fa-truck
+    icon: {
+        type: String,
+        trim: true,
+        default: 'fa-tag',
+        match: [/^fa-[a-z0-9-]+$/, 'Icon must be a Font Awesome class such as fa-truck']
+    },
+    // Archived categories stay on old transactions but cannot be used for new ones
+    archived: {
+        type: Boolean,
+        default: false
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+categorySchema.index({ organization: 1, type: 1, name: 1 }, { unique: true });
+
+// Static method: Create the default categories when there are none yet
+categorySchema.statics.ensureDefaults = async function() {
+    if (await this.countDocuments() > 0) return;
+
+    try {
+        await this.insertMany(DEFAULT_CATEGORIES.map(c => ({ ...c })), { ordered: false });
+    } catch (error) {
+        // Another request seeded them first: fine as long as nothing else failed and they are there
+        const duplicatesOnly = (error.writeErrors || [error]).every(e => e.code === 11000);
+        if (!duplicatesOnly || await this.countDocuments() === 0) throw error;
+    }
+};
+
+// Static method: Active (not archived) category of a type by name, or null
+categorySchema.statics.findActive = async function(type, name) {
+    await this.ensureDefaults();
+    return this.findOne({ type, name, archived: false });
+};
+
+// Each organization has its own
+categorySchema.plugin(tenant);
+
+const Category = mongoose.model('Category', categorySchema);
+
+export default Category;
@@ -0,0 +1,88 @@
+/**
+ * Change Request Model
+ * A sensitive transaction change (deletion, ADJUSTMENT, edit of an older record) asked for by a
+ * clerk and held with its proposed diff until an admin approves or rejects it
+ */
+
+import mongoose from 'mongoose';
+import tenant from './plugins/tenant.js';
+
+export const CHANGE_ACTIONS = ['CREATE', 'UPDATE', 'DELETE'];
+export const CHANGE_STATUSES = ['PENDING', 'APPROVED', 'REJECTED'];
+
+const changeRequestSchema = new mongoose.Schema({
+    action: {
+        type: String,
+        enum: CHANGE_ACTIONS,
+        required: [true, 'Action is required']
+    },
+    // The transaction being edited or deleted (set on CREATE once approved)
+    transaction: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Transaction'
+    },
+    transactionType: String,
+    // Request body to replay when approved
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    // Proposed field-level diff, as the audit trail stores it
+    changes: [{
+        _id: false,
+        field: String,
+        before: mongoose.Schema.Types.Mixed,
+        after: mongoose.Schema.Types.Mixed
+    }],
+    // What the change is about, in one line for the approvals list
+    summary: String,
+    status: {
+        type: String,
+        enum: CHANGE_STATUSES,
+        default: 'PENDING'
+    },
+
+    // Who asked and from where (the change is applied as them)
+    requestedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    requestedByName: String,
+    session: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Session'
+    },
+    device: {
+        browser: String,
+        os: String,
+        device: String,
+        ip: String
+    },
+
+    // Review
+    reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    reviewedAt: Date,
+    reviewComment: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Comment cannot exceed 500 characters']
+    },
+    // Why the last approval attempt could not be applied
+    error: String
+}, {
+    timestamps: true
+});
+
+changeRequestSchema.index({ status: 1, createdAt: -1 });
+changeRequestSchema.index({ transaction: 1, status: 1 });
+
+// Each organization has its own
+changeRequestSchema.plugin(tenant);
+
+const ChangeRequest = mongoose.model('ChangeRequest', changeRequestSchema);
+
+export default ChangeRequest;
@@ -0,0 +1,75 @@
+/**
+ * Counterparty Model
+ * Suppliers (collectors, farmers) and buyers we trade with
+ */
+
+import mongoose from 'mongoose';
+import tenant from './plugins/tenant.js';
+
+const counterpartySchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Name is required'],
+        trim: true,
+        maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+    type: {
+        type: String,
+        enum: ['SUPPLIER', 'BUYER', 'BOTH'],
+        required: [true, 'Counterparty type is required'],
+        index: true
+    },
+    phone: {
+        type: String,
+        trim: true
+    },
+    address: {
+        type: String,
+        trim: true
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Notes cannot exceed 500 characters']
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+// Names are matched case-insensitively when suggesting from notes
+counterpartySchema.index({ name: 1 });
+
+// Static method: Normalize a name for matching (lowercase, single spaces)
+counterpartySchema.statics.normalizeName = function(name) {
+    return (name || '').toString().trim().replace(/\s+/g, ' ').toLowerCase();
+};
+
+// Static method: Find a counterparty by name regardless of case/spacing
+counterpartySchema.statics.findByName = async function(name) {
+    const normalized = this.normalizeName(name);
+    if (!normalized) return null;
+
+    const candidates = await this.find({
+        name: new RegExp(`^${normalized.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/ /g, '\\s+')}$`, 'i')
+    });
+    return candidates[0] || null;
+};
+
+// Method: Whether this counterparty can be used on a transaction of the given type
+counterpartySchema.methods.acceptsType = function(txnType) {
+    if (this.type === 'BOTH') return true;
+    if (txnType === 'BUY') return this.type === 'SUPPLIER';
+    if (['SELL', 'BYPRODUCT_SALE'].includes(txnType)) return this.type === 'BUYER';
+    return false;
+};
+
+// Each organization has its own
+counterpartySchema.plugin(tenant);
+
+const Counterparty = mongoose.model('Counterparty', counterpartySchema);
+
+export default Counterparty;
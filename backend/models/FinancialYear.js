@@ -0,0 +1,111 @@
+/**
+ * Financial Year Model
+ * A reporting year with its opening balances; the year-end rollover snapshots the closing
+ * balances and carries them into the next year as its opening
+ */
+
+import mongoose from 'mongoose';
+import tenant from './plugins/tenant.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const balancesSchema = new mongoose.Schema({
+    cash: {
+        type: Number,
+        default: 0
+    },
+    rawStock: {
+        type: Number,
+        default: 0
+    },
+    procStock: {
+        type: Number,
+        default: 0
+    },
+    // Loans with principal outstanding
+    loans: [{
+        _id: false,
+        loan: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Loan'
+        },
+        lender: String,
+        outstandingPrincipal: Number
+    }]
+}, { _id: false });
+
+const financialYearSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Name is required'],
+        trim: true,
+        maxlength: [30, 'Name cannot exceed 30 characters']
+    },
+    startDate: {
+        type: Date,
+        required: [true, 'Start date is required']
+    },
+    // Last day of the year (inclusive)
+    endDate: {
+        type: Date,
+        required: [true, 'End date is required']
+    },
+    opening: {
+        type: balancesSchema,
+        default: () => ({})
+    },
+    // Set by the year-end rollover
+    closing: {
+        type: balancesSchema,
+        default: null
+    },
+    status: {
+        type: String,
+        enum: ['OPEN', 'CLOSED'],
+        default: 'OPEN'
+    },
+    closedAt: Date,
+    closedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+financialYearSchema.index({ organization: 1, name: 1 }, { unique: true });
+financialYearSchema.index({ startDate: 1 });
+
+// Validation: the year must end after it starts
+financialYearSchema.pre('validate', function(next) {
+    if (this.startDate && this.endDate && this.endDate < this.startDate) {
+        this.invalidate('endDate', 'End date must be after the start date');
+    }
+    next();
+});
+
+// Method: Date range for queries: from the start, up to (not including) the day after the end
+financialYearSchema.methods.getRange = function() {
+    return {
+        from: this.startDate,
+        before: new Date(new Date(this.endDate).getTime() + DAY_MS)
+    };
+};
+
+// Static method: Years that share any day with a date range (other than one being edited)
+financialYearSchema.statics.findOverlapping = function(startDate, endDate, excludeId) {
+    const filter = { startDate: { $lte: endDate }, endDate: { $gte: startDate } };
+    if (excludeId) filter._id = { $ne: excludeId };
+    return this.findOne(filter);
+};
+
+// Each organization has its own
+financialYearSchema.plugin(tenant);
+
+const FinancialYear = mongoose.model('FinancialYear', financialYearSchema);
+
+export default FinancialYear;
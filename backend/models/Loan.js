@@ -0,0 +1,285 @@
+/**
+ * Loan Model
+ * Loans taken from lenders with interest accrual and installment schedules
+ */
+
+import mongoose from 'mongoose';
+import softDelete from './plugins/softDelete.js';
+import tenant from './plugins/tenant.js';
+import { round2 } from '../utils/rounding.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const installmentSchema = new mongoose.Schema({
+    dueDate: {
+        type: Date,
+        required: true
+    },
+    principalDue: {
+        type: Number,
+        default: 0
+    },
+    interestDue: {
+        type: Number,
+        default: 0
+    },
+    paidAmount: {
+        type: Number,
+        default: 0
+    },
+    status: {
+        type: String,
+        enum: ['DUE', 'PARTIAL', 'PAID'],
+        default: 'DUE'
+    }
+}, { _id: false });
+
+const loanSchema = new mongoose.Schema({
+    lender: {
+        type: String,
+        required: [true, 'Lender is required'],
+        trim: true,
+        maxlength: [100, 'Lender cannot exceed 100 characters']
+    },
+    principal: {
+        type: Number,
+        required: [true, 'Principal is required'],
+        min: [0.01, 'Principal must be greater than 0']
+    },
+    // Annual simple interest rate (%), accrued daily on outstanding principal
+    interestRate: {
+        type: Number,
+        default: 0,
+        min: [0, 'Interest rate cannot be negative']
+    },
+    startDate: {
+        type: Date,
+        required: [true, 'Start date is required']
+    },
+    installmentCount: {
+        type: Number,
+        default: 1,
+        min: [1, 'At least one installment is required'],
+        max: [360, 'Too many installments']
+    },
+    installmentFrequency: {
+        type: String,
+        enum: ['WEEKLY', 'MONTHLY'],
+        default: 'MONTHLY'
+    },
+    installments: [installmentSchema],
+
+    // Running balances (rebuilt from linked LOAN transactions by recalculate)
+    principalRepaid: {
+        type: Number,
+        default: 0
+    },
+    interestPaid: {
+        type: Number,
+        default: 0
+    },
+    accruedInterest: {
+        type: Number,
+        default: 0
+    },
+    lastAccrualDate: Date,
+
+    status: {
+        type: String,
+        enum: ['OPEN', 'CLOSED'],
+        default: 'OPEN',
+        index: true
+    },
+    closedAt: Date,
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Notes cannot exceed 500 characters']
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Virtuals
+loanSchema.virtual('outstandingPrincipal').get(function() {
+    return Math.max(round2(this.principal - (this.principalRepaid || 0)), 0);
+});
+
+loanSchema.virtual('nextInstallment').get(function() {
+    return (this.installments || []).find(i => i.status !== 'PAID') || null;
+});
+
+// Helper: add schedule periods to a date (a month-end start stays on the last day of shorter months)
+function addPeriod(date, frequency, count) {
+    const start = new Date(date);
+    const next = new Date(start);
+    if (frequency === 'WEEKLY') {
+        next.setUTCDate(next.getUTCDate() + 7 * count);
+    } else {
+        next.setUTCDate(1);
+        next.setUTCMonth(start.getUTCMonth() + count);
+        const lastDay = new Date(Date.UTC(next.getUTCFullYear(), next.getUTCMonth() + 1, 0)).getUTCDate();
+        next.setUTCDate(Math.min(start.getUTCDate(), lastDay));
+    }
+    return next;
+}
+
+// Method: Build the installment schedule (equal principal, interest on declining balance)
+loanSchema.methods.buildSchedule = function() {
+    const count = this.installmentCount || 1;
+    const periodDays = this.installmentFrequency === 'WEEKLY' ? 7 : 365 / 12;
+    const basePrincipal = round2(this.principal / count);
+
+    let remaining = this.principal;
+    this.installments = [];
+
+    for (let i = 1; i <= count; i++) {
+        const principalDue = i === count ? round2(remaining) : basePrincipal;
+        const interestDue = round2(remaining * (this.interestRate / 100) * (periodDays / 365));
+
+        this.installments.push({
+            dueDate: addPeriod(this.startDate, this.installmentFrequency, i),
+            principalDue,
+            interestDue,
+            paidAmount: 0,
+            status: 'DUE'
+        });
+
+        remaining = round2(remaining - principalDue);
+    }
+};
+
+// Method: Interest accrued on outstanding principal between lastAccrualDate and asOf
+loanSchema.methods.interestSince = function(asOf = new Date()) {
+    const from = this.lastAccrualDate || this.startDate;
+    const days = Math.max((new Date(asOf) - new Date(from)) / DAY_MS, 0);
+    return round2(this.outstandingPrincipal * (this.interestRate / 100) * (days / 365));
+};
+
+// Method: Move accrued interest forward to asOf
+loanSchema.methods.accrueInterest = function(asOf = new Date()) {
+    const from = this.lastAccrualDate || this.startDate;
+    if (new Date(asOf) <= new Date(from)) return;
+
+    this.accruedInterest = round2((this.accruedInterest || 0) + this.interestSince(asOf));
+    this.lastAccrualDate = new Date(asOf);
+};
+
+// Method: Apply a repayment — interest first, then principal. Returns the split.
+loanSchema.methods.applyRepayment = function(amount, date) {
+    this.accrueInterest(date);
+
+    const interestPortion = round2(Math.min(amount, this.accruedInterest));
+    const principalPortion = round2(Math.min(amount - interestPortion, this.outstandingPrincipal));
+
+    this.accruedInterest = round2(this.accruedInterest - interestPortion);
+    this.interestPaid = round2(this.interestPaid + interestPortion);
+    this.principalRepaid = round2(this.principalRepaid + principalPortion);
+
+    // Allocate the cash to installments in due-date order
+    let remaining = interestPortion + principalPortion;
+    for (const installment of this.installments) {
+        if (remaining <= 0) break;
+        const due = round2(installment.principalDue + installment.interestDue - installment.paidAmount);
+        if (due <= 0) continue;
+
+        const applied = Math.min(due, remaining);
+        installment.paidAmount = round2(installment.paidAmount + applied);
+        installment.status = installment.paidAmount >= installment.principalDue + installment.interestDue - 0.005
+            ? 'PAID'
+            : 'PARTIAL';
+        remaining = round2(remaining - applied);
+    }
+
+    return { interestPortion, principalPortion };
+};
+
+// Method: Balance summary as of a date (does not modify the loan)
+loanSchema.methods.getBalance = function(asOf = new Date()) {
+    const nextInstallment = this.nextInstallment;
+    const accruedInterest = round2((this.accruedInterest || 0) + (this.status === 'OPEN' ? this.interestSince(asOf) : 0));
+
+    return {
+        outstandingPrincipal: this.outstandingPrincipal,
+        accruedInterest,
+        totalOutstanding: round2(this.outstandingPrincipal + accruedInterest),
+        nextDueDate: nextInstallment?.dueDate || null,
+        nextDueAmount: nextInstallment
+            ? round2(nextInstallment.principalDue + nextInstallment.interestDue - nextInstallment.paidAmount)
+            : 0,
+        isOverdue: !!nextInstallment && new Date(nextInstallment.dueDate) < new Date(asOf)
+    };
+};
+
+// Static method: Rebuild balances and repayment splits from linked LOAN transactions
+loanSchema.statics.recalculate = async function(loanId) {
+    const loan = await this.findById(loanId);
+    if (!loan) return null;
+
+    const Transaction = mongoose.model('Transaction');
+    const repayments = await Transaction.find({ loan: loan._id, loanType: 'REPAY' })
+        .sort({ date: 1, createdAt: 1 });
+
+    // Reset running balances and replay repayments in date order
+    loan.principalRepaid = 0;
+    loan.interestPaid = 0;
+    loan.accruedInterest = 0;
+    loan.lastAccrualDate = loan.startDate;
+    loan.installments.forEach(i => {
+        i.paidAmount = 0;
+        i.status = 'DUE';
+    });
+
+    for (const repayment of repayments) {
+        const { interestPortion, principalPortion } = loan.applyRepayment(Math.abs(repayment.amount), repayment.date);
+        if (repayment.interestPortion !== interestPortion || repayment.principalPortion !== principalPortion) {
+            await Transaction.updateOne(
+                { _id: repayment._id },
+                { interestPortion, principalPortion }
+            );
+        }
+    }
+
+    if (loan.outstandingPrincipal <= 0 && loan.accruedInterest <= 0) {
+        loan.status = 'CLOSED';
+        loan.closedAt = loan.closedAt || repayments[repayments.length - 1]?.date || new Date();
+    } else {
+        loan.status = 'OPEN';
+        loan.closedAt = undefined;
+    }
+
+    await loan.save();
+    return loan;
+};
+
+// Static method: Loans with principal still outstanding at the end of a day (before `before`)
+loanSchema.statics.getOutstandingBefore = async function(before) {
+    const Transaction = mongoose.model('Transaction');
+    const [loans, repaid] = await Promise.all([
+        this.find({ startDate: { $lt: before } }).lean(),
+        Transaction.aggregate([
+            { $match: { type: 'LOAN', loanType: 'REPAY', date: { $lt: before } } },
+            { $group: { _id: '$loan', principal: { $sum: '$principalPortion' } } }
+        ])
+    ]);
+
+    return loans
+        .map(loan => ({
+            loan: loan._id,
+            lender: loan.lender,
+            outstandingPrincipal: Math.max(round2(loan.principal - (repaid.find(r => String(r._id) === String(loan._id))?.principal || 0)), 0)
+        }))
+        .filter(l => l.outstandingPrincipal > 0);
+};
+
+// Deletes go to the recycle bin
+loanSchema.plugin(softDelete);
+
+// Each organization has its own
+loanSchema.plugin(tenant);
+
+const Loan = mongoose.model('Loan', loanSchema);
+
+export default Loan;
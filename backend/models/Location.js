@@ -0,0 +1,56 @@
+/**
+ * Location Model
+ * Places where stock is kept (farm store, town warehouse, ...)
+ */
+
+import mongoose from 'mongoose';
+import tenant from './plugins/tenant.js';
+
+const locationSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Name is required'],
+        trim: true,
+        maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+    address: {
+        type: String,
+        trim: true
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Notes cannot exceed 500 characters']
+    },
+    // New stock entries without a location go here
+    isDefault: {
+        type: Boolean,
+        default: false
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+locationSchema.index({ name: 1 });
+
+// Static method: Default location for new stock entries (null if none set)
+locationSchema.statics.getDefault = async function() {
+    return this.findOne({ isDefault: true, isActive: true });
+};
+
+// Static method: Make one location the default
+locationSchema.statics.setDefault = async function(locationId) {
+    await this.updateMany({ _id: { $ne: locationId }, isDefault: true }, { isDefault: false });
+    await this.updateOne({ _id: locationId }, { isDefault: true });
+};
+
+// Each organization has its own
+locationSchema.plugin(tenant);
+
+const Location = mongoose.model('Location', locationSchema);
+
+export default Location;
@@ -0,0 +1,59 @@
+/**
+ * Organization Model
+ * A separate business with its own ledger, stock, settings and reports; users see the
+ * organizations they are members of
+ */
+
+import mongoose from 'mongoose';
+
+const organizationSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Name is required'],
+        trim: true,
+        maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+organizationSchema.index({ name: 1 }, { unique: true });
+
+// Static method: First run after upgrading — put everything recorded so far in one organization
+// that every existing user is a member of, and rebuild indexes that are now per organization
+organizationSchema.statics.ensureDefault = async function() {
+    if (await this.estimatedDocumentCount() > 0) return null;
+
+    const organization = await this.create({ name: 'Main Business' });
+    const scoped = mongoose.modelNames()
+        .map(name => mongoose.model(name))
+        .filter(model => model.scopedByOrganization);
+
+    for (const model of scoped) {
+        await model.collection.updateMany(
+            { organization: { $exists: false } },
+            { $set: { organization: organization._id } }
+        );
+        await model.syncIndexes();
+    }
+
+    await mongoose.model('User').updateMany(
+        { 'memberships.0': { $exists: false } },
+        { $push: { memberships: { organization: organization._id, joinedAt: new Date() } } }
+    );
+
+    console.log(`🏢 Existing data moved to organization "${organization.name}"`);
+    return organization;
+};
+
+const Organization = mongoose.model('Organization', organizationSchema);
+
+export default Organization;
@@ -0,0 +1,74 @@
+/**
+ * Period Close Model
+ * A finalised accounting period: transactions dated on or before the closing date are locked
+ * until an admin reopens it
+ */
+
+import mongoose from 'mongoose';
+import tenant from './plugins/tenant.js';
+
+const periodCloseSchema = new mongoose.Schema({
+    // Last day of the period; the whole day is locked
+    closingDate: {
+        type: Date,
+        required: [true, 'Closing date is required']
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Notes cannot exceed 500 characters']
+    },
+    closedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+
+    // Set when an admin reopens the period
+    reopenedAt: {
+        type: Date,
+        default: null
+    },
+    reopenedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    reopenReason: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Reason cannot exceed 500 characters']
+    }
+}, {
+    timestamps: true
+});
+
+periodCloseSchema.index({ reopenedAt: 1, closingDate: -1 });
+
+// Static method: Start of the first day that is still open (null when nothing is closed)
+periodCloseSchema.statics.getLockedUntil = async function() {
+    const latest = await this.findOne({ reopenedAt: null }).sort({ closingDate: -1 }).lean();
+    if (!latest) return null;
+
+    const end = new Date(latest.closingDate);
+    end.setUTCHours(0, 0, 0, 0);
+    end.setUTCDate(end.getUTCDate() + 1);
+    return end;
+};
+
+// Static method: Why changes on these dates are not allowed (null when every date is open)
+periodCloseSchema.statics.getLockError = async function(...dates) {
+    const lockedUntil = await this.getLockedUntil();
+    if (!lockedUntil) return null;
+
+    if (dates.some(date => date && new Date(date) < lockedUntil)) {
+        const closedOn = new Date(lockedUntil.getTime() - 86400000).toISOString().split('T')[0];
+        return `The books are closed up to ${closedOn}. Transactions on or before that date cannot be added, changed or deleted.`;
+    }
+    return null;
+};
+
+// Each organization has its own
+periodCloseSchema.plugin(tenant);
+
+const PeriodClose = mongoose.model('PeriodClose', periodCloseSchema);
+
+export default PeriodClose;
@@ -0,0 +1,200 @@
+/**
+ * Recurring Template Model
+ * Transactions that repeat on a schedule (wages, electricity, loan installments); the
+ * scheduler posts each due one or queues it for confirmation
+ */
+
+import mongoose from 'mongoose';
+import tenant from './plugins/tenant.js';
+
+// How far the schedule looks when working out the next date after a change
+const MAX_OCCURRENCES = 5000;
+
+// Occurrences the scheduler handles for a template on its own; a template further behind
+// (a start date long past, a server that was off) is only caught up when someone asks
+export const MAX_CATCH_UP = 12;
+
+const pendingSchema = new mongoose.Schema({
+    dueDate: {
+        type: Date,
+        required: true
+    },
+    // Why an automatic posting failed and was queued instead
+    error: String
+});
+
+const recurringTemplateSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Name is required'],
+        trim: true,
+        maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+    // LOAN templates repay the linked loan
+    type: {
+        type: String,
+        enum: ['EXPENSE', 'INCOME', 'LOAN'],
+        required: [true, 'Transaction type is required']
+    },
+    amount: {
+        type: Number,
+        required: [true, 'Amount is required'],
+        min: [0.01, 'Amount must be greater than 0']
+    },
+    // Expense and Income specific (name of a Category of the same type)
+    category: {
+        type: String,
+        trim: true
+    },
+    // Loan specific
+    loan: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Loan'
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Notes cannot exceed 500 characters']
+    },
+
+    // Schedule: every `interval` days, weeks or months from the start date, up to the end date
+    frequency: {
+        type: String,
+        enum: ['DAILY', 'WEEKLY', 'MONTHLY'],
+        default: 'MONTHLY'
+    },
+    interval: {
+        type: Number,
+        default: 1,
+        min: [1, 'Interval must be at least 1'],
+        max: [365, 'Interval cannot exceed 365']
+    },
+    startDate: {
+        type: Date,
+        required: [true, 'Start date is required']
+    },
+    // Last day an occurrence can fall on (inclusive); none repeats forever
+    endDate: {
+        type: Date,
+        default: null
+    },
+
+    // AUTO posts due transactions, CONFIRM queues them until someone confirms or skips them
+    mode: {
+        type: String,
+        enum: ['AUTO', 'CONFIRM'],
+        default: 'AUTO'
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+
+    // Scheduler state: occurrences handled so far, the last one handled and the next one due
+    // (null once the schedule is past its end date)
+    occurrenceCount: {
+        type: Number,
+        default: 0
+    },
+    lastDueDate: Date,
+    nextDueDate: Date,
+    pending: [pendingSchema],
+
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+recurringTemplateSchema.index({ isActive: 1, nextDueDate: 1 });
+
+// Validation: each type needs what its transactions need
+recurringTemplateSchema.pre('validate', function(next) {
+    if (['EXPENSE', 'INCOME'].includes(this.type) && !this.category) {
+        this.invalidate('category', 'Category is required');
+    }
+    if (this.type === 'LOAN' && !this.loan) {
+        this.invalidate('loan', 'Loan is required');
+    }
+    if (this.startDate && this.endDate && this.endDate < this.startDate) {
+        this.invalidate('endDate', 'End date must be after the start date');
+    }
+    next();
+});
+
+// Method: Date of an occurrence (0 is the start date); months keep the start day, or the
+// month's last day when it is shorter
+recurringTemplateSchema.methods.dateOf = function(index) {
+    const start = new Date(this.startDate);
+    const steps = index * (this.interval || 1);
+
+    if (this.frequency === 'MONTHLY') {
+        const month = start.getUTCMonth() + steps;
+        const date = new Date(start);
+        date.setUTCDate(1);
+        date.setUTCMonth(month);
+        const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+        date.setUTCDate(Math.min(start.getUTCDate(), lastDay));
+        return date;
+    }
+
+    const days = this.frequency === 'WEEKLY' ? steps * 7 : steps;
+    const date = new Date(start);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date;
+};
+
+// Method: Set the next due date from the occurrence count (null past the end date)
+recurringTemplateSchema.methods.refreshNextDue = function() {
+    const next = this.dateOf(this.occurrenceCount);
+    this.nextDueDate = this.endDate && next > new Date(this.endDate) ? null : next;
+};
+
+// Method: Move past the current occurrence
+recurringTemplateSchema.methods.advance = function() {
+    this.lastDueDate = this.nextDueDate;
+    this.occurrenceCount += 1;
+    this.refreshNextDue();
+};
+
+// Method: Skip the occurrences before a date (those that fell while the template was paused)
+recurringTemplateSchema.methods.skipBefore = function(date) {
+    while (this.nextDueDate && this.nextDueDate < new Date(date)) this.advance();
+};
+
+// Method: Occurrences due by a date, counting no further than `limit`
+recurringTemplateSchema.methods.countDue = function(asOf, limit = MAX_OCCURRENCES) {
+    if (!this.nextDueDate) return 0;
+
+    let count = 0;
+    while (count < limit) {
+        const date = this.dateOf(this.occurrenceCount + count);
+        if (date > new Date(asOf) || (this.endDate && date > new Date(this.endDate))) break;
+        count++;
+    }
+    return count;
+};
+
+// Method: Whether more occurrences are due than the scheduler handles on its own
+recurringTemplateSchema.methods.isBehind = function(asOf = new Date()) {
+    return this.isActive && this.countDue(asOf, MAX_CATCH_UP + 1) > MAX_CATCH_UP;
+};
+
+// Method: After a schedule change, continue with the first occurrence after the last one handled
+recurringTemplateSchema.methods.reschedule = function() {
+    let index = 0;
+    if (this.lastDueDate) {
+        while (index < MAX_OCCURRENCES && this.dateOf(index) <= new Date(this.lastDueDate)) index++;
+    }
+    this.occurrenceCount = index;
+    this.refreshNextDue();
+};
+
+// Each organization has its own
+recurringTemplateSchema.plugin(tenant);
+
+const RecurringTemplate = mongoose.model('RecurringTemplate', recurringTemplateSchema);
+
+export default RecurringTemplate;
@@ -58,6 +58,12 @@ const sessionSchema = new mongoose.Schema({
         index: true
     },
     
+    // Organization the session is working in (switchable from the header)
+    organization: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization'
+    },
+    
     // Super admin sessions never expire
     neverExpires: {
         type: Boolean,
@@ -0,0 +1,160 @@
+/**
+ * Setting Model
+ * Business settings (one document per organization)
+ */
+
+import mongoose from 'mongoose';
+import tenant from './plugins/tenant.js';
+import { TRANSACTION_TYPES } from './Transaction.js';
+
+// Grades kernel is sorted into when nuts are processed
+const DEFAULT_KERNEL_GRADES = [
+    { code: 'WHOLE', name: 'Whole (Chali)' },
+    { code: 'BROKEN', name: 'Broken' },
+    { code: 'RED', name: 'Red' }
+];
+
+export const CUSTOM_FIELD_TYPES = ['TEXT', 'NUMBER', 'DATE', 'SELECT'];
+
+// What happens when an entry would make raw or kernel stock negative at some point in time
+export const NEGATIVE_STOCK_POLICIES = ['BLOCK', 'WARN', 'ALLOW'];
+
+const settingSchema = new mongoose.Schema({
+    // How BUY cost is released to PROCESS and SELL
+    costingMethod: {
+        type: String,
+        enum: ['FIFO', 'WEIGHTED_AVERAGE'],
+        default: 'WEIGHTED_AVERAGE'
+    },
+    negativeStockPolicy: {
+        type: String,
+        enum: NEGATIVE_STOCK_POLICIES,
+        default: 'BLOCK'
+    },
+    // Whether a sale may ask to process raw stock to cover a kernel shortfall
+    autoProcessOnSell: {
+        type: Boolean,
+        default: true
+    },
+    // Edits by non-admins to transactions dated more than this many days ago wait for approval
+    approvalAfterDays: {
+        type: Number,
+        default: 7,
+        required: [true, 'Approval age is required'],
+        min: [0, 'Approval age cannot be negative'],
+        validate: {
+            validator: Number.isInteger,
+            message: 'Approval age must be a whole number of days'
+        }
+    },
+    // PROCESS splits its output across these; SELL names one of them
+    kernelGrades: {
+        type: [{
+            _id: false,
+            code: {
+                type: String,
+                required: [true, 'Grade code is required'],
+                trim: true,
+                uppercase: true,
+                match: [/^[A-Z0-9_-]+$/, 'Grade code may only contain letters, numbers, - and _']
+            },
+            name: {
+                type: String,
+                required: [true, 'Grade name is required'],
+                trim: true
+            },
+            isActive: {
+                type: Boolean,
+                default: true
+            }
+        }],
+        default: () => DEFAULT_KERNEL_GRADES.map(g => ({ ...g })),
+        validate: {
+            validator: grades => new Set(grades.map(g => g.code)).size === grades.length,
+            message: 'Grade codes must be unique'
+        }
+    },
+    // Extra fields shown on transaction forms (vehicle number, bag count, harvest plot...)
+    customFields: {
+        type: [{
+            _id: false,
+            key: {
+                type: String,
+                required: [true, 'Field key is required'],
+                trim: true,
+                lowercase: true,
+                match: [/^[a-z][a-z0-9_]*$/, 'Field key must start with a letter and use only letters, numbers and _']
+            },
+            label: {
+                type: String,
+                required: [true, 'Field label is required'],
+                trim: true
+            },
+            fieldType: {
+                type: String,
+                enum: CUSTOM_FIELD_TYPES,
+                default: 'TEXT'
+            },
+            // Choices for SELECT fields
+            options: [{ type: String, trim: true }],
+            // Transaction types the field appears on (empty = all)
+            appliesTo: [{ type: String, enum: TRANSACTION_TYPES }],
+            required: {
+                type: Boolean,
+                default: false
+            },
+            isActive: {
+                type: Boolean,
+                default: true
+            }
+        }],
+        default: [],
+        validate: [{
+            validator: fields => new Set(fields.map(f => f.key)).size === fields.length,
+            message: 'Custom field keys must be unique'
+        }, {
+            validator: fields => fields.every(f => f.fieldType !== 'SELECT' || f.options.length > 0),
+            message: 'Select fields need at least one option'
+        }]
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// Static method: Get the settings document, creating it with defaults on first use
+settingSchema.statics.getSettings = async function() {
+    let settings = await this.findOne();
+    if (!settings) {
+        settings = await this.create({});
+    }
+    return settings;
+};
+
+// Method: Grades that can be used on new transactions
+settingSchema.methods.getActiveGrades = function() {
+    return this.kernelGrades.filter(g => g.isActive);
+};
+
+// Method: Display name for a grade code (null = kernel recorded before grading)
+settingSchema.methods.getGradeName = function(code) {
+    if (!code) return 'Ungraded';
+    return this.kernelGrades.find(g => g.code === code)?.name || code;
+};
+
+// Method: Custom fields that apply to a transaction type
+settingSchema.methods.getCustomFields = function(type, includeInactive = false) {
+    return this.customFields.filter(f =>
+        (includeInactive || f.isActive) && (!f.appliesTo.length || f.appliesTo.includes(type))
+    );
+};
+
+// Each organization has its own
+settingSchema.plugin(tenant);
+
+const Setting = mongoose.model('Setting', settingSchema);
+
+export default Setting;
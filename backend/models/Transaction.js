@@ -1,14 +1,35 @@
 /**
  * Transaction Model
- * Schema for all transaction types: BUY, SELL, PROCESS, EXPENSE, INCOME, LOAN, ADJUSTMENT
+ * Schema for all transaction types: BUY, SELL, PROCESS, DRYING, BYPRODUCT_SALE, EXPENSE, INCOME, LOAN, ADJUSTMENT, PAYMENT, TRANSFER
  */
 
 import mongoose from 'mongoose';
+import softDelete from './plugins/softDelete.js';
+import tenant from './plugins/tenant.js';
+
+// By-products of dehusking, kept as their own stock
+export const BYPRODUCT_KINDS = ['HUSK', 'SHELL'];
+
+export const TRANSACTION_TYPES = ['BUY', 'SELL', 'PROCESS', 'DRYING', 'BYPRODUCT_SALE', 'EXPENSE', 'INCOME', 'LOAN', 'ADJUSTMENT', 'PAYMENT', 'TRANSFER'];
+
+// Session and device a transaction was entered or edited from
+const ACTOR_SOURCE = {
+    session: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Session'
+    },
+    device: {
+        browser: String,
+        os: String,
+        device: String,
+        ip: String
+    }
+};
 
 const transactionSchema = new mongoose.Schema({
     type: {
         type: String,
-        enum: ['BUY', 'SELL', 'PROCESS', 'EXPENSE', 'INCOME', 'LOAN', 'ADJUSTMENT'],
+        enum: TRANSACTION_TYPES,
         required: [true, 'Transaction type is required'],
         index: true
     },
@@ -59,10 +80,157 @@ const transactionSchema = new mongoose.Schema({
         max: [100, 'Recovery cannot exceed 100%']
     },
     
-    // Expense and Income specific
+    // Drying specific: weight lost as % of the wet input (inputQty wet → outputQty dry)
+    moistureLoss: {
+        type: Number,
+        min: [0, 'Moisture loss cannot be negative'],
+        max: [100, 'Moisture loss cannot exceed 100%']
+    },
+    
+    // Lot traceability
+    // lotId identifies a purchase lot (BUY), batchId a dehusking batch (PROCESS)
+    lotId: {
+        type: String,
+        trim: true
+    },
+    batchId: {
+        type: String,
+        trim: true
+    },
+    lotsConsumed: [{
+        _id: false,
+        lot: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction' },
+        lotId: String,
+        qty: Number
+    }],
+    batchesDrawn: [{
+        _id: false,
+        batch: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction' },
+        batchId: String,
+        qty: Number
+    }],
+    // PROCESS created automatically to cover a SELL's kernel shortfall; follows that sale
+    autoProcessFor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Transaction'
+    },
+    
+    // By-products: PROCESS records what it produced, BYPRODUCT_SALE sells one kind
+    byProducts: [{
+        _id: false,
+        kind: { type: String, enum: BYPRODUCT_KINDS },
+        qty: { type: Number, min: [0, 'By-product quantity cannot be negative'] }
+    }],
+    byProduct: {
+        type: String,
+        enum: [...BYPRODUCT_KINDS, null]
+    },
+    
+    // Kernel grades (codes from settings)
+    // PROCESS splits outputQty into gradeOutputs; SELL and kernel ADJUSTMENT name one grade
+    gradeOutputs: [{
+        _id: false,
+        grade: String,
+        qty: { type: Number, min: [0, 'Grade quantity cannot be negative'] }
+    }],
+    grade: {
+        type: String,
+        trim: true,
+        uppercase: true
+    },
+    
+    // Inventory costing (maintained by the costing service)
+    // unitCost: BUY price, PROCESS kernel cost/kg, SELL cost/kg sold
+    unitCost: Number,
+    costOfGoodsSold: Number,
+    grossMargin: Number,
+    
+    // Storage location of the stock moved (source on TRANSFER)
+    location: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Location',
+        index: true
+    },
+    
+    // Transfer specific: destination and which stock moved
+    toLocation: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Location'
+    },
+    stockType: {
+        type: String,
+        enum: ['RAW', 'PROC', null]
+    },
+    
+    // Trade counterparty (supplier on BUY, buyer on SELL)
+    counterparty: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Counterparty',
+        index: true
+    },
+    
+    // Payment terms (BUY / SELL)
+    // amount is always the cash that moved; tradeValue is what the goods were worth
+    paymentTerms: {
+        type: String,
+        enum: ['CASH', 'CREDIT'],
+        default: 'CASH'
+    },
+    dueDate: Date,
+    tradeValue: {
+        type: Number,
+        min: [0, 'Trade value cannot be negative']
+    },
+    paidUpfront: {
+        type: Number,
+        min: [0, 'Upfront payment cannot be negative']
+    },
+    settledAmount: {
+        type: Number,
+        default: 0
+    },
+    settlementStatus: {
+        type: String,
+        enum: ['SETTLED', 'PARTIAL', 'OPEN', null]
+    },
+    
+    // Payment specific: the BUY/SELL this payment settles
+    settles: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Transaction',
+        index: true
+    },
+    
+    // Loan specific: the loan this LOAN transaction opened or repaid
+    loan: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Loan',
+        index: true
+    },
+    loanType: {
+        type: String,
+        enum: ['TAKE', 'REPAY', null]
+    },
+    interestPortion: Number,
+    principalPortion: Number,
+    
+    // Posted by a recurring template
+    recurringTemplate: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RecurringTemplate',
+        index: true
+    },
+    
+    // Expense and Income specific (name of a Category of the same type)
     category: {
         type: String,
-        enum: ['Labour', 'Electricity', 'Transport', 'Other', 'Sale', 'Service', 'Investment', null]
+        trim: true
+    },
+    // Wage payment specific: the worker a Labour expense paid
+    worker: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Worker',
+        index: true
     },
     
     // General
@@ -70,7 +238,41 @@ const transactionSchema = new mongoose.Schema({
         type: String,
         trim: true,
         maxlength: [500, 'Notes cannot exceed 500 characters']
-    }
+    },
+    // Free-form labels, stored lowercase
+    tags: [{
+        type: String,
+        trim: true,
+        lowercase: true,
+        maxlength: [30, 'Tags cannot exceed 30 characters']
+    }],
+    // Values of the admin-defined custom fields (settings.customFields), by field key
+    customFields: {
+        type: Map,
+        of: mongoose.Schema.Types.Mixed
+    },
+    // Photos and scans (weighbridge tickets, receipts, bills) kept in GridFS
+    attachments: [{
+        fileName: { type: String, trim: true },
+        mimeType: String,
+        size: Number,
+        fileId: mongoose.Schema.Types.ObjectId,
+        thumbnailId: mongoose.Schema.Types.ObjectId,
+        uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        uploadedAt: { type: Date, default: Date.now }
+    }],
+    // Who entered it and who last edited it (empty for entries the system made on its own)
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // Session and device of each
+    createdFrom: ACTOR_SOURCE,
+    updatedFrom: ACTOR_SOURCE
 }, {
     timestamps: true,
     toJSON: { virtuals: true },
@@ -79,18 +281,53 @@ const transactionSchema = new mongoose.Schema({
 
 // Compound index for efficient date-range queries
 transactionSchema.index({ date: -1, createdAt: -1, type: 1 });
+transactionSchema.index({ type: 1, settlementStatus: 1 });
+transactionSchema.index({ organization: 1, lotId: 1 }, { unique: true, partialFilterExpression: { lotId: { $type: 'string' } } });
+transactionSchema.index({ organization: 1, batchId: 1 }, { unique: true, partialFilterExpression: { batchId: { $type: 'string' } } });
+transactionSchema.index({ createdBy: 1, date: -1 });
+transactionSchema.index({ updatedBy: 1, date: -1 });
+transactionSchema.index({ 'lotsConsumed.lot': 1 });
+transactionSchema.index({ 'batchesDrawn.batch': 1 });
+transactionSchema.index({ autoProcessFor: 1 }, { sparse: true });
+transactionSchema.index({ grade: 1 });
+transactionSchema.index({ tags: 1 });
 
-// Pre-save middleware to compute derived fields
-transactionSchema.pre('save', function(next) {
+// Helper: settlement status from trade value and amount settled so far
+const getSettlementStatus = (tradeValue, settled) => {
+    if (settled >= tradeValue - 0.005) return 'SETTLED';
+    return settled > 0 ? 'PARTIAL' : 'OPEN';
+};
+
+// Helper: cash settled at trade time (everything for CASH terms)
+const applyTradeTerms = (txn) => {
+    txn.tradeValue = txn.qty * txn.price;
+    if (txn.paymentTerms !== 'CREDIT') {
+        txn.paidUpfront = txn.tradeValue;
+        txn.dueDate = undefined;
+    }
+    txn.paidUpfront = Math.min(Number(txn.paidUpfront || 0), txn.tradeValue);
+    if (txn.isNew) {
+        txn.settledAmount = txn.paidUpfront;
+    } else if (txn.$locals.paymentsTotal !== undefined) {
+        // Set by the controller when an edit changes what the trade is worth
+        txn.settledAmount = txn.paidUpfront + txn.$locals.paymentsTotal;
+    }
+    txn.settlementStatus = getSettlementStatus(txn.tradeValue, txn.settledAmount);
+};
+
+// Method: Compute the fields derived from the type and its inputs (cash, stock deltas, recovery)
+transactionSchema.methods.applyDerivedFields = function() {
     switch (this.type) {
         case 'BUY':
-            this.amount = -(this.qty * this.price);
+            applyTradeTerms(this);
+            this.amount = -this.paidUpfront;
             this.rawStockChange = this.qty;
             this.procStockChange = 0;
             break;
             
         case 'SELL':
-            this.amount = this.qty * this.price;
+            applyTradeTerms(this);
+            this.amount = this.paidUpfront;
             this.rawStockChange = 0;
             this.procStockChange = -this.qty;
             break;
@@ -102,6 +339,21 @@ transactionSchema.pre('save', function(next) {
             this.recovery = ((this.outputQty / this.inputQty) * 100).toFixed(1);
             break;
             
+        case 'DRYING':
+            // Raw stock stays raw but loses the evaporated water
+            this.amount = 0;
+            this.rawStockChange = -(this.inputQty - this.outputQty);
+            this.procStockChange = 0;
+            this.moistureLoss = (((this.inputQty - this.outputQty) / this.inputQty) * 100).toFixed(1);
+            break;
+            
+        case 'BYPRODUCT_SALE':
+            // Husk/shell sold for cash; raw and kernel stock are untouched
+            this.amount = this.qty * this.price;
+            this.rawStockChange = 0;
+            this.procStockChange = 0;
+            break;
+            
         case 'EXPENSE':
             // Amount should be negative (already set by controller)
             this.rawStockChange = 0;
@@ -120,6 +372,19 @@ transactionSchema.pre('save', function(next) {
             this.procStockChange = 0;
             break;
 
+        case 'PAYMENT':
+            // Amount is signed by the controller: + received from buyer, - paid to supplier
+            this.rawStockChange = 0;
+            this.procStockChange = 0;
+            break;
+
+        case 'TRANSFER':
+            // Stock only changes place; totals are unchanged
+            this.amount = 0;
+            this.rawStockChange = 0;
+            this.procStockChange = 0;
+            break;
+
         case 'ADJUSTMENT':
             // For manual adjustments we trust the provided deltas:
             // - amount           (cash change, + or -)
@@ -131,25 +396,76 @@ transactionSchema.pre('save', function(next) {
             this.procStockChange = Number(this.procStockChange || 0);
             break;
     }
+    return this;
+};
+
+// Method: Record who is saving it (and who created it, when new); no user = system entry
+transactionSchema.methods.stampActor = function({ user, session, device } = {}) {
+    if (!user) return this;
+
+    this.updatedBy = user;
+    this.updatedFrom = { session, device };
+    if (this.isNew) {
+        this.createdBy = user;
+        this.createdFrom = { session, device };
+    }
+    return this;
+};
+
+// Pre-save middleware to compute derived fields
+transactionSchema.pre('save', function(next) {
+    this.applyDerivedFields();
     next();
 });
 
-// Static method: Get aggregated stats
-transactionSchema.statics.getStats = async function() {
+// Static method: Get aggregated stats (all time, or the movements of a period)
+transactionSchema.statics.getStats = async function({ from, before } = {}) {
+    // Totals only count movements from `from`; what is still owed counts every trade before `before`
+    const during = (value, otherwise = 0) => from
+        ? { $cond: [{ $gte: ['$date', from] }, value, otherwise] }
+        : value;
+
     const result = await this.aggregate([
+        ...(before ? [{ $match: { date: { $lt: before } } }] : []),
         {
             $group: {
                 _id: null,
-                totalCash: { $sum: '$amount' },
-                totalRawStock: { $sum: '$rawStockChange' },
-                totalProcStock: { $sum: '$procStockChange' },
+                totalCash: { $sum: during('$amount') },
+                totalRawStock: { $sum: during('$rawStockChange') },
+                totalProcStock: { $sum: during('$procStockChange') },
                 avgRecovery: { 
-                    $avg: { 
+                    $avg: during({ 
                         $cond: [{ $eq: ['$type', 'PROCESS'] }, '$recovery', null] 
-                    } 
+                    }, null) 
                 },
                 processCount: {
-                    $sum: { $cond: [{ $eq: ['$type', 'PROCESS'] }, 1, 0] }
+                    $sum: during({ $cond: [{ $eq: ['$type', 'PROCESS'] }, 1, 0] })
+                },
+                // Wet weight dried and what was left, for recovery against wet weight
+                dryingInput: {
+                    $sum: during({ $cond: [{ $eq: ['$type', 'DRYING'] }, '$inputQty', 0] })
+                },
+                dryingOutput: {
+                    $sum: during({ $cond: [{ $eq: ['$type', 'DRYING'] }, '$outputQty', 0] })
+                },
+                // Amounts still owed to us (SELL) and by us (BUY)
+                totalReceivables: {
+                    $sum: {
+                        $cond: [
+                            { $eq: ['$type', 'SELL'] },
+                            { $max: [{ $subtract: [{ $ifNull: ['$tradeValue', 0] }, { $ifNull: ['$settledAmount', 0] }] }, 0] },
+                            0
+                        ]
+                    }
+                },
+                totalPayables: {
+                    $sum: {
+                        $cond: [
+                            { $eq: ['$type', 'BUY'] },
+                            { $max: [{ $subtract: [{ $ifNull: ['$tradeValue', 0] }, { $ifNull: ['$settledAmount', 0] }] }, 0] },
+                            0
+                        ]
+                    }
                 }
             }
         }
@@ -160,24 +476,245 @@ transactionSchema.statics.getStats = async function() {
         totalRawStock: 0,
         totalProcStock: 0,
         avgRecovery: 0,
-        processCount: 0
+        processCount: 0,
+        dryingInput: 0,
+        dryingOutput: 0,
+        totalReceivables: 0,
+        totalPayables: 0
     };
 };
 
-// Static method: Get chart data
-transactionSchema.statics.getChartData = async function() {
-    const transactions = await this.find()
+// Static method: Recompute settled amount and status of a BUY/SELL from its payments
+transactionSchema.statics.refreshSettlement = async function(tradeId) {
+    const trade = await this.findById(tradeId);
+    if (!trade || !['BUY', 'SELL'].includes(trade.type)) return null;
+
+    const payments = await this.aggregate([
+        { $match: { type: 'PAYMENT', settles: trade._id } },
+        { $group: { _id: null, total: { $sum: { $abs: '$amount' } } } }
+    ]);
+
+    const tradeValue = trade.qty * trade.price;
+    const paidUpfront = trade.paymentTerms === 'CREDIT' ? (trade.paidUpfront || 0) : tradeValue;
+    const settledAmount = paidUpfront + (payments[0]?.total || 0);
+    const settlementStatus = getSettlementStatus(tradeValue, settledAmount);
+
+    await this.updateOne({ _id: trade._id }, { tradeValue, settledAmount, settlementStatus });
+    return { tradeValue, settledAmount, settlementStatus, outstanding: Math.max(tradeValue - settledAmount, 0) };
+};
+
+// Static method: Get receivable (SELL) or payable (BUY) aging buckets
+transactionSchema.statics.getAging = async function(side, asOf = new Date()) {
+    const type = side === 'receivables' ? 'SELL' : 'BUY';
+    const open = await this.find({ type, settlementStatus: { $in: ['OPEN', 'PARTIAL'] } })
         .sort({ date: 1 })
-        .select('date amount rawStockChange procStockChange')
+        .populate('counterparty', 'name type')
+        .lean();
+
+    const buckets = { current: 0, '1-30': 0, '31-60': 0, '61-90': 0, '90+': 0 };
+    const dayMs = 24 * 60 * 60 * 1000;
+
+    const items = open.map(t => {
+        const outstanding = Math.max((t.tradeValue || 0) - (t.settledAmount || 0), 0);
+        const dueDate = t.dueDate || t.date;
+        const daysOverdue = Math.floor((asOf - new Date(dueDate)) / dayMs);
+
+        let bucket = 'current';
+        if (daysOverdue > 90) bucket = '90+';
+        else if (daysOverdue > 60) bucket = '61-90';
+        else if (daysOverdue > 30) bucket = '31-60';
+        else if (daysOverdue > 0) bucket = '1-30';
+
+        buckets[bucket] += outstanding;
+
+        return {
+            _id: t._id,
+            date: t.date,
+            dueDate,
+            counterparty: t.counterparty || null,
+            qty: t.qty,
+            tradeValue: t.tradeValue,
+            settledAmount: t.settledAmount,
+            outstanding,
+            daysOverdue: Math.max(daysOverdue, 0),
+            bucket,
+            notes: t.notes
+        };
+    }).filter(i => i.outstanding > 0);
+
+    return {
+        side,
+        asOf,
+        total: items.reduce((sum, i) => sum + i.outstanding, 0),
+        buckets,
+        items
+    };
+};
+
+// Static method: Get raw/processed stock per location (TRANSFER moves qty from location to toLocation)
+transactionSchema.statics.getStockByLocation = async function() {
+    const signedQty = (stockType, sign) => ({
+        $cond: [{ $eq: ['$stockType', stockType] }, { $multiply: ['$qty', sign] }, 0]
+    });
+
+    const result = await this.aggregate([
+        {
+            $match: {
+                $or: [
+                    { type: 'TRANSFER' },
+                    { rawStockChange: { $ne: 0 } },
+                    { procStockChange: { $ne: 0 } }
+                ]
+            }
+        },
+        {
+            $project: {
+                moves: {
+                    $cond: [
+                        { $eq: ['$type', 'TRANSFER'] },
+                        [
+                            { location: '$location', raw: signedQty('RAW', -1), proc: signedQty('PROC', -1) },
+                            { location: '$toLocation', raw: signedQty('RAW', 1), proc: signedQty('PROC', 1) }
+                        ],
+                        [
+                            { location: '$location', raw: '$rawStockChange', proc: '$procStockChange' }
+                        ]
+                    ]
+                }
+            }
+        },
+        { $unwind: '$moves' },
+        {
+            $group: {
+                _id: { $ifNull: ['$moves.location', null] },
+                rawStock: { $sum: '$moves.raw' },
+                procStock: { $sum: '$moves.proc' }
+            }
+        },
+        {
+            $lookup: {
+                from: 'locations',
+                localField: '_id',
+                foreignField: '_id',
+                as: 'loc'
+            }
+        },
+        {
+            $project: {
+                _id: 0,
+                location: '$_id',
+                name: { $ifNull: [{ $arrayElemAt: ['$loc.name', 0] }, 'Unassigned'] },
+                rawStock: 1,
+                procStock: 1
+            }
+        },
+        { $sort: { name: 1 } }
+    ]);
+
+    return result;
+};
+
+/**
+ * Kernel stock change per grade as [grade, qty] pairs (null grade = ungraded)
+ */
+const gradeMoves = (t) => {
+    if (t.type === 'PROCESS' && t.gradeOutputs?.length) {
+        return t.gradeOutputs.map(g => [g.grade, g.qty || 0]);
+    }
+    return t.procStockChange ? [[t.grade || null, t.procStockChange]] : [];
+};
+
+// Static method: Get kernel stock per grade (PROCESS output by grade less SELL/ADJUSTMENT of that grade)
+transactionSchema.statics.getStockByGrade = async function() {
+    const result = await this.aggregate([
+        {
+            $match: {
+                type: { $in: ['PROCESS', 'SELL', 'ADJUSTMENT'] },
+                procStockChange: { $ne: 0 }
+            }
+        },
+        {
+            $project: {
+                moves: {
+                    $cond: [
+                        { $gt: [{ $size: { $ifNull: ['$gradeOutputs', []] } }, 0] },
+                        '$gradeOutputs',
+                        [{ grade: { $ifNull: ['$grade', null] }, qty: '$procStockChange' }]
+                    ]
+                }
+            }
+        },
+        { $unwind: '$moves' },
+        {
+            $group: {
+                _id: '$moves.grade',
+                procStock: { $sum: '$moves.qty' }
+            }
+        },
+        {
+            $project: {
+                _id: 0,
+                grade: '$_id',
+                procStock: 1
+            }
+        },
+        { $sort: { grade: 1 } }
+    ]);
+
+    return result;
+};
+
+// Static method: Get by-product stock per kind (PROCESS output less BYPRODUCT_SALE)
+transactionSchema.statics.getByProductStock = async function() {
+    const result = await this.aggregate([
+        { $match: { type: { $in: ['PROCESS', 'BYPRODUCT_SALE'] } } },
+        {
+            $project: {
+                moves: {
+                    $cond: [
+                        { $eq: ['$type', 'PROCESS'] },
+                        { $ifNull: ['$byProducts', []] },
+                        [{ kind: '$byProduct', qty: { $multiply: ['$qty', -1] } }]
+                    ]
+                }
+            }
+        },
+        { $unwind: '$moves' },
+        {
+            $group: {
+                _id: '$moves.kind',
+                qty: { $sum: '$moves.qty' }
+            }
+        }
+    ]);
+
+    return Object.fromEntries(BYPRODUCT_KINDS.map(kind => [
+        kind,
+        result.find(r => r._id === kind)?.qty || 0
+    ]));
+};
+
+// Static method: Get chart data, optionally for a period starting from its opening balances
+transactionSchema.statics.getChartData = async function({ from, before, opening } = {}) {
+    const transactions = await this.find(before ? { date: { $lt: before } } : {})
+        .sort({ date: 1 })
+        .select('type date amount rawStockChange procStockChange grade gradeOutputs')
         .lean();
     
-    let runningCash = 0;
-    let runningRaw = 0;
-    let runningProc = 0;
+    let runningCash = opening?.cash || 0;
+    let runningRaw = opening?.rawStock || 0;
+    let runningProc = opening?.procStock || 0;
+    const runningGrades = new Map();
     
     const chartData = {};
     
     transactions.forEach(t => {
+        // Grade lines carry their history; the totals start from the opening balances
+        gradeMoves(t).forEach(([grade, qty]) => {
+            runningGrades.set(grade, (runningGrades.get(grade) || 0) + qty);
+        });
+        if (from && t.date < from) return;
+        
         const dateKey = t.date.toISOString().split('T')[0];
         runningCash += t.amount || 0;
         runningRaw += t.rawStockChange || 0;
@@ -186,7 +723,8 @@ transactionSchema.statics.getChartData = async function() {
         chartData[dateKey] = {
             cash: runningCash,
             raw: runningRaw,
-            proc: runningProc
+            proc: runningProc,
+            grades: new Map(runningGrades)
         };
     });
     
@@ -196,20 +734,58 @@ transactionSchema.statics.getChartData = async function() {
         dates,
         cashPoints: dates.map(d => chartData[d].cash),
         rawPoints: dates.map(d => chartData[d].raw),
-        procPoints: dates.map(d => chartData[d].proc)
+        procPoints: dates.map(d => chartData[d].proc),
+        gradeSeries: [...runningGrades.keys()].map(grade => ({
+            grade,
+            points: dates.map(d => chartData[d].grades.get(grade) || 0)
+        }))
     };
 };
 
-// Static method: Get market analytics for decision engine
-transactionSchema.statics.getMarketAnalytics = async function(type) {
-    const history = await this.find({ type })
+// Static method: Get trade totals per counterparty
+transactionSchema.statics.getCounterpartyTotals = async function() {
+    const result = await this.aggregate([
+        {
+            $match: {
+                type: { $in: ['BUY', 'SELL'] },
+                counterparty: { $ne: null }
+            }
+        },
+        {
+            $group: {
+                _id: '$counterparty',
+                tradeCount: { $sum: 1 },
+                boughtQty: { $sum: { $cond: [{ $eq: ['$type', 'BUY'] }, '$qty', 0] } },
+                soldQty: { $sum: { $cond: [{ $eq: ['$type', 'SELL'] }, '$qty', 0] } },
+                totalValue: { $sum: { $ifNull: ['$tradeValue', { $abs: '$amount' }] } },
+                outstanding: {
+                    $sum: { $max: [{ $subtract: [{ $ifNull: ['$tradeValue', 0] }, { $ifNull: ['$settledAmount', 0] }] }, 0] }
+                },
+                lastTradeAt: { $max: '$date' }
+            }
+        }
+    ]);
+
+    return new Map(result.map(r => [r._id.toString(), r]));
+};
+
+// Static method: Get market analytics for decision engine (SELL prices can be narrowed to one grade)
+transactionSchema.statics.getMarketAnalytics = async function(type, grade = null) {
+    const query = { type };
+    if (type === 'SELL' && grade) query.grade = grade;
+    
+    const history = await this.find(query)
         .sort({ date: -1 })
         .limit(5)
         .select('price')
         .lean();
     
     const procHistory = await this.find({ type: 'PROCESS' })
-        .select('recovery')
+        .select('recovery outputQty gradeOutputs')
+        .lean();
+    
+    const dryingHistory = await this.find({ type: 'DRYING' })
+        .select('inputQty outputQty')
         .lean();
     
     let avgPrice = 0, slope = 0, acceleration = 0;
@@ -235,9 +811,38 @@ transactionSchema.statics.getMarketAnalytics = async function(type) {
         avgRecovery = procHistory.reduce((sum, t) => sum + (parseFloat(t.recovery) || 0), 0) / procHistory.length;
     }
     
-    return { avgPrice, slope, acceleration, avgRecovery, historyCount: history.length };
+    // Nuts are bought wet; PROCESS recovery is against dried nuts
+    const wetDried = dryingHistory.reduce((sum, t) => sum + (t.inputQty || 0), 0);
+    const dryLeft = dryingHistory.reduce((sum, t) => sum + (t.outputQty || 0), 0);
+    const avgMoistureLoss = wetDried > 0 ? ((wetDried - dryLeft) / wetDried) * 100 : 0;
+    const avgWetRecovery = avgRecovery * (1 - avgMoistureLoss / 100);
+    
+    // Share of graded kernel output that comes out as each grade
+    const gradedOutput = new Map();
+    let gradedTotal = 0;
+    procHistory.forEach(t => {
+        (t.gradeOutputs || []).forEach(g => {
+            gradedOutput.set(g.grade, (gradedOutput.get(g.grade) || 0) + (g.qty || 0));
+            gradedTotal += g.qty || 0;
+        });
+    });
+    const gradeMix = [...gradedOutput].map(([code, qty]) => ({
+        grade: code,
+        share: parseFloat(((qty / gradedTotal) * 100).toFixed(1))
+    }));
+    
+    return {
+        avgPrice, slope, acceleration, avgRecovery, avgMoistureLoss, avgWetRecovery,
+        historyCount: history.length, grade, gradeMix
+    };
 };
 
+// Deletes go to the recycle bin
+transactionSchema.plugin(softDelete);
+
+// Each organization has its own
+transactionSchema.plugin(tenant);
+
 const Transaction = mongoose.model('Transaction', transactionSchema);
 
 export default Transaction;
@@ -31,6 +31,20 @@ const userSchema = new mongoose.Schema({
         enum: ['read', 'write', 'delete', 'admin', 'manage_users']
     }],
     
+    // Organizations (businesses) the user can work in
+    memberships: [{
+        _id: false,
+        organization: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Organization',
+            required: true
+        },
+        joinedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    
     // Key file metadata
     keyFileId: {
         type: String,
@@ -105,6 +119,12 @@ userSchema.methods.revokeKeyFile = function(reason = 'Manual revocation') {
     this.keyFileRevokedReason = reason;
 };
 
+// Superadmins can work in every organization
+userSchema.methods.canAccessOrganization = function(organizationId) {
+    if (this.role === 'superadmin') return true;
+    return this.memberships.some(m => String(m.organization) === String(organizationId));
+};
+
 userSchema.methods.toPublicJSON = function() {
     return {
         id: this._id,
@@ -112,6 +132,7 @@ userSchema.methods.toPublicJSON = function() {
         email: this.email,
         role: this.role,
         permissions: this.permissions,
+        organizations: this.memberships.map(m => m.organization),
         deviceLimit: this.deviceLimit,
         isActive: this.isActive,
         lastLoginAt: this.lastLoginAt,
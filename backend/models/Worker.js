@@ -0,0 +1,73 @@
+/**
+ * Worker Model
+ * Labourers paid a daily wage or a piece rate per kg handled
+ */
+
+import mongoose from 'mongoose';
+import tenant from './plugins/tenant.js';
+
+const workerSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Name is required'],
+        trim: true,
+        maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+    phone: {
+        type: String,
+        trim: true,
+        maxlength: [30, 'Phone cannot exceed 30 characters']
+    },
+    // DAILY pays dailyRate per day worked, PIECE pays pieceRate per kg handled
+    rateType: {
+        type: String,
+        enum: ['DAILY', 'PIECE'],
+        default: 'DAILY'
+    },
+    dailyRate: {
+        type: Number,
+        default: 0,
+        min: [0, 'Daily rate cannot be negative']
+    },
+    pieceRate: {
+        type: Number,
+        default: 0,
+        min: [0, 'Piece rate cannot be negative']
+    },
+    // Workers who have left keep their attendance and payments but cannot be marked present
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Notes cannot exceed 500 characters']
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+workerSchema.index({ isActive: 1, name: 1 });
+
+// Validation: the rate the worker is paid by must be set
+workerSchema.pre('validate', function(next) {
+    if (this.rateType === 'DAILY' && !(this.dailyRate > 0)) {
+        this.invalidate('dailyRate', 'Daily rate must be greater than 0');
+    }
+    if (this.rateType === 'PIECE' && !(this.pieceRate > 0)) {
+        this.invalidate('pieceRate', 'Piece rate must be greater than 0');
+    }
+    next();
+});
+
+// Each organization has its own
+workerSchema.plugin(tenant);
+
+const Worker = mongoose.model('Worker', workerSchema);
+
+export default Worker;
@@ -0,0 +1,66 @@
+/**
+ * Soft Delete Plugin
+ * Deleted documents keep their data with deletedAt/deletedBy set and are hidden from
+ * find, count and aggregate queries. Pass the `withDeleted` query option to see them,
+ * or filter on `deletedAt` directly (in an aggregate, in the first $match).
+ */
+
+import mongoose from 'mongoose';
+
+const READ_QUERIES = ['find', 'findOne', 'countDocuments', 'distinct', 'findOneAndUpdate'];
+
+export default function softDelete(schema) {
+    schema.add({
+        deletedAt: {
+            type: Date,
+            default: null
+        },
+        deletedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        }
+    });
+
+    schema.index({ deletedAt: 1 });
+
+    schema.pre(READ_QUERIES, function() {
+        if (this.getOptions().withDeleted || this.getFilter().deletedAt !== undefined) return;
+        this.where({ deletedAt: null });
+    });
+
+    schema.pre('aggregate', function() {
+        const first = this.pipeline()[0];
+        if (first?.$match?.deletedAt !== undefined) return;
+        this.pipeline().unshift({ $match: { deletedAt: null } });
+    });
+
+    // Static method: Move matching documents to the recycle bin
+    schema.statics.softDeleteMany = function(filter, userId) {
+        return this.updateMany(
+            { ...filter, deletedAt: null },
+            { deletedAt: new Date(), deletedBy: userId }
+        );
+    };
+
+    // Method: Move this document to the recycle bin
+    schema.methods.softDelete = async function(userId) {
+        this.deletedAt = new Date();
+        this.deletedBy = userId;
+        await this.constructor.updateOne(
+            { _id: this._id },
+            { deletedAt: this.deletedAt, deletedBy: userId }
+        );
+        return this;
+    };
+
+    // Method: Bring this document back from the recycle bin
+    schema.methods.restore = async function() {
+        this.deletedAt = null;
+        this.deletedBy = undefined;
+        await this.constructor.updateOne(
+            { _id: this._id },
+            { $set: { deletedAt: null }, $unset: { deletedBy: 1 } }
+        );
+        return this;
+    };
+}
@@ -0,0 +1,52 @@
+/**
+ * Tenant Plugin
+ * Every document belongs to an organization. Inside a request (see TenantContext) queries,
+ * updates, deletes and aggregates only see the current organization and new documents are
+ * stamped with it. Pass the `allOrganizations` query option, or filter on `organization`
+ * directly, to look across organizations. Outside a request (start-up, scheduler) nothing
+ * is scoped.
+ */
+
+import mongoose from 'mongoose';
+import { TenantContext } from '../../services/tenancy.js';
+
+const SCOPED_QUERIES = [
+    'find', 'findOne', 'countDocuments', 'distinct',
+    'findOneAndUpdate', 'findOneAndDelete', 'findOneAndReplace',
+    'updateOne', 'updateMany', 'replaceOne', 'deleteOne', 'deleteMany'
+];
+
+export default function tenant(schema) {
+    schema.add({
+        organization: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Organization',
+            required: [true, 'Organization is required']
+        }
+    });
+
+    schema.index({ organization: 1 });
+
+    // Static method: Marks models the start-up migration assigns to an organization
+    schema.statics.scopedByOrganization = true;
+
+    schema.pre(SCOPED_QUERIES, function() {
+        if (!TenantContext.isActive()) return;
+        if (this.getOptions().allOrganizations || this.getFilter().organization !== undefined) return;
+        this.where({ organization: TenantContext.get() });
+    });
+
+    schema.pre('aggregate', function() {
+        if (!TenantContext.isActive() || this.options.allOrganizations) return;
+        this.pipeline().unshift({ $match: { organization: TenantContext.get() } });
+    });
+
+    // Also covers insertMany(), which builds and validates a document from each object it is
+    // given (the caller's own objects are left as they are, so shared defaults can be reused)
+    schema.pre('validate', function(next) {
+        if (!this.organization && TenantContext.isActive()) {
+            this.organization = TenantContext.get();
+        }
+        next();
+    });
+}
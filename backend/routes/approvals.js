@@ -0,0 +1,20 @@
+/**
+ * Approval Routes
+ * API endpoints for transaction changes waiting for approval (reviewing is admin only)
+ */
+
+import express from 'express';
+import {
+    getApprovals,
+    approveChange,
+    rejectChange
+} from '../controllers/approvalController.js';
+import { requireRole } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.get('/', getApprovals);
+router.post('/:id/approve', requireRole('admin', 'superadmin'), approveChange);
+router.post('/:id/reject', requireRole('admin', 'superadmin'), rejectChange);
+
+export default router;
@@ -17,7 +17,8 @@ import {
     regenerateKeyFile,
     terminateSession,
     initializeSuperAdmin,
-    updateUserPassword
+    updateUserPassword,
+    switchOrganization
 } from '../controllers/authController.js';
 import { protect, requireRole, loginRateLimit, rateLimit } from '../middleware/auth.js';
 
@@ -32,6 +33,7 @@ router.post('/login/password', loginRateLimit, loginWithPassword);
 router.get('/me', protect, getCurrentUser);
 router.post('/logout', protect, logout);
 router.post('/logout-all', protect, logoutAll);
+router.put('/organization', protect, switchOrganization);
 
 // Admin routes
 router.get('/users', protect, requireRole('admin', 'superadmin'), getUsers);
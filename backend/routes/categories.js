@@ -0,0 +1,25 @@
+/**
+ * Category Routes
+ * API endpoints for expense and income categories (changes are admin only)
+ */
+
+import express from 'express';
+import {
+    getCategories,
+    createCategory,
+    updateCategory,
+    deleteCategory
+} from '../controllers/categoryController.js';
+import { requireRole } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.route('/')
+    .get(getCategories)
+    .post(requireRole('admin', 'superadmin'), createCategory);
+
+router.route('/:id')
+    .put(requireRole('admin', 'superadmin'), updateCategory)
+    .delete(requireRole('admin', 'superadmin'), deleteCategory);
+
+export default router;
@@ -0,0 +1,38 @@
+/**
+ * Counterparty Routes
+ * API endpoints for suppliers and buyers (reading, writing and deleting each need that permission)
+ */
+
+import express from 'express';
+import {
+    getCounterparties,
+    getCounterparty,
+    createCounterparty,
+    updateCounterparty,
+    deleteCounterparty,
+    getSuggestions,
+    applySuggestion
+} from '../controllers/counterpartyController.js';
+import { requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const canRead = requirePermission('read');
+const canWrite = requirePermission('write');
+const canDelete = requirePermission('delete');
+
+// Migration helpers (must be before /:id routes)
+router.get('/suggestions', canRead, getSuggestions);
+router.post('/suggestions/apply', canWrite, applySuggestion);
+
+// CRUD routes
+router.route('/')
+    .get(canRead, getCounterparties)
+    .post(canWrite, createCounterparty);
+
+router.route('/:id')
+    .get(canRead, getCounterparty)
+    .put(canWrite, updateCounterparty)
+    .delete(canDelete, deleteCounterparty);
+
+export default router;
@@ -0,0 +1,36 @@
+/**
+ * Loan Routes
+ * API endpoints for the loan ledger (reading, writing and deleting each need that permission)
+ */
+
+import express from 'express';
+import {
+    getLoans,
+    getLoan,
+    createLoan,
+    updateLoan,
+    deleteLoan,
+    repayLoan
+} from '../controllers/loanController.js';
+import { requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const canRead = requirePermission('read');
+const canWrite = requirePermission('write');
+const canDelete = requirePermission('delete');
+
+// CRUD routes
+router.route('/')
+    .get(canRead, getLoans)
+    .post(canWrite, createLoan);
+
+router.route('/:id')
+    .get(canRead, getLoan)
+    .put(canWrite, updateLoan)
+    .delete(canDelete, deleteLoan);
+
+// Repayments
+router.post('/:id/repayments', canWrite, repayLoan);
+
+export default router;
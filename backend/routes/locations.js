@@ -0,0 +1,29 @@
+/**
+ * Location Routes
+ * API endpoints for storage locations (reading, writing and deleting each need that permission)
+ */
+
+import express from 'express';
+import {
+    getLocations,
+    createLocation,
+    updateLocation,
+    deleteLocation
+} from '../controllers/locationController.js';
+import { requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const canRead = requirePermission('read');
+const canWrite = requirePermission('write');
+const canDelete = requirePermission('delete');
+
+router.route('/')
+    .get(canRead, getLocations)
+    .post(canWrite, createLocation);
+
+router.route('/:id')
+    .put(canWrite, updateLocation)
+    .delete(canDelete, deleteLocation);
+
+export default router;
@@ -0,0 +1,15 @@
+/**
+ * Lot Routes
+ * API endpoints for lot traceability
+ */
+
+import express from 'express';
+import { getLots, getBatches, traceLot } from '../controllers/lotController.js';
+
+const router = express.Router();
+
+router.get('/', getLots);
+router.get('/batches', getBatches);
+router.get('/:id/trace', traceLot);
+
+export default router;
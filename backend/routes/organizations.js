@@ -0,0 +1,28 @@
+/**
+ * Organization Routes
+ * API endpoints for organizations and their members (admin only)
+ */
+
+import express from 'express';
+import {
+    getOrganizations,
+    createOrganization,
+    updateOrganization,
+    addMember,
+    removeMember
+} from '../controllers/organizationController.js';
+import { requireRole } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const adminOnly = requireRole('admin', 'superadmin');
+
+router.route('/')
+    .get(adminOnly, getOrganizations)
+    .post(adminOnly, createOrganization);
+
+router.put('/:id', adminOnly, updateOrganization);
+router.post('/:id/members', adminOnly, addMember);
+router.delete('/:id/members/:userId', adminOnly, removeMember);
+
+export default router;
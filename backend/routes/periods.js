@@ -0,0 +1,24 @@
+/**
+ * Period Routes
+ * API endpoints for closing and reopening accounting periods (closing and reopening are admin only)
+ */
+
+import express from 'express';
+import {
+    getPeriods,
+    closePeriod,
+    reopenPeriod
+} from '../controllers/periodController.js';
+import { requireRole } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const adminOnly = requireRole('admin', 'superadmin');
+
+router.route('/')
+    .get(getPeriods)
+    .post(adminOnly, closePeriod);
+
+router.post('/:id/reopen', adminOnly, reopenPeriod);
+
+export default router;
@@ -0,0 +1,47 @@
+/**
+ * Recurring Routes
+ * API endpoints for recurring transaction templates and their queued occurrences (reading,
+ * writing and deleting each need that permission; skipping an occurrence is a write)
+ */
+
+import express from 'express';
+import {
+    getTemplates,
+    createTemplate,
+    updateTemplate,
+    deleteTemplate,
+    getPending,
+    confirmPending,
+    skipPending,
+    runRecurring,
+    catchUpTemplate
+} from '../controllers/recurringController.js';
+import { requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const canRead = requirePermission('read');
+const canWrite = requirePermission('write');
+const canDelete = requirePermission('delete');
+
+// Queue and manual run (before /:id so they are not taken for an id)
+router.get('/pending', canRead, getPending);
+router.post('/run', canWrite, runRecurring);
+
+// CRUD routes
+router.route('/')
+    .get(canRead, getTemplates)
+    .post(canWrite, createTemplate);
+
+router.route('/:id')
+    .put(canWrite, updateTemplate)
+    .delete(canDelete, deleteTemplate);
+
+// Occurrences waiting for confirmation
+router.post('/:id/pending/:pendingId/confirm', canWrite, confirmPending);
+router.delete('/:id/pending/:pendingId', canWrite, skipPending);
+
+// Bring a template that is far behind up to date
+router.post('/:id/catch-up', canWrite, catchUpTemplate);
+
+export default router;
@@ -0,0 +1,16 @@
+/**
+ * Setting Routes
+ * API endpoints for business-wide settings
+ */
+
+import express from 'express';
+import { getSettings, updateSettings } from '../controllers/settingController.js';
+import { requireRole } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.route('/')
+    .get(getSettings)
+    .put(requireRole('admin', 'superadmin'), updateSettings);
+
+export default router;
@@ -1,35 +1,79 @@
 /**
  * Transaction Routes
- * API endpoints for transaction operations
+ * API endpoints for transaction operations (reading, writing and deleting each need that permission)
  */
 
 import express from 'express';
 import {
     getTransactions,
     getTransaction,
+    getTransactionHistory,
     createTransaction,
     updateTransaction,
     deleteTransaction,
     deleteAllTransactions,
     getStats,
-    getAnalytics
+    getAnalytics,
+    getAging,
+    getActivity,
+    previewAutoProcess,
+    getDeletedTransactions,
+    restoreTransaction,
+    restoreAllTransactions,
+    purgeTransaction,
+    emptyRecycleBin
 } from '../controllers/transactionController.js';
+import {
+    getAttachments,
+    uploadAttachment,
+    downloadAttachment,
+    deleteAttachment
+} from '../controllers/attachmentController.js';
+import { requireRole, requirePermission } from '../middleware/auth.js';
+import { requireApproval } from '../middleware/approval.js';
 
 const router = express.Router();
 
+const canRead = requirePermission('read');
+const canWrite = requirePermission('write');
+const canDelete = requirePermission('delete');
+
 // Stats & Analytics (must be before /:id routes)
-router.get('/stats', getStats);
-router.get('/analytics/:type', getAnalytics);
+router.get('/stats', canRead, getStats);
+router.get('/analytics/:type', canRead, getAnalytics);
+router.get('/aging/:side', canRead, getAging);
+router.get('/auto-process/preview', canRead, previewAutoProcess);
+router.get('/activity', requireRole('admin', 'superadmin'), getActivity);
+
+// Recycle bin (must be before /:id routes); restoring needs delete, purging is admin only
+router.route('/deleted')
+    .get(canRead, getDeletedTransactions)
+    .delete(requireRole('admin', 'superadmin'), emptyRecycleBin);
+router.post('/deleted/restore', canDelete, restoreAllTransactions);
 
-// CRUD routes
+// CRUD routes; resetting everything needs the admin permission. ADJUSTMENTs, edits of older
+// records and deletions by users without the delete permission wait for an admin's approval.
 router.route('/')
-    .get(getTransactions)
-    .post(createTransaction)
-    .delete(deleteAllTransactions);
+    .get(canRead, getTransactions)
+    .post(canWrite, requireApproval('CREATE'), createTransaction)
+    .delete(requirePermission('admin'), deleteAllTransactions);
 
 router.route('/:id')
-    .get(getTransaction)
-    .put(updateTransaction)
-    .delete(deleteTransaction);
+    .get(canRead, getTransaction)
+    .put(canWrite, requireApproval('UPDATE'), updateTransaction)
+    .delete(requirePermission('write', 'delete'), requireApproval('DELETE'), deleteTransaction);
+
+router.get('/:id/history', canRead, getTransactionHistory);
+router.post('/:id/restore', canDelete, restoreTransaction);
+router.delete('/:id/purge', requireRole('admin', 'superadmin'), purgeTransaction);
+
+// Receipts, tickets and bills
+router.route('/:id/attachments')
+    .get(canRead, getAttachments)
+    .post(canWrite, uploadAttachment);
+
+router.route('/:id/attachments/:attachmentId')
+    .get(canRead, downloadAttachment)
+    .delete(canDelete, deleteAttachment);
 
 export default router;
@@ -0,0 +1,51 @@
+/**
+ * Worker Routes
+ * API endpoints for workers, attendance, wage payments and labour cost (reading, writing and
+ * deleting each need that permission)
+ */
+
+import express from 'express';
+import {
+    getWorkers,
+    createWorker,
+    updateWorker,
+    deleteWorker,
+    payWorker,
+    getAttendance,
+    recordAttendance,
+    updateAttendance,
+    deleteAttendance,
+    getLabourCost
+} from '../controllers/workerController.js';
+import { requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const canRead = requirePermission('read');
+const canWrite = requirePermission('write');
+const canDelete = requirePermission('delete');
+
+// Attendance and labour cost (before /:id so they are not taken for an id)
+router.route('/attendance')
+    .get(canRead, getAttendance)
+    .post(canWrite, recordAttendance);
+
+router.route('/attendance/:id')
+    .put(canWrite, updateAttendance)
+    .delete(canDelete, deleteAttendance);
+
+router.get('/labour-cost', canRead, getLabourCost);
+
+// CRUD routes
+router.route('/')
+    .get(canRead, getWorkers)
+    .post(canWrite, createWorker);
+
+router.route('/:id')
+    .put(canWrite, updateWorker)
+    .delete(canDelete, deleteWorker);
+
+// Wage payments
+router.post('/:id/payments', canWrite, payWorker);
+
+export default router;
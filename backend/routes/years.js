@@ -0,0 +1,24 @@
+/**
+ * Financial Year Routes
+ * API endpoints for financial years and the year-end rollover (changes are admin only)
+ */
+
+import express from 'express';
+import {
+    getYears,
+    createYear,
+    updateYear,
+    rolloverYear
+} from '../controllers/yearController.js';
+import { requireRole } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.route('/')
+    .get(getYears)
+    .post(requireRole('admin', 'superadmin'), createYear);
+
+router.put('/:id', requireRole('admin', 'superadmin'), updateYear);
+router.post('/:id/rollover', requireRole('admin', 'superadmin'), rolloverYear);
+
+export default router;
@@ -10,6 +10,20 @@ import { fileURLToPath } from 'url';
 import connectDB from './config/db.js';
 import transactionRoutes from './routes/transactions.js';
 import authRoutes from './routes/auth.js';
+import counterpartyRoutes from './routes/counterparties.js';
+import loanRoutes from './routes/loans.js';
+import settingRoutes from './routes/settings.js';
+import lotRoutes from './routes/lots.js';
+import locationRoutes from './routes/locations.js';
+import categoryRoutes from './routes/categories.js';
+import periodRoutes from './routes/periods.js';
+import yearRoutes from './routes/years.js';
+import recurringRoutes from './routes/recurring.js';
+import workerRoutes from './routes/workers.js';
+import organizationRoutes from './routes/organizations.js';
+import approvalRoutes from './routes/approvals.js';
+import { RecurringService } from './services/recurring.js';
+import Organization from './models/Organization.js';
 import { optionalAuth, protect } from './middleware/auth.js';
 
 // ES Module dirname equivalent
@@ -23,8 +37,15 @@ const NODE_ENV = process.env.NODE_ENV || 'development';
 // Initialize Express
 const app = express();
 
-// Connect to MongoDB
-connectDB();
+// Connect to MongoDB, move data from before organizations into a default one, then post
+// due recurring transactions now and every hour
+connectDB()
+    .then(() => Organization.ensureDefault())
+    .then(() => RecurringService.start())
+    .catch((error) => {
+        console.error(`❌ Start-up failed: ${error.message}`);
+        process.exit(1);
+    });
 
 // Middleware
 app.use(cors({
@@ -60,6 +81,42 @@ app.use('/api/auth', authRoutes);
 // Protected Transaction Routes - require authentication
 app.use('/api/transactions', protect, transactionRoutes);
 
+// Protected Counterparty Routes (suppliers & buyers)
+app.use('/api/counterparties', protect, counterpartyRoutes);
+
+// Protected Loan Routes (lenders, schedules, repayments)
+app.use('/api/loans', protect, loanRoutes);
+
+// Protected Lot Routes (purchase lots, batches, traceability)
+app.use('/api/lots', protect, lotRoutes);
+
+// Protected Location Routes (storage locations)
+app.use('/api/locations', protect, locationRoutes);
+
+// Protected Category Routes (expense/income categories; changes are admin only)
+app.use('/api/categories', protect, categoryRoutes);
+
+// Protected Settings Routes (updates are admin only)
+app.use('/api/settings', protect, settingRoutes);
+
+// Protected Period Routes (closing the books; reopening is admin only)
+app.use('/api/periods', protect, periodRoutes);
+
+// Protected Financial Year Routes (opening balances, rollover; changes are admin only)
+app.use('/api/years', protect, yearRoutes);
+
+// Protected Recurring Routes (recurring templates and occurrences waiting for confirmation)
+app.use('/api/recurring', protect, recurringRoutes);
+
+// Protected Worker Routes (attendance, wage payments, labour cost)
+app.use('/api/workers', protect, workerRoutes);
+
+// Protected Organization Routes (organizations and their members, admin only)
+app.use('/api/organizations', protect, organizationRoutes);
+
+// Protected Approval Routes (transaction changes waiting for an admin)
+app.use('/api/approvals', protect, approvalRoutes);
+
 // Serve static frontend files in production
 if (NODE_ENV === 'production') {
     // Serve static files from parent directory (frontend)
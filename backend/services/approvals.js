@@ -0,0 +1,183 @@
+/**
+ * Approval Service
+ * Decides which transaction changes need an admin's approval, queues them with their proposed
+ * diff and, once approved, replays them through the normal transaction handlers
+ */
+
+import Transaction from '../models/Transaction.js';
+import Setting from '../models/Setting.js';
+import ChangeRequest from '../models/ChangeRequest.js';
+import { AuditService } from './audit.js';
+import {
+    createTransaction,
+    updateTransaction,
+    deleteTransaction
+} from '../controllers/transactionController.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const HANDLERS = {
+    CREATE: createTransaction,
+    UPDATE: updateTransaction,
+    DELETE: deleteTransaction
+};
+
+/**
+ * Run a route handler with a stand-in response and resolve with the status and body it sent
+ */
+const replay = (handler, req) => new Promise((resolve, reject) => {
+    const res = {
+        statusCode: 200,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            resolve({ status: this.statusCode, body });
+            return this;
+        }
+    };
+    Promise.resolve(handler(req, res)).catch(reject);
+});
+
+/**
+ * One line naming a transaction for the approvals list
+ */
+const describe = (t) => {
+    const date = t.date ? new Date(t.date).toISOString().substring(0, 10) : 'no date';
+    return `${t.type} on ${date}${t.notes ? ` - ${t.notes}` : ''}`;
+};
+
+export const ApprovalService = {
+    /**
+     * Whether a change must wait for an admin: deletions by users without the delete permission,
+     * ADJUSTMENTs, and edits of transactions dated, or being moved to, more than `approvalAfterDays` ago
+     */
+    async needsApproval(req, action) {
+        const { role, permissions = [] } = req.user;
+        if (['admin', 'superadmin'].includes(role)) return false;
+
+        switch (action) {
+            case 'CREATE':
+                return req.body.type === 'ADJUSTMENT';
+
+            case 'DELETE':
+                return !permissions.includes('delete');
+
+            case 'UPDATE': {
+                const transaction = await Transaction.findById(req.params.id).select('type date');
+                if (!transaction) return false;
+                if (transaction.type === 'ADJUSTMENT') return true;
+
+                const { approvalAfterDays } = await Setting.getSettings();
+                const cutoff = Date.now() - approvalAfterDays * DAY_MS;
+                const newDate = req.body.date !== undefined ? new Date(req.body.date) : null;
+                // An unreadable new date is left to the edit handler to refuse
+                return transaction.date.getTime() < cutoff || newDate?.getTime() < cutoff;
+            }
+
+            default:
+                return false;
+        }
+    },
+
+    /**
+     * Queue a change with its proposed diff. Edits are previewed through the edit handler first,
+     * so a change that could not be applied is refused now rather than at approval.
+     * @returns {Object} { change } or { response: { status, body } } to send back as is
+     */
+    async request(req, action) {
+        const payload = { ...req.body };
+        let transaction = null;
+        let changes = [];
+
+        if (action === 'CREATE') {
+            changes = AuditService.diff(null, new Transaction(payload).applyDerivedFields());
+        } else {
+            transaction = await Transaction.findById(req.params.id);
+            if (!transaction) {
+                return { response: { status: 404, body: { success: false, error: 'Transaction not found' } } };
+            }
+
+            const waiting = await ChangeRequest.exists({ transaction: transaction._id, status: 'PENDING' });
+            if (waiting) {
+                return { response: { status: 400, body: { success: false, error: 'A change to this transaction is already waiting for approval' } } };
+            }
+
+            if (action === 'UPDATE') {
+                const preview = await replay(updateTransaction, Object.assign(Object.create(req), {
+                    query: { preview: 'true' },
+                    body: payload
+                }));
+                if (preview.status >= 400) return { response: preview };
+                changes = preview.body.changes || [];
+                if (!changes.length) {
+                    return { response: { status: 400, body: { success: false, error: 'Nothing was changed' } } };
+                }
+            } else {
+                changes = AuditService.changesFor('DELETE', transaction);
+            }
+        }
+
+        const actor = AuditService.actor(req);
+        const change = await ChangeRequest.create({
+            action,
+            transaction: transaction?._id,
+            transactionType: transaction?.type || payload.type,
+            payload,
+            changes,
+            summary: describe(transaction || payload),
+            requestedBy: actor.user,
+            requestedByName: actor.username,
+            session: actor.session,
+            device: actor.device
+        });
+
+        return { change };
+    },
+
+    /**
+     * Apply an approved change as the user who asked for it. If it can no longer be applied
+     * (period closed since, stock changed) it stays pending with the reason.
+     * @returns {Object} { change, result } or { error }
+     */
+    async approve(id, req, comment) {
+        // Claimed atomically so two admins cannot apply it twice
+        const change = await ChangeRequest.findOneAndUpdate(
+            { _id: id, status: 'PENDING' },
+            { status: 'APPROVED', reviewedBy: req.user.userId, reviewedAt: new Date(), reviewComment: comment, $unset: { error: 1 } },
+            { new: true, runValidators: true }
+        );
+        if (!change) return { error: 'Change request not found or already reviewed', status: 404 };
+
+        let result;
+        try {
+            result = await replay(HANDLERS[change.action], {
+                params: { id: change.transaction && String(change.transaction) },
+                query: {},
+                body: { ...change.payload },
+                user: { userId: change.requestedBy, username: change.requestedByName },
+                session: { _id: change.session, deviceInfo: change.device },
+                ip: change.device?.ip,
+                organization: req.organization
+            });
+        } catch (error) {
+            result = { status: 500, body: { error: error.message } };
+        }
+
+        if (result.status >= 400) {
+            await ChangeRequest.updateOne(
+                { _id: change._id },
+                { status: 'PENDING', error: result.body.error, $unset: { reviewedBy: 1, reviewedAt: 1 } }
+            );
+            return { error: result.body.error, status: 400 };
+        }
+
+        if (change.action === 'CREATE' && result.body.data?._id) {
+            change.transaction = result.body.data._id;
+            await change.save();
+        }
+
+        return { change, result: result.body };
+    }
+};
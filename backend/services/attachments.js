@@ -0,0 +1,109 @@
+/**
+ * Attachment Service
+ * Stores transaction attachments (and image thumbnails) in MongoDB GridFS
+ */
+
+import mongoose from 'mongoose';
+
+const BUCKET_NAME = 'attachments';
+
+// Files arrive base64-encoded in JSON, so keep well inside the 10mb body limit
+export const MAX_ATTACHMENT_BYTES = 5 * 1024 * 1024;
+const MAX_THUMBNAIL_BYTES = 200 * 1024;
+
+export const ATTACHMENT_TYPES = [
+    'image/jpeg',
+    'image/png',
+    'image/webp',
+    'image/heic',
+    'image/heif',
+    'application/pdf'
+];
+
+const bucket = () => new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: BUCKET_NAME });
+
+/**
+ * Decode a base64 string (plain or data URL) into a buffer
+ */
+const decode = (data) => {
+    if (typeof data !== 'string' || !data) return null;
+    const base64 = data.includes(',') ? data.split(',')[1] : data;
+    return Buffer.from(base64, 'base64');
+};
+
+/**
+ * Write a buffer to GridFS and resolve with its file ID
+ */
+const store = (buffer, fileName, contentType, metadata) => new Promise((resolve, reject) => {
+    const upload = bucket().openUploadStream(fileName, { contentType, metadata });
+    upload.once('finish', () => resolve(upload.id));
+    upload.once('error', reject);
+    upload.end(buffer);
+});
+
+export const AttachmentService = {
+    /**
+     * Store an uploaded file and, for images, the thumbnail made by the client
+     * @returns {Object} { attachment } ready to push onto a transaction, or { error }
+     */
+    async save({ fileName, mimeType, data, thumbnail }, { transactionId, userId }) {
+        if (!fileName || !fileName.trim()) {
+            return { error: 'File name is required' };
+        }
+        if (!ATTACHMENT_TYPES.includes(mimeType)) {
+            return { error: 'Only photos (JPEG, PNG, WebP, HEIC) and PDF files can be attached' };
+        }
+
+        const buffer = decode(data);
+        if (!buffer || !buffer.length) {
+            return { error: 'File is empty' };
+        }
+        if (buffer.length > MAX_ATTACHMENT_BYTES) {
+            return { error: `File is larger than ${MAX_ATTACHMENT_BYTES / (1024 * 1024)} MB` };
+        }
+
+        const metadata = { transaction: transactionId, uploadedBy: userId };
+        const fileId = await store(buffer, fileName.trim(), mimeType, metadata);
+
+        // Thumbnails are scaled down in the browser; a bad one is skipped, not fatal
+        let thumbnailId;
+        const thumb = mimeType.startsWith('image/') ? decode(thumbnail) : null;
+        if (thumb && thumb.length && thumb.length <= MAX_THUMBNAIL_BYTES) {
+            thumbnailId = await store(thumb, `thumb-${fileName.trim()}`, 'image/jpeg', { ...metadata, thumbnailOf: fileId });
+        }
+
+        return {
+            attachment: {
+                fileName: fileName.trim(),
+                mimeType,
+                size: buffer.length,
+                fileId,
+                thumbnailId,
+                uploadedBy: userId
+            }
+        };
+    },
+
+    /**
+     * Readable stream of a stored file
+     */
+    openDownload(fileId) {
+        return bucket().openDownloadStream(new mongoose.Types.ObjectId(fileId));
+    },
+
+    /**
+     * Delete the stored files behind a list of attachments
+     */
+    async remove(attachments = []) {
+        const ids = attachments.flatMap(a => [a.fileId, a.thumbnailId]).filter(Boolean);
+
+        for (const id of ids) {
+            try {
+                await bucket().delete(id);
+            } catch (error) {
+                // Already gone
+                if (!/File not found/i.test(error.message)) throw error;
+            }
+        }
+    }
+};
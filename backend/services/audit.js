@@ -0,0 +1,150 @@
+/**
+ * Audit Service
+ * Records field-level change history for transactions
+ */
+
+import AuditLog from '../models/AuditLog.js';
+
+// Bookkeeping fields that change on every write and say nothing about the edit
+const IGNORED_FIELDS = ['_id', 'id', '__v', 'createdAt', 'updatedAt', 'createdBy', 'updatedBy', 'createdFrom', 'updatedFrom'];
+
+/**
+ * Plain JSON copy of a document (ObjectIds as strings, Maps as objects, no subdocument _ids)
+ */
+function toPlain(doc) {
+    if (!doc) return {};
+    const object = typeof doc.toObject === 'function'
+        ? doc.toObject({ depopulate: true, flattenMaps: true, virtuals: false })
+        : doc;
+
+    return JSON.parse(JSON.stringify(object, function(key, value) {
+        if (key === '_id' && this !== object) return undefined;
+        return value instanceof Map ? Object.fromEntries(value) : value;
+    }));
+}
+
+/**
+ * Treat missing, null and empty values as the same "nothing"
+ */
+function isEmpty(value) {
+    return value === undefined || value === null || value === ''
+        || (Array.isArray(value) && value.length === 0)
+        || (typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0);
+}
+
+/**
+ * Who made the request and from where
+ */
+function getActor(req) {
+    const info = req?.session?.deviceInfo || {};
+    return {
+        user: req?.user?.userId,
+        username: req?.user?.username,
+        session: req?.session?._id,
+        device: {
+            browser: info.browser,
+            os: info.os,
+            device: info.device,
+            ip: req?.ip || info.ip
+        }
+    };
+}
+
+export const AuditService = {
+    /**
+     * Who made a request and from where: { user, username, session, device }
+     */
+    actor(req) {
+        return getActor(req);
+    },
+
+    /**
+     * Field-level differences between two versions of a document
+     * @returns {Array} [{ field, before, after }]
+     */
+    diff(before, after) {
+        const old = toPlain(before);
+        const current = toPlain(after);
+        const fields = new Set([...Object.keys(old), ...Object.keys(current)]);
+        const changes = [];
+
+        for (const field of fields) {
+            if (IGNORED_FIELDS.includes(field)) continue;
+            if (isEmpty(old[field]) && isEmpty(current[field])) continue;
+            if (JSON.stringify(old[field]) === JSON.stringify(current[field])) continue;
+
+            changes.push({
+                field,
+                before: old[field] ?? null,
+                after: current[field] ?? null
+            });
+        }
+
+        return changes;
+    },
+
+    /**
+     * Record one change to a transaction. Failures are logged, never thrown, so the
+     * audit trail cannot block the change itself.
+     * @param {Object} req - Express request (user and session)
+     * @param {Object} entry - { action, entityId, before, after, changes, note }
+     */
+    async record(req, { action, entityId, before = null, after = null, changes, note }) {
+        try {
+            const fieldChanges = changes || this.diff(before, after);
+            if (action === 'UPDATE' && !fieldChanges.length) return null;
+
+            return await AuditLog.create({
+                entityType: 'Transaction',
+                entityId: entityId || after?._id || before?._id,
+                action,
+                changes: fieldChanges,
+                note,
+                ...getActor(req)
+            });
+        } catch (error) {
+            console.error('Audit log error:', error);
+            return null;
+        }
+    },
+
+    /**
+     * Record the same action on several transactions (delete all, restore all, purge, bulk links)
+     * @param {Object} options - { changes, note }; changes default to what the action implies
+     */
+    async recordMany(req, action, transactions, { changes, note } = {}) {
+        if (!transactions.length) return;
+
+        try {
+            const actor = getActor(req);
+            await AuditLog.insertMany(transactions.map(t => ({
+                entityType: 'Transaction',
+                entityId: t._id,
+                action,
+                changes: changes || this.changesFor(action, t),
+                note,
+                ...actor
+            })));
+        } catch (error) {
+            console.error('Audit log error:', error);
+        }
+    },
+
+    /**
+     * Default diff for an action that has no explicit before/after
+     */
+    changesFor(action, transaction) {
+        switch (action) {
+            case 'CREATE':
+                return this.diff(null, transaction);
+            case 'PURGE':
+                return this.diff(transaction, null);
+            case 'DELETE':
+                return [{ field: 'deletedAt', before: null, after: new Date().toISOString() }];
+            case 'RESTORE':
+                return [{ field: 'deletedAt', before: transaction.deletedAt ?? null, after: null }];
+            default:
+                return [];
+        }
+    }
+};
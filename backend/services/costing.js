@@ -0,0 +1,243 @@
+/**
+ * Costing Service
+ * Carries BUY cost through DRYING and PROCESS into kernel stock and releases it on SELL
+ * Supports FIFO and weighted-average inventory costing
+ */
+
+import Transaction from '../models/Transaction.js';
+import Setting from '../models/Setting.js';
+import { round2 } from '../utils/rounding.js';
+
+/**
+ * Inventory pool of cost layers (raw nuts or processed kernel)
+ */
+function createPool(method) {
+    return {
+        method,
+        layers: [],
+        lastUnitCost: 0,
+
+        get qty() {
+            return this.layers.reduce((sum, l) => sum + l.qty, 0);
+        },
+
+        get value() {
+            return this.layers.reduce((sum, l) => sum + l.qty * l.unitCost, 0);
+        },
+
+        get unitCost() {
+            const qty = this.qty;
+            return qty > 0 ? this.value / qty : this.lastUnitCost;
+        },
+
+        add(qty, unitCost) {
+            if (!(qty > 0)) return;
+            this.lastUnitCost = unitCost;
+
+            if (this.method === 'WEIGHTED_AVERAGE' && this.layers.length) {
+                const layer = this.layers[0];
+                const totalQty = layer.qty + qty;
+                layer.unitCost = (layer.qty * layer.unitCost + qty * unitCost) / totalQty;
+                layer.qty = totalQty;
+                return;
+            }
+
+            this.layers.push({ qty, unitCost });
+        },
+
+        // Lose weight without losing value (drying): what is left carries the full cost
+        shrink(qty) {
+            const total = this.qty;
+            if (!(qty > 0) || !(total > 0)) return;
+
+            const factor = Math.max(total - qty, 0) / total;
+            if (factor === 0) {
+                this.layers = [];
+                return;
+            }
+
+            this.layers.forEach(layer => {
+                layer.qty *= factor;
+                layer.unitCost /= factor;
+            });
+            this.lastUnitCost = this.unitCost;
+        },
+
+        // Remove qty and return its cost; a shortfall is costed at the last known unit cost
+        consume(qty) {
+            if (!(qty > 0)) return 0;
+
+            let remaining = qty;
+            let cost = 0;
+
+            while (remaining > 0 && this.layers.length) {
+                const layer = this.layers[0];
+                const taken = Math.min(layer.qty, remaining);
+                cost += taken * layer.unitCost;
+                layer.qty -= taken;
+                remaining -= taken;
+                this.lastUnitCost = layer.unitCost;
+                if (layer.qty <= 1e-9) this.layers.shift();
+            }
+
+            if (remaining > 0) {
+                cost += remaining * this.lastUnitCost;
+            }
+
+            return cost;
+        }
+    };
+}
+
+export const CostingService = {
+    /**
+     * Replay transactions in date order and cost every stock movement
+     * @param {Array} transactions - Transactions sorted by date, then createdAt
+     * @param {string} method - 'FIFO' or 'WEIGHTED_AVERAGE'
+     * @param {Object} options - { from }: only sales from this date count towards revenue and COGS
+     * @returns {Object} { costs: Map<id, fields>, summary }
+     */
+    calculate(transactions, method = 'WEIGHTED_AVERAGE', { from } = {}) {
+        const raw = createPool(method);
+        const proc = createPool(method);
+        const costs = new Map();
+
+        let revenue = 0;
+        let byProductRevenue = 0;
+        let costOfGoodsSold = 0;
+
+        transactions.forEach(t => {
+            const id = t._id.toString();
+            // Earlier sales still move stock, but belong to an earlier period's margin
+            const inPeriod = !from || new Date(t.date) >= new Date(from);
+
+            switch (t.type) {
+                case 'BUY':
+                    raw.add(t.qty || 0, t.price || 0);
+                    costs.set(id, { unitCost: round2(t.price || 0) });
+                    break;
+
+                case 'DRYING':
+                    // Moisture lost raises the cost per kg of the dried nuts
+                    raw.shrink((t.inputQty || 0) - (t.outputQty || 0));
+                    break;
+
+                case 'PROCESS': {
+                    // Kernel cost per kg = cost of the husked nuts / kernel recovered
+                    const inputCost = raw.consume(t.inputQty || 0);
+                    const unitCost = t.outputQty > 0 ? inputCost / t.outputQty : 0;
+                    proc.add(t.outputQty || 0, unitCost);
+                    costs.set(id, { unitCost: round2(unitCost) });
+                    break;
+                }
+
+                case 'SELL': {
+                    const cogs = proc.consume(t.qty || 0);
+                    const saleValue = (t.qty || 0) * (t.price || 0);
+                    if (inPeriod) {
+                        revenue += saleValue;
+                        costOfGoodsSold += cogs;
+                    }
+                    costs.set(id, {
+                        unitCost: round2(t.qty > 0 ? cogs / t.qty : 0),
+                        costOfGoodsSold: round2(cogs),
+                        grossMargin: round2(saleValue - cogs)
+                    });
+                    break;
+                }
+
+                case 'BYPRODUCT_SALE':
+                    // Husk and shell carry no cost of their own; their sales add straight to margin
+                    if (inPeriod) byProductRevenue += (t.qty || 0) * (t.price || 0);
+                    break;
+
+                case 'ADJUSTMENT':
+                    // Stock found is valued at the current unit cost; stock lost is written off
+                    if (t.rawStockChange > 0) raw.add(t.rawStockChange, raw.unitCost);
+                    else raw.consume(-(t.rawStockChange || 0));
+
+                    if (t.procStockChange > 0) proc.add(t.procStockChange, proc.unitCost);
+                    else proc.consume(-(t.procStockChange || 0));
+                    break;
+            }
+        });
+
+        const grossMargin = revenue + byProductRevenue - costOfGoodsSold;
+        const totalRevenue = revenue + byProductRevenue;
+
+        return {
+            costs,
+            summary: {
+                method,
+                rawInventoryValue: round2(raw.value),
+                rawUnitCost: round2(raw.unitCost),
+                procInventoryValue: round2(proc.value),
+                procUnitCost: round2(proc.unitCost),
+                revenue: round2(revenue),
+                byProductRevenue: round2(byProductRevenue),
+                costOfGoodsSold: round2(costOfGoodsSold),
+                grossMargin: round2(grossMargin),
+                grossMarginPct: totalRevenue > 0 ? parseFloat(((grossMargin / totalRevenue) * 100).toFixed(1)) : 0
+            }
+        };
+    },
+
+    /**
+     * Load stock transactions in replay order (only those dated before a day, when given)
+     */
+    async loadStockTransactions({ before } = {}) {
+        const filter = { type: { $in: ['BUY', 'DRYING', 'PROCESS', 'SELL', 'BYPRODUCT_SALE', 'ADJUSTMENT'] } };
+        if (before) filter.date = { $lt: new Date(before) };
+
+        return Transaction.find(filter)
+            .sort({ date: 1, createdAt: 1 })
+            .select('date type qty price inputQty outputQty rawStockChange procStockChange unitCost costOfGoodsSold grossMargin')
+            .lean();
+    },
+
+    /**
+     * Recost the whole ledger and persist unit cost / COGS / margin where they changed
+     * @returns {Object} Costing summary
+     */
+    async recalculate() {
+        const [settings, transactions] = await Promise.all([
+            Setting.getSettings(),
+            this.loadStockTransactions()
+        ]);
+
+        const { costs, summary } = this.calculate(transactions, settings.costingMethod);
+
+        const updates = transactions
+            .filter(t => {
+                const fields = costs.get(t._id.toString());
+                return fields && Object.entries(fields).some(([key, value]) => t[key] !== value);
+            })
+            .map(t => ({
+                updateOne: {
+                    filter: { _id: t._id },
+                    update: { $set: costs.get(t._id.toString()) }
+                }
+            }));
+
+        if (updates.length) {
+            await Transaction.bulkWrite(updates);
+        }
+
+        return summary;
+    },
+
+    /**
+     * Costing summary without writing anything; with a range, inventory is valued at its end
+     * and revenue, COGS and margin cover only the sales within it
+     * @param {Object} range - { from, before } (optional)
+     * @returns {Object} Costing summary
+     */
+    async getSummary({ from, before } = {}) {
+        const [settings, transactions] = await Promise.all([
+            Setting.getSettings(),
+            this.loadStockTransactions({ before })
+        ]);
+
+        return this.calculate(transactions, settings.costingMethod, { from }).summary;
+    }
+};
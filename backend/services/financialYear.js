@@ -0,0 +1,158 @@
+/**
+ * Financial Year Service
+ * Opening and closing balances of financial years and the year-end rollover
+ */
+
+import Transaction from '../models/Transaction.js';
+import Loan from '../models/Loan.js';
+import FinancialYear from '../models/FinancialYear.js';
+import PeriodClose from '../models/PeriodClose.js';
+import { round2, round3 } from '../utils/rounding.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Default name: "2024" for a calendar year, "2024/25" otherwise
+ */
+function defaultName(startDate, endDate) {
+    const start = new Date(startDate);
+    const end = new Date(endDate);
+    return start.getUTCFullYear() === end.getUTCFullYear()
+        ? String(start.getUTCFullYear())
+        : `${start.getUTCFullYear()}/${String(end.getUTCFullYear()).slice(-2)}`;
+}
+
+/**
+ * Last day of a year that starts on a date
+ */
+function defaultEnd(startDate) {
+    const end = new Date(startDate);
+    end.setUTCFullYear(end.getUTCFullYear() + 1);
+    return new Date(end.getTime() - DAY_MS);
+}
+
+export const FinancialYearService = {
+    /**
+     * Balances from every transaction dated before a day: the default opening of a year
+     * @returns {Object} { cash, rawStock, procStock, loans }
+     */
+    async balancesBefore(date) {
+        const before = new Date(date);
+        const [stats, loans] = await Promise.all([
+            Transaction.getStats({ before }),
+            Loan.getOutstandingBefore(before)
+        ]);
+
+        return {
+            cash: round2(stats.totalCash || 0),
+            rawStock: round3(stats.totalRawStock || 0),
+            procStock: round3(stats.totalProcStock || 0),
+            loans
+        };
+    },
+
+    /**
+     * Closing balances of a year: its opening plus what moved during it
+     * @returns {Object} { cash, rawStock, procStock, loans }
+     */
+    async closingBalances(year) {
+        const range = year.getRange();
+        const [stats, loans] = await Promise.all([
+            Transaction.getStats(range),
+            Loan.getOutstandingBefore(range.before)
+        ]);
+
+        return {
+            cash: round2((year.opening?.cash || 0) + (stats.totalCash || 0)),
+            rawStock: round3((year.opening?.rawStock || 0) + (stats.totalRawStock || 0)),
+            procStock: round3((year.opening?.procStock || 0) + (stats.totalProcStock || 0)),
+            loans
+        };
+    },
+
+    /**
+     * Create a year; the end defaults to a year after the start, the name to its years and
+     * any opening balance not given to what the ledger held before the start
+     * @returns {Object} { year } or { error }
+     */
+    async create({ name, startDate, endDate, opening = {} }, userId) {
+        const start = new Date(startDate);
+        if (!startDate || Number.isNaN(start.getTime())) {
+            return { error: 'A valid start date is required' };
+        }
+        const end = endDate ? new Date(endDate) : defaultEnd(start);
+        if (Number.isNaN(end.getTime())) {
+            return { error: 'End date is invalid' };
+        }
+
+        const overlapping = await FinancialYear.findOverlapping(start, end);
+        if (overlapping) {
+            return { error: `The dates overlap financial year ${overlapping.name}` };
+        }
+
+        const computed = await this.balancesBefore(start);
+        const year = await FinancialYear.create({
+            name: name?.trim() || defaultName(start, end),
+            startDate: start,
+            endDate: end,
+            opening: {
+                cash: opening.cash ?? computed.cash,
+                rawStock: opening.rawStock ?? computed.rawStock,
+                procStock: opening.procStock ?? computed.procStock,
+                loans: opening.loans ?? computed.loans
+            },
+            createdBy: userId
+        });
+
+        return { year };
+    },
+
+    /**
+     * Year-end rollover: snapshot the closing balances, close the books through the year's
+     * last day (unless a period close already covers it), close the year and open the next
+     * one with them (an existing next year has its opening replaced)
+     * @returns {Object} { year, next } or { error }
+     */
+    async rollover(year, userId) {
+        if (year.status === 'CLOSED') {
+            return { error: `Financial year ${year.name} is already closed` };
+        }
+        if (new Date() < new Date(year.endDate)) {
+            return { error: `Financial year ${year.name} has not reached its last day yet` };
+        }
+
+        const closing = await this.closingBalances(year);
+        const nextStart = year.getRange().before;
+
+        // Lock the year so the snapshot cannot drift from its transactions
+        const lockedUntil = await PeriodClose.getLockedUntil();
+        if (!lockedUntil || lockedUntil < nextStart) {
+            await PeriodClose.create({
+                closingDate: new Date(nextStart.getTime() - DAY_MS),
+                notes: `Financial year ${year.name} rolled over`,
+                closedBy: userId
+            });
+        }
+
+        let next = await FinancialYear.findOne({ startDate: nextStart });
+        if (next && next.status === 'CLOSED') {
+            return { error: `The next financial year ${next.name} is already closed` };
+        }
+        if (next) {
+            next.opening = closing;
+            await next.save();
+        } else {
+            const created = await this.create({ startDate: nextStart, opening: closing }, userId);
+            if (created.error) return created;
+            next = created.year;
+        }
+
+        year.closing = closing;
+        year.status = 'CLOSED';
+        year.closedAt = new Date();
+        year.closedBy = userId;
+        await year.save();
+
+        return { year, next };
+    }
+};
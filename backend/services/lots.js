@@ -0,0 +1,447 @@
+/**
+ * Lot Service
+ * Tracks purchase lots (BUY) through dehusking batches (PROCESS) into sales (SELL)
+ * and the husk/shell each batch produced into by-product sales (BYPRODUCT_SALE)
+ */
+
+import mongoose from 'mongoose';
+import Transaction, { BYPRODUCT_KINDS } from '../models/Transaction.js';
+import { round2, round3 } from '../utils/rounding.js';
+
+/**
+ * Take qty from open entries oldest first
+ * @returns {Object} { allocations: [{ entry, qty }], unallocated }
+ */
+function takeFifo(entries, qty) {
+    const allocations = [];
+    let remaining = qty;
+
+    for (const entry of entries) {
+        if (remaining <= 0) break;
+        if (entry.remaining <= 0) continue;
+
+        const taken = Math.min(entry.remaining, remaining);
+        allocations.push({ entry, qty: round3(taken) });
+        entry.remaining = round3(entry.remaining - taken);
+        remaining = round3(remaining - taken);
+    }
+
+    return { allocations, unallocated: Math.max(remaining, 0) };
+}
+
+/**
+ * Summary of a lot/batch/sale for API responses
+ */
+function summarize(t) {
+    return {
+        _id: t._id,
+        type: t.type,
+        date: t.date,
+        lotId: t.lotId,
+        batchId: t.batchId,
+        qty: t.qty,
+        price: t.price,
+        inputQty: t.inputQty,
+        outputQty: t.outputQty,
+        recovery: t.recovery,
+        byProducts: t.byProducts,
+        byProduct: t.byProduct,
+        counterparty: t.counterparty || null,
+        notes: t.notes
+    };
+}
+
+/**
+ * Money made on a batch: kernel sold at its sale prices less the batch's kernel cost,
+ * plus whatever its husk and shell fetched
+ */
+function batchProfit(id, batch, sales, byProducts) {
+    const soldQty = batch.sales.reduce((sum, s) => sum + s.qty, 0);
+    const revenue = batch.sales.reduce((sum, s) => sum + s.qty * (sales.get(s.sale)?.txn.price || 0), 0);
+    const byProductRevenue = [...byProducts.values()].reduce((sum, pool) => {
+        const entry = pool.get(id);
+        return sum + (entry ? entry.sales.reduce((total, s) => total + s.qty * s.price, 0) : 0);
+    }, 0);
+    const costOfGoodsSold = soldQty * (batch.txn.unitCost || 0);
+
+    return {
+        soldQty: round3(soldQty),
+        revenue: round2(revenue),
+        byProductRevenue: round2(byProductRevenue),
+        costOfGoodsSold: round2(costOfGoodsSold),
+        profit: round2(revenue + byProductRevenue - costOfGoodsSold)
+    };
+}
+
+export const LotService = {
+    /**
+     * Next readable code for a lot or batch, e.g. LOT-20260119-01
+     * @param {string} prefix - 'LOT' or 'BAT'
+     * @param {string} field - 'lotId' or 'batchId'
+     * @param {Date} date - Transaction date
+     */
+    async nextCode(prefix, field, date) {
+        const day = new Date(date).toISOString().split('T')[0].replace(/-/g, '');
+        const base = `${prefix}-${day}-`;
+
+        // Deleted lots and batches keep their codes, so count them too
+        let n = await Transaction.countDocuments({ [field]: new RegExp(`^${base}`) }).setOptions({ withDeleted: true }) + 1;
+        let code = `${base}${String(n).padStart(2, '0')}`;
+        while (await Transaction.exists({ [field]: code }).setOptions({ withDeleted: true })) {
+            n++;
+            code = `${base}${String(n).padStart(2, '0')}`;
+        }
+
+        return code;
+    },
+
+    /**
+     * Replay the ledger to work out what is left of each lot and batch.
+     * Rows without stored allocations (older entries) are matched oldest first.
+     * @param {Object} options - exclude: id (or ids) of transactions being edited, left out of the replay
+     * @returns {Object} { lots, batches, sales } Maps keyed by transaction id,
+     *                   and byProducts: kind → Map of batch id → husk/shell left
+     */
+    async getState({ exclude } = {}) {
+        const filter = { type: { $in: ['BUY', 'DRYING', 'PROCESS', 'SELL', 'BYPRODUCT_SALE', 'ADJUSTMENT'] } };
+        if (exclude) filter._id = { $nin: [].concat(exclude) };
+
+        const transactions = await Transaction.find(filter)
+            .sort({ date: 1, createdAt: 1 })
+            .populate('counterparty', 'name type')
+            .lean();
+
+        const lots = new Map();
+        const batches = new Map();
+        const sales = new Map();
+        const byProducts = new Map(BYPRODUCT_KINDS.map(kind => [kind, new Map()]));
+
+        transactions.forEach(t => {
+            const id = t._id.toString();
+
+            switch (t.type) {
+                case 'BUY':
+                    lots.set(id, { txn: t, remaining: t.qty || 0, consumedBy: [] });
+                    break;
+
+                case 'PROCESS': {
+                    const batch = { txn: t, remaining: t.outputQty || 0, lots: [], sales: [] };
+
+                    if (t.lotsConsumed?.length) {
+                        t.lotsConsumed.forEach(a => {
+                            const lot = lots.get(a.lot.toString());
+                            if (!lot) return;
+                            lot.remaining = round3(lot.remaining - a.qty);
+                            lot.consumedBy.push({ batch: id, qty: a.qty });
+                            batch.lots.push({ lot: a.lot.toString(), qty: a.qty });
+                        });
+                    } else {
+                        takeFifo(lots.values(), t.inputQty || 0).allocations.forEach(({ entry, qty }) => {
+                            entry.consumedBy.push({ batch: id, qty });
+                            batch.lots.push({ lot: entry.txn._id.toString(), qty });
+                        });
+                    }
+
+                    batches.set(id, batch);
+                    (t.byProducts || []).forEach(b => {
+                        byProducts.get(b.kind)?.set(id, { txn: t, remaining: b.qty || 0, sales: [] });
+                    });
+                    break;
+                }
+
+                case 'SELL': {
+                    const sale = { txn: t, batches: [] };
+
+                    if (t.batchesDrawn?.length) {
+                        t.batchesDrawn.forEach(a => {
+                            const batch = batches.get(a.batch.toString());
+                            if (!batch) return;
+                            batch.remaining = round3(batch.remaining - a.qty);
+                            batch.sales.push({ sale: id, qty: a.qty });
+                            sale.batches.push({ batch: a.batch.toString(), qty: a.qty });
+                        });
+                    } else {
+                        takeFifo(batches.values(), t.qty || 0).allocations.forEach(({ entry, qty }) => {
+                            entry.sales.push({ sale: id, qty });
+                            sale.batches.push({ batch: entry.txn._id.toString(), qty });
+                        });
+                    }
+
+                    sales.set(id, sale);
+                    break;
+                }
+
+                case 'BYPRODUCT_SALE': {
+                    const pool = byProducts.get(t.byProduct);
+                    if (!pool) break;
+
+                    if (t.batchesDrawn?.length) {
+                        t.batchesDrawn.forEach(a => {
+                            const entry = pool.get(a.batch.toString());
+                            if (!entry) return;
+                            entry.remaining = round3(entry.remaining - a.qty);
+                            entry.sales.push({ sale: id, qty: a.qty, price: t.price || 0 });
+                        });
+                    } else {
+                        takeFifo(pool.values(), t.qty || 0).allocations.forEach(({ entry, qty }) => {
+                            entry.sales.push({ sale: id, qty, price: t.price || 0 });
+                        });
+                    }
+                    break;
+                }
+
+                case 'DRYING':
+                    // Moisture lost comes out of the oldest lots
+                    takeFifo(lots.values(), (t.inputQty || 0) - (t.outputQty || 0)).allocations.forEach(({ entry, qty }) => {
+                        entry.moistureLost = round3((entry.moistureLost || 0) + qty);
+                    });
+                    break;
+
+                case 'ADJUSTMENT':
+                    // Stock written off comes out of the oldest lots/batches
+                    if (t.rawStockChange < 0) takeFifo(lots.values(), -t.rawStockChange);
+                    if (t.procStockChange < 0) takeFifo(batches.values(), -t.procStockChange);
+                    break;
+            }
+        });
+
+        return { lots, batches, sales, byProducts };
+    },
+
+    /**
+     * Allocate qty from specific entries first, then oldest first
+     * @param {Map} pool - lots or batches from getState
+     * @param {number} qty - Quantity needed
+     * @param {Array} requested - [{ id, qty }] chosen by the user
+     * @param {Date} date - Transaction date (entries after it cannot be used)
+     * @param {string} label - 'Lot' or 'Batch' for error messages
+     * @returns {Object} { allocations: [{ entry, qty }], unallocated } or { error }
+     */
+    allocate(pool, qty, requested = [], date, label) {
+        const asOf = new Date(date);
+        const allocations = [];
+        let remaining = qty;
+
+        for (const request of requested) {
+            const requestQty = round3(parseFloat(request.qty) || 0);
+            if (requestQty <= 0) continue;
+
+            const entry = pool.get(String(request.id));
+            const code = entry?.txn.lotId || entry?.txn.batchId || request.id;
+            if (!entry) {
+                return { error: `${label} ${request.id} not found` };
+            }
+            if (new Date(entry.txn.date) > asOf) {
+                return { error: `${label} ${code} is dated after this transaction` };
+            }
+            if (requestQty > entry.remaining + 0.0005) {
+                return { error: `${label} ${code} only has ${entry.remaining} kg left` };
+            }
+
+            allocations.push({ entry, qty: requestQty });
+            entry.remaining = round3(entry.remaining - requestQty);
+            remaining = round3(remaining - requestQty);
+        }
+
+        if (remaining < -0.0005) {
+            return { error: `Selected ${label.toLowerCase()}s add up to more than ${qty} kg` };
+        }
+
+        // Anything not chosen explicitly comes from the oldest open entries
+        const available = [...pool.values()].filter(e => new Date(e.txn.date) <= asOf);
+        const fifo = takeFifo(available, Math.max(remaining, 0));
+
+        // One allocation per entry even when FIFO tops up a chosen one
+        const merged = new Map();
+        [...allocations, ...fifo.allocations].forEach(({ entry, qty: taken }) => {
+            const current = merged.get(entry);
+            merged.set(entry, round3((current || 0) + taken));
+        });
+
+        return {
+            allocations: [...merged].map(([entry, taken]) => ({ entry, qty: taken })),
+            unallocated: fifo.unallocated
+        };
+    },
+
+    /**
+     * Lots for a new or edited PROCESS (stored on the transaction as lotsConsumed)
+     * @param {string|Array} exclude - Id of the PROCESS being edited, so its own draw is given back
+     */
+    async allocateLots(inputQty, requested, date, exclude) {
+        const { lots } = await this.getState({ exclude });
+        const result = this.allocate(lots, inputQty, requested, date, 'Lot');
+        if (result.error) return result;
+
+        return {
+            lotsConsumed: result.allocations.map(({ entry, qty }) => ({
+                lot: entry.txn._id,
+                lotId: entry.txn.lotId,
+                qty
+            })),
+            unallocated: result.unallocated
+        };
+    },
+
+    /**
+     * Batches for a new or edited SELL (stored on the transaction as batchesDrawn)
+     */
+    async allocateBatches(qty, requested, date, exclude) {
+        const { batches } = await this.getState({ exclude });
+        const result = this.allocate(batches, qty, requested, date, 'Batch');
+        if (result.error) return result;
+
+        return {
+            batchesDrawn: result.allocations.map(({ entry, qty: drawn }) => ({
+                batch: entry.txn._id,
+                batchId: entry.txn.batchId,
+                qty: drawn
+            })),
+            unallocated: result.unallocated
+        };
+    },
+
+    /**
+     * Batches a by-product sale comes from, oldest first (stored as batchesDrawn)
+     * @param {string} kind - 'HUSK' or 'SHELL'
+     */
+    async allocateByProducts(kind, qty, date, exclude) {
+        const { byProducts } = await this.getState({ exclude });
+        const result = this.allocate(byProducts.get(kind), qty, [], date, 'Batch');
+
+        return {
+            batchesDrawn: result.allocations.map(({ entry, qty: drawn }) => ({
+                batch: entry.txn._id,
+                batchId: entry.txn.batchId,
+                qty: drawn
+            })),
+            unallocated: result.unallocated
+        };
+    },
+
+    /**
+     * Lots with what is left, kernel recovered and recovery achieved
+     */
+    async listLots({ openOnly = false } = {}) {
+        const { lots, batches } = await this.getState();
+
+        return [...lots.values()]
+            .filter(lot => !openOnly || lot.remaining > 0.0005)
+            .map(lot => {
+                const consumedQty = lot.consumedBy.reduce((sum, c) => sum + c.qty, 0);
+                const kernelQty = lot.consumedBy.reduce((sum, c) => {
+                    const batch = batches.get(c.batch);
+                    return sum + (batch?.txn.inputQty ? batch.txn.outputQty * (c.qty / batch.txn.inputQty) : 0);
+                }, 0);
+
+                // Recovery against the dried nuts processed, and against the wet weight bought
+                const recovery = consumedQty > 0 ? (kernelQty / consumedQty) * 100 : null;
+                const dryFraction = lot.txn.qty > 0 ? 1 - (lot.moistureLost || 0) / lot.txn.qty : 1;
+
+                return {
+                    ...summarize(lot.txn),
+                    remaining: round3(Math.max(lot.remaining, 0)),
+                    consumedQty: round3(consumedQty),
+                    kernelQty: round3(kernelQty),
+                    moistureLost: round3(lot.moistureLost || 0),
+                    recovery: recovery !== null ? parseFloat(recovery.toFixed(1)) : null,
+                    wetRecovery: recovery !== null ? parseFloat((recovery * dryFraction).toFixed(1)) : null
+                };
+            })
+            .reverse();
+    },
+
+    /**
+     * Processed batches with kernel left to sell and profit so far (kernel and by-products)
+     */
+    async listBatches({ openOnly = false } = {}) {
+        const { batches, sales, byProducts } = await this.getState();
+
+        return [...batches]
+            .filter(([, batch]) => !openOnly || batch.remaining > 0.0005)
+            .map(([id, batch]) => ({
+                ...summarize(batch.txn),
+                unitCost: batch.txn.unitCost,
+                remaining: round3(Math.max(batch.remaining, 0)),
+                ...batchProfit(id, batch, sales, byProducts)
+            }))
+            .reverse();
+    },
+
+    /**
+     * Full genealogy of a lot, batch or sale
+     * @param {string} id - lotId, batchId or transaction id
+     * @returns {Object|null} Trace tree
+     */
+    async trace(id) {
+        const or = [{ lotId: id }, { batchId: id }];
+        if (mongoose.isValidObjectId(id)) or.push({ _id: id });
+
+        const target = await Transaction.findOne({ $or: or, type: { $in: ['BUY', 'PROCESS', 'SELL'] } }).lean();
+        if (!target) return null;
+
+        const { lots, batches, sales, byProducts } = await this.getState();
+        const key = target._id.toString();
+
+        // Lot share of a batch = lot qty / batch input
+        const batchNode = (batchId, share = 1) => {
+            const batch = batches.get(batchId);
+            return {
+                ...summarize(batch.txn),
+                remaining: round3(Math.max(batch.remaining, 0)),
+                kernelQty: round3((batch.txn.outputQty || 0) * share),
+                sales: batch.sales.map(s => ({
+                    ...summarize(sales.get(s.sale).txn),
+                    qtyFromBatch: s.qty,
+                    attributedQty: round3(s.qty * share)
+                }))
+            };
+        };
+
+        const lotNodes = (batch) => batch.lots.map(l => ({
+            ...summarize(lots.get(l.lot).txn),
+            qtyUsed: l.qty
+        }));
+
+        switch (target.type) {
+            case 'BUY': {
+                const lot = lots.get(key);
+                return {
+                    kind: 'LOT',
+                    lot: { ...summarize(lot.txn), remaining: round3(Math.max(lot.remaining, 0)) },
+                    batches: lot.consumedBy.map(c => {
+                        const batch = batches.get(c.batch);
+                        const share = batch.txn.inputQty ? c.qty / batch.txn.inputQty : 0;
+                        return { ...batchNode(c.batch, share), qtyFromLot: c.qty };
+                    })
+                };
+            }
+
+            case 'PROCESS': {
+                const batch = batches.get(key);
+                return {
+                    kind: 'BATCH',
+                    batch: batchNode(key),
+                    lots: lotNodes(batch),
+                    profit: batchProfit(key, batch, sales, byProducts)
+                };
+            }
+
+            default: {
+                const sale = sales.get(key);
+                return {
+                    kind: 'SALE',
+                    sale: summarize(sale.txn),
+                    batches: sale.batches.map(b => {
+                        const batch = batches.get(b.batch);
+                        return {
+                            ...summarize(batch.txn),
+                            qtyDrawn: b.qty,
+                            lots: lotNodes(batch)
+                        };
+                    })
+                };
+            }
+        }
+    }
+};
@@ -0,0 +1,177 @@
+/**
+ * Recurring Service
+ * Posts the transactions of recurring templates as they fall due, or queues them for
+ * confirmation, and runs that on a timer inside the server
+ */
+
+import Transaction from '../models/Transaction.js';
+import Loan from '../models/Loan.js';
+import Category from '../models/Category.js';
+import PeriodClose from '../models/PeriodClose.js';
+import RecurringTemplate, { MAX_CATCH_UP } from '../models/RecurringTemplate.js';
+import { AuditService } from './audit.js';
+import { TenantContext } from './tenancy.js';
+
+// How often the scheduler looks for due templates
+const RUN_INTERVAL_MS = 60 * 60 * 1000;
+
+// Runs are chained so timer and manual runs never post the same occurrence twice
+let lastRun = Promise.resolve();
+
+export const RecurringService = {
+    /**
+     * Transaction data for one occurrence, checked the way a manual entry would be
+     * @param {Object} overrides - { date, amount } when confirming a queued occurrence
+     * @returns {Object} { txnData } or { error }
+     */
+    async buildTransaction(template, dueDate, overrides = {}) {
+        const date = new Date(overrides.date || dueDate);
+        const amount = Math.abs(parseFloat(overrides.amount ?? template.amount));
+
+        if (Number.isNaN(date.getTime())) {
+            return { error: 'Date is invalid' };
+        }
+        if (!amount) {
+            return { error: 'Amount must be greater than 0' };
+        }
+
+        const lockError = await PeriodClose.getLockError(date);
+        if (lockError) return { error: lockError };
+
+        const txnData = {
+            type: template.type,
+            date,
+            notes: template.notes || template.name,
+            recurringTemplate: template._id
+        };
+
+        switch (template.type) {
+            case 'EXPENSE':
+            case 'INCOME': {
+                if (!(await Category.findActive(template.type, template.category))) {
+                    return { error: `Unknown or archived ${template.type.toLowerCase()} category: ${template.category}` };
+                }
+                txnData.category = template.category;
+                txnData.amount = template.type === 'EXPENSE' ? -amount : amount;
+                break;
+            }
+
+            case 'LOAN': {
+                const loan = await Loan.findById(template.loan);
+                if (!loan) return { error: 'Loan not found' };
+                if (loan.status === 'CLOSED') return { error: `The loan from ${loan.lender} is already fully repaid` };
+                if (date < loan.startDate) return { error: 'Repayment cannot be dated before the loan start date' };
+
+                const { totalOutstanding } = loan.getBalance(date);
+                if (amount > totalOutstanding + 0.005) {
+                    return { error: `Repayment exceeds outstanding balance of LKR ${totalOutstanding.toLocaleString()}` };
+                }
+
+                txnData.amount = -amount;
+                txnData.loan = loan._id;
+                txnData.loanType = 'REPAY';
+                txnData.notes = `Loan Repayment: ${loan.lender} - ${txnData.notes}`;
+                break;
+            }
+
+            default:
+                return { error: `Unknown transaction type: ${template.type}` };
+        }
+
+        return { txnData };
+    },
+
+    /**
+     * Create the transaction of one occurrence
+     * @param {Object} req - Express request of whoever confirmed it (null for the scheduler)
+     * @returns {Object} { transaction } or { error }
+     */
+    async post(template, dueDate, req = null, overrides = {}) {
+        const built = await this.buildTransaction(template, dueDate, overrides);
+        if (built.error) return built;
+
+        const transaction = await new Transaction(built.txnData).stampActor(AuditService.actor(req)).save();
+        await AuditService.record(req, {
+            action: 'CREATE',
+            after: transaction,
+            note: req ? `Confirmed from recurring template ${template.name}` : `Posted by recurring template ${template.name}`
+        });
+        if (transaction.loan) await Loan.recalculate(transaction.loan);
+
+        return { transaction };
+    },
+
+    /**
+     * Handle every occurrence due by a date: post it (AUTO) or queue it (CONFIRM). An automatic
+     * posting that fails is queued with the reason instead of being lost. Templates with more
+     * than MAX_CATCH_UP occurrences due are left alone unless named in `catchUp`.
+     * @param {Object} options - { catchUp: template id to bring up to date however far behind }
+     * @returns {Object} { posted, queued, behind: [template names left alone] }
+     */
+    run(asOf = new Date(), { catchUp } = {}) {
+        const run = lastRun.catch(() => {}).then(async () => {
+            const templates = await RecurringTemplate.find({
+                isActive: true,
+                nextDueDate: { $ne: null, $lte: asOf }
+            });
+            const result = { posted: 0, queued: 0, behind: [] };
+
+            for (const template of templates) {
+                if (template.isBehind(asOf) && String(template._id) !== String(catchUp)) {
+                    result.behind.push(template.name);
+                    continue;
+                }
+
+                // The timer sees every organization; post each template inside its own
+                await TenantContext.run(template.organization, async () => {
+                    while (template.nextDueDate && template.nextDueDate <= asOf) {
+                        const dueDate = template.nextDueDate;
+
+                        if (template.mode === 'AUTO') {
+                            const posted = await this.post(template, dueDate);
+                            if (posted.error) {
+                                template.pending.push({ dueDate, error: posted.error });
+                                result.queued++;
+                            } else {
+                                result.posted++;
+                            }
+                        } else {
+                            template.pending.push({ dueDate });
+                            result.queued++;
+                        }
+
+                        template.advance();
+                        await template.save();
+                    }
+                });
+            }
+
+            return result;
+        });
+
+        lastRun = run;
+        return run;
+    },
+
+    /**
+     * Run now and then every hour; failures are logged and retried on the next run
+     */
+    start() {
+        const tick = async () => {
+            try {
+                const { posted, queued, behind } = await this.run();
+                if (posted || queued) {
+                    console.log(`🔁 Recurring: ${posted} posted, ${queued} waiting for confirmation`);
+                }
+                if (behind.length) {
+                    console.warn(`🔁 Recurring: ${behind.join(', ')} more than ${MAX_CATCH_UP} occurrences behind; catch up from the Recurring page`);
+                }
+            } catch (error) {
+                console.error('Recurring scheduler error:', error);
+            }
+        };
+
+        tick();
+        return setInterval(tick, RUN_INTERVAL_MS);
+    }
+};
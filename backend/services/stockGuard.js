@@ -0,0 +1,111 @@
+/**
+ * Stock Guard Service
+ * Replays raw and kernel stock through time to catch entries, edits and deletes that would
+ * make it negative on some date, and applies the admin's negative stock policy
+ */
+
+import Transaction from '../models/Transaction.js';
+import Setting from '../models/Setting.js';
+import { round3 } from '../utils/rounding.js';
+
+const STOCKS = [
+    { field: 'rawStockChange', label: 'Raw stock' },
+    { field: 'procStockChange', label: 'Kernel stock' }
+];
+
+/**
+ * Ledger order: by date, then by when it was entered
+ */
+function byDate(a, b) {
+    return new Date(a.date) - new Date(b.date) || new Date(a.createdAt || 0) - new Date(b.createdAt || 0);
+}
+
+/**
+ * Lowest running balance of one stock on or after a date
+ * @returns {Object} { balance, date }
+ */
+function lowestPoint(rows, field, from) {
+    let balance = 0;
+    let lowest = { balance: Infinity, date: null };
+
+    for (const row of rows) {
+        balance = round3(balance + (row[field] || 0));
+        if (new Date(row.date) >= from && balance < lowest.balance) {
+            lowest = { balance, date: row.date };
+        }
+    }
+
+    return lowest;
+}
+
+export const StockGuardService = {
+    /**
+     * Where a change would take stock below zero. Stock that was already negative before
+     * the change only counts if the change makes it worse.
+     * @param {Object} change - add: transactions (with derived fields) to put in the ledger,
+     *                          remove: ids of transactions to take out (an edit does both)
+     * @returns {Object|null} { stock, balance, date, message }
+     */
+    async findConflict({ add = [], remove = [] }) {
+        const added = add
+            .filter(t => t.rawStockChange || t.procStockChange)
+            .map(t => ({
+                date: t.date,
+                createdAt: t.createdAt || new Date(),
+                rawStockChange: t.rawStockChange || 0,
+                procStockChange: t.procStockChange || 0
+            }));
+        const removed = remove.map(String);
+        if (!added.length && !removed.length) return null;
+
+        const rows = await Transaction.find({
+            $or: [{ rawStockChange: { $ne: 0 } }, { procStockChange: { $ne: 0 } }]
+        }).select('date createdAt rawStockChange procStockChange').lean();
+
+        // Only dates from the earliest change on can be affected
+        const changedDates = [
+            ...added.map(t => t.date),
+            ...rows.filter(r => removed.includes(String(r._id))).map(r => r.date)
+        ].map(d => new Date(d).getTime());
+        if (!changedDates.length) return null;
+        const from = new Date(Math.min(...changedDates));
+
+        const before = [...rows].sort(byDate);
+        const after = [...rows.filter(r => !removed.includes(String(r._id))), ...added].sort(byDate);
+
+        for (const { field, label } of STOCKS) {
+            const now = lowestPoint(after, field, from);
+            if (now.balance >= -0.0005) continue;
+
+            const was = lowestPoint(before, field, from);
+            if (now.balance < Math.min(was.balance, 0) - 0.0005) {
+                const day = new Date(now.date).toISOString().split('T')[0];
+                return {
+                    stock: field === 'rawStockChange' ? 'RAW' : 'PROC',
+                    balance: now.balance,
+                    date: now.date,
+                    message: `${label} would go negative (${now.balance} kg) on ${day}`
+                };
+            }
+        }
+
+        return null;
+    },
+
+    /**
+     * Check a change against the negative stock policy
+     * @returns {Object} {} when fine, { warning } under WARN, or { error, conflict } under BLOCK
+     */
+    async check(change) {
+        const settings = await Setting.getSettings();
+        if (settings.negativeStockPolicy === 'ALLOW') return {};
+
+        const conflict = await this.findConflict(change);
+        if (!conflict) return {};
+
+        if (settings.negativeStockPolicy === 'WARN') {
+            return { warning: conflict.message, conflict };
+        }
+        return { error: conflict.message, conflict };
+    }
+};
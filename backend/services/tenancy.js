@@ -0,0 +1,33 @@
+/**
+ * Tenancy Service
+ * Carries the organization of the current request through every await, so the tenant
+ * plugin can scope queries without each controller passing it along
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+const storage = new AsyncLocalStorage();
+
+export const TenantContext = {
+    /**
+     * Run a function (and everything it awaits) as an organization; null scopes to nothing
+     */
+    run(organization, fn) {
+        return storage.run({ organization: organization ?? null }, fn);
+    },
+
+    /**
+     * Whether code is running for an organization (requests) or for the whole system
+     * (start-up migration, the recurring scheduler before it picks an organization)
+     */
+    isActive() {
+        return storage.getStore() !== undefined;
+    },
+
+    /**
+     * Organization of the current request (null when the user has none)
+     */
+    get() {
+        return storage.getStore()?.organization ?? null;
+    }
+};
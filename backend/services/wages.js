@@ -0,0 +1,121 @@
+/**
+ * Wage Service
+ * Worker balances (wages earned less wages paid) and labour cost per kg of kernel
+ */
+
+import Transaction from '../models/Transaction.js';
+import Attendance from '../models/Attendance.js';
+import { round2, round3 } from '../utils/rounding.js';
+
+// Expense category wage payments are booked under
+export const WAGE_CATEGORY = 'Labour';
+
+export const WageService = {
+    /**
+     * Earned, paid and owed per worker; a negative balance is an advance
+     * @returns {Map} workerId → { earned, paid, balance, days, qty, lastWorked, lastPaid }
+     */
+    async balances() {
+        const [earned, paid] = await Promise.all([
+            Attendance.getEarnedByWorker(),
+            Transaction.aggregate([
+                { $match: { type: 'EXPENSE', worker: { $ne: null } } },
+                {
+                    $group: {
+                        _id: '$worker',
+                        paid: { $sum: { $abs: '$amount' } },
+                        lastPaid: { $max: '$date' }
+                    }
+                }
+            ])
+        ]);
+
+        const balances = new Map();
+        const entry = (id) => {
+            if (!balances.has(id)) {
+                balances.set(id, { earned: 0, paid: 0, balance: 0, days: 0, qty: 0, lastWorked: null, lastPaid: null });
+            }
+            return balances.get(id);
+        };
+
+        for (const [id, row] of earned) {
+            Object.assign(entry(id), {
+                earned: round2(row.earned),
+                days: row.days,
+                qty: round3(row.qty),
+                lastWorked: row.lastWorked
+            });
+        }
+        for (const row of paid) {
+            Object.assign(entry(String(row._id)), { paid: round2(row.paid), lastPaid: row.lastPaid });
+        }
+        for (const balance of balances.values()) {
+            balance.balance = round2(balance.earned - balance.paid);
+        }
+
+        return balances;
+    },
+
+    /**
+     * Labour cost of PROCESS batches dated in a range, per kg of kernel. Wages not linked to a
+     * batch are reported beside them and in an all-in cost per kg for the range.
+     * @param {Object} range - { from, before } (either may be omitted)
+     * @returns {Object} { batches, totals }
+     */
+    async labourCost({ from, before } = {}) {
+        const dateMatch = {};
+        if (from) dateMatch.$gte = new Date(from);
+        if (before) dateMatch.$lt = new Date(before);
+        const inRange = Object.keys(dateMatch).length ? { date: dateMatch } : {};
+
+        const processes = await Transaction.find({ type: 'PROCESS', ...inRange })
+            .sort({ date: -1, createdAt: -1 })
+            .select('batchId date inputQty outputQty')
+            .lean();
+
+        const [byBatch, unlinked] = await Promise.all([
+            Attendance.aggregate([
+                { $match: { batch: { $in: processes.map(p => p._id) } } },
+                { $group: { _id: '$batch', wages: { $sum: '$wage' }, workers: { $addToSet: '$worker' } } }
+            ]),
+            Attendance.aggregate([
+                { $match: { batch: null, ...inRange } },
+                { $group: { _id: null, wages: { $sum: '$wage' } } }
+            ])
+        ]);
+
+        const wagesOf = new Map(byBatch.map(b => [String(b._id), b]));
+        const batches = processes.map(process => {
+            const labour = wagesOf.get(String(process._id));
+            const wages = round2(labour?.wages || 0);
+            return {
+                _id: process._id,
+                batchId: process.batchId,
+                date: process.date,
+                inputQty: process.inputQty,
+                outputQty: process.outputQty,
+                workers: labour?.workers.length || 0,
+                labourCost: wages,
+                costPerKg: process.outputQty > 0 ? round2(wages / process.outputQty) : null
+            };
+        });
+
+        const kernelQty = round3(processes.reduce((sum, p) => sum + (p.outputQty || 0), 0));
+        const linkedQty = round3(batches.filter(b => b.labourCost > 0).reduce((sum, b) => sum + (b.outputQty || 0), 0));
+        const linkedWages = round2(batches.reduce((sum, b) => sum + b.labourCost, 0));
+        const unlinkedWages = round2(unlinked[0]?.wages || 0);
+
+        return {
+            batches,
+            totals: {
+                kernelQty,
+                linkedWages,
+                // Over the batches that have labour linked to them
+                costPerKg: linkedQty > 0 ? round2(linkedWages / linkedQty) : null,
+                unlinkedWages,
+                // Every wage in the range over all kernel produced in it
+                allInCostPerKg: kernelQty > 0 ? round2((linkedWages + unlinkedWages) / kernelQty) : null
+            }
+        };
+    }
+};
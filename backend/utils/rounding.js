@@ -0,0 +1,18 @@
+/**
+ * Rounding Helpers
+ * Cash is kept to cents and stock quantities to grams
+ */
+
+/**
+ * Round to cents
+ */
+export function round2(value) {
+    return Math.round((value + Number.EPSILON) * 100) / 100;
+}
+
+/**
+ * Round quantities to grams
+ */
+export function round3(value) {
+    return Math.round((value + Number.EPSILON) * 1000) / 1000;
+}
@@ -13,6 +13,10 @@ import { DashboardPage } from './pages/dashboard.js';
 import { DecisionPage } from './pages/decision.js';
 import { FormsPage } from './pages/forms.js';
 import { HistoryPage } from './pages/history.js';
+import { RecycleBinPage } from './pages/recycleBin.js';
+import { LoansPage } from './pages/loans.js';
+import { RecurringPage } from './pages/recurring.js';
+import { WorkersPage } from './pages/workers.js';
 import { LoginPage } from './pages/login.js';
 import { AdminPage } from './pages/admin.js';
 
@@ -129,6 +133,7 @@ const App = {
                             <i class="fas fa-bars"></i>
                         </button>
                         <h1 class="page-title" id="pageTitle">Dashboard</h1>
+                        <select class="org-switcher hidden" id="orgSwitcher" title="Organization"></select>
                     </div>
                     <div class="header-stats">
                         <div class="header-cash" id="cashDisplay">LKR 0</div>
@@ -161,6 +166,28 @@ const App = {
         
         // Load initial data
         this.refreshData();
+        this.loadOrganizations();
+    },
+
+    /**
+     * Offer the user's organizations in the header; switching reloads everything for the new one
+     */
+    async loadOrganizations() {
+        try {
+            const data = await AuthService.getCurrentUser();
+            if (!data) return;
+
+            Header.setOrganizations(data.organizations || [], data.organization, async (organizationId) => {
+                try {
+                    await AuthService.switchOrganization(organizationId);
+                    window.location.reload();
+                } catch (error) {
+                    alert('Error: ' + error.message);
+                }
+            });
+        } catch (error) {
+            console.error('Failed to load organizations:', error);
+        }
     },
 
     /**
@@ -182,7 +209,11 @@ const App = {
             ${DashboardPage.render()}
             ${DecisionPage.render()}
             ${FormsPage.render()}
+            ${LoansPage.render()}
+            ${RecurringPage.render()}
+            ${WorkersPage.render()}
             ${HistoryPage.render()}
+            ${RecycleBinPage.render()}
             ${adminView}
         `;
     },
@@ -191,30 +222,51 @@ const App = {
      * Initialize all components with their callbacks
      */
     initializeComponents() {
-        // Build navigation items based on user role
+        // Build navigation items based on user role and permissions
         const isAdmin = ['admin', 'superadmin'].includes(this.currentUser?.role);
+        const canWrite = AuthService.hasPermission('write');
 
         // Update sidebar navigation items
         Sidebar.navItems = [
             { id: 'dashboard', icon: 'fa-chart-pie', label: 'Dashboard' },
             { id: 'decision', icon: 'fa-brain', label: 'Smart Decisions' },
-            { id: 'buy', icon: 'fa-shopping-cart', label: 'Buy Stock' },
-            { id: 'process', icon: 'fa-cogs', label: 'Process / Dehusk' },
-            { id: 'sell', icon: 'fa-hand-holding-usd', label: 'Sell Stock' },
-            { id: 'income', icon: 'fa-money-bill-wave', label: 'Income' },
-            { id: 'expense', icon: 'fa-file-invoice-dollar', label: 'Expenses' },
+            // Entry forms need the write permission
+            ...(canWrite ? [
+                { id: 'buy', icon: 'fa-shopping-cart', label: 'Buy Stock' },
+                { id: 'drying', icon: 'fa-sun', label: 'Drying' },
+                { id: 'process', icon: 'fa-cogs', label: 'Process / Dehusk' },
+                { id: 'sell', icon: 'fa-hand-holding-usd', label: 'Sell Stock' },
+                { id: 'byproduct', icon: 'fa-leaf', label: 'By-product Sales' },
+                { id: 'income', icon: 'fa-money-bill-wave', label: 'Income' },
+                { id: 'expense', icon: 'fa-file-invoice-dollar', label: 'Expenses' }
+            ] : []),
             { id: 'loan', icon: 'fa-university', label: 'Loans' },
-            { id: 'adjustments', icon: 'fa-sliders-h', label: 'Adjustments' },
+            { id: 'recurring', icon: 'fa-redo', label: 'Recurring' },
+            { id: 'workers', icon: 'fa-hard-hat', label: 'Workers' },
+            ...(canWrite ? [
+                { id: 'adjustments', icon: 'fa-sliders-h', label: 'Adjustments' },
+                { id: 'transfer', icon: 'fa-exchange-alt', label: 'Transfer Stock' }
+            ] : []),
             { id: 'history', icon: 'fa-history', label: 'Ledger' },
+            { id: 'recycle', icon: 'fa-trash-restore', label: 'Recycle Bin' },
             ...(isAdmin ? [{ id: 'admin', icon: 'fa-user-shield', label: 'Admin Panel' }] : [])
         ];
 
         Sidebar.pageTitles = {
             ...Sidebar.pageTitles,
             adjustments: 'Adjustments',
+            drying: 'Drying',
+            byproduct: 'By-product Sales',
+            transfer: 'Transfer Stock',
+            recurring: 'Recurring Transactions',
+            workers: 'Workers & Wages',
+            recycle: 'Recycle Bin',
             admin: 'Admin Panel'
         };
 
+        // Initialize dashboard financial year picker
+        DashboardPage.init();
+
         // Initialize sidebar with navigation callback
         Sidebar.init((sectionId) => {
             this.navigateTo(sectionId);
@@ -226,6 +278,21 @@ const App = {
             this.navigateTo('dashboard');
         });
 
+        // Initialize loans page with success callback
+        LoansPage.init(async () => {
+            await this.refreshData();
+        });
+
+        // Initialize recurring page with callback for transactions it records
+        RecurringPage.init(async () => {
+            await this.refreshData();
+        });
+
+        // Initialize workers page with callback for wage payments
+        WorkersPage.init(async () => {
+            await this.refreshData();
+        });
+
         // Initialize decision page
         DecisionPage.init();
 
@@ -234,6 +301,11 @@ const App = {
             await this.refreshData();
         });
 
+        // Initialize recycle bin with data change callback
+        RecycleBinPage.init(async () => {
+            await this.refreshData();
+        });
+
         // Initialize admin panel if user is admin
         if (isAdmin) {
             AdminPage.init();
@@ -281,8 +353,16 @@ const App = {
         // Re-initialize page-specific components
         if (sectionId === 'decision') {
             DecisionPage.init();
+        } else if (sectionId === 'loan') {
+            await LoansPage.update();
+        } else if (sectionId === 'recurring') {
+            await RecurringPage.update();
+        } else if (sectionId === 'workers') {
+            await WorkersPage.update();
         } else if (sectionId === 'history') {
             await HistoryPage.update();
+        } else if (sectionId === 'recycle') {
+            await RecycleBinPage.update();
         } else if (sectionId === 'admin') {
             await AdminPage.init();
         }
@@ -300,7 +380,10 @@ const App = {
             Header.updateStats(stats);
 
             // Update available stock in forms
-            FormsPage.updateAvailableStock(stats.rawStock, stats.procStock);
+            FormsPage.updateAvailableStock(stats.rawStock, stats.procStock, stats.stockByGrade, stats.byProductStock);
+            await FormsPage.loadLots();
+            await FormsPage.loadLocations();
+            await FormsPage.loadCategories();
 
             // Update history table
             await HistoryPage.update();
@@ -8,6 +8,9 @@ export const Charts = {
     cashChart: null,
     stockChart: null,
 
+    // Line colours for kernel grades (in the order the API returns them)
+    gradeColors: ['#6A1B9A', '#C62828', '#1565C0', '#EF6C00', '#558B2F', '#4E342E'],
+
     /**
      * Initialize or update cash flow chart
      * @param {Object} data - Chart data with dates and cash points
@@ -82,10 +85,10 @@ export const Charts = {
 
     /**
      * Initialize or update stock chart
-     * @param {Object} data - Chart data with dates and stock points
+     * @param {Object} data - Chart data with dates, stock points and per-grade kernel series
      */
     renderStockChart(data) {
-        const { dates, rawPoints, procPoints } = data;
+        const { dates, rawPoints, procPoints, gradeSeries = [] } = data;
         const ctx = document.getElementById('stockChart')?.getContext('2d');
         
         if (!ctx) return;
@@ -117,7 +120,18 @@ export const Charts = {
                         stepped: true,
                         fill: true,
                         borderWidth: 2
-                    }
+                    },
+                    // One dashed line per grade once kernel is graded
+                    ...(gradeSeries.some(g => g.grade) ? gradeSeries.map((g, i) => ({
+                        label: g.name,
+                        data: g.points,
+                        borderColor: this.gradeColors[i % this.gradeColors.length],
+                        borderDash: [6, 4],
+                        stepped: true,
+                        fill: false,
+                        borderWidth: 2,
+                        pointRadius: 0
+                    })) : [])
                 ]
             },
             options: {
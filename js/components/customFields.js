@@ -0,0 +1,67 @@
+/**
+ * Custom Fields Component
+ * Inputs for the admin-defined transaction fields (used by the entry forms and the ledger edit modal)
+ */
+
+import { escapeHtml } from '../utils/html.js';
+
+export const CustomFields = {
+    /**
+     * Fields shown on a transaction type
+     * @param {Array} fields - settings.customFields
+     * @param {string} type - Transaction type
+     */
+    forType(fields, type) {
+        return fields.filter(f => !f.appliesTo?.length || f.appliesTo.includes(type));
+    },
+
+    /**
+     * Render labelled inputs for a list of fields
+     * @returns {string} HTML template
+     */
+    render(fields, values = {}) {
+        return fields.map(f => `
+            <div class="form-group">
+                <label>${escapeHtml(f.label)}${f.required && f.isActive ? ' *' : ''}</label>
+                ${this.renderInput(f, values[f.key])}
+            </div>
+        `).join('');
+    },
+
+    /**
+     * Input for one field, by its type
+     * @returns {string} HTML template
+     */
+    renderInput(field, value = '') {
+        const attrs = `class="form-control custom-field-input" data-field-key="${field.key}"${field.required && field.isActive ? ' required' : ''}`;
+        const safeValue = escapeHtml(String(value ?? ''));
+
+        switch (field.fieldType) {
+            case 'NUMBER':
+                return `<input type="number" step="any" ${attrs} value="${safeValue}">`;
+            case 'DATE':
+                return `<input type="date" ${attrs} value="${safeValue}">`;
+            case 'SELECT':
+                return `
+                    <select ${attrs}>
+                        <option value="">-- Select --</option>
+                        ${field.options.map(o => `<option value="${escapeHtml(o)}" ${o === value ? 'selected' : ''}>${escapeHtml(o)}</option>`).join('')}
+                    </select>
+                `;
+            default:
+                return `<input type="text" ${attrs} value="${safeValue}" maxlength="200">`;
+        }
+    },
+
+    /**
+     * Collect values from the inputs inside an element
+     * @returns {Object} { key: value } for filled-in fields
+     */
+    collect(root) {
+        return Object.fromEntries(
+            [...root.querySelectorAll('.custom-field-input')]
+                .filter(input => input.value.trim() !== '')
+                .map(input => [input.dataset.fieldKey, input.value.trim()])
+        );
+    }
+};
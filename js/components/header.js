@@ -1,6 +1,6 @@
 /**
  * Header Component
- * Top navigation bar with stats display
+ * Top navigation bar with stats display and organization switcher
  */
 
 export const Header = {
@@ -31,6 +31,28 @@ export const Header = {
         }
     },
 
+    /**
+     * Fill the organization switcher (hidden unless there is a choice)
+     * @param {Array} organizations - [{ _id, name }] the user can work in
+     * @param {string} currentId - Organization of this session
+     * @param {Function} onSwitch - Called with the chosen organization id
+     */
+    setOrganizations(organizations, currentId, onSwitch) {
+        const select = document.getElementById('orgSwitcher');
+        if (!select) return;
+
+        select.innerHTML = organizations.map(o => {
+            const option = document.createElement('option');
+            option.value = o._id;
+            option.textContent = o.name;
+            option.selected = o._id === currentId;
+            return option.outerHTML;
+        }).join('');
+        select.classList.toggle('hidden', organizations.length < 2);
+
+        select.onchange = () => onSwitch(select.value);
+    },
+
     /**
      * Set page title
      * @param {string} title - Page title to display
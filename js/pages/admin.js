@@ -4,10 +4,21 @@
  */
 
 import { AuthService } from '../services/auth.js';
+import { ApiService } from '../services/api.js';
+import { escapeHtml } from '../utils/html.js';
 
 export const AdminPage = {
     users: [],
     sessions: [],
+    counterparties: [],
+    locations: [],
+    categories: [],
+    periods: [],
+    years: [],
+    organizations: [],
+    activity: [],
+    approvals: [],
+    partySuggestions: [],
     activeTab: 'users',
 
     /**
@@ -56,9 +67,33 @@ export const AdminPage = {
                     <button class="admin-tab" data-tab="sessions">
                         <i class="fas fa-desktop"></i> Active Sessions
                     </button>
+                    <button class="admin-tab" data-tab="approvals">
+                        <i class="fas fa-clipboard-check"></i> Approvals <span class="approval-count hidden" id="approvalCount"></span>
+                    </button>
+                    <button class="admin-tab" data-tab="activity">
+                        <i class="fas fa-user-clock"></i> Activity
+                    </button>
                     <button class="admin-tab" data-tab="create">
                         <i class="fas fa-user-plus"></i> Create User
                     </button>
+                    <button class="admin-tab" data-tab="organizations">
+                        <i class="fas fa-building"></i> Organizations
+                    </button>
+                    <button class="admin-tab" data-tab="parties">
+                        <i class="fas fa-handshake"></i> Suppliers & Buyers
+                    </button>
+                    <button class="admin-tab" data-tab="locations">
+                        <i class="fas fa-warehouse"></i> Locations
+                    </button>
+                    <button class="admin-tab" data-tab="categories">
+                        <i class="fas fa-tags"></i> Categories
+                    </button>
+                    <button class="admin-tab" data-tab="periods">
+                        <i class="fas fa-lock"></i> Periods
+                    </button>
+                    <button class="admin-tab" data-tab="settings">
+                        <i class="fas fa-cog"></i> Settings
+                    </button>
                 </div>
 
                 <!-- Users Tab -->
@@ -81,6 +116,278 @@ export const AdminPage = {
                     </div>
                 </div>
 
+                <!-- Approvals Tab -->
+                <div class="admin-tab-content" id="approvalsTab">
+                    <div class="approvals-toolbar">
+                        <h3 class="admin-section-title"><i class="fas fa-clipboard-check"></i> Changes Waiting for Approval</h3>
+                        <select class="form-control" id="approvalStatusFilter">
+                            <option value="PENDING">Pending</option>
+                            <option value="APPROVED">Approved</option>
+                            <option value="REJECTED">Rejected</option>
+                        </select>
+                    </div>
+                    <p class="form-hint">Deletions, adjustments and edits of older records asked for by other users. Approving applies the change as the person who asked.</p>
+                    <div id="approvalsList">
+                        <div class="admin-empty">
+                            <i class="fas fa-spinner fa-spin"></i>
+                            <p>Loading approvals...</p>
+                        </div>
+                    </div>
+                </div>
+
+                <!-- Activity Tab -->
+                <div class="admin-tab-content" id="activityTab">
+                    <h3 class="admin-section-title"><i class="fas fa-user-clock"></i> Who Entered and Changed What</h3>
+                    <form id="activityFilterForm" class="activity-filter">
+                        <div class="form-group">
+                            <label>From</label>
+                            <input type="date" class="form-control" id="activityFrom">
+                        </div>
+                        <div class="form-group">
+                            <label>To</label>
+                            <input type="date" class="form-control" id="activityTo">
+                        </div>
+                        <button type="submit" class="btn btn-sm btn-inline btn-primary">
+                            <i class="fas fa-filter"></i> Apply
+                        </button>
+                    </form>
+                    <div id="activityList">
+                        <div class="admin-empty">
+                            <i class="fas fa-spinner fa-spin"></i>
+                            <p>Loading activity...</p>
+                        </div>
+                    </div>
+                </div>
+
+                <!-- Organizations Tab -->
+                <div class="admin-tab-content" id="organizationsTab">
+                    <h3 class="admin-section-title"><i class="fas fa-building"></i> Organizations</h3>
+                    <p class="form-hint">Each organization has its own ledger, stock, settings and reports. Switch between them from the header.</p>
+                    <div id="organizationsList">
+                        <div class="admin-empty">
+                            <i class="fas fa-spinner fa-spin"></i>
+                            <p>Loading organizations...</p>
+                        </div>
+                    </div>
+                    <div class="create-user-form">
+                        <h3><i class="fas fa-plus"></i> Add Organization</h3>
+                        <form id="createOrganizationForm">
+                            <div class="form-group">
+                                <label>Name *</label>
+                                <input type="text" class="form-control" id="newOrganizationName" required placeholder="e.g. Second Estate">
+                            </div>
+                            <button type="submit" class="btn btn-primary">
+                                <i class="fas fa-plus"></i> Add Organization
+                            </button>
+                        </form>
+                    </div>
+                </div>
+
+                <!-- Suppliers & Buyers Tab -->
+                <div class="admin-tab-content" id="partiesTab">
+                    <h3 class="admin-section-title"><i class="fas fa-handshake"></i> Registered</h3>
+                    <div id="partiesList">
+                        <div class="admin-empty">
+                            <i class="fas fa-spinner fa-spin"></i>
+                            <p>Loading suppliers and buyers...</p>
+                        </div>
+                    </div>
+                    <h3 class="admin-section-title"><i class="fas fa-magic"></i> Suggested from Notes</h3>
+                    <p class="form-hint">Names found in the notes of older purchases and sales. Create them to link those transactions.</p>
+                    <div id="partySuggestionsList"></div>
+                </div>
+
+                <!-- Locations Tab -->
+                <div class="admin-tab-content" id="locationsTab">
+                    <h3 class="admin-section-title"><i class="fas fa-warehouse"></i> Storage Locations</h3>
+                    <div id="locationsList">
+                        <div class="admin-empty">
+                            <i class="fas fa-spinner fa-spin"></i>
+                            <p>Loading locations...</p>
+                        </div>
+                    </div>
+                    <div class="create-user-form">
+                        <h3><i class="fas fa-plus"></i> Add Location</h3>
+                        <form id="createLocationForm">
+                            <div class="form-group">
+                                <label>Name *</label>
+                                <input type="text" class="form-control" id="newLocationName" required placeholder="e.g. Farm Store">
+                            </div>
+                            <div class="form-group">
+                                <label>Address</label>
+                                <input type="text" class="form-control" id="newLocationAddress">
+                            </div>
+                            <button type="submit" class="btn btn-primary">
+                                <i class="fas fa-plus"></i> Add Location
+                            </button>
+                        </form>
+                    </div>
+                </div>
+
+                <!-- Categories Tab -->
+                <div class="admin-tab-content" id="categoriesTab">
+                    <h3 class="admin-section-title"><i class="fas fa-tags"></i> Expense & Income Categories</h3>
+                    <div id="categoriesList">
+                        <div class="admin-empty">
+                            <i class="fas fa-spinner fa-spin"></i>
+                            <p>Loading categories...</p>
+                        </div>
+                    </div>
+                    <div class="create-user-form">
+                        <h3><i class="fas fa-plus"></i> Add Category</h3>
+                        <form id="createCategoryForm">
+                            <div class="form-group">
+                                <label>Type *</label>
+                                <select class="form-control" id="newCategoryType">
+                                    <option value="EXPENSE">Expense</option>
+                                    <option value="INCOME">Income</option>
+                                </select>
+                            </div>
+                            <div class="form-group">
+                                <label>Name *</label>
+                                <input type="text" class="form-control" id="newCategoryName" required placeholder="e.g. Fuel">
+                            </div>
+                            <div class="form-group">
+                                <label>Icon</label>
+                                <input type="text" class="form-control" id="newCategoryIcon" placeholder="fa-gas-pump">
+                                <small class="form-hint">A Font Awesome icon name; leave blank for a tag</small>
+                            </div>
+                            <button type="submit" class="btn btn-primary">
+                                <i class="fas fa-plus"></i> Add Category
+                            </button>
+                        </form>
+                    </div>
+                </div>
+
+                <!-- Periods Tab -->
+                <div class="admin-tab-content" id="periodsTab">
+                    <h3 class="admin-section-title"><i class="fas fa-lock"></i> Closed Periods</h3>
+                    <p class="form-hint" id="periodsLockedUntil"></p>
+                    <div id="periodsList">
+                        <div class="admin-empty">
+                            <i class="fas fa-spinner fa-spin"></i>
+                            <p>Loading periods...</p>
+                        </div>
+                    </div>
+                    <div class="create-user-form">
+                        <h3><i class="fas fa-lock"></i> Close a Period</h3>
+                        <form id="closePeriodForm">
+                            <div class="form-group">
+                                <label>Closing Date *</label>
+                                <input type="date" class="form-control" id="newPeriodClosingDate" required>
+                                <small class="form-hint">Transactions on or before this date can no longer be added, edited or deleted</small>
+                            </div>
+                            <div class="form-group">
+                                <label>Notes</label>
+                                <input type="text" class="form-control" id="newPeriodNotes" placeholder="e.g. March accounts finalised">
+                            </div>
+                            <button type="submit" class="btn btn-primary">
+                                <i class="fas fa-lock"></i> Close Period
+                            </button>
+                        </form>
+                    </div>
+
+                    <h3 class="admin-section-title"><i class="fas fa-calendar-alt"></i> Financial Years</h3>
+                    <div id="yearsList">
+                        <div class="admin-empty">
+                            <i class="fas fa-spinner fa-spin"></i>
+                            <p>Loading financial years...</p>
+                        </div>
+                    </div>
+                    <div class="create-user-form">
+                        <h3><i class="fas fa-plus"></i> Add Financial Year</h3>
+                        <form id="createYearForm">
+                            <div class="form-group">
+                                <label>Start Date *</label>
+                                <input type="date" class="form-control" id="newYearStart" required>
+                            </div>
+                            <div class="form-group">
+                                <label>End Date</label>
+                                <input type="date" class="form-control" id="newYearEnd">
+                                <small class="form-hint">Leave blank for one year from the start</small>
+                            </div>
+                            <div class="form-group">
+                                <label>Name</label>
+                                <input type="text" class="form-control" id="newYearName" placeholder="e.g. 2024/25">
+                            </div>
+                            <div class="form-group">
+                                <label>Opening Cash (LKR)</label>
+                                <input type="number" class="form-control" id="newYearCash" step="0.01">
+                            </div>
+                            <div class="form-group">
+                                <label>Opening Raw Stock (kg)</label>
+                                <input type="number" class="form-control" id="newYearRaw" step="0.001">
+                            </div>
+                            <div class="form-group">
+                                <label>Opening Kernel Stock (kg)</label>
+                                <input type="number" class="form-control" id="newYearProc" step="0.001">
+                                <small class="form-hint">Opening balances left blank are worked out from the transactions before the start date</small>
+                            </div>
+                            <button type="submit" class="btn btn-primary">
+                                <i class="fas fa-plus"></i> Add Year
+                            </button>
+                        </form>
+                    </div>
+                </div>
+
+                <!-- Settings Tab -->
+                <div class="admin-tab-content" id="settingsTab">
+                    <div class="create-user-form">
+                        <h3><i class="fas fa-cog"></i> Business Settings</h3>
+                        <form id="settingsForm">
+                            <div class="form-group">
+                                <label>Inventory Costing Method</label>
+                                <select class="form-control" id="settingCostingMethod">
+                                    <option value="WEIGHTED_AVERAGE">Weighted Average</option>
+                                    <option value="FIFO">FIFO (oldest stock first)</option>
+                                </select>
+                                <small class="form-hint">Used for kernel cost, cost of goods sold and gross margin. Changing it recosts all past sales.</small>
+                            </div>
+                            <div class="form-group">
+                                <label>Negative Stock</label>
+                                <select class="form-control" id="settingNegativeStockPolicy">
+                                    <option value="BLOCK">Block the entry</option>
+                                    <option value="WARN">Save it with a warning</option>
+                                    <option value="ALLOW">Allow silently</option>
+                                </select>
+                                <small class="form-hint">What to do when an entry, edit or delete would make raw or kernel stock go below zero at any date.</small>
+                            </div>
+                            <div class="form-group">
+                                <label>Auto-processing on Sale</label>
+                                <select class="form-control" id="settingAutoProcessOnSell">
+                                    <option value="true">Offer it on the sale form</option>
+                                    <option value="false">Off</option>
+                                </select>
+                                <small class="form-hint">A sale short of kernel can process raw stock to cover the difference, at the average recovery so far.</small>
+                            </div>
+                            <div class="form-group">
+                                <label>Approval for Edits After (days)</label>
+                                <input type="number" class="form-control" id="settingApprovalAfterDays" min="0" step="1">
+                                <small class="form-hint">Non-admin edits to transactions dated longer ago than this wait in Approvals. Adjustments and deletions by users without the delete permission always do.</small>
+                            </div>
+                            <div class="form-group">
+                                <label>Kernel Grades</label>
+                                <div id="settingGrades" class="grade-rows"></div>
+                                <button type="button" class="btn btn-secondary btn-sm" id="addGradeBtn">
+                                    <i class="fas fa-plus"></i> Add Grade
+                                </button>
+                                <small class="form-hint">Processing splits kernel across these grades and every sale names one. Grades already used can be deactivated but not removed.</small>
+                            </div>
+                            <div class="form-group">
+                                <label>Custom Transaction Fields</label>
+                                <div id="settingCustomFields" class="grade-rows"></div>
+                                <button type="button" class="btn btn-secondary btn-sm" id="addCustomFieldBtn">
+                                    <i class="fas fa-plus"></i> Add Field
+                                </button>
+                                <small class="form-hint">Extra fields on the entry forms, e.g. vehicle number or harvest plot. Limit a field to some types with a comma list such as BUY, SELL; leave it blank for all. Select fields take comma-separated options.</small>
+                            </div>
+                            <button type="submit" class="btn btn-primary" id="saveSettingsBtn">
+                                <i class="fas fa-save"></i> Save Settings
+                            </button>
+                        </form>
+                    </div>
+                </div>
+
                 <!-- Create User Tab -->
                 <div class="admin-tab-content" id="createTab">
                     <div class="create-user-form">
@@ -106,6 +413,15 @@ export const AdminPage = {
                                     <option value="admin">Admin</option>
                                 </select>
                             </div>
+                            <div class="form-group">
+                                <label>Permissions</label>
+                                <div class="permission-checks">
+                                    <label><input type="checkbox" class="new-permission" value="read" checked> Read</label>
+                                    <label><input type="checkbox" class="new-permission" value="write" checked> Write</label>
+                                    <label><input type="checkbox" class="new-permission" value="delete"> Delete</label>
+                                </div>
+                                <small class="form-hint">Admins can do everything regardless</small>
+                            </div>
                             <div class="form-group">
                                 <label>Device Limit</label>
                                 <input type="number" class="form-control" id="newDeviceLimit" value="3" min="1" max="10">
@@ -190,6 +506,71 @@ export const AdminPage = {
             this.createUser();
         });
 
+        document.getElementById('approvalStatusFilter')?.addEventListener('change', () => {
+            this.loadApprovals();
+        });
+
+        document.getElementById('approvalsList')?.addEventListener('click', (e) => {
+            const btn = e.target.closest('.approval-action-btn');
+            if (btn) this.reviewChange(btn.dataset.changeId, btn.dataset.decision);
+        });
+
+        document.getElementById('activityFilterForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.loadActivity();
+        });
+
+        document.getElementById('createOrganizationForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.createOrganization();
+        });
+
+        document.getElementById('createLocationForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.createLocation();
+        });
+
+        document.getElementById('createCategoryForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.createCategory();
+        });
+
+        document.getElementById('closePeriodForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.closePeriod();
+        });
+
+        document.getElementById('createYearForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.createYear();
+        });
+
+        document.getElementById('settingsForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveSettings();
+        });
+
+        document.getElementById('addGradeBtn')?.addEventListener('click', () => {
+            document.getElementById('settingGrades')?.insertAdjacentHTML('beforeend', this.renderGradeRow());
+        });
+
+        document.getElementById('settingGrades')?.addEventListener('click', (e) => {
+            e.target.closest('.grade-remove-btn')?.closest('.grade-row')?.remove();
+        });
+
+        document.getElementById('addCustomFieldBtn')?.addEventListener('click', () => {
+            document.getElementById('settingCustomFields')?.insertAdjacentHTML('beforeend', this.renderCustomFieldRow());
+        });
+
+        const customFields = document.getElementById('settingCustomFields');
+        customFields?.addEventListener('click', (e) => {
+            e.target.closest('.grade-remove-btn')?.closest('.grade-row')?.remove();
+        });
+        customFields?.addEventListener('change', (e) => {
+            if (!e.target.classList.contains('field-type')) return;
+            e.target.closest('.grade-row').querySelector('.field-options').classList.toggle('hidden', e.target.value !== 'SELECT');
+        });
+
         // Password modal
         const passwordModal = document.getElementById('passwordModal');
         const updatePasswordForm = document.getElementById('updatePasswordForm');
@@ -249,8 +630,1146 @@ export const AdminPage = {
         } catch (error) {
             console.error('Failed to load admin data:', error);
         }
+
+        await this.loadApprovals();
+        await this.loadActivity();
+        await this.loadOrganizations();
+        await this.loadCounterparties();
+        await this.loadLocations();
+        await this.loadCategories();
+        await this.loadPeriods();
+        await this.loadYears();
+        await this.loadSettings();
+    },
+
+    /**
+     * Load change requests with the chosen status
+     */
+    async loadApprovals() {
+        const status = document.getElementById('approvalStatusFilter')?.value || 'PENDING';
+
+        try {
+            const response = await ApiService.getApprovals({ status });
+            this.approvals = response.data || [];
+            this.renderApprovals(status);
+
+            // The tab shows how many are waiting
+            const pending = status === 'PENDING'
+                ? this.approvals.length
+                : (await ApiService.getApprovals({ status: 'PENDING' })).count;
+            const badge = document.getElementById('approvalCount');
+            if (badge) {
+                badge.textContent = pending;
+                badge.classList.toggle('hidden', !pending);
+            }
+        } catch (error) {
+            console.error('Failed to load approvals:', error);
+        }
+    },
+
+    /**
+     * Render change requests with their proposed diff
+     */
+    renderApprovals(status) {
+        const container = document.getElementById('approvalsList');
+        if (!container) return;
+
+        if (!this.approvals.length) {
+            container.innerHTML = `
+                <div class="admin-empty">
+                    <i class="fas fa-clipboard-check"></i>
+                    <p>${status === 'PENDING' ? 'Nothing waiting for approval' : 'No change requests'}</p>
+                </div>
+            `;
+            return;
+        }
+
+        const ACTION_LABELS = { CREATE: 'Add', UPDATE: 'Edit', DELETE: 'Delete' };
+        const format = (value) => value === null || value === undefined || value === ''
+            ? '—'
+            : escapeHtml(typeof value === 'object' ? JSON.stringify(value) : String(value));
+
+        container.innerHTML = this.approvals.map(c => `
+            <div class="user-card approval-card">
+                <div class="approval-head">
+                    <span class="role-badge ${c.action === 'DELETE' ? 'superadmin' : 'admin'}">${ACTION_LABELS[c.action]}</span>
+                    <strong>${escapeHtml(c.summary || '')}</strong>
+                </div>
+                <p class="approval-meta">
+                    Asked by ${escapeHtml(c.requestedByName || 'unknown')} on ${new Date(c.createdAt).toLocaleString()}
+                    ${c.reviewedBy ? ` · ${c.status === 'APPROVED' ? 'Approved' : 'Rejected'} by ${escapeHtml(c.reviewedBy.username)} on ${new Date(c.reviewedAt).toLocaleString()}` : ''}
+                </p>
+                ${c.changes?.length ? `
+                    <table class="loans-table approval-changes">
+                        <thead><tr><th>Field</th><th>Now</th><th>Proposed</th></tr></thead>
+                        <tbody>
+                            ${c.changes.map(ch => `
+                                <tr>
+                                    <td>${escapeHtml(ch.field)}</td>
+                                    <td>${format(ch.before)}</td>
+                                    <td>${format(ch.after)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                ` : ''}
+                ${c.error ? `<p class="approval-error"><i class="fas fa-exclamation-triangle"></i> Could not be applied: ${escapeHtml(c.error)}</p>` : ''}
+                ${c.reviewComment ? `<p class="approval-meta"><i class="fas fa-comment"></i> ${escapeHtml(c.reviewComment)}</p>` : ''}
+                ${c.status === 'PENDING' ? `
+                    <div class="user-actions approval-actions">
+                        <input type="text" class="form-control approval-comment" id="approvalComment-${c._id}" placeholder="Comment (optional)">
+                        <button class="action-btn regenerate approval-action-btn" data-change-id="${c._id}" data-decision="approve">
+                            <i class="fas fa-check"></i> Approve
+                        </button>
+                        <button class="action-btn revoke approval-action-btn" data-change-id="${c._id}" data-decision="reject">
+                            <i class="fas fa-times"></i> Reject
+                        </button>
+                    </div>
+                ` : ''}
+            </div>
+        `).join('');
+    },
+
+    /**
+     * Approve (apply) or reject a change request with an optional comment
+     */
+    async reviewChange(id, decision) {
+        const comment = document.getElementById(`approvalComment-${id}`)?.value.trim() || undefined;
+        if (decision === 'reject' && !confirm('Reject this change? Nothing will be applied.')) return;
+
+        try {
+            const response = decision === 'approve'
+                ? await ApiService.approveChange(id, comment)
+                : await ApiService.rejectChange(id, comment);
+            if (response.warning) {
+                alert(`Applied. Warning: ${response.warning}`);
+            }
+            await this.loadApprovals();
+        } catch (error) {
+            alert('Error: ' + error.message);
+            await this.loadApprovals();
+        }
+    },
+
+    /**
+     * Load what each user did in the chosen date range
+     */
+    async loadActivity() {
+        const from = document.getElementById('activityFrom')?.value;
+        const to = document.getElementById('activityTo')?.value;
+
+        try {
+            const response = await ApiService.getActivity({
+                ...(from ? { from } : {}),
+                ...(to ? { to } : {})
+            });
+            this.activity = response.data || [];
+            this.renderActivity();
+        } catch (error) {
+            console.error('Failed to load activity:', error);
+        }
+    },
+
+    /**
+     * Render per-user activity
+     */
+    renderActivity() {
+        const container = document.getElementById('activityList');
+        if (!container) return;
+
+        if (!this.activity.length) {
+            container.innerHTML = `
+                <div class="admin-empty">
+                    <i class="fas fa-user-clock"></i>
+                    <p>No activity in this range</p>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = this.activity.map(a => {
+            const devices = a.devices
+                .map(d => [d.browser, d.os, d.ip].filter(Boolean).join(' · '))
+                .filter(Boolean);
+
+            return `
+                <div class="user-card">
+                    <div class="avatar">${escapeHtml(a.username.substring(0, 2).toUpperCase())}</div>
+                    <div class="user-info">
+                        <h4>${escapeHtml(a.username)}</h4>
+                        <p>${a.created} created · ${a.updated} edited · ${a.deleted} deleted · ${a.restored} restored · ${a.purged} purged</p>
+                        ${devices.length ? `<p>${devices.map(d => escapeHtml(d)).join('<br>')}</p>` : ''}
+                    </div>
+                    <div class="user-meta">
+                        <span><i class="fas fa-receipt"></i> ${a.transactionCount} transactions</span>
+                        <span><i class="fas fa-desktop"></i> ${a.sessionCount} sessions</span>
+                        <span><i class="fas fa-clock"></i> Last: ${new Date(a.lastAt).toLocaleString()}</span>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    },
+
+    /**
+     * Load organizations with their members
+     */
+    async loadOrganizations() {
+        try {
+            const response = await AuthService.getOrganizations();
+            this.organizations = response.data || [];
+            this.renderOrganizations();
+        } catch (error) {
+            console.error('Failed to load organizations:', error);
+        }
     },
 
+    /**
+     * Render organizations with their members
+     */
+    renderOrganizations() {
+        const container = document.getElementById('organizationsList');
+        if (!container) return;
+
+        if (!this.organizations.length) {
+            container.innerHTML = `
+                <div class="admin-empty">
+                    <i class="fas fa-building"></i>
+                    <p>No organizations</p>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = this.organizations.map(org => `
+            <div class="user-card${org.isActive ? '' : ' archived'}">
+                <div class="avatar">${escapeHtml(org.name.substring(0, 2).toUpperCase())}</div>
+                <div class="user-info">
+                    <h4>
+                        ${escapeHtml(org.name)}
+                        ${org.isCurrent ? '<span class="role-badge admin">Current</span>' : ''}
+                        ${org.isActive ? '' : '<span class="role-badge">Inactive</span>'}
+                    </h4>
+                    <p>${org.members.length
+                        ? org.members.map(m => escapeHtml(m.username)).join(', ')
+                        : 'No members'}</p>
+                </div>
+                <div class="user-actions">
+                    <button class="action-btn regenerate org-add-member-btn" data-org-id="${org._id}">
+                        <i class="fas fa-user-plus"></i> Add Member
+                    </button>
+                    <button class="action-btn password org-remove-member-btn" data-org-id="${org._id}">
+                        <i class="fas fa-user-minus"></i> Remove Member
+                    </button>
+                    <button class="action-btn regenerate org-rename-btn" data-org-id="${org._id}">
+                        <i class="fas fa-pen"></i> Rename
+                    </button>
+                    ${!org.isCurrent ? `
+                        <button class="action-btn revoke org-toggle-btn" data-org-id="${org._id}">
+                            <i class="fas fa-${org.isActive ? 'ban' : 'undo'}"></i> ${org.isActive ? 'Deactivate' : 'Activate'}
+                        </button>
+                    ` : ''}
+                </div>
+            </div>
+        `).join('');
+
+        container.querySelectorAll('.org-add-member-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.addOrganizationMember(btn.dataset.orgId));
+        });
+        container.querySelectorAll('.org-remove-member-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.removeOrganizationMember(btn.dataset.orgId));
+        });
+        container.querySelectorAll('.org-rename-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.renameOrganization(btn.dataset.orgId));
+        });
+        container.querySelectorAll('.org-toggle-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.toggleOrganizationActive(btn.dataset.orgId));
+        });
+    },
+
+    /**
+     * Create an organization (you become its first member)
+     */
+    async createOrganization() {
+        const nameInput = document.getElementById('newOrganizationName');
+
+        try {
+            await AuthService.createOrganization(nameInput.value.trim());
+            nameInput.value = '';
+            await this.loadOrganizations();
+            alert('Organization created. Switch to it from the header after reloading the page.');
+        } catch (error) {
+            alert('Error: ' + error.message);
+        }
+    },
+
+    /**
+     * Add a user to an organization by username
+     */
+    async addOrganizationMember(id) {
+        const org = this.organizations.find(o => o._id === id);
+        const username = prompt(`Username to add to ${org.name}:`);
+        if (!username) return;
+
+        const user = this.users.find(u => u.username === username.trim());
+        if (!user) {
+            alert(`No user named "${username.trim()}"`);
+            return;
+        }
+
+        try {
+            await AuthService.addOrganizationMember(id, user.id);
+            await this.loadOrganizations();
+        } catch (error) {
+            alert('Error: ' + error.message);
+        }
+    },
+
+    /**
+     * Remove a user from an organization by username
+     */
+    async removeOrganizationMember(id) {
+        const org = this.organizations.find(o => o._id === id);
+        const username = prompt(`Username to remove from ${org.name} (${org.members.map(m => m.username).join(', ')}):`);
+        if (!username) return;
+
+        const member = org.members.find(m => m.username === username.trim());
+        if (!member) {
+            alert(`${username.trim()} is not a member of ${org.name}`);
+            return;
+        }
+
+        try {
+            await AuthService.removeOrganizationMember(id, member._id);
+            await this.loadOrganizations();
+        } catch (error) {
+            alert('Error: ' + error.message);
+        }
+    },
+
+    /**
+     * Rename an organization
+     */
+    async renameOrganization(id) {
+        const org = this.organizations.find(o => o._id === id);
+        const name = prompt('New name:', org.name);
+        if (!name || name.trim() === org.name) return;
+
+        try {
+            await AuthService.updateOrganization(id, { name: name.trim() });
+            await this.loadOrganizations();
+        } catch (error) {
+            alert('Error: ' + error.message);
+        }
+    },
+
+    /**
+     * Deactivate an organization (hidden from the switcher) or bring it back
+     */
+    async toggleOrganizationActive(id) {
+        const org = this.organizations.find(o => o._id === id);
+        if (org.isActive && !confirm(`Deactivate ${org.name}? Its data is kept but nobody can switch to it.`)) return;
+
+        try {
+            await AuthService.updateOrganization(id, { isActive: !org.isActive });
+            await this.loadOrganizations();
+        } catch (error) {
+            alert('Error: ' + error.message);
+        }
+    },
+
+    /**
+     * Load storage locations with their stock
+     */
+    async loadLocations() {
+        try {
+            const response = await ApiService.getLocations();
+            this.locations = response.data || [];
+            this.renderLocations();
+        } catch (error) {
+            console.error('Failed to load locations:', error);
+        }
+    },
+
+    /**
+     * Render storage locations
+     */
+    renderLocations() {
+        const container = document.getElementById('locationsList');
+        if (!container) return;
+
+        if (!this.locations.length) {
+            container.innerHTML = `
+                <div class="admin-empty">
+                    <i class="fas fa-warehouse"></i>
+                    <p>No locations yet. Stock is tracked as one pool until you add one.</p>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = this.locations.map(location => `
+            <div class="user-card">
+                <div class="avatar">${escapeHtml(location.name.substring(0, 2).toUpperCase())}</div>
+                <div class="user-info">
+                    <h4>
+                        ${escapeHtml(location.name)}
+                        ${location.isDefault ? '<span class="role-badge admin">Default</span>' : ''}
+                    </h4>
+                    <p>${escapeHtml(location.address || 'No address')}</p>
+                </div>
+                <div class="user-meta">
+                    <span><i class="fas fa-leaf"></i> ${location.rawStock.toFixed(1)} kg raw</span>
+                    <span><i class="fas fa-box-open"></i> ${location.procStock.toFixed(1)} kg kernel</span>
+                </div>
+                <div class="user-actions">
+                    ${!location.isDefault ? `
+                        <button class="action-btn regenerate location-default-btn" data-location-id="${location._id}">
+                            <i class="fas fa-star"></i> Make Default
+                        </button>
+                    ` : ''}
+                    <button class="action-btn revoke location-remove-btn" data-location-id="${location._id}">
+                        <i class="fas fa-trash-alt"></i> Remove
+                    </button>
+                </div>
+            </div>
+        `).join('');
+
+        container.querySelectorAll('.location-default-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.makeDefaultLocation(btn.dataset.locationId));
+        });
+        container.querySelectorAll('.location-remove-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.removeLocation(btn.dataset.locationId));
+        });
+    },
+
+    /**
+     * Create a storage location
+     */
+    async createLocation() {
+        const nameInput = document.getElementById('newLocationName');
+        const addressInput = document.getElementById('newLocationAddress');
+
+        try {
+            await ApiService.createLocation({
+                name: nameInput.value.trim(),
+                address: addressInput.value.trim()
+            });
+            nameInput.value = '';
+            addressInput.value = '';
+            await this.loadLocations();
+        } catch (error) {
+            alert('Error: ' + error.message);
+        }
+    },
+
+    /**
+     * Make a location the default for new stock entries
+     */
+    async makeDefaultLocation(id) {
+        try {
+            await ApiService.updateLocation(id, { isDefault: true });
+            await this.loadLocations();
+        } catch (error) {
+            alert('Error: ' + error.message);
+        }
+    },
+
+    /**
+     * Remove a location (deactivated if it has transactions)
+     */
+    async removeLocation(id) {
+        if (!confirm('Remove this location? Locations with transactions are deactivated instead.')) return;
+
+        try {
+            await ApiService.deleteLocation(id);
+            await this.loadLocations();
+        } catch (error) {
+            alert('Error: ' + error.message);
+        }
+    },
+
+    /**
+     * Load expense and income categories, archived included
+     */
+    async loadCategories() {
+        try {
+            const response = await ApiService.getCategories({ includeArchived: true });
+            this.categories = response.data || [];
+            this.renderCategories();
+        } catch (error) {
+            console.error('Failed to load categories:', error);
+        }
+    },
+
+    /**
+     * Render expense and income categories
+     */
+    renderCategories() {
+        const container = document.getElementById('categoriesList');
+        if (!container) return;
+
+        if (!this.categories.length) {
+            container.innerHTML = `
+                <div class="admin-empty">
+                    <i class="fas fa-tags"></i>
+                    <p>No categories yet</p>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = this.categories.map(category => `
+            <div class="user-card${category.archived ? ' archived' : ''}">
+                <div class="avatar"><i class="fas ${escapeHtml(category.icon)}"></i></div>
+                <div class="user-info">
+                    <h4>
+                        ${escapeHtml(category.name)}
+                        <span class="role-badge ${category.type === 'INCOME' ? 'admin' : 'user'}">${category.type === 'INCOME' ? 'Income' : 'Expense'}</span>
+                        ${category.archived ? '<span class="role-badge">Archived</span>' : ''}
+                    </h4>
+                    <p>${category.transactionCount} transaction${category.transactionCount === 1 ? '' : 's'}</p>
+                </div>
+                <div class="user-actions">
+                    <button class="action-btn regenerate category-rename-btn" data-category-id="${category._id}">
+                        <i class="fas fa-pen"></i> Rename
+                    </button>
+                    <button class="action-btn ${category.archived ? 'regenerate' : 'revoke'} category-archive-btn" data-category-id="${category._id}">
+                        <i class="fas ${category.archived ? 'fa-undo' : 'fa-archive'}"></i> ${category.archived ? 'Restore' : 'Archive'}
+                    </button>
+                    ${!category.transactionCount ? `
+                        <button class="action-btn revoke category-remove-btn" data-category-id="${category._id}">
+                            <i class="fas fa-trash-alt"></i> Delete
+                        </button>
+                    ` : ''}
+                </div>
+            </div>
+        `).join('');
+
+        container.querySelectorAll('.category-rename-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.renameCategory(btn.dataset.categoryId));
+        });
+        container.querySelectorAll('.category-archive-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.toggleCategoryArchived(btn.dataset.categoryId));
+        });
+        container.querySelectorAll('.category-remove-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.removeCategory(btn.dataset.categoryId));
+        });
+    },
+
+    /**
+     * Create an expense or income category
+     */
+    async createCategory() {
+        const typeInput = document.getElementById('newCategoryType');
+        const nameInput = document.getElementById('newCategoryName');
+        const iconInput = document.getElementById('newCategoryIcon');
+
+        try {
+            await ApiService.createCategory({
+                type: typeInput.value,
+                name: nameInput.value.trim(),
+                icon: iconInput.value.trim() || undefined
+            });
+            nameInput.value = '';
+            iconInput.value = '';
+            await this.loadCategories();
+        } catch (error) {
+            alert('Error: ' + error.message);
+        }
+    },
+
+    /**
+     * Rename a category (existing transactions follow the new name)
+     */
+    async renameCategory(id) {
+        const category = this.categories.find(c => c._id === id);
+        if (!category) return;
+
+        const name = prompt('New name for this category:', category.name);
+        if (!name || name.trim() === category.name) return;
+
+        try {
+            await ApiService.updateCategory(id, { name: name.trim() });
+            await this.loadCategories();
+        } catch (error) {
+            alert('Error: ' + error.message);
+        }
+    },
+
+    /**
+     * Archive a category so it can no longer be picked, or restore it
+     */
+    async toggleCategoryArchived(id) {
+        const category = this.categories.find(c => c._id === id);
+        if (!category) return;
+
+        try {
+            await ApiService.updateCategory(id, { archived: !category.archived });
+            await this.loadCategories();
+        } catch (error) {
+            alert('Error: ' + error.message);
+        }
+    },
+
+    /**
+     * Delete an unused category
+     */
+    async removeCategory(id) {
+        if (!confirm('Delete this category?')) return;
+
+        try {
+            await ApiService.deleteCategory(id);
+            await this.loadCategories();
+        } catch (error) {
+            alert('Error: ' + error.message);
+        }
+    },
+
+    /**
+     * Load closed accounting periods
+     */
+    async loadPeriods() {
+        try {
+            const response = await ApiService.getPeriods();
+            this.periods = response.data || [];
+            this.renderPeriods(response.lockedUntil);
+        } catch (error) {
+            console.error('Failed to load periods:', error);
+        }
+    },
+
+    /**
+     * Render closed and reopened periods
+     * @param {string|null} lockedUntil - Start of the first open day
+     */
+    renderPeriods(lockedUntil) {
+        const summary = document.getElementById('periodsLockedUntil');
+        if (summary) {
+            summary.textContent = lockedUntil
+                ? `Transactions before ${lockedUntil.substring(0, 10)} are locked.`
+                : 'No period is closed; every transaction can be changed.';
+        }
+
+        const container = document.getElementById('periodsList');
+        if (!container) return;
+
+        if (!this.periods.length) {
+            container.innerHTML = `
+                <div class="admin-empty">
+                    <i class="fas fa-lock-open"></i>
+                    <p>No periods closed yet</p>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = this.periods.map(period => `
+            <div class="user-card${period.reopenedAt ? ' archived' : ''}">
+                <div class="avatar"><i class="fas ${period.reopenedAt ? 'fa-lock-open' : 'fa-lock'}"></i></div>
+                <div class="user-info">
+                    <h4>
+                        Closed up to ${period.closingDate.substring(0, 10)}
+                        ${period.reopenedAt ? '<span class="role-badge">Reopened</span>' : ''}
+                    </h4>
+                    <p>
+                        ${period.closedBy?.username ? `by ${escapeHtml(period.closedBy.username)} · ` : ''}${new Date(period.createdAt).toLocaleString()}
+                        ${period.notes ? ` · ${escapeHtml(period.notes)}` : ''}
+                    </p>
+                    ${period.reopenedAt ? `
+                        <p>Reopened ${new Date(period.reopenedAt).toLocaleString()}${period.reopenedBy?.username ? ` by ${escapeHtml(period.reopenedBy.username)}` : ''}: ${escapeHtml(period.reopenReason || '')}</p>
+                    ` : ''}
+                </div>
+                ${!period.reopenedAt ? `
+                    <div class="user-actions">
+                        <button class="action-btn revoke period-reopen-btn" data-period-id="${period._id}">
+                            <i class="fas fa-lock-open"></i> Reopen
+                        </button>
+                    </div>
+                ` : ''}
+            </div>
+        `).join('');
+
+        container.querySelectorAll('.period-reopen-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.reopenPeriod(btn.dataset.periodId));
+        });
+    },
+
+    /**
+     * Close the books up to a date
+     */
+    async closePeriod() {
+        const dateInput = document.getElementById('newPeriodClosingDate');
+        const notesInput = document.getElementById('newPeriodNotes');
+
+        if (!confirm(`Lock every transaction on or before ${dateInput.value}?`)) return;
+
+        try {
+            await ApiService.closePeriod({
+                closingDate: dateInput.value,
+                notes: notesInput.value.trim() || undefined
+            });
+            dateInput.value = '';
+            notesInput.value = '';
+            await this.loadPeriods();
+        } catch (error) {
+            alert('Error: ' + error.message);
+        }
+    },
+
+    /**
+     * Reopen a closed period (asks for the reason)
+     */
+    async reopenPeriod(id) {
+        const reason = prompt('Why is this period being reopened?');
+        if (!reason || !reason.trim()) return;
+
+        try {
+            await ApiService.reopenPeriod(id, reason.trim());
+            await this.loadPeriods();
+        } catch (error) {
+            alert('Error: ' + error.message);
+        }
+    },
+
+    /**
+     * Load financial years
+     */
+    async loadYears() {
+        try {
+            const response = await ApiService.getYears();
+            this.years = response.data || [];
+            this.renderYears();
+        } catch (error) {
+            console.error('Failed to load financial years:', error);
+        }
+    },
+
+    /**
+     * One line of balances (opening or closing)
+     */
+    formatBalances(balances) {
+        const loans = (balances?.loans || []).reduce((sum, l) => sum + (l.outstandingPrincipal || 0), 0);
+        return `Cash LKR ${(balances?.cash || 0).toLocaleString()} · Raw ${(balances?.rawStock || 0).toFixed(1)} kg · Kernel ${(balances?.procStock || 0).toFixed(1)} kg · Loans LKR ${loans.toLocaleString()}`;
+    },
+
+    /**
+     * Render financial years with their opening and closing balances
+     */
+    renderYears() {
+        const container = document.getElementById('yearsList');
+        if (!container) return;
+
+        if (!this.years.length) {
+            container.innerHTML = `
+                <div class="admin-empty">
+                    <i class="fas fa-calendar-alt"></i>
+                    <p>No financial years yet</p>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = this.years.map(year => `
+            <div class="user-card${year.status === 'CLOSED' ? ' archived' : ''}">
+                <div class="avatar"><i class="fas fa-calendar-alt"></i></div>
+                <div class="user-info">
+                    <h4>
+                        ${escapeHtml(year.name)}
+                        ${year.status === 'CLOSED' ? '<span class="role-badge">Closed</span>' : ''}
+                    </h4>
+                    <p>${year.startDate.substring(0, 10)} to ${year.endDate.substring(0, 10)}</p>
+                    <p>Opening: ${this.formatBalances(year.opening)}</p>
+                    ${year.closing ? `<p>Closing: ${this.formatBalances(year.closing)}</p>` : ''}
+                </div>
+                ${year.status === 'OPEN' ? `
+                    <div class="user-actions">
+                        <button class="action-btn regenerate year-opening-btn" data-year-id="${year._id}">
+                            <i class="fas fa-pen"></i> Opening
+                        </button>
+                        <button class="action-btn revoke year-rollover-btn" data-year-id="${year._id}">
+                            <i class="fas fa-forward"></i> Roll Over
+                        </button>
+                    </div>
+                ` : ''}
+            </div>
+        `).join('');
+
+        container.querySelectorAll('.year-opening-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.editYearOpening(btn.dataset.yearId));
+        });
+        container.querySelectorAll('.year-rollover-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.rolloverYear(btn.dataset.yearId));
+        });
+    },
+
+    /**
+     * Add a financial year (blank opening balances come from the ledger)
+     */
+    async createYear() {
+        const value = (id) => document.getElementById(id).value.trim();
+        const number = (id) => value(id) === '' ? undefined : parseFloat(value(id));
+
+        try {
+            await ApiService.createYear({
+                startDate: value('newYearStart'),
+                endDate: value('newYearEnd') || undefined,
+                name: value('newYearName') || undefined,
+                opening: {
+                    cash: number('newYearCash'),
+                    rawStock: number('newYearRaw'),
+                    procStock: number('newYearProc')
+                }
+            });
+            document.getElementById('createYearForm').reset();
+            await this.loadYears();
+        } catch (error) {
+            alert('Error: ' + error.message);
+        }
+    },
+
+    /**
+     * Correct the opening cash and stock of an open year
+     */
+    async editYearOpening(id) {
+        const year = this.years.find(y => y._id === id);
+        if (!year) return;
+
+        const cash = prompt('Opening cash (LKR):', year.opening?.cash ?? 0);
+        if (cash === null) return;
+        const rawStock = prompt('Opening raw stock (kg):', year.opening?.rawStock ?? 0);
+        if (rawStock === null) return;
+        const procStock = prompt('Opening kernel stock (kg):', year.opening?.procStock ?? 0);
+        if (procStock === null) return;
+
+        try {
+            await ApiService.updateYear(id, {
+                opening: {
+                    cash: parseFloat(cash) || 0,
+                    rawStock: parseFloat(rawStock) || 0,
+                    procStock: parseFloat(procStock) || 0
+                }
+            });
+            await this.loadYears();
+        } catch (error) {
+            alert('Error: ' + error.message);
+        }
+    },
+
+    /**
+     * Close a year and carry its closing balances into the next one
+     */
+    async rolloverYear(id) {
+        const year = this.years.find(y => y._id === id);
+        if (!year) return;
+        if (!confirm(`Close ${year.name} and carry its closing balances into the next year?`)) return;
+
+        try {
+            const response = await ApiService.rolloverYear(id);
+            alert(`${year.name} closed. ${response.next?.name || 'The next year'} opens with: ${this.formatBalances(response.next?.opening)}`);
+            await this.loadYears();
+        } catch (error) {
+            alert('Error: ' + error.message);
+        }
+    },
+
+    /**
+     * Load business settings into the settings form
+     */
+    async loadSettings() {
+        try {
+            const response = await ApiService.getSettings();
+            const select = document.getElementById('settingCostingMethod');
+            if (select && response.data) {
+                select.value = response.data.costingMethod;
+            }
+
+            const policy = document.getElementById('settingNegativeStockPolicy');
+            if (policy && response.data) {
+                policy.value = response.data.negativeStockPolicy || 'BLOCK';
+            }
+
+            const autoProcess = document.getElementById('settingAutoProcessOnSell');
+            if (autoProcess && response.data) {
+                autoProcess.value = String(response.data.autoProcessOnSell !== false);
+            }
+
+            const approvalAfterDays = document.getElementById('settingApprovalAfterDays');
+            if (approvalAfterDays && response.data) {
+                approvalAfterDays.value = response.data.approvalAfterDays ?? 7;
+            }
+
+            const grades = document.getElementById('settingGrades');
+            if (grades && response.data) {
+                grades.innerHTML = (response.data.kernelGrades || []).map(g => this.renderGradeRow(g)).join('');
+            }
+
+            const customFields = document.getElementById('settingCustomFields');
+            if (customFields && response.data) {
+                customFields.innerHTML = (response.data.customFields || []).map(f => this.renderCustomFieldRow(f)).join('');
+            }
+        } catch (error) {
+            console.error('Failed to load settings:', error);
+        }
+    },
+
+    /**
+     * Save business settings
+     */
+    async saveSettings() {
+        const btn = document.getElementById('saveSettingsBtn');
+        const originalText = btn.innerHTML;
+
+        // An empty or invalid age would send every edit for approval
+        const approvalInput = document.getElementById('settingApprovalAfterDays').value.trim();
+        const approvalAfterDays = Number(approvalInput);
+        if (!approvalInput || !Number.isInteger(approvalAfterDays) || approvalAfterDays < 0) {
+            alert('Approval for Edits After must be a whole number of days (0 or more).');
+            return;
+        }
+
+        try {
+            btn.disabled = true;
+            btn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Saving...';
+
+            await ApiService.updateSettings({
+                costingMethod: document.getElementById('settingCostingMethod').value,
+                negativeStockPolicy: document.getElementById('settingNegativeStockPolicy').value,
+                autoProcessOnSell: document.getElementById('settingAutoProcessOnSell').value === 'true',
+                approvalAfterDays,
+                kernelGrades: this.collectGrades(),
+                customFields: this.collectCustomFields()
+            });
+
+            alert('Settings saved.');
+            await this.loadSettings();
+        } catch (error) {
+            alert('Failed to save settings: ' + error.message);
+        } finally {
+            btn.disabled = false;
+            btn.innerHTML = originalText;
+        }
+    },
+
+    /**
+     * Render one editable kernel grade row (existing codes cannot be changed)
+     */
+    renderGradeRow(grade = { code: '', name: '', isActive: true }) {
+        return `
+            <div class="grade-row">
+                <input type="text" class="form-control grade-code" placeholder="CODE" value="${escapeHtml(grade.code)}" ${grade.code ? 'readonly' : ''}>
+                <input type="text" class="form-control grade-name" placeholder="Name" value="${escapeHtml(grade.name)}">
+                <label class="grade-active">
+                    <input type="checkbox" class="grade-is-active" ${grade.isActive ? 'checked' : ''}> Active
+                </label>
+                <button type="button" class="btn btn-danger btn-sm grade-remove-btn" title="Remove">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </div>
+        `;
+    },
+
+    /**
+     * Collect kernel grades from the settings form
+     * @returns {Array} [{ code, name, isActive }]
+     */
+    collectGrades() {
+        return [...document.querySelectorAll('#settingGrades .grade-row')]
+            .map(row => ({
+                code: row.querySelector('.grade-code').value.trim().toUpperCase(),
+                name: row.querySelector('.grade-name').value.trim(),
+                isActive: row.querySelector('.grade-is-active').checked
+            }))
+            .filter(g => g.code || g.name);
+    },
+
+    /**
+     * Render one editable custom field row (existing keys cannot be changed)
+     */
+    renderCustomFieldRow(field = { key: '', label: '', fieldType: 'TEXT', options: [], appliesTo: [], required: false, isActive: true }) {
+        const types = { TEXT: 'Text', NUMBER: 'Number', DATE: 'Date', SELECT: 'Select' };
+        return `
+            <div class="grade-row custom-field-row">
+                <input type="text" class="form-control field-key" placeholder="key" value="${escapeHtml(field.key)}" ${field.key ? 'readonly' : ''}>
+                <input type="text" class="form-control field-label" placeholder="Label" value="${escapeHtml(field.label)}">
+                <select class="form-control field-type">
+                    ${Object.entries(types).map(([value, label]) => `<option value="${value}" ${field.fieldType === value ? 'selected' : ''}>${label}</option>`).join('')}
+                </select>
+                <input type="text" class="form-control field-options ${field.fieldType === 'SELECT' ? '' : 'hidden'}" placeholder="Options" value="${escapeHtml(field.options.join(', '))}">
+                <input type="text" class="form-control field-applies" placeholder="All types" value="${escapeHtml(field.appliesTo.join(', '))}">
+                <label class="grade-active">
+                    <input type="checkbox" class="field-required" ${field.required ? 'checked' : ''}> Required
+                </label>
+                <label class="grade-active">
+                    <input type="checkbox" class="grade-is-active" ${field.isActive ? 'checked' : ''}> Active
+                </label>
+                <button type="button" class="btn btn-danger btn-sm grade-remove-btn" title="Remove">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </div>
+        `;
+    },
+
+    /**
+     * Collect custom fields from the settings form
+     * @returns {Array} [{ key, label, fieldType, options, appliesTo, required, isActive }]
+     */
+    collectCustomFields() {
+        const list = (value) => value.split(',').map(v => v.trim()).filter(Boolean);
+        return [...document.querySelectorAll('#settingCustomFields .custom-field-row')]
+            .map(row => ({
+                key: row.querySelector('.field-key').value.trim().toLowerCase(),
+                label: row.querySelector('.field-label').value.trim(),
+                fieldType: row.querySelector('.field-type').value,
+                options: row.querySelector('.field-type').value === 'SELECT' ? list(row.querySelector('.field-options').value) : [],
+                appliesTo: list(row.querySelector('.field-applies').value).map(t => t.toUpperCase()),
+                required: row.querySelector('.field-required').checked,
+                isActive: row.querySelector('.grade-is-active').checked
+            }))
+            .filter(f => f.key || f.label);
+    },
+
+    /**
+     * Load suppliers/buyers and suggestions from notes
+     */
+    async loadCounterparties() {
+        try {
+            const [partiesRes, suggestionsRes] = await Promise.all([
+                ApiService.getCounterparties({ includeInactive: true }),
+                ApiService.getCounterpartySuggestions()
+            ]);
+
+            this.counterparties = partiesRes.data || [];
+            this.partySuggestions = suggestionsRes.data || [];
+
+            this.renderCounterparties();
+            this.renderPartySuggestions();
+        } catch (error) {
+            console.error('Failed to load counterparties:', error);
+        }
+    },
+
+    /**
+     * Render registered suppliers and buyers, busiest first
+     */
+    renderCounterparties() {
+        const container = document.getElementById('partiesList');
+        if (!container) return;
+
+        if (!this.counterparties.length) {
+            container.innerHTML = `
+                <div class="admin-empty">
+                    <i class="fas fa-handshake"></i>
+                    <p>No suppliers or buyers yet</p>
+                </div>
+            `;
+            return;
+        }
+
+        const sorted = [...this.counterparties].sort((a, b) => (b.stats?.totalValue || 0) - (a.stats?.totalValue || 0));
+        const typeLabels = { SUPPLIER: 'Supplier', BUYER: 'Buyer', BOTH: 'Supplier & Buyer' };
+
+        container.innerHTML = sorted.map(party => `
+            <div class="user-card">
+                <div class="avatar">${escapeHtml(party.name.substring(0, 2).toUpperCase())}</div>
+                <div class="user-info">
+                    <h4>
+                        ${escapeHtml(party.name)}
+                        <span class="role-badge user">${typeLabels[party.type] || party.type}</span>
+                    </h4>
+                    <p>${escapeHtml(party.phone || 'No phone')}</p>
+                </div>
+                <div class="user-meta">
+                    <span><i class="fas fa-exchange-alt"></i> ${party.stats?.tradeCount || 0} trades</span>
+                    <span><i class="fas fa-weight-hanging"></i> ${(party.stats?.boughtQty || 0) + (party.stats?.soldQty || 0)} kg</span>
+                    <span><i class="fas fa-coins"></i> LKR ${(party.stats?.totalValue || 0).toLocaleString()}</span>
+                    <span><span class="status-dot ${party.isActive ? 'active' : 'inactive'}"></span>${party.isActive ? 'Active' : 'Inactive'}</span>
+                </div>
+                <div class="user-actions">
+                    ${party.isActive ? `
+                        <button class="action-btn revoke party-remove-btn" data-party-id="${party._id}">
+                            <i class="fas fa-trash-alt"></i> Remove
+                        </button>
+                    ` : ''}
+                </div>
+            </div>
+        `).join('');
+
+        container.querySelectorAll('.party-remove-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.removeCounterparty(btn.dataset.partyId));
+        });
+    },
+
+    /**
+     * Render counterparty suggestions extracted from notes
+     */
+    renderPartySuggestions() {
+        const container = document.getElementById('partySuggestionsList');
+        if (!container) return;
+
+        if (!this.partySuggestions.length) {
+            container.innerHTML = `
+                <div class="admin-empty">
+                    <i class="fas fa-check-circle"></i>
+                    <p>No unlinked names found in notes</p>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = this.partySuggestions.map((suggestion, index) => `
+            <div class="session-card">
+                <div class="device-icon">
+                    <i class="fas ${suggestion.type === 'BUYER' ? 'fa-hand-holding-usd' : 'fa-shopping-cart'}"></i>
+                </div>
+                <div class="session-info">
+                    <h5>${escapeHtml(suggestion.name)} ${suggestion.existingId ? '(existing)' : ''}</h5>
+                    <p>${suggestion.transactionCount} transactions • ${suggestion.totalQty} kg • ${suggestion.type}</p>
+                </div>
+                <button class="btn btn-sm btn-inline btn-primary party-apply-btn" data-index="${index}">
+                    <i class="fas fa-link"></i> ${suggestion.existingId ? 'Link' : 'Create & Link'}
+                </button>
+            </div>
+        `).join('');
+
+        container.querySelectorAll('.party-apply-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.applyPartySuggestion(this.partySuggestions[btn.dataset.index]));
+        });
+    },
+
+    /**
+     * Create the suggested counterparty and link its transactions
+     */
+    async applyPartySuggestion(suggestion) {
+        if (!suggestion) return;
+
+        try {
+            const result = await ApiService.applyCounterpartySuggestion({
+                name: suggestion.name,
+                type: suggestion.type,
+                transactionIds: suggestion.transactionIds
+            });
+            alert(`Linked ${result.data.linked} transactions to ${result.data.counterparty.name}.`);
+            await this.loadCounterparties();
+        } catch (error) {
+            alert('Error: ' + error.message);
+        }
+    },
+
+    /**
+     * Remove (or deactivate) a counterparty
+     */
+    async removeCounterparty(id) {
+        if (!confirm('Remove this supplier/buyer? Those with transactions are deactivated instead.')) return;
+
+        try {
+            await ApiService.deleteCounterparty(id);
+            await this.loadCounterparties();
+        } catch (error) {
+            alert('Error: ' + error.message);
+        }
+    },
+
+
     /**
      * Render stats cards
      */
@@ -328,6 +1847,7 @@ export const AdminPage = {
                     </div>
                 </div>
                 <div class="user-meta">
+                    <span><i class="fas fa-user-lock"></i> ${(user.permissions || []).join(', ') || 'No permissions'}</span>
                     <span><i class="fas fa-desktop"></i> ${user.deviceLimit} devices</span>
                     <span><i class="fas fa-calendar"></i> Key expires: ${expiresDate}</span>
                     <span><i class="fas fa-sign-in-alt"></i> ${user.loginCount || 0} logins</span>
@@ -429,6 +1949,7 @@ export const AdminPage = {
                 password: password,
                 email: document.getElementById('newEmail').value || undefined,
                 role: document.getElementById('newRole').value,
+                permissions: [...document.querySelectorAll('.new-permission:checked')].map(c => c.value),
                 deviceLimit: parseInt(document.getElementById('newDeviceLimit').value),
                 expiresInDays: parseInt(document.getElementById('newExpiresDays').value),
                 notes: document.getElementById('newNotes').value || undefined
@@ -4,9 +4,14 @@
  */
 
 import { StateService } from '../services/state.js';
+import { ApiService } from '../services/api.js';
 import { Charts } from '../components/charts.js';
+import { escapeHtml } from '../utils/html.js';
 
 export const DashboardPage = {
+    years: [],
+    yearId: '',
+
     /**
      * Render the dashboard view
      * @returns {string} HTML template
@@ -14,6 +19,15 @@ export const DashboardPage = {
     render() {
         return `
             <div id="dashboard" class="view-section active">
+                <!-- Financial Year -->
+                <div class="dashboard-year">
+                    <label for="dashYear">Financial Year</label>
+                    <select class="form-control" id="dashYear">
+                        <option value="">All time</option>
+                    </select>
+                    <span class="stat-sub" id="dashYearSub"></span>
+                </div>
+
                 <!-- Stats Cards Grid -->
                 <div class="dashboard-grid">
                     <div class="stat-card">
@@ -31,6 +45,115 @@ export const DashboardPage = {
                     <div class="stat-card red">
                         <span class="stat-label">Recovery %</span>
                         <span class="stat-value" id="dashRecovery">0%</span>
+                        <div class="stat-sub" id="dashRecoverySub">Kernel from dried nuts</div>
+                    </div>
+                    <div class="stat-card secondary">
+                        <span class="stat-label">Receivables</span>
+                        <span class="stat-value" id="dashReceivables">LKR 0</span>
+                        <div class="stat-sub">Owed to us by buyers</div>
+                    </div>
+                    <div class="stat-card purple">
+                        <span class="stat-label">Payables</span>
+                        <span class="stat-value" id="dashPayables">LKR 0</span>
+                        <div class="stat-sub">Owed by us to suppliers</div>
+                    </div>
+                    <div class="stat-card blue">
+                        <span class="stat-label">Gross Margin</span>
+                        <span class="stat-value" id="dashGrossMargin">LKR 0</span>
+                        <div class="stat-sub" id="dashGrossMarginSub">Sales less cost of goods sold</div>
+                    </div>
+                    <div class="stat-card orange">
+                        <span class="stat-label">Stock Value</span>
+                        <span class="stat-value" id="dashStockValue">LKR 0</span>
+                        <div class="stat-sub" id="dashStockValueSub">Raw and kernel at cost</div>
+                    </div>
+                    <div class="stat-card secondary">
+                        <span class="stat-label">By-products</span>
+                        <span class="stat-value" id="dashByProducts">0 kg</span>
+                        <div class="stat-sub" id="dashByProductsSub">Husk 0 · Shell 0 kg</div>
+                    </div>
+                </div>
+
+                <!-- Credit Aging -->
+                <div class="chart-card" id="agingCard">
+                    <h3>Credit Aging</h3>
+                    <div class="table-responsive">
+                        <table class="aging-table">
+                            <thead>
+                                <tr>
+                                    <th></th>
+                                    <th>Current</th>
+                                    <th>1-30 days</th>
+                                    <th>31-60 days</th>
+                                    <th>61-90 days</th>
+                                    <th>90+ days</th>
+                                    <th>Total</th>
+                                </tr>
+                            </thead>
+                            <tbody id="agingBody">
+                                <tr><td colspan="7" class="table-empty">No outstanding credit</td></tr>
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+
+                <!-- Stock by Location -->
+                <div class="chart-card" id="locationStockCard">
+                    <h3>Stock by Location</h3>
+                    <div class="table-responsive">
+                        <table class="aging-table">
+                            <thead>
+                                <tr>
+                                    <th>Location</th>
+                                    <th>Raw (kg)</th>
+                                    <th>Kernel (kg)</th>
+                                </tr>
+                            </thead>
+                            <tbody id="locationStockBody">
+                                <tr><td colspan="3" class="table-empty">No stock</td></tr>
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+
+                <!-- Kernel by Grade -->
+                <div class="chart-card" id="gradeStockCard">
+                    <h3>Kernel by Grade</h3>
+                    <div class="table-responsive">
+                        <table class="aging-table">
+                            <thead>
+                                <tr>
+                                    <th>Grade</th>
+                                    <th>Kernel (kg)</th>
+                                    <th>Share</th>
+                                </tr>
+                            </thead>
+                            <tbody id="gradeStockBody">
+                                <tr><td colspan="3" class="table-empty">No kernel in stock</td></tr>
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+
+                <!-- Batch Profitability -->
+                <div class="chart-card" id="batchProfitCard">
+                    <h3>Batch Profitability</h3>
+                    <div class="table-responsive">
+                        <table class="aging-table">
+                            <thead>
+                                <tr>
+                                    <th>Batch</th>
+                                    <th>Kernel Sold (kg)</th>
+                                    <th>Kernel Sales</th>
+                                    <th>By-products</th>
+                                    <th>Cost</th>
+                                    <th>Profit</th>
+                                </tr>
+                            </thead>
+                            <tbody id="batchProfitBody">
+                                <tr><td colspan="6" class="table-empty">No batches yet</td></tr>
+                            </tbody>
+                        </table>
                     </div>
                 </div>
 
@@ -52,18 +175,93 @@ export const DashboardPage = {
         `;
     },
 
+    /**
+     * Initialize the financial year picker (async)
+     */
+    async init() {
+        const select = document.getElementById('dashYear');
+        if (!select) return;
+
+        select.addEventListener('change', () => {
+            this.yearId = select.value;
+            this.update();
+        });
+
+        try {
+            const response = await ApiService.getYears();
+            this.years = response.data || [];
+        } catch (error) {
+            console.error('Failed to load financial years:', error);
+            this.years = [];
+        }
+
+        select.innerHTML = '<option value="">All time</option>' + this.years.map(y => `
+            <option value="${y._id}">${escapeHtml(y.name)}${y.status === 'CLOSED' ? ' (closed)' : ''}</option>
+        `).join('');
+        select.value = this.yearId;
+    },
+
+    /**
+     * Stats for the selected financial year; the all-time stats when none is selected (async)
+     * @param {Object} stats - All-time stats
+     */
+    async getYearStats(stats) {
+        if (!this.yearId) return stats;
+
+        try {
+            const response = await ApiService.getStats({ year: this.yearId });
+            return response.data;
+        } catch (error) {
+            console.error('Financial year stats failed:', error);
+            return stats;
+        }
+    },
+
+    /**
+     * Show the opening balances of the selected year
+     */
+    updateYear(year) {
+        if (!year) {
+            this.updateStatCard('dashYearSub', '');
+            return;
+        }
+
+        const loans = (year.opening?.loans || []).reduce((sum, l) => sum + (l.outstandingPrincipal || 0), 0);
+        this.updateStatCard('dashYearSub', [
+            `${year.startDate.substring(0, 10)} to ${year.endDate.substring(0, 10)}`,
+            `Opening cash LKR ${(year.opening?.cash || 0).toLocaleString()}`,
+            `raw ${(year.opening?.rawStock || 0).toFixed(1)} kg`,
+            `kernel ${(year.opening?.procStock || 0).toFixed(1)} kg`,
+            `loans LKR ${loans.toLocaleString()}`
+        ].join(' · '));
+    },
+
     /**
      * Update dashboard with latest data (async)
+     * @returns {Object} All-time stats (the header and forms always show current stock)
      */
     async update() {
         try {
-            const stats = await StateService.calculateStats();
+            const allTime = await StateService.calculateStats();
+            const stats = await this.getYearStats(allTime);
+            this.updateYear(stats.year);
 
             // Update stat cards
             this.updateStatCard('dashRawStock', `${(stats.rawStock || 0).toFixed(1)} kg`);
             this.updateStatCard('dashProcStock', `${(stats.procStock || 0).toFixed(1)} kg`);
             this.updateStatCard('dashCash', `LKR ${(stats.cash || 0).toLocaleString()}`);
+            this.updateStatCard('dashReceivables', `LKR ${(stats.receivables || 0).toLocaleString()}`);
+            this.updateStatCard('dashPayables', `LKR ${(stats.payables || 0).toLocaleString()}`);
+            this.updateCosting(stats.costing);
+            this.updateLocationStock(stats.stockByLocation);
+            this.updateGradeStock(stats.stockByGrade);
+            this.updateByProducts(stats.byProductStock, stats.costing);
             
+            // Recovery is against dried nuts; show it against wet weight once drying is recorded
+            this.updateStatCard('dashRecoverySub', stats.avgMoistureLoss > 0
+                ? `Wet ${stats.avgWetRecovery}% · ${stats.avgMoistureLoss}% moisture loss`
+                : 'Kernel from dried nuts');
+
             // Update recovery with color coding
             const recoveryEl = document.getElementById('dashRecovery');
             if (recoveryEl) {
@@ -82,10 +280,14 @@ export const DashboardPage = {
             Charts.renderStockChart({
                 dates: stats.chartDates || [],
                 rawPoints: stats.rawPoints || [],
-                procPoints: stats.procPoints || []
+                procPoints: stats.procPoints || [],
+                gradeSeries: stats.gradeSeries || []
             });
 
-            return stats;
+            await this.updateAging();
+            await this.updateBatchProfit();
+
+            return allTime;
         } catch (error) {
             console.error('Dashboard update failed:', error);
             return {
@@ -94,6 +296,8 @@ export const DashboardPage = {
                 procStock: 0,
                 avgRecovery: 0,
                 processCount: 0,
+                receivables: 0,
+                payables: 0,
                 chartDates: [],
                 cashPoints: [],
                 rawPoints: [],
@@ -102,6 +306,133 @@ export const DashboardPage = {
         }
     },
 
+    /**
+     * Update gross margin and stock value cards from the costing summary
+     */
+    updateCosting(costing) {
+        if (!costing) return;
+
+        const method = costing.method === 'FIFO' ? 'FIFO' : 'Weighted avg';
+        this.updateStatCard('dashGrossMargin', `LKR ${costing.grossMargin.toLocaleString()}`);
+        this.updateStatCard('dashGrossMarginSub', `${costing.grossMarginPct}% of sales · ${method}`);
+        this.updateStatCard('dashStockValue', `LKR ${(costing.rawInventoryValue + costing.procInventoryValue).toLocaleString()}`);
+        this.updateStatCard('dashStockValueSub', `Raw ${costing.rawInventoryValue.toLocaleString()} · Kernel ${costing.procInventoryValue.toLocaleString()}`);
+    },
+
+    /**
+     * Update the stock per location table
+     */
+    updateLocationStock(stockByLocation) {
+        const tbody = document.getElementById('locationStockBody');
+        if (!tbody) return;
+
+        const rows = (stockByLocation || []).filter(l => Math.abs(l.rawStock) > 0.05 || Math.abs(l.procStock) > 0.05);
+        if (!rows.length) {
+            tbody.innerHTML = '<tr><td colspan="3" class="table-empty">No stock</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = rows.map(l => `
+            <tr>
+                <td><strong>${escapeHtml(l.name)}</strong></td>
+                <td class="${l.rawStock < 0 ? 'text-red' : ''}">${l.rawStock.toFixed(1)}</td>
+                <td class="${l.procStock < 0 ? 'text-red' : ''}">${l.procStock.toFixed(1)}</td>
+            </tr>
+        `).join('');
+    },
+
+    /**
+     * Update the by-product card (stock on hand and revenue so far)
+     */
+    updateByProducts(byProductStock, costing) {
+        if (!byProductStock) return;
+
+        const husk = byProductStock.HUSK || 0;
+        const shell = byProductStock.SHELL || 0;
+        this.updateStatCard('dashByProducts', `${(husk + shell).toFixed(1)} kg`);
+        this.updateStatCard('dashByProductsSub', `Husk ${husk.toFixed(1)} · Shell ${shell.toFixed(1)} kg · Sold LKR ${(costing?.byProductRevenue || 0).toLocaleString()}`);
+    },
+
+    /**
+     * Update the batch profitability table with the latest batches (async)
+     */
+    async updateBatchProfit() {
+        const tbody = document.getElementById('batchProfitBody');
+        if (!tbody) return;
+
+        const batches = (await StateService.getBatches()).slice(0, 10);
+        if (!batches.length) {
+            tbody.innerHTML = '<tr><td colspan="6" class="table-empty">No batches yet</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = batches.map(b => `
+            <tr>
+                <td><strong>${escapeHtml(b.batchId || new Date(b.date).toISOString().split('T')[0])}</strong></td>
+                <td>${b.soldQty.toFixed(1)} / ${(b.outputQty || 0).toFixed(1)}</td>
+                <td>${b.revenue.toLocaleString()}</td>
+                <td>${b.byProductRevenue.toLocaleString()}</td>
+                <td>${b.costOfGoodsSold.toLocaleString()}</td>
+                <td class="${b.profit < 0 ? 'text-red' : 'text-green'}"><strong>${b.profit.toLocaleString()}</strong></td>
+            </tr>
+        `).join('');
+    },
+
+    /**
+     * Update the kernel stock per grade table
+     */
+    updateGradeStock(stockByGrade) {
+        const tbody = document.getElementById('gradeStockBody');
+        if (!tbody) return;
+
+        const rows = (stockByGrade || []).filter(g => Math.abs(g.procStock) > 0.05);
+        if (!rows.length) {
+            tbody.innerHTML = '<tr><td colspan="3" class="table-empty">No kernel in stock</td></tr>';
+            return;
+        }
+
+        const total = rows.reduce((sum, g) => sum + Math.max(g.procStock, 0), 0);
+        tbody.innerHTML = rows.map(g => `
+            <tr>
+                <td><strong>${escapeHtml(g.name)}</strong></td>
+                <td class="${g.procStock < 0 ? 'text-red' : ''}">${g.procStock.toFixed(1)}</td>
+                <td>${total > 0 ? ((Math.max(g.procStock, 0) / total) * 100).toFixed(0) : 0}%</td>
+            </tr>
+        `).join('');
+    },
+
+    /**
+     * Update the receivables/payables aging table (async)
+     */
+    async updateAging() {
+        const tbody = document.getElementById('agingBody');
+        if (!tbody) return;
+
+        const [receivables, payables] = await Promise.all([
+            StateService.getAging('receivables'),
+            StateService.getAging('payables')
+        ]);
+
+        const rows = [
+            { label: 'Receivables', aging: receivables },
+            { label: 'Payables', aging: payables }
+        ].filter(r => r.aging && r.aging.total > 0);
+
+        if (!rows.length) {
+            tbody.innerHTML = '<tr><td colspan="7" class="table-empty">No outstanding credit</td></tr>';
+            return;
+        }
+
+        const bucketKeys = ['current', '1-30', '31-60', '61-90', '90+'];
+        tbody.innerHTML = rows.map(({ label, aging }) => `
+            <tr>
+                <td><strong>${label}</strong></td>
+                ${bucketKeys.map(key => `<td class="${key !== 'current' && aging.buckets[key] > 0 ? 'text-red' : ''}">${(aging.buckets[key] || 0).toLocaleString()}</td>`).join('')}
+                <td><strong>${aging.total.toLocaleString()}</strong></td>
+            </tr>
+        `).join('');
+    },
+
     /**
      * Helper to update stat card value
      */
@@ -4,6 +4,8 @@
  */
 
 import { StateService } from '../services/state.js';
+import { ApiService } from '../services/api.js';
+import { escapeHtml } from '../utils/html.js';
 
 export const DecisionPage = {
     /**
@@ -29,6 +31,13 @@ export const DecisionPage = {
                         </select>
                     </div>
 
+                    <div class="form-group" id="decGradeGroup" style="display: none;">
+                        <label>Kernel Grade</label>
+                        <select id="decGrade" class="form-control">
+                            <option value="">All grades</option>
+                        </select>
+                    </div>
+
                     <div class="form-group">
                         <label>Proposed Price (LKR/kg)</label>
                         <input type="number" id="decPrice" class="form-control" placeholder="e.g. 750">
@@ -62,7 +71,45 @@ export const DecisionPage = {
         }
 
         if (decType) {
-            decType.addEventListener('change', () => this.resetResult());
+            decType.addEventListener('change', () => {
+                this.toggleGrade();
+                this.resetResult();
+            });
+        }
+
+        this.toggleGrade();
+        this.loadGrades();
+    },
+
+    /**
+     * Load kernel grades into the grade dropdown (async)
+     */
+    async loadGrades() {
+        const select = document.getElementById('decGrade');
+        if (!select) return;
+
+        try {
+            const response = await ApiService.getSettings();
+            const grades = (response.data?.kernelGrades || []).filter(g => g.isActive);
+            const current = select.value;
+            select.innerHTML = `
+                <option value="">All grades</option>
+                ${grades.map(g => `<option value="${escapeHtml(g.code)}">${escapeHtml(g.name)}</option>`).join('')}
+            `;
+            select.value = current;
+        } catch (error) {
+            console.error('Failed to load kernel grades:', error);
+        }
+    },
+
+    /**
+     * Sale prices differ by grade, so the grade is only asked for when selling
+     */
+    toggleGrade() {
+        const group = document.getElementById('decGradeGroup');
+        const type = document.getElementById('decType')?.value;
+        if (group) {
+            group.style.display = type === 'SELL' ? 'block' : 'none';
         }
     },
 
@@ -81,6 +128,7 @@ export const DecisionPage = {
      */
     async runAnalysis() {
         const type = document.getElementById('decType')?.value;
+        const grade = type === 'SELL' ? document.getElementById('decGrade')?.value : '';
         const price = parseFloat(document.getElementById('decPrice')?.value);
         const qty = parseFloat(document.getElementById('decQty')?.value);
         const resultEl = document.getElementById('decisionResult');
@@ -99,8 +147,12 @@ export const DecisionPage = {
 
         try {
             // Get market analytics from API
-            const analytics = await StateService.getMarketAnalytics(type);
-            const { slope, acceleration, avgRecovery, avgSellPrice, avgBuyPrice } = analytics;
+            const analytics = await StateService.getMarketAnalytics(type, grade);
+            const { slope, acceleration, avgSellPrice, avgBuyPrice, gradeName, gradePrices = [] } = analytics;
+
+            // Buy prices are per wet kg, so recovery is taken against wet weight when drying is recorded
+            const avgMoistureLoss = analytics.avgMoistureLoss || 0;
+            const avgRecovery = avgMoistureLoss > 0 ? analytics.avgWetRecovery : analytics.avgRecovery;
 
             let verdict = '';
             let cssClass = '';
@@ -166,6 +218,20 @@ export const DecisionPage = {
                                 = <strong>LKR ${breakEven.toFixed(0)}</strong>
                             </div>
                         </div>
+                        ${gradePrices.some(g => g.avgPrice !== null) ? `
+                        <div class="formula-box">
+                            <div class="formula-title">Avg Sell Price by Grade Mix:</div>
+                            <code class="formula">AvgSellPrice = Σ (Grade Share × Grade Price)</code>
+                            ${gradePrices.map(g => `
+                                <div class="formula-calc">
+                                    ${escapeHtml(g.name)}: ${g.share}% × ${g.avgPrice !== null ? `LKR ${g.avgPrice.toFixed(0)}` : 'no sales yet'}
+                                </div>
+                            `).join('')}
+                            <div class="formula-calc result">
+                                = <strong>LKR ${avgSell.toFixed(0)}</strong>
+                            </div>
+                        </div>
+                        ` : ''}
                         <div class="formula-box">
                             <div class="formula-title">Market Momentum Analysis:</div>
                             <code class="formula">Slope = P<sub>current</sub> − P<sub>previous</sub></code>
@@ -235,6 +301,12 @@ export const DecisionPage = {
                     </div>
                     <p class="decision-advice">${advice}</p>
                     
+                    ${gradeName ? `
+                    <div class="math-row">
+                        <span class="math-label">Grade:</span>
+                        <span class="math-val">${gradeName}</span>
+                    </div>
+                    ` : ''}
                     <div class="math-row">
                         <span class="math-label">Proposed Price:</span>
                         <span class="math-val">LKR ${price.toLocaleString()}</span>
@@ -244,9 +316,15 @@ export const DecisionPage = {
                         <span class="math-val">LKR ${breakEven.toFixed(0)}</span>
                     </div>
                     <div class="math-row">
-                        <span class="math-label">Avg Recovery Rate:</span>
+                        <span class="math-label">Avg Recovery Rate${avgMoistureLoss > 0 ? ' (wet weight)' : ''}:</span>
                         <span class="math-val">${avgRecovery.toFixed(1)}%</span>
                     </div>
+                    ${avgMoistureLoss > 0 ? `
+                    <div class="math-row">
+                        <span class="math-label">Dry Recovery / Moisture Loss:</span>
+                        <span class="math-val">${analytics.avgRecovery.toFixed(1)}% / ${avgMoistureLoss.toFixed(1)}%</span>
+                    </div>
+                    ` : ''}
                     <div class="math-row">
                         <span class="math-label">Market Velocity (Slope):</span>
                         <span class="math-val">${slope.toFixed(1)}</span>
@@ -1,13 +1,28 @@
 /**
  * Form Pages Component
- * Buy, Process, Sell, Expense, and Loan forms
+ * Buy, Drying, Process, Sell, By-product, Income, Expense, Adjustment and Transfer forms
  */
 
 import { StateService } from '../services/state.js';
 import { AuthService } from '../services/auth.js';
+import { ApiService } from '../services/api.js';
+import { AttachmentService } from '../services/attachments.js';
+import { CustomFields } from '../components/customFields.js';
+import { escapeHtml } from '../utils/html.js';
 
 export const FormsPage = {
     onSuccess: null,
+    counterparties: [],
+    locations: [],
+    unassignedStock: null,
+    grades: [],
+    stockByGrade: [],
+    byProductStock: {},
+    categories: [],
+    pendingFiles: {},
+    customFields: [],
+    autoProcessOnSell: true,
+    autoProcessTimer: null,
 
     /**
      * Render all form views
@@ -35,15 +50,90 @@ export const FormsPage = {
                             <label>Price (LKR/kg)</label>
                             <input type="number" class="form-control" name="price" required>
                         </div>
+                        <div class="form-group">
+                            <label>Payment</label>
+                            <select class="form-control payment-terms-select" name="paymentTerms" data-credit-fields="buyCreditFields">
+                                <option value="CASH">Cash (settled now)</option>
+                                <option value="CREDIT">Credit (pay later)</option>
+                            </select>
+                        </div>
+                        <div id="buyCreditFields" class="credit-fields hidden">
+                            <div class="form-group">
+                                <label>Amount Paid Now (LKR)</label>
+                                <input type="number" class="form-control" name="paidUpfront" min="0" placeholder="0">
+                            </div>
+                            <div class="form-group">
+                                <label>Due Date</label>
+                                <input type="date" class="form-control" name="dueDate" data-no-default="true">
+                            </div>
+                        </div>
+                        <div class="form-group">
+                            <label>Supplier</label>
+                            <select class="form-control counterparty-select" name="counterparty" id="buyCounterparty" data-party-type="SUPPLIER">
+                                <option value="">-- Not specified --</option>
+                            </select>
+                        </div>
+                        <div class="form-group">
+                            <label>Location</label>
+                            <select class="form-control location-select" name="location">
+                                <option value="">-- Default --</option>
+                            </select>
+                        </div>
+                        <div class="form-group">
+                            <label>Lot ID</label>
+                            <input type="text" class="form-control" name="lotId" placeholder="Auto (LOT-YYYYMMDD-NN)">
+                        </div>
                         <div class="form-group">
                             <label>Notes</label>
-                            <input type="text" class="form-control" name="notes" placeholder="Seller name, etc.">
+                            <input type="text" class="form-control" name="notes" placeholder="Grade, bags, etc.">
                         </div>
+                        ${this.renderExtraFields('BUY')}
+                        ${this.renderAttachmentField()}
                         <button type="submit" class="btn btn-primary">Record Purchase</button>
                     </form>
                 </div>
             </div>
 
+            <!-- Drying Form -->
+            <div id="drying" class="view-section">
+                <div class="form-card">
+                    <h2>
+                        <i class="fas fa-sun" style="color: #F9A825"></i>
+                        Drying
+                    </h2>
+                    <form id="dryingForm">
+                        <div class="form-group">
+                            <label>Date</label>
+                            <input type="date" class="form-control" name="date" required>
+                        </div>
+                        <div class="form-group">
+                            <label>Input (Wet kg)</label>
+                            <input type="number" class="form-control" name="inputQty" id="dryInput" step="0.1" required>
+                            <small>Available: <span id="availDryRawStock">0</span> kg</small>
+                        </div>
+                        <div class="form-group">
+                            <label>Output (Dry kg)</label>
+                            <input type="number" class="form-control" name="outputQty" id="dryOutput" step="0.1" required>
+                        </div>
+                        <div class="form-group">
+                            <label>Moisture Loss: <span id="liveMoistureCalc" class="live-calc">0%</span></label>
+                        </div>
+                        <div class="form-group">
+                            <label>Location</label>
+                            <select class="form-control location-select" name="location">
+                                <option value="">-- Default --</option>
+                            </select>
+                        </div>
+                        <div class="form-group">
+                            <label>Notes</label>
+                            <input type="text" class="form-control" name="notes" placeholder="Days in sun, yard, etc.">
+                        </div>
+                        ${this.renderExtraFields('DRYING')}
+                        <button type="submit" class="btn btn-orange">Record Drying</button>
+                    </form>
+                </div>
+            </div>
+
             <!-- Process Form -->
             <div id="process" class="view-section">
                 <div class="form-card">
@@ -65,13 +155,43 @@ export const FormsPage = {
                             <label>Output (Kernel kg)</label>
                             <input type="number" class="form-control" name="outputQty" id="procOutput" step="0.1" required>
                         </div>
+                        <div class="form-group">
+                            <label>Output by Grade (kg)</label>
+                            <div id="processGrades" class="lot-picker"></div>
+                            <small>Optional. Filling grades sets the output to their total.</small>
+                        </div>
+                        <div class="form-group">
+                            <label>By-products (kg)</label>
+                            <div class="lot-picker">
+                                <div class="lot-picker-row">
+                                    <span><strong>Husk</strong></span>
+                                    <input type="number" class="form-control" name="byProductHusk" min="0" step="0.1" placeholder="kg">
+                                </div>
+                                <div class="lot-picker-row">
+                                    <span><strong>Shell</strong></span>
+                                    <input type="number" class="form-control" name="byProductShell" min="0" step="0.1" placeholder="kg">
+                                </div>
+                            </div>
+                        </div>
                         <div class="form-group">
                             <label>Recovery: <span id="liveRecoveryCalc" class="live-calc">0%</span></label>
                         </div>
+                        <div class="form-group">
+                            <label>Location</label>
+                            <select class="form-control location-select" name="location">
+                                <option value="">-- Default --</option>
+                            </select>
+                        </div>
+                        <div class="form-group">
+                            <label>Lots Used (kg)</label>
+                            <div id="processLots" class="lot-picker"></div>
+                            <small>Leave blank to use the oldest lots first.</small>
+                        </div>
                         <div class="form-group">
                             <label>Batch Notes</label>
                             <input type="text" class="form-control" name="notes" placeholder="Batch details">
                         </div>
+                        ${this.renderExtraFields('PROCESS')}
                         <button type="submit" class="btn btn-orange">Save Record</button>
                     </form>
                 </div>
@@ -94,72 +214,127 @@ export const FormsPage = {
                             <input type="number" class="form-control" name="qty" step="0.1" required>
                             <small>Available: <span id="availProcStock">0</span> kg</small>
                         </div>
+                        <div class="form-group">
+                            <label>Grade</label>
+                            <select class="form-control grade-select" name="grade" id="sellGrade" data-ungraded-label="Ungraded (older stock)">
+                            </select>
+                        </div>
                         <div class="form-group">
                             <label>Price (LKR/kg)</label>
                             <input type="number" class="form-control" name="price" required>
                         </div>
                         <div class="form-group">
-                            <label>Buyer/Notes</label>
-                            <input type="text" class="form-control" name="notes" placeholder="Buyer name, etc.">
+                            <label>Payment</label>
+                            <select class="form-control payment-terms-select" name="paymentTerms" data-credit-fields="sellCreditFields">
+                                <option value="CASH">Cash (settled now)</option>
+                                <option value="CREDIT">Credit (buyer pays later)</option>
+                            </select>
+                        </div>
+                        <div id="sellCreditFields" class="credit-fields hidden">
+                            <div class="form-group">
+                                <label>Amount Received Now (LKR)</label>
+                                <input type="number" class="form-control" name="paidUpfront" min="0" placeholder="0">
+                            </div>
+                            <div class="form-group">
+                                <label>Due Date</label>
+                                <input type="date" class="form-control" name="dueDate" data-no-default="true">
+                            </div>
+                        </div>
+                        <div class="form-group">
+                            <label>Buyer</label>
+                            <select class="form-control counterparty-select" name="counterparty" id="sellCounterparty" data-party-type="BUYER">
+                                <option value="">-- Not specified --</option>
+                            </select>
                         </div>
+                        <div class="form-group">
+                            <label>Location</label>
+                            <select class="form-control location-select" name="location">
+                                <option value="">-- Default --</option>
+                            </select>
+                        </div>
+                        <div class="form-group">
+                            <label>Batches Sold From (kg)</label>
+                            <div id="sellBatches" class="lot-picker"></div>
+                            <small>Leave blank to sell from the oldest batches first.</small>
+                        </div>
+                        <div class="form-group hidden" id="sellAutoProcessGroup">
+                            <label>
+                                <input type="checkbox" name="autoProcess"> Process raw stock to cover any shortfall
+                            </label>
+                            <small id="sellAutoProcessPreview"></small>
+                        </div>
+                        <div class="form-group">
+                            <label>Notes</label>
+                            <input type="text" class="form-control" name="notes" placeholder="Invoice no., etc.">
+                        </div>
+                        ${this.renderExtraFields('SELL')}
+                        ${this.renderAttachmentField()}
                         <button type="submit" class="btn btn-blue">Record Sale</button>
                     </form>
                 </div>
             </div>
 
-            <!-- Income Form -->
-            <div id="income" class="view-section">
+            <!-- By-product Sale Form -->
+            <div id="byproduct" class="view-section">
                 <div class="form-card">
                     <h2>
-                        <i class="fas fa-money-bill-wave" style="color: #28a745"></i>
-                        Income
+                        <i class="fas fa-leaf" style="color: #6D4C41"></i>
+                        Sell By-products
                     </h2>
-                    <form id="incomeForm">
+                    <form id="byproductForm">
                         <div class="form-group">
                             <label>Date</label>
                             <input type="date" class="form-control" name="date" required>
                         </div>
                         <div class="form-group">
-                            <label>Category</label>
-                            <select class="form-control" name="category" required>
-                                <option value="Sale">Sale</option>
-                                <option value="Service">Service</option>
-                                <option value="Investment">Investment</option>
-                                <option value="Other">Other</option>
+                            <label>By-product</label>
+                            <select class="form-control" name="byProduct" id="byProductKind" required>
+                                <option value="HUSK">Husk</option>
+                                <option value="SHELL">Shell</option>
                             </select>
+                            <small>Available: <span id="availByProduct">0</span> kg</small>
                         </div>
                         <div class="form-group">
-                            <label>Amount (LKR)</label>
-                            <input type="number" class="form-control" name="amount" required>
+                            <label>Quantity (kg)</label>
+                            <input type="number" class="form-control" name="qty" step="0.1" required>
                         </div>
                         <div class="form-group">
-                            <label>Description</label>
-                            <input type="text" class="form-control" name="notes" placeholder="Income details">
+                            <label>Price (LKR/kg)</label>
+                            <input type="number" class="form-control" name="price" step="0.01" required>
                         </div>
-                        <button type="submit" class="btn btn-success">Record Income</button>
+                        <div class="form-group">
+                            <label>Buyer</label>
+                            <select class="form-control counterparty-select" name="counterparty" data-party-type="BUYER">
+                                <option value="">-- Not specified --</option>
+                            </select>
+                        </div>
+                        <div class="form-group">
+                            <label>Notes</label>
+                            <input type="text" class="form-control" name="notes" placeholder="Fuel, mulch, etc.">
+                        </div>
+                        ${this.renderExtraFields('BYPRODUCT_SALE')}
+                        ${this.renderAttachmentField()}
+                        <button type="submit" class="btn btn-primary">Record Sale</button>
                     </form>
                 </div>
             </div>
 
-            <!-- Expense Form -->
-            <div id="expense" class="view-section">
+            <!-- Income Form -->
+            <div id="income" class="view-section">
                 <div class="form-card">
                     <h2>
-                        <i class="fas fa-file-invoice-dollar" style="color: var(--danger)"></i>
-                        Expense
+                        <i class="fas fa-money-bill-wave" style="color: #28a745"></i>
+                        Income
                     </h2>
-                    <form id="expenseForm">
+                    <form id="incomeForm">
                         <div class="form-group">
                             <label>Date</label>
                             <input type="date" class="form-control" name="date" required>
                         </div>
                         <div class="form-group">
                             <label>Category</label>
-                            <select class="form-control" name="category">
-                                <option>Labour</option>
-                                <option>Electricity</option>
-                                <option>Transport</option>
-                                <option>Other</option>
+                            <select class="form-control category-select" name="category" data-category-type="INCOME" required>
+                                <option value="">Loading...</option>
                             </select>
                         </div>
                         <div class="form-group">
@@ -168,41 +343,44 @@ export const FormsPage = {
                         </div>
                         <div class="form-group">
                             <label>Description</label>
-                            <input type="text" class="form-control" name="notes" placeholder="Expense details">
+                            <input type="text" class="form-control" name="notes" placeholder="Income details">
                         </div>
-                        <button type="submit" class="btn btn-danger">Pay Expense</button>
+                        ${this.renderExtraFields('INCOME')}
+                        ${this.renderAttachmentField()}
+                        <button type="submit" class="btn btn-success">Record Income</button>
                     </form>
                 </div>
             </div>
 
-            <!-- Loan Form -->
-            <div id="loan" class="view-section">
+            <!-- Expense Form -->
+            <div id="expense" class="view-section">
                 <div class="form-card">
                     <h2>
-                        <i class="fas fa-university" style="color: #7B1FA2"></i>
-                        Loans
+                        <i class="fas fa-file-invoice-dollar" style="color: var(--danger)"></i>
+                        Expense
                     </h2>
-                    <form id="loanForm">
+                    <form id="expenseForm">
                         <div class="form-group">
                             <label>Date</label>
                             <input type="date" class="form-control" name="date" required>
                         </div>
                         <div class="form-group">
-                            <label>Action</label>
-                            <select class="form-control" name="loanType">
-                                <option value="TAKE">Take Loan</option>
-                                <option value="REPAY">Repay Loan</option>
+                            <label>Category</label>
+                            <select class="form-control category-select" name="category" data-category-type="EXPENSE" required>
+                                <option value="">Loading...</option>
                             </select>
                         </div>
                         <div class="form-group">
-                            <label>Amount</label>
+                            <label>Amount (LKR)</label>
                             <input type="number" class="form-control" name="amount" required>
                         </div>
                         <div class="form-group">
-                            <label>Lender</label>
-                            <input type="text" class="form-control" name="notes" placeholder="Lender name">
+                            <label>Description</label>
+                            <input type="text" class="form-control" name="notes" placeholder="Expense details">
                         </div>
-                        <button type="submit" class="btn btn-purple">Save</button>
+                        ${this.renderExtraFields('EXPENSE')}
+                        ${this.renderAttachmentField()}
+                        <button type="submit" class="btn btn-danger">Pay Expense</button>
                     </form>
                 </div>
             </div>
@@ -230,6 +408,17 @@ export const FormsPage = {
                             <label>Processed Stock Adjustment (kg)</label>
                             <input type="number" class="form-control" name="procStockChange" step="0.1" placeholder="e.g. 3 or -3">
                         </div>
+                        <div class="form-group">
+                            <label>Kernel Grade</label>
+                            <select class="form-control grade-select" name="grade" data-ungraded-label="-- Ungraded --">
+                            </select>
+                        </div>
+                        <div class="form-group">
+                            <label>Location</label>
+                            <select class="form-control location-select" name="location">
+                                <option value="">-- Default --</option>
+                            </select>
+                        </div>
                         <div class="form-group">
                             <label>Cash Adjustment (LKR)</label>
                             <input type="number" class="form-control" name="amount" placeholder="e.g. 1000 or -1000">
@@ -238,10 +427,52 @@ export const FormsPage = {
                             <label>Reason / Notes</label>
                             <input type="text" class="form-control" name="notes" placeholder="Reason for adjustment" maxlength="500">
                         </div>
+                        ${this.renderExtraFields('ADJUSTMENT')}
                         <button type="submit" class="btn btn-blue">Apply Adjustment</button>
                     </form>
                 </div>
             </div>
+
+            <!-- Transfer Form -->
+            <div id="transfer" class="view-section">
+                <div class="form-card">
+                    <h2>
+                        <i class="fas fa-exchange-alt" style="color: var(--secondary)"></i>
+                        Transfer Stock
+                    </h2>
+                    <form id="transferForm">
+                        <div class="form-group">
+                            <label>Date</label>
+                            <input type="date" class="form-control" name="date" required>
+                        </div>
+                        <div class="form-group">
+                            <label>Stock</label>
+                            <select class="form-control" name="stockType">
+                                <option value="RAW">Raw nuts</option>
+                                <option value="PROC">Processed kernel</option>
+                            </select>
+                        </div>
+                        <div class="form-group">
+                            <label>From</label>
+                            <select class="form-control" name="location" id="transferFrom"></select>
+                        </div>
+                        <div class="form-group">
+                            <label>To</label>
+                            <select class="form-control" name="toLocation" id="transferTo" required></select>
+                        </div>
+                        <div class="form-group">
+                            <label>Quantity (kg)</label>
+                            <input type="number" class="form-control" name="qty" step="0.1" required>
+                        </div>
+                        <div class="form-group">
+                            <label>Notes</label>
+                            <input type="text" class="form-control" name="notes" placeholder="Vehicle, bags, etc.">
+                        </div>
+                        ${this.renderExtraFields('TRANSFER')}
+                        <button type="submit" class="btn btn-primary">Record Transfer</button>
+                    </form>
+                </div>
+            </div>
         `;
     },
 
@@ -253,21 +484,409 @@ export const FormsPage = {
         this.onSuccess = onSuccess;
         this.setupFormHandlers();
         this.setupLiveCalculation();
+        this.setupMoistureCalculation();
+        this.setupAutoProcessPreview();
+        document.getElementById('byProductKind')?.addEventListener('change', () => this.renderByProductStock());
+        this.setupCounterpartySelects();
+        this.setupPaymentTerms();
+        this.setupAttachmentPickers();
         this.setDefaultDates();
+        this.loadCounterparties();
+        this.loadLots();
+        this.loadLocations();
+        this.loadSettings();
+        this.loadCategories();
+    },
+
+    /**
+     * Attachment picker for tickets, receipts and bills (camera or file)
+     * @returns {string} HTML template
+     */
+    renderAttachmentField() {
+        return `
+            <div class="form-group">
+                <label>Attachments</label>
+                <div class="attachment-pickers">
+                    <label class="attachment-picker">
+                        <i class="fas fa-camera"></i> Take Photo
+                        <input type="file" class="attachment-input" accept="image/*" capture="environment" hidden>
+                    </label>
+                    <label class="attachment-picker">
+                        <i class="fas fa-paperclip"></i> Choose File
+                        <input type="file" class="attachment-input" accept="image/*,application/pdf" multiple hidden>
+                    </label>
+                </div>
+                <ul class="attachment-pending"></ul>
+            </div>
+        `;
+    },
+
+    /**
+     * Keep picked files per form until the transaction is saved
+     */
+    setupAttachmentPickers() {
+        document.querySelectorAll('.attachment-input').forEach(input => {
+            input.addEventListener('change', () => {
+                const form = input.closest('form');
+                this.pendingFiles[form.id] = [...(this.pendingFiles[form.id] || []), ...input.files];
+                input.value = '';
+                this.renderPendingFiles(form);
+            });
+        });
+
+        document.querySelectorAll('.attachment-pending').forEach(list => {
+            list.addEventListener('click', (e) => {
+                const btn = e.target.closest('.attachment-remove');
+                if (!btn) return;
+                const form = list.closest('form');
+                this.pendingFiles[form.id].splice(parseInt(btn.dataset.index, 10), 1);
+                this.renderPendingFiles(form);
+            });
+        });
+    },
+
+    /**
+     * List the files waiting to be uploaded with a form
+     */
+    renderPendingFiles(form) {
+        const list = form.querySelector('.attachment-pending');
+        if (!list) return;
+
+        list.innerHTML = (this.pendingFiles[form.id] || []).map((file, index) => `
+            <li>
+                <i class="fas ${file.type === 'application/pdf' ? 'fa-file-pdf' : 'fa-image'}"></i>
+                <span>${escapeHtml(file.name)}</span>
+                <button type="button" class="attachment-remove" data-index="${index}" title="Remove">
+                    <i class="fas fa-times"></i>
+                </button>
+            </li>
+        `).join('');
+    },
+
+    /**
+     * Load the active expense and income categories (async)
+     */
+    async loadCategories() {
+        try {
+            const response = await ApiService.getCategories();
+            this.categories = response.data || [];
+        } catch (error) {
+            console.error('Failed to load categories:', error);
+            this.categories = [];
+        }
+        this.renderCategoryOptions();
     },
 
+    /**
+     * Render category dropdowns for their type, keeping current selections
+     */
+    renderCategoryOptions() {
+        document.querySelectorAll('.category-select').forEach(select => {
+            const current = select.value;
+            const options = this.categories.filter(c => c.type === select.dataset.categoryType);
+            select.innerHTML = options.length
+                ? options.map(c => `<option value="${escapeHtml(c.name)}">${escapeHtml(c.name)}</option>`).join('')
+                : '<option value="">No categories set up</option>';
+            if ([...select.options].some(o => o.value === current)) select.value = current;
+        });
+    },
+
+    /**
+     * Load the active kernel grades and custom fields from settings (async)
+     */
+    async loadSettings() {
+        try {
+            const response = await ApiService.getSettings();
+            this.grades = (response.data?.kernelGrades || []).filter(g => g.isActive);
+            this.customFields = (response.data?.customFields || []).filter(f => f.isActive);
+            this.autoProcessOnSell = response.data?.autoProcessOnSell !== false;
+        } catch (error) {
+            console.error('Failed to load settings:', error);
+            this.grades = [];
+            this.customFields = [];
+        }
+        document.getElementById('sellAutoProcessGroup')?.classList.toggle('hidden', !this.autoProcessOnSell);
+        this.renderGradeOptions();
+        this.renderCustomFields();
+    },
+
+    /**
+     * Tags input and the slot for custom fields of a transaction type
+     * @returns {string} HTML template
+     */
+    renderExtraFields(type) {
+        return `
+            <div class="custom-fields" data-txn-type="${type}"></div>
+            <div class="form-group">
+                <label>Tags</label>
+                <input type="text" class="form-control" name="tags" placeholder="Comma separated, e.g. plot-a, lorry">
+            </div>
+        `;
+    },
+
+    /**
+     * Render the admin-defined custom fields into each form, keeping entered values
+     */
+    renderCustomFields() {
+        document.querySelectorAll('.custom-fields').forEach(container => {
+            const entered = CustomFields.collect(container);
+            container.innerHTML = CustomFields.render(CustomFields.forType(this.customFields, container.dataset.txnType), entered);
+        });
+    },
+
+    /**
+     * Render grade dropdowns and the PROCESS grade split, keeping current values
+     */
+    renderGradeOptions() {
+        const stockOf = (code) => this.stockByGrade.find(g => g.grade === code)?.procStock || 0;
+        const ungraded = stockOf(null);
+
+        document.querySelectorAll('.grade-select').forEach(select => {
+            const current = select.value;
+            // Kernel recorded before grading stays sellable until it runs out
+            const showUngraded = !this.grades.length || select.id !== 'sellGrade' || ungraded > 0.05;
+            select.innerHTML = `
+                ${showUngraded ? `<option value="">${select.dataset.ungradedLabel}${select.id === 'sellGrade' ? ` · ${ungraded.toFixed(1)} kg` : ''}</option>` : ''}
+                ${this.grades.map(g => `
+                    <option value="${g.code}">${escapeHtml(g.name)}${select.id === 'sellGrade' ? ` · ${stockOf(g.code).toFixed(1)} kg` : ''}</option>
+                `).join('')}
+            `;
+            if ([...select.options].some(o => o.value === current)) select.value = current;
+        });
+
+        const container = document.getElementById('processGrades');
+        if (!container) return;
+
+        if (!this.grades.length) {
+            container.innerHTML = '<div class="lot-picker-empty">No grades set up</div>';
+            return;
+        }
+
+        const entered = Object.fromEntries(this.collectGradeOutputs().map(g => [g.grade, g.qty]));
+        container.innerHTML = this.grades.map(g => `
+            <div class="lot-picker-row">
+                <span><strong>${escapeHtml(g.name)}</strong></span>
+                <input type="number" class="form-control grade-qty" data-grade="${g.code}" min="0" step="0.1" placeholder="kg" value="${entered[g.code] ?? ''}">
+            </div>
+        `).join('');
+    },
+
+    /**
+     * Collect the kernel split entered on the process form
+     * @returns {Array} [{ grade, qty }]
+     */
+    collectGradeOutputs() {
+        return [...document.querySelectorAll('#processGrades .grade-qty')]
+            .map(input => ({ grade: input.dataset.grade, qty: parseFloat(input.value) }))
+            .filter(g => g.qty > 0);
+    },
+
+    /**
+     * Load storage locations into the location and transfer dropdowns (async)
+     */
+    async loadLocations() {
+        try {
+            const response = await ApiService.getLocations();
+            this.locations = response.data || [];
+            this.unassignedStock = response.unassigned;
+        } catch (error) {
+            console.error('Failed to load locations:', error);
+            this.locations = [];
+            this.unassignedStock = null;
+        }
+        this.renderLocationOptions();
+    },
+
+    /**
+     * Render location options, keeping current selections
+     */
+    renderLocationOptions() {
+        const options = this.locations.map(l => `
+            <option value="${l._id}">${escapeHtml(l.name)}${l.isDefault ? ' (default)' : ''}</option>
+        `).join('');
+
+        document.querySelectorAll('.location-select').forEach(select => {
+            const current = select.value;
+            select.innerHTML = `<option value="">-- Default --</option>${options}`;
+            select.value = current;
+        });
+
+        // Transfer dropdowns show what is held where
+        const withStock = this.locations.map(l => `
+            <option value="${l._id}">${escapeHtml(l.name)} (raw ${l.rawStock.toFixed(1)} · kernel ${l.procStock.toFixed(1)} kg)</option>
+        `).join('');
+        const unassigned = this.unassignedStock
+            ? `<option value="">Unassigned (raw ${this.unassignedStock.rawStock.toFixed(1)} · kernel ${this.unassignedStock.procStock.toFixed(1)} kg)</option>`
+            : '';
+
+        const from = document.getElementById('transferFrom');
+        const to = document.getElementById('transferTo');
+        if (from) {
+            const current = from.value;
+            from.innerHTML = unassigned + withStock;
+            if (current) from.value = current;
+        }
+        if (to) {
+            const current = to.value;
+            to.innerHTML = withStock || '<option value="">Add locations in the Admin Panel</option>';
+            if (current) to.value = current;
+        }
+    },
+
+    /**
+     * Load open purchase lots and processed batches into the pickers (async)
+     */
+    async loadLots() {
+        try {
+            const [lotsRes, batchesRes] = await Promise.all([
+                ApiService.getLots({ status: 'open' }),
+                ApiService.getBatches({ status: 'open' })
+            ]);
+            this.renderLotPicker('processLots', lotsRes.data || [], 'lotId');
+            this.renderLotPicker('sellBatches', batchesRes.data || [], 'batchId');
+        } catch (error) {
+            console.error('Failed to load lots:', error);
+        }
+    },
+
+    /**
+     * Render a lot/batch picker with a quantity box per open entry
+     */
+    renderLotPicker(containerId, entries, codeField) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        if (!entries.length) {
+            container.innerHTML = '<div class="lot-picker-empty">Nothing open</div>';
+            return;
+        }
+
+        container.innerHTML = entries.map(e => `
+            <div class="lot-picker-row">
+                <span>
+                    <strong>${escapeHtml(e[codeField] || e.date.substring(0, 10))}</strong>
+                    ${e.counterparty?.name ? ` · ${escapeHtml(e.counterparty.name)}` : ''}
+                    · ${e.remaining} kg left
+                </span>
+                <input type="number" class="form-control lot-pick" data-id="${e._id}" min="0" max="${e.remaining}" step="0.1" placeholder="kg">
+            </div>
+        `).join('');
+    },
+
+    /**
+     * Collect picked quantities from a lot/batch picker
+     * @returns {Array} [{ id, qty }]
+     */
+    collectPicks(containerId) {
+        return [...document.querySelectorAll(`#${containerId} .lot-pick`)]
+            .map(input => ({ id: input.dataset.id, qty: parseFloat(input.value) }))
+            .filter(pick => pick.qty > 0);
+    },
+
+    /**
+     * Load suppliers and buyers into the trade form dropdowns (async)
+     */
+    async loadCounterparties() {
+        try {
+            const response = await ApiService.getCounterparties();
+            this.counterparties = response.data || [];
+        } catch (error) {
+            console.error('Failed to load counterparties:', error);
+            this.counterparties = [];
+        }
+        this.renderCounterpartyOptions();
+    },
+
+    /**
+     * Render counterparty options, keeping the current selection
+     */
+    renderCounterpartyOptions() {
+        document.querySelectorAll('.counterparty-select').forEach(select => {
+            const partyType = select.dataset.partyType;
+            const current = select.value;
+            const parties = this.counterparties.filter(c => c.type === partyType || c.type === 'BOTH');
+            const label = partyType === 'SUPPLIER' ? 'supplier' : 'buyer';
+
+            select.innerHTML = `
+                <option value="">-- Not specified --</option>
+                ${parties.map(c => `<option value="${c._id}">${escapeHtml(c.name)}</option>`).join('')}
+                <option value="__new__">+ Add new ${label}...</option>
+            `;
+            select.value = parties.some(c => c._id === current) ? current : '';
+        });
+    },
+
+    /**
+     * Let users create a supplier/buyer inline from the dropdown
+     */
+    setupCounterpartySelects() {
+        document.querySelectorAll('.counterparty-select').forEach(select => {
+            select.addEventListener('change', async () => {
+                if (select.value !== '__new__') return;
+
+                const partyType = select.dataset.partyType;
+                const name = prompt(`New ${partyType === 'SUPPLIER' ? 'supplier' : 'buyer'} name:`);
+                if (!name || !name.trim()) {
+                    select.value = '';
+                    return;
+                }
+
+                try {
+                    const response = await ApiService.createCounterparty({ name: name.trim(), type: partyType });
+                    await this.loadCounterparties();
+                    select.value = response.data._id;
+                } catch (error) {
+                    alert(`Failed to add: ${error.message}`);
+                    select.value = '';
+                }
+            });
+        });
+    },
+
+    /**
+     * Show the credit fields only when credit terms are chosen
+     */
+    setupPaymentTerms() {
+        document.querySelectorAll('.payment-terms-select').forEach(select => {
+            const toggle = () => {
+                const fields = document.getElementById(select.dataset.creditFields);
+                fields?.classList.toggle('hidden', select.value !== 'CREDIT');
+            };
+            select.addEventListener('change', toggle);
+            select.closest('form')?.addEventListener('reset', () => setTimeout(toggle, 0));
+        });
+    },
+
+    /**
+     * Add payment terms from the form data to a BUY/SELL payload
+     */
+    applyPaymentTerms(txnData, data) {
+        if (data.paymentTerms !== 'CREDIT') return;
+
+        txnData.paymentTerms = 'CREDIT';
+        txnData.paidUpfront = data.paidUpfront ? parseFloat(data.paidUpfront) : 0;
+        if (data.dueDate) txnData.dueDate = data.dueDate;
+
+        if (txnData.paidUpfront > txnData.qty * txnData.price) {
+            throw new Error('Amount paid now cannot exceed the total value');
+        }
+    },
+
+
     /**
      * Set up form submission handlers
      */
     setupFormHandlers() {
         const forms = {
             buyForm: 'BUY',
+            dryingForm: 'DRYING',
             processForm: 'PROCESS',
             sellForm: 'SELL',
+            byproductForm: 'BYPRODUCT_SALE',
             incomeForm: 'INCOME',
             expenseForm: 'EXPENSE',
-            loanForm: 'LOAN',
-            adjustmentForm: 'ADJUSTMENT'
+            adjustmentForm: 'ADJUSTMENT',
+            transferForm: 'TRANSFER'
         };
 
         Object.entries(forms).forEach(([formId, type]) => {
@@ -311,19 +930,51 @@ export const FormsPage = {
                 notes: data.notes || ''
             };
 
+            if (data.location) txnData.location = data.location;
+            if (data.tags) txnData.tags = data.tags.split(',').map(t => t.trim()).filter(Boolean);
+            const customFields = CustomFields.collect(form);
+            if (Object.keys(customFields).length) txnData.customFields = customFields;
+
             // Add type-specific fields
             switch (type) {
                 case 'BUY':
                     txnData.qty = parseFloat(data.qty);
                     txnData.price = parseFloat(data.price);
+                    if (data.counterparty) txnData.counterparty = data.counterparty;
+                    if (data.lotId) txnData.lotId = data.lotId;
+                    this.applyPaymentTerms(txnData, data);
+                    break;
+                case 'DRYING':
+                    txnData.inputQty = parseFloat(data.inputQty);
+                    txnData.outputQty = parseFloat(data.outputQty);
+                    if (txnData.outputQty > txnData.inputQty) {
+                        throw new Error('Dry weight cannot be more than the wet weight');
+                    }
                     break;
                 case 'PROCESS':
                     txnData.inputQty = parseFloat(data.inputQty);
                     txnData.outputQty = parseFloat(data.outputQty);
+                    txnData.lots = this.collectPicks('processLots').map(p => ({ lot: p.id, qty: p.qty }));
+                    txnData.gradeOutputs = this.collectGradeOutputs();
+                    txnData.byProducts = [
+                        { kind: 'HUSK', qty: parseFloat(data.byProductHusk) || 0 },
+                        { kind: 'SHELL', qty: parseFloat(data.byProductShell) || 0 }
+                    ].filter(b => b.qty > 0);
+                    break;
+                case 'BYPRODUCT_SALE':
+                    txnData.byProduct = data.byProduct;
+                    txnData.qty = parseFloat(data.qty);
+                    txnData.price = parseFloat(data.price);
+                    if (data.counterparty) txnData.counterparty = data.counterparty;
                     break;
                 case 'SELL':
                     txnData.qty = parseFloat(data.qty);
                     txnData.price = parseFloat(data.price);
+                    if (data.counterparty) txnData.counterparty = data.counterparty;
+                    if (data.grade) txnData.grade = data.grade;
+                    txnData.batches = this.collectPicks('sellBatches').map(p => ({ batch: p.id, qty: p.qty }));
+                    if (data.autoProcess) txnData.autoProcess = true;
+                    this.applyPaymentTerms(txnData, data);
                     break;
                 case 'INCOME':
                     txnData.category = data.category;
@@ -337,15 +988,17 @@ export const FormsPage = {
                     txnData.category = data.category;
                     txnData.amount = parseFloat(data.amount);
                     break;
-                case 'LOAN':
-                    txnData.amount = parseFloat(data.amount);
-                    txnData.loanType = data.loanType;
+                case 'TRANSFER':
+                    txnData.qty = parseFloat(data.qty);
+                    txnData.stockType = data.stockType;
+                    txnData.toLocation = data.toLocation;
                     break;
 
                 case 'ADJUSTMENT':
                     txnData.rawStockChange = data.rawStockChange ? parseFloat(data.rawStockChange) : 0;
                     txnData.procStockChange = data.procStockChange ? parseFloat(data.procStockChange) : 0;
                     txnData.amount = data.amount ? parseFloat(data.amount) : 0;
+                    if (data.grade && txnData.procStockChange) txnData.grade = data.grade;
                     break;
             }
 
@@ -353,13 +1006,29 @@ export const FormsPage = {
             console.log('Submitting transaction:', txnData);
 
             // Save via API
-            await StateService.addTransaction(txnData);
+            const saved = await StateService.addTransaction(txnData);
+
+            // Files go up once the transaction exists
+            const files = this.pendingFiles[form.id] || [];
+            const failedFiles = files.length && saved?._id
+                ? await AttachmentService.upload(saved._id, files)
+                : [];
 
             // Reset form and show success
             form.reset();
+            this.pendingFiles[form.id] = [];
+            this.renderPendingFiles(form);
             this.setDefaultDates();
             
-            alert('Saved successfully!');
+            alert(saved?.pending ? [
+                'Sent to an admin for approval. It will appear in the Ledger once approved.',
+                files.length ? 'Add the attachments from the Ledger after that.' : ''
+            ].filter(Boolean).join('\n\n') : [
+                failedFiles.length
+                    ? `Saved, but these attachments could not be uploaded:\n\n${failedFiles.join('\n')}\n\nAdd them from the Ledger.`
+                    : 'Saved successfully!',
+                saved?.warning ? `Warning: ${saved.warning}` : ''
+            ].filter(Boolean).join('\n\n'));
 
             if (this.onSuccess) {
                 this.onSuccess();
@@ -386,6 +1055,53 @@ export const FormsPage = {
         }
     },
 
+    /**
+     * Show what auto-processing would do for the sale being entered (debounced)
+     */
+    setupAutoProcessPreview() {
+        const form = document.getElementById('sellForm');
+        const previewEl = document.getElementById('sellAutoProcessPreview');
+        if (!form || !previewEl) return;
+
+        const refresh = async () => {
+            const qty = parseFloat(form.elements.qty.value) || 0;
+            if (qty <= 0 || !this.autoProcessOnSell) {
+                previewEl.textContent = '';
+                return;
+            }
+
+            try {
+                const response = await ApiService.previewAutoProcess({
+                    qty,
+                    grade: form.elements.grade.value,
+                    date: form.elements.date.value
+                });
+                const plan = response.data;
+                if (!plan.kernelShort) {
+                    previewEl.textContent = `${plan.kernelInStock} kg kernel in stock; nothing to process.`;
+                    return;
+                }
+
+                const lots = (plan.lotsConsumed || []).map(l => `${l.lotId} (${l.qty} kg)`).join(', ');
+                previewEl.textContent = `Short ${plan.kernelShort} kg kernel. Would process ${plan.rawNeeded} kg raw at ${plan.recovery.toFixed(1)}% recovery`
+                    + (lots ? ` from ${lots}` : '')
+                    + (plan.unallocated > 0 ? `; ${plan.unallocated} kg raw is not in stock` : '')
+                    + '.';
+            } catch (error) {
+                previewEl.textContent = error.message;
+            }
+        };
+
+        form.addEventListener('input', (e) => {
+            if (!['qty', 'grade', 'date'].includes(e.target.name)) return;
+            clearTimeout(this.autoProcessTimer);
+            this.autoProcessTimer = setTimeout(refresh, 400);
+        });
+        form.addEventListener('reset', () => {
+            previewEl.textContent = '';
+        });
+    },
+
     /**
      * Set up live recovery calculation
      */
@@ -412,13 +1128,49 @@ export const FormsPage = {
 
         inputEl.addEventListener('input', updateCalc);
         outputEl.addEventListener('input', updateCalc);
+
+        // Output follows the grade split once any grade is filled in
+        document.getElementById('processGrades')?.addEventListener('input', () => {
+            const split = this.collectGradeOutputs();
+            if (!split.length) return;
+            outputEl.value = +split.reduce((sum, g) => sum + g.qty, 0).toFixed(3);
+            updateCalc();
+        });
+    },
+
+    /**
+     * Show moisture lost as the drying weights are entered
+     */
+    setupMoistureCalculation() {
+        const inputEl = document.getElementById('dryInput');
+        const outputEl = document.getElementById('dryOutput');
+        const calcEl = document.getElementById('liveMoistureCalc');
+
+        if (!inputEl || !outputEl || !calcEl) return;
+
+        const updateCalc = () => {
+            const input = parseFloat(inputEl.value) || 0;
+            const output = parseFloat(outputEl.value) || 0;
+
+            if (input > 0 && output > 0) {
+                const loss = (((input - output) / input) * 100).toFixed(1);
+                calcEl.textContent = `${loss}% (${(input - output).toFixed(1)} kg)`;
+                calcEl.classList.toggle('danger', output > input);
+            } else {
+                calcEl.textContent = '0%';
+                calcEl.classList.remove('danger');
+            }
+        };
+
+        inputEl.addEventListener('input', updateCalc);
+        outputEl.addEventListener('input', updateCalc);
     },
 
     /**
      * Set default dates to today
      */
     setDefaultDates() {
-        document.querySelectorAll('input[type="date"]').forEach(input => {
+        document.querySelectorAll('input[type="date"]:not([data-no-default])').forEach(input => {
             input.valueAsDate = new Date();
         });
     },
@@ -426,11 +1178,28 @@ export const FormsPage = {
     /**
      * Update available stock displays
      */
-    updateAvailableStock(rawStock, procStock) {
+    updateAvailableStock(rawStock, procStock, stockByGrade, byProductStock) {
         const rawEl = document.getElementById('availRawStock');
+        const dryRawEl = document.getElementById('availDryRawStock');
         const procEl = document.getElementById('availProcStock');
 
         if (rawEl) rawEl.textContent = (rawStock || 0).toFixed(1);
+        if (dryRawEl) dryRawEl.textContent = (rawStock || 0).toFixed(1);
         if (procEl) procEl.textContent = (procStock || 0).toFixed(1);
+
+        this.stockByGrade = stockByGrade || [];
+        this.renderGradeOptions();
+
+        this.byProductStock = byProductStock || {};
+        this.renderByProductStock();
+    },
+
+    /**
+     * Show how much of the chosen by-product is in stock
+     */
+    renderByProductStock() {
+        const kind = document.getElementById('byProductKind')?.value;
+        const el = document.getElementById('availByProduct');
+        if (el) el.textContent = (this.byProductStock[kind] || 0).toFixed(1);
     }
 };
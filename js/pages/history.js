@@ -4,10 +4,20 @@
  */
 
 import { StateService } from '../services/state.js';
+import { AuthService } from '../services/auth.js';
 import { ApiService } from '../services/api.js';
+import { AttachmentService } from '../services/attachments.js';
+import { CustomFields } from '../components/customFields.js';
+import { escapeHtml } from '../utils/html.js';
 
 export const HistoryPage = {
     onDataChange: null,
+    gradeNames: {},
+    customFields: [],
+    categories: [],
+    attachmentUrls: [],
+    userFilter: '',
+    knownUsers: new Map(),
 
     /**
      * Render the history view
@@ -19,9 +29,15 @@ export const HistoryPage = {
                 <div class="card">
                     <div class="table-header">
                         <h3>Ledger</h3>
-                        <button id="resetBtn" class="reset-btn">
-                            <i class="fas fa-trash-alt"></i> Reset All
-                        </button>
+                        <div class="ledger-header-actions">
+                            <select id="ledgerUserFilter" class="ledger-user-filter" title="Entered or edited by">
+                                <option value="">All users</option>
+                            </select>
+                            ${AuthService.hasPermission('admin') ? `
+                            <button id="resetBtn" class="reset-btn">
+                                <i class="fas fa-trash-alt"></i> Reset All
+                            </button>` : ''}
+                        </div>
                     </div>
                     <div class="table-responsive">
                         <table id="ledgerTable">
@@ -76,6 +92,16 @@ export const HistoryPage = {
                                     <label>Price (LKR/kg)</label>
                                     <input type="number" id="editPrice" name="price" class="form-control" step="0.01" placeholder="BUY / SELL price">
                                 </div>
+                                <div class="form-group field-counterparty">
+                                    <label>Supplier / Buyer</label>
+                                    <select id="editCounterparty" name="counterparty" class="form-control">
+                                        <option value="">-- Not specified --</option>
+                                    </select>
+                                </div>
+                                <div class="form-group field-dueDate">
+                                    <label>Due Date</label>
+                                    <input type="date" id="editDueDate" name="dueDate" class="form-control">
+                                </div>
                                 <div class="form-group field-inputQty">
                                     <label>Input (Raw kg)</label>
                                     <input type="number" id="editInputQty" name="inputQty" class="form-control" step="0.1" placeholder="PROCESS input">
@@ -86,7 +112,7 @@ export const HistoryPage = {
                                 </div>
                                 <div class="form-group field-category">
                                     <label>Category</label>
-                                    <input type="text" id="editCategory" name="category" class="form-control" placeholder="Expense / Income category">
+                                    <select id="editCategory" name="category" class="form-control"></select>
                                 </div>
                                 <div class="form-group field-amount">
                                     <label>Amount (LKR)</label>
@@ -104,15 +130,64 @@ export const HistoryPage = {
                                     <label>Notes</label>
                                     <input type="text" id="editNotes" name="notes" class="form-control" maxlength="500" placeholder="Description / buyer / reason">
                                 </div>
+                                <div class="form-group field-tags">
+                                    <label>Tags</label>
+                                    <input type="text" id="editTags" name="tags" class="form-control" placeholder="Comma separated">
+                                </div>
+                                <div id="editCustomFields"></div>
                             </div>
                             <p class="ledger-edit-hint" id="ledgerEditHint">
                                 Only fields you change will be updated. Leave others empty to keep current values.
                             </p>
+                            <div id="ledgerEditPreview" class="ledger-edit-preview hidden"></div>
                             <div class="ledger-edit-actions">
                                 <button type="button" id="ledgerEditCancel" class="btn btn-secondary">Cancel</button>
                                 <button type="submit" id="ledgerEditSave" class="btn btn-primary">Save Changes</button>
                             </div>
                         </form>
+                        <div class="ledger-history">
+                            <h5><i class="fas fa-history"></i> Change History</h5>
+                            <div id="ledgerEditHistory" class="audit-timeline"></div>
+                        </div>
+                    </div>
+                </div>
+
+                <!-- Lot Trace Modal -->
+                <div id="ledgerTraceModal" class="ledger-edit-modal hidden">
+                    <div class="ledger-edit-backdrop" data-close="true"></div>
+                    <div class="ledger-edit-dialog">
+                        <div class="ledger-edit-header">
+                            <h4 id="ledgerTraceTitle">Trace</h4>
+                            <button type="button" class="ledger-edit-close" id="ledgerTraceClose">
+                                <i class="fas fa-times"></i>
+                            </button>
+                        </div>
+                        <div id="ledgerTraceBody" class="trace-body"></div>
+                    </div>
+                </div>
+
+                <!-- Attachments Modal -->
+                <div id="ledgerAttachModal" class="ledger-edit-modal hidden">
+                    <div class="ledger-edit-backdrop" data-close="true"></div>
+                    <div class="ledger-edit-dialog">
+                        <div class="ledger-edit-header">
+                            <h4>Attachments</h4>
+                            <button type="button" class="ledger-edit-close" id="ledgerAttachClose">
+                                <i class="fas fa-times"></i>
+                            </button>
+                        </div>
+                        <div id="ledgerAttachBody" class="attachment-grid"></div>
+                        ${AuthService.hasPermission('write') ? `
+                        <div class="attachment-pickers">
+                            <label class="attachment-picker">
+                                <i class="fas fa-camera"></i> Take Photo
+                                <input type="file" class="ledger-attach-input" accept="image/*" capture="environment" hidden>
+                            </label>
+                            <label class="attachment-picker">
+                                <i class="fas fa-paperclip"></i> Choose File
+                                <input type="file" class="ledger-attach-input" accept="image/*,application/pdf" multiple hidden>
+                            </label>
+                        </div>` : ''}
                     </div>
                 </div>
             </div>
@@ -131,6 +206,11 @@ export const HistoryPage = {
             resetBtn.addEventListener('click', () => this.handleReset());
         }
 
+        document.getElementById('ledgerUserFilter')?.addEventListener('change', async (e) => {
+            this.userFilter = e.target.value;
+            await this.update();
+        });
+
         // Edit modal elements
         this.editModal = document.getElementById('ledgerEditModal');
         this.editForm = document.getElementById('ledgerEditForm');
@@ -139,6 +219,8 @@ export const HistoryPage = {
         this.editDateInput = document.getElementById('editDate');
         this.editQtyInput = document.getElementById('editQty');
         this.editPriceInput = document.getElementById('editPrice');
+        this.editCounterpartyInput = document.getElementById('editCounterparty');
+        this.editDueDateInput = document.getElementById('editDueDate');
         this.editInputQtyInput = document.getElementById('editInputQty');
         this.editOutputQtyInput = document.getElementById('editOutputQty');
         this.editCategoryInput = document.getElementById('editCategory');
@@ -146,7 +228,11 @@ export const HistoryPage = {
         this.editRawDeltaInput = document.getElementById('editRawDelta');
         this.editProcDeltaInput = document.getElementById('editProcDelta');
         this.editNotesInput = document.getElementById('editNotes');
+        this.editTagsInput = document.getElementById('editTags');
+        this.editCustomFields = document.getElementById('editCustomFields');
         this.editHint = document.getElementById('ledgerEditHint');
+        this.editHistory = document.getElementById('ledgerEditHistory');
+        this.editPreview = document.getElementById('ledgerEditPreview');
 
         const closeBtn = document.getElementById('ledgerEditClose');
         const cancelBtn = document.getElementById('ledgerEditCancel');
@@ -162,16 +248,63 @@ export const HistoryPage = {
             }
         });
 
+        // Trace modal
+        this.traceModal = document.getElementById('ledgerTraceModal');
+        document.getElementById('ledgerTraceClose')?.addEventListener('click', () => this.closeTraceModal());
+        this.traceModal?.querySelector('.ledger-edit-backdrop')?.addEventListener('click', () => this.closeTraceModal());
+        document.getElementById('ledgerTraceBody')?.addEventListener('click', async (e) => {
+            const link = e.target.closest('.trace-link');
+            if (link) {
+                e.preventDefault();
+                await this.showTrace(link.dataset.trace);
+            }
+        });
+
+        // Attachments modal
+        this.attachModal = document.getElementById('ledgerAttachModal');
+        document.getElementById('ledgerAttachClose')?.addEventListener('click', () => this.closeAttachments());
+        this.attachModal?.querySelector('.ledger-edit-backdrop')?.addEventListener('click', () => this.closeAttachments());
+        document.getElementById('ledgerAttachBody')?.addEventListener('click', async (e) => {
+            const removeBtn = e.target.closest('.attachment-delete');
+            if (removeBtn) {
+                await this.removeAttachment(removeBtn.dataset.attachmentId);
+                return;
+            }
+            const open = e.target.closest('.attachment-open');
+            if (open) {
+                await this.openAttachment(open.dataset.attachmentId);
+            }
+        });
+        document.querySelectorAll('.ledger-attach-input').forEach(input => {
+            input.addEventListener('change', async () => {
+                const files = [...input.files];
+                input.value = '';
+                await this.addAttachments(files);
+            });
+        });
+
         this.editForm?.addEventListener('submit', async (e) => {
             e.preventDefault();
             await this.submitEditForm();
         });
 
+        // Show what the server will recalculate while the user types
+        this.editForm?.addEventListener('input', () => {
+            clearTimeout(this.previewTimer);
+            this.previewTimer = setTimeout(() => this.previewEdit(), 400);
+        });
+
         // Close on Escape
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape' && this.editModal && !this.editModal.classList.contains('hidden')) {
                 this.closeEditModal();
             }
+            if (e.key === 'Escape' && this.traceModal && !this.traceModal.classList.contains('hidden')) {
+                this.closeTraceModal();
+            }
+            if (e.key === 'Escape' && this.attachModal && !this.attachModal.classList.contains('hidden')) {
+                this.closeAttachments();
+            }
         });
     },
 
@@ -183,14 +316,19 @@ export const HistoryPage = {
         if (!tbody) return;
 
         try {
-            const transactions = await StateService.getLedgerTransactions();
+            const [transactions] = await Promise.all([
+                StateService.getLedgerTransactions(this.userFilter ? { user: this.userFilter } : {}),
+                this.loadSettings(),
+                this.loadCategories()
+            ]);
+            this.renderUserFilter(transactions || []);
 
             if (!transactions || transactions.length === 0) {
                 tbody.innerHTML = `
                     <tr>
                         <td colspan="7" class="table-empty">
                             <i class="fas fa-inbox"></i>
-                            <p>No transactions yet</p>
+                            <p>${this.userFilter ? 'No transactions entered or edited by this user' : 'No transactions yet'}</p>
                         </td>
                     </tr>
                 `;
@@ -215,6 +353,15 @@ export const HistoryPage = {
                 });
             });
 
+            // Add payment handlers for open credit trades
+            tbody.querySelectorAll('.pay-btn').forEach(btn => {
+                btn.addEventListener('click', async (e) => {
+                    e.stopPropagation();
+                    const { id, outstanding } = e.currentTarget.dataset;
+                    await this.handlePayment(id, parseFloat(outstanding));
+                });
+            });
+
             // Add delete handlers (desktop)
             tbody.querySelectorAll('.delete-btn').forEach(btn => {
                 btn.addEventListener('click', async (e) => {
@@ -233,6 +380,23 @@ export const HistoryPage = {
                 });
             });
 
+            // Add attachment handlers
+            tbody.querySelectorAll('.attach-btn').forEach(btn => {
+                btn.addEventListener('click', async (e) => {
+                    e.stopPropagation();
+                    await this.showAttachments(e.currentTarget.dataset.id);
+                });
+            });
+
+            // Add lot trace handlers
+            tbody.querySelectorAll('.trace-link').forEach(link => {
+                link.addEventListener('click', async (e) => {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    await this.showTrace(e.currentTarget.dataset.trace);
+                });
+            });
+
             // Add description tooltip handlers (desktop)
             tbody.querySelectorAll('.description-icon').forEach(icon => {
                 icon.addEventListener('click', (e) => {
@@ -277,43 +441,79 @@ export const HistoryPage = {
         const date = dateObj.toISOString().split('T')[0];
         const dateFormatted = dateObj.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
         const hasNotes = t.notes && t.notes.trim().length > 0;
+        const attachmentCount = t.attachments?.length || 0;
 
         const typeLower = (t.type || '').toLowerCase();
         const amount = t.amount || 0;
+        const partyName = t.counterparty?.name ? ` · ${escapeHtml(t.counterparty.name)}` : '';
+        const placeName = t.location?.name ? ` <span class="stock-location">${escapeHtml(t.location.name)}</span>` : '';
+        const outstanding = ['BUY', 'SELL'].includes(t.type)
+            ? Math.max((t.tradeValue || 0) - (t.settledAmount || 0), 0)
+            : 0;
 
         switch (t.type) {
             case 'BUY':
                 badge = 'badge-buy';
                 icon = 'fa-shopping-cart';
-                details = `${t.qty} kg × ${t.price}`;
-                stock = `+${t.qty} Raw`;
-                cash = `<span class="text-red">${amount.toLocaleString()}</span>`;
+                details = `${this.renderTraceLink(t.lotId)}${t.qty} kg × ${t.price}${partyName}${this.renderSettlement(t)}`;
+                stock = `+${t.qty} Raw${placeName}`;
+                cash = amount !== 0 ? `<span class="text-red">${amount.toLocaleString()}</span>` : '-';
                 amountClass = 'negative';
-                amountDisplay = `LKR ${Math.abs(amount).toLocaleString()}`;
+                amountDisplay = `LKR ${(t.tradeValue ?? Math.abs(amount)).toLocaleString()}`;
                 break;
 
             case 'SELL':
                 badge = 'badge-sell';
                 icon = 'fa-arrow-trend-up';
-                details = `${t.qty} kg × ${t.price}`;
-                stock = `−${t.qty} Ker`;
-                cash = `<span class="text-green">+${amount.toLocaleString()}</span>`;
+                details = `${this.renderTraceLink(id, 'Trace')}${this.renderGrade(t.grade)}${t.qty} kg × ${t.price}${partyName}${this.renderSettlement(t)}${this.renderCosting(t)}`;
+                stock = `−${t.qty} Ker${placeName}`;
+                cash = amount !== 0 ? `<span class="text-green">+${amount.toLocaleString()}</span>` : '-';
                 amountClass = 'positive';
-                amountDisplay = `+ LKR ${amount.toLocaleString()}`;
+                amountDisplay = `+ LKR ${(t.tradeValue ?? amount).toLocaleString()}`;
+                break;
+
+            case 'PAYMENT':
+                badge = 'badge-payment';
+                icon = 'fa-hand-holding-usd';
+                details = `${amount > 0 ? 'Received from buyer' : 'Paid to supplier'}${partyName}`;
+                cash = amount > 0
+                    ? `<span class="text-green">+${amount.toLocaleString()}</span>`
+                    : `<span class="text-red">${amount.toLocaleString()}</span>`;
+                amountClass = amount > 0 ? 'positive' : 'negative';
+                amountDisplay = amount > 0 ? `+ LKR ${amount.toLocaleString()}` : `LKR ${Math.abs(amount).toLocaleString()}`;
                 break;
 
             case 'PROCESS':
                 badge = 'badge-proc';
                 icon = 'fa-cogs';
-                details = `In: ${t.inputQty} kg → Out: ${t.outputQty} kg`;
-                stock = `−${t.inputQty}R / +${t.outputQty}K`;
+                details = `${this.renderTraceLink(t.batchId)}In: ${t.inputQty} kg → Out: ${t.outputQty} kg${this.renderGradeOutputs(t)}${this.renderByProducts(t)}${this.renderCosting(t)}`;
+                stock = `−${t.inputQty}R / +${t.outputQty}K${placeName}`;
                 amountClass = 'neutral';
                 amountDisplay = `${t.recovery || ((t.outputQty / t.inputQty) * 100).toFixed(1)}% Recovery`;
                 break;
 
+            case 'BYPRODUCT_SALE':
+                badge = 'badge-byproduct';
+                icon = 'fa-leaf';
+                details = `${this.byProductName(t.byProduct)} ${t.qty} kg × ${t.price}${partyName}`;
+                stock = `−${t.qty} ${this.byProductName(t.byProduct)}`;
+                cash = `<span class="text-green">+${amount.toLocaleString()}</span>`;
+                amountClass = 'positive';
+                amountDisplay = `+ LKR ${amount.toLocaleString()}`;
+                break;
+
+            case 'DRYING':
+                badge = 'badge-drying';
+                icon = 'fa-sun';
+                details = `Wet: ${t.inputQty} kg → Dry: ${t.outputQty} kg`;
+                stock = `−${+(t.inputQty - t.outputQty).toFixed(3)} Raw${placeName}`;
+                amountClass = 'neutral';
+                amountDisplay = `${t.moistureLoss ?? (((t.inputQty - t.outputQty) / t.inputQty) * 100).toFixed(1)}% Moisture`;
+                break;
+
             case 'INCOME':
                 badge = 'badge-income';
-                icon = 'fa-money-bill-wave';
+                icon = this.categoryIcon(t, 'fa-money-bill-wave');
                 details = t.category || 'Income';
                 cash = `<span class="text-green">+${amount.toLocaleString()}</span>`;
                 amountClass = 'positive';
@@ -322,7 +522,7 @@ export const HistoryPage = {
 
             case 'EXPENSE':
                 badge = 'badge-exp';
-                icon = 'fa-receipt';
+                icon = this.categoryIcon(t, 'fa-receipt');
                 details = t.category || 'Expense';
                 cash = `<span class="text-red">${amount.toLocaleString()}</span>`;
                 amountClass = 'negative';
@@ -333,6 +533,9 @@ export const HistoryPage = {
                 badge = 'badge-loan';
                 icon = 'fa-landmark';
                 details = t.notes || (amount > 0 ? 'Loan Taken' : 'Loan Repayment');
+                if (t.loanType === 'REPAY' && t.loan) {
+                    details += ` (Principal ${(t.principalPortion || 0).toLocaleString()}, Interest ${(t.interestPortion || 0).toLocaleString()})`;
+                }
                 cash = amount > 0
                     ? `<span class="text-green">+${amount.toLocaleString()}</span>`
                     : `<span class="text-red">${amount.toLocaleString()}</span>`;
@@ -340,6 +543,15 @@ export const HistoryPage = {
                 amountDisplay = amount > 0 ? `+ LKR ${amount.toLocaleString()}` : `LKR ${Math.abs(amount).toLocaleString()}`;
                 break;
 
+            case 'TRANSFER':
+                badge = 'badge-transfer';
+                icon = 'fa-exchange-alt';
+                details = `${escapeHtml(t.location?.name || 'Unassigned')} → ${escapeHtml(t.toLocation?.name || '?')}`;
+                stock = `${t.qty} ${t.stockType === 'RAW' ? 'Raw' : 'Ker'} moved`;
+                amountClass = 'neutral';
+                amountDisplay = 'Stock moved';
+                break;
+
             case 'ADJUSTMENT':
                 badge = 'badge-adjust';
                 icon = 'fa-sliders-h';
@@ -352,9 +564,9 @@ export const HistoryPage = {
                     stockParts.push(`${rawDelta > 0 ? '+' : ''}${rawDelta} Raw`);
                 }
                 if (procDelta) {
-                    stockParts.push(`${procDelta > 0 ? '+' : ''}${procDelta} Ker`);
+                    stockParts.push(`${procDelta > 0 ? '+' : ''}${procDelta} Ker${t.grade ? ` (${escapeHtml(this.gradeNames[t.grade] || t.grade)})` : ''}`);
                 }
-                stock = stockParts.length ? stockParts.join(' / ') : '-';
+                stock = stockParts.length ? `${stockParts.join(' / ')}${placeName}` : '-';
 
                 if (amount !== 0) {
                     cash = amount > 0
@@ -389,13 +601,13 @@ export const HistoryPage = {
 
         // Description cell - show text when space allows, icon as fallback
         let descriptionCell = '<td class="description-cell">-</td>';
-        const escapedNotes = hasNotes ? this.escapeHtml(t.notes) : '';
+        const escapedNotes = hasNotes ? escapeHtml(t.notes) : '';
         if (hasNotes) {
             const truncatedNotes = t.notes.length > 50 ? t.notes.substring(0, 47) + '...' : t.notes;
             const showIcon = t.notes.length > 50;
             descriptionCell = `
                 <td class="description-cell" data-row-id="${id}">
-                    <span class="description-text">${this.escapeHtml(truncatedNotes)}</span>
+                    <span class="description-text">${escapeHtml(truncatedNotes)}</span>
                     <button class="description-icon ${showIcon ? 'always-visible' : ''}" data-description="${escapedNotes}" data-row-id="${id}" title="Click to view full description">
                         <i class="fas fa-info-circle"></i>
                     </button>
@@ -403,6 +615,12 @@ export const HistoryPage = {
             `;
         }
 
+        const extras = this.renderExtras(t);
+        const canWrite = AuthService.hasPermission('write');
+        const canDelete = AuthService.hasPermission('delete');
+        // Without the delete permission, writers can still ask an admin to delete
+        const canRequestDelete = canDelete || canWrite;
+
         // Mobile card template (hidden on desktop, shown on mobile)
         const mobileCard = `
             <div class="mobile-card">
@@ -418,7 +636,7 @@ export const HistoryPage = {
                 <div class="card-amount ${amountClass}">${amountDisplay}</div>
                 <div class="card-divider"></div>
                 <div class="card-row card-details">
-                    <span>${details}</span>
+                    <span>${details}${extras}</span>
                 </div>
                 ${stock !== '-' ? `
                 <div class="card-row card-stock">
@@ -431,12 +649,21 @@ export const HistoryPage = {
                     <button class="card-btn card-btn-info mobile-description-btn" data-description="${escapedNotes}" data-row-id="${id}">
                         <i class="fas fa-info-circle"></i> Details
                     </button>` : '<span></span>'}
+                    ${outstanding > 0 && canWrite ? `
+                    <button class="card-btn card-btn-info pay-btn" data-id="${id}" data-outstanding="${outstanding}">
+                        <i class="fas fa-hand-holding-usd"></i> Pay
+                    </button>` : ''}
+                    <button class="card-btn card-btn-info attach-btn" data-id="${id}">
+                        <i class="fas fa-paperclip"></i> ${attachmentCount || 'Attach'}
+                    </button>
+                    ${canWrite ? `
                     <button class="card-btn card-btn-info mobile-edit-btn edit-btn" data-id="${id}">
                         <i class="fas fa-edit"></i> Edit
-                    </button>
+                    </button>` : ''}
+                    ${canRequestDelete ? `
                     <button class="card-btn card-btn-delete mobile-delete-btn" data-id="${id}">
-                        <i class="fas fa-trash-alt"></i> Delete
-                    </button>
+                        <i class="fas fa-trash-alt"></i> ${canDelete ? 'Delete' : 'Request Delete'}
+                    </button>` : ''}
                 </div>
             </div>
         `;
@@ -449,31 +676,386 @@ export const HistoryPage = {
                     <span class="badge ${badge}">${t.type}</span>
                 </td>
                 <td data-label="Type">${t.type}</td>
-                <td data-label="Details">${details}</td>
+                <td data-label="Details">${details}${extras}</td>
                 <td data-label="Stock">${stock}</td>
                 <td data-label="Cash">${cash}</td>
                 ${descriptionCell.replace('<td ', '<td data-label="Description" ')}
                 <td data-label="Actions">
+                    ${outstanding > 0 && canWrite ? `
+                    <button class="pay-btn" data-id="${id}" data-outstanding="${outstanding}" title="Record payment">
+                        <i class="fas fa-hand-holding-usd"></i>
+                    </button>` : ''}
+                    <button class="attach-btn${attachmentCount ? ' has-attachments' : ''}" data-id="${id}" title="Attachments">
+                        <i class="fas fa-paperclip"></i>${attachmentCount ? `<span class="attach-count">${attachmentCount}</span>` : ''}
+                    </button>
+                    ${canWrite ? `
                     <button class="edit-btn" data-id="${id}" title="Edit">
                         <i class="fas fa-edit"></i>
-                    </button>
-                    <button class="delete-btn" data-id="${id}" title="Delete">
+                    </button>` : ''}
+                    ${canRequestDelete ? `
+                    <button class="delete-btn" data-id="${id}" title="${canDelete ? 'Delete' : 'Request deletion'}">
                         <i class="fas fa-times"></i>
-                    </button>
+                    </button>` : ''}
                 </td>
             </tr>
         `;
     },
 
     /**
-     * Escape HTML to prevent XSS
+     * Render settlement status for credit trades
+     */
+    renderSettlement(t) {
+        if (t.paymentTerms !== 'CREDIT') return '';
+
+        const outstanding = Math.max((t.tradeValue || 0) - (t.settledAmount || 0), 0);
+        if (outstanding <= 0) {
+            return ' <span class="badge badge-success">Settled</span>';
+        }
+
+        const overdue = t.dueDate && new Date(t.dueDate) < new Date();
+        const label = t.settlementStatus === 'PARTIAL' ? 'Partly paid' : 'Unpaid';
+        return ` <span class="badge ${overdue ? 'badge-danger' : 'badge-warning'}" title="${t.dueDate ? `Due ${t.dueDate.substring(0, 10)}` : 'No due date'}">${label}: LKR ${outstanding.toLocaleString()}</span>`;
+    },
+
+    /**
+     * Render a clickable lot/batch code that opens its trace
+     */
+    renderTraceLink(code, label = code) {
+        if (!code) return '';
+        return `<a href="#" class="trace-link" data-trace="${escapeHtml(code)}" title="Trace">${escapeHtml(label)}</a> `;
+    },
+
+    /**
+     * Show the purchase → batch → sale genealogy of a lot, batch or sale (async)
      */
-    escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+    async showTrace(code) {
+        const body = document.getElementById('ledgerTraceBody');
+        const title = document.getElementById('ledgerTraceTitle');
+        if (!body || !this.traceModal) return;
+
+        this.traceModal.classList.remove('hidden');
+        body.innerHTML = '<p class="table-empty"><i class="fas fa-spinner fa-spin"></i></p>';
+
+        try {
+            const { data } = await ApiService.traceLot(code);
+            const date = (d) => new Date(d).toLocaleDateString();
+            const party = (t) => t.counterparty?.name ? ` · ${escapeHtml(t.counterparty.name)}` : '';
+            const lotItem = (l) => `<li>${this.renderTraceLink(l.lotId || l._id, l.lotId || date(l.date))}${date(l.date)}${party(l)} · ${l.qtyUsed} kg used</li>`;
+            const saleItem = (sale) => `<li>${this.renderTraceLink(sale._id, 'Sale')}${date(sale.date)}${party(sale)} · ${sale.qtyFromBatch} kg${sale.attributedQty !== sale.qtyFromBatch ? ` (${sale.attributedQty} kg from this lot)` : ''}</li>`;
+
+            if (data.kind === 'LOT') {
+                title.textContent = `Lot ${data.lot.lotId || ''}`;
+                body.innerHTML = `
+                    <p><strong>${date(data.lot.date)}</strong>${party(data.lot)} · ${data.lot.qty} kg × ${data.lot.price} · ${data.lot.remaining} kg unprocessed</p>
+                    ${data.batches.length ? `<ul class="trace-tree">${data.batches.map(b => `
+                        <li>${this.renderTraceLink(b.batchId || b._id, b.batchId || 'Batch')}${date(b.date)} · ${b.qtyFromLot} kg of ${b.inputQty} kg → ${b.kernelQty} kg kernel (${b.recovery}%)
+                            ${b.sales.length ? `<ul>${b.sales.map(saleItem).join('')}</ul>` : ''}
+                        </li>`).join('')}</ul>` : '<p>Not processed yet.</p>'}
+                `;
+            } else if (data.kind === 'BATCH') {
+                title.textContent = `Batch ${data.batch.batchId || ''}`;
+                body.innerHTML = `
+                    <p><strong>${date(data.batch.date)}</strong> · ${data.batch.inputQty} kg → ${data.batch.outputQty} kg (${data.batch.recovery}%) · ${data.batch.remaining} kg unsold</p>
+                    <h5>Lots</h5>
+                    ${data.lots.length ? `<ul class="trace-tree">${data.lots.map(lotItem).join('')}</ul>` : '<p>No lots recorded.</p>'}
+                    <h5>Sales</h5>
+                    ${data.batch.sales.length ? `<ul class="trace-tree">${data.batch.sales.map(saleItem).join('')}</ul>` : '<p>Not sold yet.</p>'}
+                    ${data.profit ? `
+                    <h5>Profit So Far</h5>
+                    <p>Kernel ${data.profit.revenue.toLocaleString()} + by-products ${data.profit.byProductRevenue.toLocaleString()} − cost ${data.profit.costOfGoodsSold.toLocaleString()} = <strong class="${data.profit.profit < 0 ? 'text-red' : 'text-green'}">LKR ${data.profit.profit.toLocaleString()}</strong></p>
+                    ` : ''}
+                `;
+            } else {
+                title.textContent = 'Sale';
+                body.innerHTML = `
+                    <p><strong>${date(data.sale.date)}</strong>${party(data.sale)} · ${data.sale.qty} kg × ${data.sale.price}</p>
+                    ${data.batches.length ? `<ul class="trace-tree">${data.batches.map(b => `
+                        <li>${this.renderTraceLink(b.batchId || b._id, b.batchId || 'Batch')}${date(b.date)} · ${b.qtyDrawn} kg
+                            ${b.lots.length ? `<ul>${b.lots.map(lotItem).join('')}</ul>` : ''}
+                        </li>`).join('')}</ul>` : '<p>No batches recorded.</p>'}
+                `;
+            }
+        } catch (error) {
+            body.innerHTML = `<p class="text-red">${escapeHtml(error.message)}</p>`;
+        }
     },
 
+    /**
+     * Close the trace modal
+     */
+    closeTraceModal() {
+        this.traceModal?.classList.add('hidden');
+    },
+
+    /**
+     * Show a transaction's attachments with image previews (async)
+     */
+    async showAttachments(id) {
+        const body = document.getElementById('ledgerAttachBody');
+        if (!body || !this.attachModal) return;
+
+        this.currentAttachId = id;
+        this.attachModal.classList.remove('hidden');
+        body.innerHTML = '<p class="table-empty"><i class="fas fa-spinner fa-spin"></i></p>';
+
+        try {
+            const { data } = await ApiService.getAttachments(id);
+            this.attachments = data || [];
+            this.revokeAttachmentUrls();
+
+            if (!this.attachments.length) {
+                body.innerHTML = '<p class="table-empty">No attachments yet</p>';
+                return;
+            }
+
+            body.innerHTML = this.attachments.map(a => `
+                <div class="attachment-item">
+                    <button type="button" class="attachment-open" data-attachment-id="${a._id}" title="Open">
+                        ${a.thumbnailId
+                            ? `<img data-thumb-id="${a._id}" alt="${escapeHtml(a.fileName)}">`
+                            : `<i class="fas ${a.mimeType === 'application/pdf' ? 'fa-file-pdf' : 'fa-image'}"></i>`}
+                    </button>
+                    <span class="attachment-name" title="${escapeHtml(a.fileName)}">${escapeHtml(a.fileName)}</span>
+                    ${AuthService.hasPermission('delete') ? `
+                    <button type="button" class="attachment-delete" data-attachment-id="${a._id}" title="Delete">
+                        <i class="fas fa-trash-alt"></i>
+                    </button>` : ''}
+                </div>
+            `).join('');
+
+            // Thumbnails need the auth header, so they load as blobs
+            for (const a of this.attachments.filter(a => a.thumbnailId)) {
+                const url = await AttachmentService.objectUrl(id, a, true);
+                this.attachmentUrls.push(url);
+                const img = body.querySelector(`img[data-thumb-id="${a._id}"]`);
+                if (img) img.src = url;
+            }
+        } catch (error) {
+            body.innerHTML = `<p class="text-red">${escapeHtml(error.message)}</p>`;
+        }
+    },
+
+    /**
+     * Open the full file in a new tab (async)
+     */
+    async openAttachment(attachmentId) {
+        const attachment = this.attachments?.find(a => a._id === attachmentId);
+        if (!attachment) return;
+
+        // Open the tab first so popup blockers allow it
+        const tab = window.open('', '_blank');
+        try {
+            const url = await AttachmentService.objectUrl(this.currentAttachId, attachment);
+            setTimeout(() => URL.revokeObjectURL(url), 60000);
+            if (tab) {
+                tab.location.href = url;
+            } else {
+                window.location.href = url;
+            }
+        } catch (error) {
+            tab?.close();
+            alert(`Failed to open attachment: ${error.message}`);
+        }
+    },
+
+    /**
+     * Upload more files to the open transaction (async)
+     */
+    async addAttachments(files) {
+        if (!files.length || !this.currentAttachId) return;
+
+        const failed = await AttachmentService.upload(this.currentAttachId, files);
+        if (failed.length) {
+            alert(`These attachments could not be uploaded:\n\n${failed.join('\n')}`);
+        }
+
+        await this.showAttachments(this.currentAttachId);
+        await this.update();
+    },
+
+    /**
+     * Delete one attachment (async)
+     */
+    async removeAttachment(attachmentId) {
+        if (!confirm('Delete this attachment?')) return;
+
+        try {
+            await ApiService.deleteAttachment(this.currentAttachId, attachmentId);
+            await this.showAttachments(this.currentAttachId);
+            await this.update();
+        } catch (error) {
+            alert(`Failed to delete attachment: ${error.message}`);
+        }
+    },
+
+    /**
+     * Release preview object URLs
+     */
+    revokeAttachmentUrls() {
+        this.attachmentUrls.forEach(url => URL.revokeObjectURL(url));
+        this.attachmentUrls = [];
+    },
+
+    /**
+     * Close the attachments modal
+     */
+    closeAttachments() {
+        this.attachModal?.classList.add('hidden');
+        this.revokeAttachmentUrls();
+        this.currentAttachId = null;
+    },
+
+    /**
+     * Load kernel grade names and custom fields from settings for the ledger (async)
+     */
+    async loadSettings() {
+        try {
+            const response = await ApiService.getSettings();
+            this.gradeNames = Object.fromEntries((response.data?.kernelGrades || []).map(g => [g.code, g.name]));
+            this.customFields = response.data?.customFields || [];
+        } catch (error) {
+            console.error('Failed to load settings:', error);
+        }
+    },
+
+    /**
+     * Render tags, custom field values and who entered/edited it under a row's details
+     */
+    renderExtras(t) {
+        const tags = (t.tags || []).map(tag => `<span class="txn-tag">#${escapeHtml(tag)}</span>`).join('');
+        const values = Object.entries(t.customFields || {}).map(([key, value]) => {
+            const label = this.customFields.find(f => f.key === key)?.label || key;
+            return `<span class="txn-field">${escapeHtml(label)}: ${escapeHtml(String(value))}</span>`;
+        }).join('');
+
+        const createdBy = t.createdBy?.username;
+        const updatedBy = t.updatedBy?.username;
+        const users = [
+            createdBy ? `<span class="txn-user"><i class="fas fa-user"></i> ${escapeHtml(createdBy)}</span>` : '',
+            updatedBy && updatedBy !== createdBy ? `<span class="txn-user"><i class="fas fa-pen"></i> ${escapeHtml(updatedBy)}</span>` : ''
+        ].join('');
+
+        return tags || values || users ? `<span class="txn-extras">${tags}${values}${users}</span>` : '';
+    },
+
+    /**
+     * Offer every user seen in the ledger as a filter (kept while a filter narrows the list)
+     */
+    renderUserFilter(transactions) {
+        const select = document.getElementById('ledgerUserFilter');
+        if (!select) return;
+
+        for (const t of transactions) {
+            for (const user of [t.createdBy, t.updatedBy]) {
+                if (user?._id) this.knownUsers.set(user._id, user.username);
+            }
+        }
+
+        select.innerHTML = '<option value="">All users</option>' + [...this.knownUsers.entries()]
+            .sort((a, b) => a[1].localeCompare(b[1]))
+            .map(([id, username]) => `<option value="${id}" ${id === this.userFilter ? 'selected' : ''}>${escapeHtml(username)}</option>`)
+            .join('');
+        select.classList.toggle('hidden', this.knownUsers.size === 0);
+    },
+
+    /**
+     * Load expense and income categories, archived included, for icons and editing (async)
+     */
+    async loadCategories() {
+        try {
+            const response = await ApiService.getCategories({ includeArchived: true });
+            this.categories = response.data || [];
+        } catch (error) {
+            console.error('Failed to load categories:', error);
+        }
+    },
+
+    /**
+     * Icon of an expense/income category, or the type's fallback
+     */
+    categoryIcon(t, fallback) {
+        return this.categories.find(c => c.type === t.type && c.name === t.category)?.icon || fallback;
+    },
+
+    /**
+     * Render the kernel grade of a sale
+     */
+    renderGrade(code) {
+        if (!code) return '';
+        return `<span class="grade-tag">${escapeHtml(this.gradeNames[code] || code)}</span>`;
+    },
+
+    /**
+     * Render how a batch's kernel was split across grades
+     */
+    renderGradeOutputs(t) {
+        if (!t.gradeOutputs?.length) return '';
+        const parts = t.gradeOutputs.map(g => `${escapeHtml(this.gradeNames[g.grade] || g.grade)} ${g.qty}`);
+        return ` <span class="cost-info">${parts.join(' · ')}</span>`;
+    },
+
+    /**
+     * Display name of a by-product kind
+     */
+    byProductName(kind) {
+        return { HUSK: 'Husk', SHELL: 'Shell' }[kind] || kind || 'By-product';
+    },
+
+    /**
+     * Render the husk/shell a batch produced
+     */
+    renderByProducts(t) {
+        if (!t.byProducts?.length) return '';
+        const parts = t.byProducts.map(b => `${this.byProductName(b.kind)} ${b.qty}`);
+        return ` <span class="cost-info">+ ${parts.join(' · ')} kg</span>`;
+    },
+
+    /**
+     * Render inventory cost for PROCESS (kernel cost/kg) and SELL (COGS and gross margin)
+     */
+    renderCosting(t) {
+        if (t.unitCost == null) return '';
+
+        if (t.type === 'PROCESS') {
+            return ` <span class="cost-info">Cost ${t.unitCost.toLocaleString()}/kg</span>`;
+        }
+
+        const margin = t.grossMargin || 0;
+        return ` <span class="cost-info">COGS ${(t.costOfGoodsSold || 0).toLocaleString()} · <span class="${margin < 0 ? 'text-red' : 'text-green'}">Margin ${margin.toLocaleString()}</span></span>`;
+    },
+
+    /**
+     * Record a payment against a credit trade (async)
+     */
+    async handlePayment(id, outstanding) {
+        const input = prompt(`Payment amount (outstanding LKR ${outstanding.toLocaleString()}):`, outstanding);
+        if (input === null) return;
+
+        const amount = parseFloat(input);
+        if (Number.isNaN(amount) || amount <= 0) {
+            alert('Please enter a valid amount greater than 0');
+            return;
+        }
+
+        try {
+            await StateService.addTransaction({
+                type: 'PAYMENT',
+                date: new Date().toISOString().split('T')[0],
+                settles: id,
+                amount
+            });
+            await this.update();
+
+            if (this.onDataChange) {
+                this.onDataChange();
+            }
+        } catch (error) {
+            console.error('Payment failed:', error);
+            alert(`Failed to record payment: ${error.message}`);
+        }
+    },
+
+
     /**
      * Show description tooltip
      */
@@ -600,18 +1182,26 @@ export const HistoryPage = {
      * Handle transaction deletion (async)
      */
     async handleDelete(id) {
-        if (!confirm('Delete this transaction?')) return;
+        const message = AuthService.hasPermission('delete')
+            ? 'Move this transaction to the Recycle Bin?'
+            : 'Ask an admin to move this transaction to the Recycle Bin?';
+        if (!confirm(message)) return;
 
         try {
-            await StateService.deleteTransaction(id);
+            const result = await StateService.deleteTransaction(id);
             await this.update();
             
             if (this.onDataChange) {
                 this.onDataChange();
             }
+            if (result?.pending) {
+                alert('Deletion sent to an admin for approval.');
+            } else if (result?.warning) {
+                alert(`Deleted. Warning: ${result.warning}`);
+            }
         } catch (error) {
             console.error('Delete failed:', error);
-            alert('Failed to delete. Please try again.');
+            alert(`Failed to delete:\n\n${error.message}`);
         }
     },
 
@@ -633,11 +1223,16 @@ export const HistoryPage = {
                 date: txn.date ? txn.date.substring(0, 10) : '',
                 qty: txn.qty ?? '',
                 price: txn.price ?? '',
+                counterparty: txn.counterparty?._id ?? '',
+                paymentTerms: txn.paymentTerms,
+                dueDate: txn.dueDate ? txn.dueDate.substring(0, 10) : '',
                 inputQty: txn.inputQty ?? '',
                 outputQty: txn.outputQty ?? '',
                 amount: txn.amount ?? '',
                 category: txn.category ?? '',
                 notes: txn.notes ?? '',
+                tags: txn.tags || [],
+                customFields: txn.customFields || {},
                 rawStockChange: txn.rawStockChange ?? '',
                 procStockChange: txn.procStockChange ?? '',
                 loanType: txn.amount > 0 ? 'TAKE' : 'REPAY'
@@ -648,6 +1243,43 @@ export const HistoryPage = {
         }
     },
 
+    /**
+     * Fill the edit modal's counterparty dropdown for a BUY/SELL (async)
+     */
+    async loadEditCounterparties(type, selectedId) {
+        if (!this.editCounterpartyInput) return;
+
+        const partyType = type === 'BUY' ? 'SUPPLIER' : 'BUYER';
+        try {
+            const response = await ApiService.getCounterparties({ type: partyType });
+            const parties = response.data || [];
+            this.editCounterpartyInput.innerHTML = `
+                <option value="">-- Not specified --</option>
+                ${parties.map(c => `<option value="${c._id}">${escapeHtml(c.name)}</option>`).join('')}
+            `;
+        } catch (error) {
+            console.error('Failed to load counterparties:', error);
+        }
+        this.editCounterpartyInput.value = selectedId || '';
+    },
+
+    /**
+     * Fill the edit modal's category dropdown for an EXPENSE/INCOME
+     */
+    renderEditCategories(type, selected) {
+        if (!this.editCategoryInput) return;
+
+        // Archived categories stay selectable only on rows that already use them
+        const options = this.categories.filter(c => c.type === type && (!c.archived || c.name === selected));
+        if (selected && !options.some(c => c.name === selected)) {
+            options.unshift({ name: selected });
+        }
+        this.editCategoryInput.innerHTML = options.map(c => `
+            <option value="${escapeHtml(c.name)}">${escapeHtml(c.name)}${c.archived ? ' (archived)' : ''}</option>
+        `).join('');
+        this.editCategoryInput.value = selected || '';
+    },
+
     /**
      * Open the edit modal with pre-filled values
      */
@@ -663,48 +1295,188 @@ export const HistoryPage = {
         this.editPriceInput.value = data.price ?? '';
         this.editInputQtyInput.value = data.inputQty ?? '';
         this.editOutputQtyInput.value = data.outputQty ?? '';
-        this.editCategoryInput.value = data.category ?? '';
         this.editAmountInput.value = data.amount ?? '';
         this.editRawDeltaInput.value = data.rawStockChange ?? '';
         this.editProcDeltaInput.value = data.procStockChange ?? '';
         this.editNotesInput.value = data.notes ?? '';
+        this.editDueDateInput.value = data.dueDate ?? '';
+
+        if (type === 'BUY' || type === 'SELL') {
+            this.loadEditCounterparties(type, data.counterparty);
+        }
+        if (type === 'EXPENSE' || type === 'INCOME') {
+            this.renderEditCategories(type, data.category);
+        }
 
         // Show only relevant fields for this type
         const allGroups = this.editForm.querySelectorAll('.form-group');
         allGroups.forEach(g => g.classList.add('hidden'));
 
-        const baseFields = ['type', 'date', 'notes'];
+        const baseFields = ['type', 'date', 'notes', 'tags'];
         const fieldsByType = {
-            BUY: ['qty', 'price'],
-            SELL: ['qty', 'price'],
+            BUY: ['qty', 'price', 'counterparty'],
+            SELL: ['qty', 'price', 'counterparty'],
             PROCESS: ['inputQty', 'outputQty'],
+            DRYING: ['inputQty', 'outputQty'],
+            BYPRODUCT_SALE: ['qty', 'price', 'counterparty'],
             EXPENSE: ['category', 'amount'],
             INCOME: ['category', 'amount'],
             LOAN: ['amount'],
+            PAYMENT: ['amount'],
+            TRANSFER: ['qty'],
             ADJUSTMENT: ['rawStockChange', 'procStockChange', 'amount']
         };
 
         const activeFields = [...baseFields, ...(fieldsByType[type] || [])];
+        if (data.paymentTerms === 'CREDIT') {
+            activeFields.push('dueDate');
+        }
         activeFields.forEach(field => {
             const group = this.editForm.querySelector(`.field-${field}`);
             if (group) group.classList.remove('hidden');
         });
 
+        // Custom fields for this type, plus retired ones that still hold a value
+        this.editTagsInput.value = (data.tags || []).join(', ');
+        const values = data.customFields || {};
+        const fields = CustomFields.forType(this.customFields, type)
+            .filter(f => f.isActive || values[f.key] !== undefined);
+        this.editCustomFields.innerHTML = CustomFields.render(fields, values);
+
         // Hint text per type
         const hints = {
-            BUY: 'Edit date, quantity, price or notes for this purchase.',
-            SELL: 'Edit date, quantity, price or notes for this sale.',
+            BUY: 'Edit date, quantity, price, supplier or notes for this purchase.',
+            SELL: 'Edit date, quantity, price, buyer or notes for this sale.',
             PROCESS: 'Edit date, input and output quantities or notes for this batch.',
+            DRYING: 'Edit date, wet (input) and dry (output) weights or notes for this drying.',
+            BYPRODUCT_SALE: 'Edit date, quantity, price, buyer or notes for this husk/shell sale.',
             EXPENSE: 'Edit date, category, amount or notes for this expense.',
             INCOME: 'Edit date, category, amount or notes for this income.',
             LOAN: 'Edit date, amount or notes for this loan record.',
+            PAYMENT: 'Edit date, amount or notes for this payment. Keep the sign: negative for payments to suppliers.',
+            TRANSFER: 'Edit date, quantity or notes for this transfer.',
             ADJUSTMENT: 'Edit stock or cash deltas and reason for this adjustment.'
         };
         if (this.editHint) {
             this.editHint.textContent = hints[type] || 'Only relevant fields are shown for this transaction.';
         }
 
+        this.editPreview?.classList.add('hidden');
         this.editModal.classList.remove('hidden');
+        this.loadHistory(id);
+    },
+
+    /**
+     * Ask the server what an edit would change, without saving (async)
+     */
+    async previewEdit() {
+        const id = this.currentEditId;
+        if (!id || !this.editPreview) return;
+
+        try {
+            const response = await ApiService.previewTransactionUpdate(id, this.buildEditPayload());
+            if (this.currentEditId !== id) return;
+
+            // Derived values are the ones the user can't see in the form
+            const changes = (response.changes || []).filter(c => !['tags', 'customFields', 'notes'].includes(c.field));
+            this.editPreview.innerHTML = changes.length
+                ? `<strong>After saving:</strong>
+                   <ul class="audit-changes">
+                       ${changes.map(c => `
+                           <li>
+                               <span class="audit-field">${escapeHtml(c.field)}</span>:
+                               <span class="audit-before">${escapeHtml(this.formatAuditValue(c.before))}</span>
+                               → ${escapeHtml(this.formatAuditValue(c.after))}
+                           </li>
+                       `).join('')}
+                   </ul>`
+                : 'No changes yet';
+            if (response.autoProcess) {
+                const { batchId, removed, changes: batchChanges } = response.autoProcess;
+                const inputQty = batchChanges.find(c => c.field === 'inputQty');
+                this.editPreview.innerHTML += `<div>Automatic batch ${escapeHtml(batchId || '')} ${removed
+                    ? 'is no longer needed and will be deleted'
+                    : inputQty ? `will process ${inputQty.after} kg raw (was ${inputQty.before} kg)` : 'moves with the sale'}</div>`;
+            }
+            if (response.warning) {
+                this.editPreview.innerHTML += `<div class="preview-warning"><i class="fas fa-exclamation-triangle"></i> ${escapeHtml(response.warning)}</div>`;
+            }
+            this.editPreview.classList.remove('preview-error');
+        } catch (error) {
+            if (this.currentEditId !== id) return;
+            this.editPreview.textContent = error.message;
+            this.editPreview.classList.add('preview-error');
+        }
+        this.editPreview.classList.remove('hidden');
+    },
+
+    /**
+     * Load the change history timeline into the edit modal (async)
+     */
+    async loadHistory(id) {
+        if (!this.editHistory) return;
+        this.editHistory.innerHTML = '<p class="table-empty"><i class="fas fa-spinner fa-spin"></i></p>';
+
+        try {
+            const response = await ApiService.getTransactionHistory(id);
+            if (this.currentEditId !== id) return;
+            this.editHistory.innerHTML = this.renderHistory(response.data || []);
+        } catch (error) {
+            this.editHistory.innerHTML = `<p class="audit-empty">Failed to load history: ${escapeHtml(error.message)}</p>`;
+        }
+    },
+
+    /**
+     * Render audit entries as a timeline, newest first
+     * @returns {string} HTML template
+     */
+    renderHistory(entries) {
+        if (!entries.length) {
+            return '<p class="audit-empty">No recorded changes yet</p>';
+        }
+
+        const labels = { CREATE: 'Created', UPDATE: 'Edited', DELETE: 'Deleted', RESTORE: 'Restored', PURGE: 'Purged' };
+
+        return entries.map(entry => {
+            const device = [entry.device?.browser, entry.device?.os, entry.device?.ip].filter(Boolean).join(' · ');
+            // A created row lists every field; only edits are worth showing field by field
+            const changes = entry.action === 'UPDATE' ? entry.changes : [];
+
+            return `
+                <div class="audit-entry audit-${entry.action.toLowerCase()}">
+                    <div class="audit-head">
+                        <strong>${labels[entry.action] || entry.action}</strong>
+                        by ${escapeHtml(entry.username || 'unknown')}
+                        <span class="audit-time">${new Date(entry.at).toLocaleString()}</span>
+                    </div>
+                    ${entry.note ? `<div class="audit-meta">${escapeHtml(entry.note)}</div>` : ''}
+                    ${device ? `<div class="audit-meta">${escapeHtml(device)}</div>` : ''}
+                    ${changes.length ? `
+                    <ul class="audit-changes">
+                        ${changes.map(c => `
+                            <li>
+                                <span class="audit-field">${escapeHtml(c.field)}</span>:
+                                <span class="audit-before">${escapeHtml(this.formatAuditValue(c.before))}</span>
+                                → ${escapeHtml(this.formatAuditValue(c.after))}
+                            </li>
+                        `).join('')}
+                    </ul>` : ''}
+                </div>
+            `;
+        }).join('');
+    },
+
+    /**
+     * Short text for a value in the change history
+     */
+    formatAuditValue(value) {
+        if (value === null || value === undefined || value === '') return '—';
+        if (Array.isArray(value)) return value.map(v => this.formatAuditValue(v)).join(', ') || '—';
+        if (typeof value === 'object') {
+            return Object.entries(value).map(([k, v]) => `${k}: ${this.formatAuditValue(v)}`).join(', ') || '—';
+        }
+        if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value)) return value.substring(0, 10);
+        return String(value);
     },
 
     /**
@@ -714,14 +1486,15 @@ export const HistoryPage = {
         if (this.editModal) {
             this.editModal.classList.add('hidden');
         }
+        clearTimeout(this.previewTimer);
         this.currentEditId = null;
     },
 
     /**
-     * Submit the edit form (async)
+     * Collect the edit form into an update payload
+     * @returns {Object} Fields relevant to the transaction type
      */
-    async submitEditForm() {
-        if (!this.currentEditId) return;
+    buildEditPayload() {
         const payload = {};
 
         const type = this.editTypeInput.value;
@@ -752,9 +1525,13 @@ export const HistoryPage = {
             BUY: { nums: ['qty', 'price'], texts: ['notes'] },
             SELL: { nums: ['qty', 'price'], texts: ['notes'] },
             PROCESS: { nums: ['inputQty', 'outputQty'], texts: ['notes'] },
+            DRYING: { nums: ['inputQty', 'outputQty'], texts: ['notes'] },
+            BYPRODUCT_SALE: { nums: ['qty', 'price'], texts: ['notes'] },
             EXPENSE: { nums: ['amount'], texts: ['category', 'notes'] },
             INCOME: { nums: ['amount'], texts: ['category', 'notes'] },
             LOAN: { nums: ['amount'], texts: ['notes'] },
+            PAYMENT: { nums: ['amount'], texts: ['notes'] },
+            TRANSFER: { nums: ['qty'], texts: ['notes'] },
             ADJUSTMENT: { nums: ['rawStockChange', 'procStockChange', 'amount'], texts: ['notes'] }
         };
 
@@ -782,14 +1559,41 @@ export const HistoryPage = {
             if (input) addTextField(field, input);
         });
 
+        if (this.editDueDateInput.value && !this.editDueDateInput.closest('.form-group').classList.contains('hidden')) {
+            payload.dueDate = this.editDueDateInput.value;
+        }
+
+        // Tags and custom fields can be cleared, so always send them
+        payload.tags = this.editTagsInput.value.split(',').map(t => t.trim()).filter(Boolean);
+        payload.customFields = CustomFields.collect(this.editCustomFields);
+
+        // Counterparty can be cleared, so always send it for trades
+        if ((type === 'BUY' || type === 'SELL') && this.editCounterpartyInput) {
+            payload.counterparty = this.editCounterpartyInput.value || null;
+        }
+
+        return payload;
+    },
+
+    /**
+     * Submit the edit form (async)
+     */
+    async submitEditForm() {
+        if (!this.currentEditId) return;
+
         try {
-            await ApiService.updateTransaction(this.currentEditId, payload);
+            const response = await ApiService.updateTransaction(this.currentEditId, this.buildEditPayload());
             this.closeEditModal();
             await this.update();
 
             if (this.onDataChange) {
                 this.onDataChange();
             }
+            if (response.pending) {
+                alert('This change needs an admin\'s approval and has been sent to them.');
+            } else if (response.warning) {
+                alert(`Saved. Warning: ${response.warning}`);
+            }
         } catch (error) {
             console.error('Edit save failed:', error);
             alert(`Failed to save changes: ${error.message}`);
@@ -800,7 +1604,7 @@ export const HistoryPage = {
      * Handle data reset (async)
      */
     async handleReset() {
-        if (!confirm('Reset all data? This cannot be undone.')) return;
+        if (!confirm('Move every transaction and loan to the Recycle Bin? You can restore them from there.')) return;
 
         try {
             await StateService.clearAll();
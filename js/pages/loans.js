@@ -0,0 +1,430 @@
+/**
+ * Loans Page Component
+ * Take loans with installment schedules, record repayments and track open balances
+ */
+
+import { AuthService } from '../services/auth.js';
+import { ApiService } from '../services/api.js';
+import { escapeHtml } from '../utils/html.js';
+
+export const LoansPage = {
+    onSuccess: null,
+    loans: [],
+
+    /**
+     * Render the loans view
+     * @returns {string} HTML template
+     */
+    render() {
+        // Taking and repaying loans needs the write permission
+        const canWrite = AuthService.hasPermission('write');
+
+        return `
+            <div id="loan" class="view-section">
+                <div class="form-card">
+                    <h2>
+                        <i class="fas fa-university" style="color: #7B1FA2"></i>
+                        Loans
+                    </h2>
+                    ${canWrite ? `
+                    <form id="loanForm">
+                        <div class="form-group">
+                            <label>Action</label>
+                            <select class="form-control" name="loanType" id="loanAction">
+                                <option value="TAKE">Take Loan</option>
+                                <option value="REPAY">Repay Loan</option>
+                            </select>
+                        </div>
+
+                        <!-- Take Loan Fields -->
+                        <div id="loanTakeFields">
+                            <div class="form-group">
+                                <label>Lender</label>
+                                <input type="text" class="form-control" name="lender" placeholder="Bank or person">
+                            </div>
+                            <div class="form-group">
+                                <label>Principal (LKR)</label>
+                                <input type="number" class="form-control" name="principal" step="0.01">
+                            </div>
+                            <div class="form-group">
+                                <label>Interest Rate (% per year)</label>
+                                <input type="number" class="form-control" name="interestRate" step="0.01" value="0">
+                            </div>
+                            <div class="form-group">
+                                <label>Start Date</label>
+                                <input type="date" class="form-control" name="startDate">
+                            </div>
+                            <div class="form-group">
+                                <label>Installments</label>
+                                <input type="number" class="form-control" name="installmentCount" min="1" value="1">
+                            </div>
+                            <div class="form-group">
+                                <label>Frequency</label>
+                                <select class="form-control" name="installmentFrequency">
+                                    <option value="MONTHLY">Monthly</option>
+                                    <option value="WEEKLY">Weekly</option>
+                                </select>
+                            </div>
+                        </div>
+
+                        <!-- Repay Loan Fields -->
+                        <div id="loanRepayFields" class="hidden">
+                            <div class="form-group">
+                                <label>Loan</label>
+                                <select class="form-control" name="loanId" id="loanRepaySelect">
+                                    <option value="">No open loans</option>
+                                </select>
+                            </div>
+                            <div class="form-group">
+                                <label>Date</label>
+                                <input type="date" class="form-control" name="date">
+                            </div>
+                            <div class="form-group">
+                                <label>Amount (LKR)</label>
+                                <input type="number" class="form-control" name="amount" step="0.01">
+                                <small id="loanRepayHint" class="loan-hint"></small>
+                            </div>
+                        </div>
+
+                        <div class="form-group">
+                            <label>Notes</label>
+                            <input type="text" class="form-control" name="notes" placeholder="Optional">
+                        </div>
+                        <button type="submit" class="btn btn-purple">Save</button>
+                    </form>
+                    ` : '<div class="table-empty">You can view loans but not record them</div>'}
+                </div>
+
+                <!-- Open Loans -->
+                <div class="chart-card loans-card">
+                    <h3>Open Loans</h3>
+                    <div id="loansList">
+                        <div class="table-empty">Loading...</div>
+                    </div>
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Initialize event listeners
+     * @param {Function} onSuccess - Callback after a loan or repayment is saved
+     */
+    init(onSuccess) {
+        this.onSuccess = onSuccess;
+
+        const form = document.getElementById('loanForm');
+        const action = document.getElementById('loanAction');
+        const repaySelect = document.getElementById('loanRepaySelect');
+
+        form?.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await this.handleSubmit(e);
+        });
+
+        action?.addEventListener('change', () => this.toggleAction());
+        repaySelect?.addEventListener('change', () => this.updateRepayHint());
+
+        document.getElementById('loansList')?.addEventListener('click', (e) => {
+            const scheduleBtn = e.target.closest('.loan-schedule-btn');
+            if (scheduleBtn) {
+                document.getElementById(`loanSchedule-${scheduleBtn.dataset.id}`)?.classList.toggle('hidden');
+                return;
+            }
+
+            const repayBtn = e.target.closest('.loan-repay-btn');
+            if (repayBtn) {
+                this.startRepayment(repayBtn.dataset.id);
+                return;
+            }
+
+            const deleteBtn = e.target.closest('.loan-delete-btn');
+            if (deleteBtn) {
+                this.removeLoan(deleteBtn.dataset.id);
+            }
+        });
+
+        this.setDefaultDates();
+        this.toggleAction();
+    },
+
+    /**
+     * Reload open loans (async)
+     */
+    async update() {
+        if (!AuthService.isAuthenticated()) return;
+
+        try {
+            const response = await ApiService.getLoans({ status: 'OPEN' });
+            this.loans = response.data || [];
+        } catch (error) {
+            console.error('Failed to load loans:', error);
+            this.loans = [];
+        }
+
+        this.renderLoans();
+        this.renderRepayOptions();
+    },
+
+    /**
+     * Set today's date on empty date fields
+     */
+    setDefaultDates() {
+        const today = new Date().toISOString().split('T')[0];
+        document.querySelectorAll('#loanForm input[type="date"]').forEach(input => {
+            if (!input.value) input.value = today;
+        });
+    },
+
+    /**
+     * Show the fields for the selected action
+     */
+    toggleAction() {
+        const isRepay = document.getElementById('loanAction')?.value === 'REPAY';
+        document.getElementById('loanTakeFields')?.classList.toggle('hidden', isRepay);
+        document.getElementById('loanRepayFields')?.classList.toggle('hidden', !isRepay);
+        if (isRepay) this.updateRepayHint();
+    },
+
+    /**
+     * Preselect a loan in the repayment form
+     */
+    startRepayment(loanId) {
+        const action = document.getElementById('loanAction');
+        const select = document.getElementById('loanRepaySelect');
+        if (!action || !select) return;
+
+        action.value = 'REPAY';
+        select.value = loanId;
+        this.toggleAction();
+        document.getElementById('loanForm')?.scrollIntoView({ behavior: 'smooth' });
+    },
+
+    /**
+     * Show the outstanding balance and next installment for the selected loan
+     */
+    updateRepayHint() {
+        const hint = document.getElementById('loanRepayHint');
+        const loanId = document.getElementById('loanRepaySelect')?.value;
+        const loan = this.loans.find(l => l._id === loanId);
+        if (!hint) return;
+
+        if (!loan) {
+            hint.textContent = '';
+            return;
+        }
+
+        const { totalOutstanding, nextDueAmount, nextDueDate } = loan.balance;
+        hint.textContent = `Outstanding LKR ${totalOutstanding.toLocaleString()}` +
+            (nextDueDate ? ` · next installment LKR ${nextDueAmount.toLocaleString()} due ${this.formatDate(nextDueDate)}` : '');
+    },
+
+    /**
+     * Fill the repayment loan dropdown
+     */
+    renderRepayOptions() {
+        const select = document.getElementById('loanRepaySelect');
+        if (!select) return;
+
+        const current = select.value;
+        select.innerHTML = this.loans.length
+            ? this.loans.map(l => `
+                <option value="${l._id}">${escapeHtml(l.lender)} - LKR ${l.balance.totalOutstanding.toLocaleString()}</option>
+            `).join('')
+            : '<option value="">No open loans</option>';
+
+        if (this.loans.some(l => l._id === current)) {
+            select.value = current;
+        }
+        this.updateRepayHint();
+    },
+
+    /**
+     * Render the open loans list with schedules
+     */
+    renderLoans() {
+        const container = document.getElementById('loansList');
+        if (!container) return;
+
+        if (!this.loans.length) {
+            container.innerHTML = '<div class="table-empty">No open loans</div>';
+            return;
+        }
+
+        container.innerHTML = `
+            <div class="table-responsive">
+                <table class="loans-table">
+                    <thead>
+                        <tr>
+                            <th>Lender</th>
+                            <th>Principal</th>
+                            <th>Remaining</th>
+                            <th>Interest Due</th>
+                            <th>Next Due</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${this.loans.map(loan => this.renderLoanRow(loan)).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    },
+
+    /**
+     * Render a loan row and its (collapsed) installment schedule
+     */
+    renderLoanRow(loan) {
+        const { balance } = loan;
+
+        return `
+            <tr>
+                <td>
+                    <strong>${escapeHtml(loan.lender)}</strong>
+                    <div class="loan-meta">${loan.interestRate}% p.a. · since ${this.formatDate(loan.startDate)}</div>
+                </td>
+                <td>${loan.principal.toLocaleString()}</td>
+                <td><strong>${balance.outstandingPrincipal.toLocaleString()}</strong></td>
+                <td>${balance.accruedInterest.toLocaleString()}</td>
+                <td class="${balance.isOverdue ? 'text-red' : ''}">
+                    ${balance.nextDueDate ? `${this.formatDate(balance.nextDueDate)}<div class="loan-meta">LKR ${balance.nextDueAmount.toLocaleString()}${balance.isOverdue ? ' · overdue' : ''}</div>` : '-'}
+                </td>
+                <td class="loan-actions">
+                    <button class="loan-action-btn loan-schedule-btn" data-id="${loan._id}" title="Schedule">
+                        <i class="fas fa-calendar-alt"></i>
+                    </button>
+                    ${AuthService.hasPermission('write') ? `
+                    <button class="loan-action-btn loan-repay-btn" data-id="${loan._id}" title="Repay">
+                        <i class="fas fa-hand-holding-usd"></i>
+                    </button>` : ''}
+                    ${AuthService.hasPermission('delete') ? `
+                    <button class="delete-btn loan-delete-btn" data-id="${loan._id}" title="Delete">
+                        <i class="fas fa-trash"></i>
+                    </button>` : ''}
+                </td>
+            </tr>
+            <tr id="loanSchedule-${loan._id}" class="loan-schedule hidden">
+                <td colspan="6">
+                    <table class="loans-table">
+                        <thead>
+                            <tr>
+                                <th>Due</th>
+                                <th>Principal</th>
+                                <th>Interest</th>
+                                <th>Paid</th>
+                                <th>Status</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${loan.installments.map(i => `
+                                <tr>
+                                    <td>${this.formatDate(i.dueDate)}</td>
+                                    <td>${i.principalDue.toLocaleString()}</td>
+                                    <td>${i.interestDue.toLocaleString()}</td>
+                                    <td>${i.paidAmount.toLocaleString()}</td>
+                                    <td>${i.status}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </td>
+            </tr>
+        `;
+    },
+
+    /**
+     * Handle form submission (async)
+     */
+    async handleSubmit(event) {
+        const form = event.target;
+        const submitBtn = form.querySelector('button[type="submit"]');
+        const originalText = submitBtn.innerHTML;
+
+        if (!AuthService.isAuthenticated()) {
+            alert('Please log in to record loans.');
+            window.location.href = 'login.html';
+            return;
+        }
+
+        submitBtn.disabled = true;
+        submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Saving...';
+
+        try {
+            const data = Object.fromEntries(new FormData(form).entries());
+
+            if (data.loanType === 'REPAY') {
+                if (!data.loanId) {
+                    throw new Error('Select a loan to repay');
+                }
+                const amount = parseFloat(data.amount);
+                if (isNaN(amount) || amount <= 0) {
+                    throw new Error('Please enter a valid amount greater than 0');
+                }
+
+                await ApiService.repayLoan(data.loanId, {
+                    date: data.date,
+                    amount,
+                    notes: data.notes || ''
+                });
+            } else {
+                const principal = parseFloat(data.principal);
+                if (!data.lender || isNaN(principal) || principal <= 0) {
+                    throw new Error('Please enter the lender and a principal greater than 0');
+                }
+
+                await ApiService.createLoan({
+                    lender: data.lender,
+                    principal,
+                    interestRate: parseFloat(data.interestRate) || 0,
+                    startDate: data.startDate,
+                    installmentCount: parseInt(data.installmentCount) || 1,
+                    installmentFrequency: data.installmentFrequency,
+                    notes: data.notes || ''
+                });
+            }
+
+            form.reset();
+            this.setDefaultDates();
+            this.toggleAction();
+
+            alert('Saved successfully!');
+
+            await this.update();
+            if (this.onSuccess) {
+                this.onSuccess();
+            }
+        } catch (error) {
+            console.error('Save failed:', error);
+            alert(`Failed to save loan:\n\n${error.message}`);
+        } finally {
+            submitBtn.disabled = false;
+            submitBtn.innerHTML = originalText;
+        }
+    },
+
+    /**
+     * Delete a loan that has no repayments (async)
+     */
+    async removeLoan(loanId) {
+        const loan = this.loans.find(l => l._id === loanId);
+        if (!loan || !confirm(`Delete the loan from ${loan.lender}? This also removes its ledger entry.`)) return;
+
+        try {
+            await ApiService.deleteLoan(loanId);
+            await this.update();
+            if (this.onSuccess) {
+                this.onSuccess();
+            }
+        } catch (error) {
+            alert(`Failed to delete loan:\n\n${error.message}`);
+        }
+    },
+
+    /**
+     * Format a date for display
+     */
+    formatDate(value) {
+        return new Date(value).toLocaleDateString();
+    }
+};
@@ -0,0 +1,580 @@
+/**
+ * Recurring Page Component
+ * Templates for transactions that repeat (wages, electricity, loan installments) and the
+ * occurrences waiting for confirmation
+ */
+
+import { AuthService } from '../services/auth.js';
+import { ApiService } from '../services/api.js';
+import { escapeHtml } from '../utils/html.js';
+
+export const RecurringPage = {
+    onSuccess: null,
+    templates: [],
+    pending: [],
+    categories: [],
+    loans: [],
+    editingId: null,
+
+    /**
+     * Render the recurring view
+     * @returns {string} HTML template
+     */
+    render() {
+        return `
+            <div id="recurring" class="view-section">
+                <!-- Waiting for Confirmation -->
+                <div class="chart-card recurring-card">
+                    <h3>Waiting for Confirmation</h3>
+                    <div id="recurringPending">
+                        <div class="table-empty">Loading...</div>
+                    </div>
+                </div>
+
+                ${AuthService.hasPermission('write') ? `
+                <div class="form-card recurring-card">
+                    <h2>
+                        <i class="fas fa-redo" style="color: #7B1FA2"></i>
+                        <span id="recurringFormTitle">New Recurring Transaction</span>
+                    </h2>
+                    <form id="recurringForm">
+                        <div class="form-group">
+                            <label>Name</label>
+                            <input type="text" class="form-control" name="name" placeholder="e.g. Weekly wages" required>
+                        </div>
+                        <div class="form-group">
+                            <label>Type</label>
+                            <select class="form-control" name="type" id="recurringType">
+                                <option value="EXPENSE">Expense</option>
+                                <option value="INCOME">Income</option>
+                                <option value="LOAN">Loan Installment</option>
+                            </select>
+                        </div>
+                        <div class="form-group" id="recurringCategoryGroup">
+                            <label>Category</label>
+                            <select class="form-control" name="category" id="recurringCategory"></select>
+                        </div>
+                        <div class="form-group hidden" id="recurringLoanGroup">
+                            <label>Loan</label>
+                            <select class="form-control" name="loan" id="recurringLoan"></select>
+                        </div>
+                        <div class="form-group">
+                            <label>Amount (LKR)</label>
+                            <input type="number" class="form-control" name="amount" step="0.01" required>
+                        </div>
+                        <div class="form-group">
+                            <label>Repeats Every</label>
+                            <div class="recurring-schedule">
+                                <input type="number" class="form-control" name="interval" min="1" value="1">
+                                <select class="form-control" name="frequency">
+                                    <option value="MONTHLY">Month(s)</option>
+                                    <option value="WEEKLY">Week(s)</option>
+                                    <option value="DAILY">Day(s)</option>
+                                </select>
+                            </div>
+                        </div>
+                        <div class="form-group">
+                            <label>Start Date</label>
+                            <input type="date" class="form-control" name="startDate" required>
+                        </div>
+                        <div class="form-group">
+                            <label>End Date</label>
+                            <input type="date" class="form-control" name="endDate">
+                            <small class="loan-hint">Leave blank to repeat until paused or deleted</small>
+                        </div>
+                        <div class="form-group">
+                            <label>When Due</label>
+                            <select class="form-control" name="mode">
+                                <option value="AUTO">Record it automatically</option>
+                                <option value="CONFIRM">Ask me to confirm first</option>
+                            </select>
+                        </div>
+                        <div class="form-group">
+                            <label>Notes</label>
+                            <input type="text" class="form-control" name="notes" placeholder="Optional">
+                        </div>
+                        <button type="submit" class="btn btn-purple">Save</button>
+                        <button type="button" class="btn btn-secondary hidden" id="recurringCancelEdit">Cancel</button>
+                    </form>
+                </div>
+                ` : ''}
+
+                <!-- Templates -->
+                <div class="chart-card recurring-card">
+                    <h3>Recurring Transactions</h3>
+                    <div id="recurringList">
+                        <div class="table-empty">Loading...</div>
+                    </div>
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Initialize event listeners
+     * @param {Function} onSuccess - Callback after transactions are posted
+     */
+    init(onSuccess) {
+        this.onSuccess = onSuccess;
+
+        document.getElementById('recurringForm')?.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await this.handleSubmit(e);
+        });
+
+        document.getElementById('recurringType')?.addEventListener('change', () => this.toggleType());
+        document.getElementById('recurringCancelEdit')?.addEventListener('click', () => this.resetForm());
+
+        document.getElementById('recurringPending')?.addEventListener('click', (e) => {
+            const confirmBtn = e.target.closest('.recurring-confirm-btn');
+            if (confirmBtn) {
+                this.confirmOccurrence(confirmBtn.dataset.template, confirmBtn.dataset.id);
+                return;
+            }
+
+            const skipBtn = e.target.closest('.recurring-skip-btn');
+            if (skipBtn) {
+                this.skipOccurrence(skipBtn.dataset.template, skipBtn.dataset.id);
+            }
+        });
+
+        document.getElementById('recurringList')?.addEventListener('click', (e) => {
+            const editBtn = e.target.closest('.recurring-edit-btn');
+            if (editBtn) {
+                this.startEdit(editBtn.dataset.id);
+                return;
+            }
+
+            const pauseBtn = e.target.closest('.recurring-pause-btn');
+            if (pauseBtn) {
+                this.togglePaused(pauseBtn.dataset.id);
+                return;
+            }
+
+            const catchUpBtn = e.target.closest('.recurring-catchup-btn');
+            if (catchUpBtn) {
+                this.catchUp(catchUpBtn.dataset.id);
+                return;
+            }
+
+            const deleteBtn = e.target.closest('.recurring-delete-btn');
+            if (deleteBtn) {
+                this.removeTemplate(deleteBtn.dataset.id);
+            }
+        });
+
+        this.resetForm();
+    },
+
+    /**
+     * Reload templates, the confirmation queue and the form's categories and loans (async)
+     */
+    async update() {
+        if (!AuthService.isAuthenticated()) return;
+
+        try {
+            const [templates, pending, categories, loans] = await Promise.all([
+                ApiService.getRecurringTemplates(),
+                ApiService.getRecurringPending(),
+                ApiService.getCategories(),
+                ApiService.getLoans({ status: 'OPEN' })
+            ]);
+            this.templates = templates.data || [];
+            this.pending = pending.data || [];
+            this.categories = categories.data || [];
+            this.loans = loans.data || [];
+        } catch (error) {
+            console.error('Failed to load recurring transactions:', error);
+        }
+
+        this.renderOptions();
+        this.renderPending();
+        this.renderTemplates();
+    },
+
+    /**
+     * Show the category or loan field for the selected type
+     */
+    toggleType() {
+        const isLoan = document.getElementById('recurringType')?.value === 'LOAN';
+        document.getElementById('recurringCategoryGroup')?.classList.toggle('hidden', isLoan);
+        document.getElementById('recurringLoanGroup')?.classList.toggle('hidden', !isLoan);
+        this.renderOptions();
+    },
+
+    /**
+     * Fill the category and loan dropdowns, keeping the current choice
+     */
+    renderOptions() {
+        const type = document.getElementById('recurringType')?.value;
+        const categorySelect = document.getElementById('recurringCategory');
+        const loanSelect = document.getElementById('recurringLoan');
+
+        if (categorySelect) {
+            const current = categorySelect.value;
+            const options = this.categories.filter(c => c.type === type);
+            categorySelect.innerHTML = options.length
+                ? options.map(c => `<option value="${escapeHtml(c.name)}">${escapeHtml(c.name)}</option>`).join('')
+                : '<option value="">No categories set up</option>';
+            if (options.some(c => c.name === current)) categorySelect.value = current;
+        }
+
+        if (loanSelect) {
+            const current = loanSelect.value;
+            loanSelect.innerHTML = this.loans.length
+                ? this.loans.map(l => `<option value="${l._id}">${escapeHtml(l.lender)}</option>`).join('')
+                : '<option value="">No open loans</option>';
+            if (this.loans.some(l => l._id === current)) loanSelect.value = current;
+        }
+    },
+
+    /**
+     * Render the occurrences waiting for confirmation
+     */
+    renderPending() {
+        const container = document.getElementById('recurringPending');
+        if (!container) return;
+
+        if (!this.pending.length) {
+            container.innerHTML = '<div class="table-empty">Nothing waiting for confirmation</div>';
+            return;
+        }
+
+        const canWrite = AuthService.hasPermission('write');
+
+        container.innerHTML = `
+            <div class="table-responsive">
+                <table class="loans-table">
+                    <thead>
+                        <tr>
+                            <th>Template</th>
+                            <th>Due</th>
+                            <th>Amount</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${this.pending.map(p => `
+                            <tr>
+                                <td>
+                                    <strong>${escapeHtml(p.template.name)}</strong>
+                                    <div class="loan-meta">${this.describeTarget(p.template)}</div>
+                                    ${p.error ? `<div class="loan-meta text-red">Not recorded: ${escapeHtml(p.error)}</div>` : ''}
+                                </td>
+                                <td>${this.formatDate(p.dueDate)}</td>
+                                <td>${p.template.amount.toLocaleString()}</td>
+                                <td class="loan-actions">
+                                    ${canWrite ? `
+                                    <button class="loan-action-btn recurring-confirm-btn" data-template="${p.template._id}" data-id="${p._id}" title="Confirm">
+                                        <i class="fas fa-check"></i>
+                                    </button>
+                                    <button class="delete-btn recurring-skip-btn" data-template="${p.template._id}" data-id="${p._id}" title="Skip">
+                                        <i class="fas fa-times"></i>
+                                    </button>` : ''}
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    },
+
+    /**
+     * Render the recurring templates
+     */
+    renderTemplates() {
+        const container = document.getElementById('recurringList');
+        if (!container) return;
+
+        if (!this.templates.length) {
+            container.innerHTML = '<div class="table-empty">No recurring transactions yet</div>';
+            return;
+        }
+
+        const canWrite = AuthService.hasPermission('write');
+        const canDelete = AuthService.hasPermission('delete');
+
+        container.innerHTML = `
+            <div class="table-responsive">
+                <table class="loans-table">
+                    <thead>
+                        <tr>
+                            <th>Name</th>
+                            <th>Amount</th>
+                            <th>Repeats</th>
+                            <th>Next Due</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${this.templates.map(t => `
+                            <tr class="${t.isActive ? '' : 'recurring-paused'}">
+                                <td>
+                                    <strong>${escapeHtml(t.name)}</strong>
+                                    <div class="loan-meta">${this.describeTarget(t)} · ${t.mode === 'AUTO' ? 'automatic' : 'confirm first'}</div>
+                                </td>
+                                <td>${t.amount.toLocaleString()}</td>
+                                <td>${this.describeSchedule(t)}</td>
+                                <td>
+                                    ${!t.isActive ? 'Paused' : t.nextDueDate ? this.formatDate(t.nextDueDate) : 'Finished'}
+                                    ${t.behind ? '<div class="loan-meta text-red">far behind · waiting for catch up</div>' : ''}
+                                </td>
+                                <td class="loan-actions">
+                                    ${canWrite && t.behind ? `
+                                    <button class="loan-action-btn recurring-catchup-btn" data-id="${t._id}" title="Catch up">
+                                        <i class="fas fa-forward"></i>
+                                    </button>` : ''}
+                                    ${canWrite ? `
+                                    <button class="loan-action-btn recurring-edit-btn" data-id="${t._id}" title="Edit">
+                                        <i class="fas fa-pen"></i>
+                                    </button>
+                                    <button class="loan-action-btn recurring-pause-btn" data-id="${t._id}" title="${t.isActive ? 'Pause' : 'Resume'}">
+                                        <i class="fas ${t.isActive ? 'fa-pause' : 'fa-play'}"></i>
+                                    </button>` : ''}
+                                    ${canDelete ? `
+                                    <button class="delete-btn recurring-delete-btn" data-id="${t._id}" title="Delete">
+                                        <i class="fas fa-trash"></i>
+                                    </button>` : ''}
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    },
+
+    /**
+     * "Expense · Labour" or "Loan · Bank"
+     */
+    describeTarget(template) {
+        if (template.type === 'LOAN') {
+            return `Loan installment · ${escapeHtml(template.loan?.lender || 'deleted loan')}`;
+        }
+        const type = template.type === 'EXPENSE' ? 'Expense' : 'Income';
+        return `${type} · ${escapeHtml(template.category || '')}`;
+    },
+
+    /**
+     * "Every 2 weeks until 2025-03-31"
+     */
+    describeSchedule(template) {
+        const unit = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month' }[template.frequency];
+        const every = template.interval > 1 ? `Every ${template.interval} ${unit}s` : `Every ${unit}`;
+        return template.endDate ? `${every}<div class="loan-meta">until ${this.formatDate(template.endDate)}</div>` : every;
+    },
+
+    /**
+     * Load a template into the form for editing
+     */
+    startEdit(id) {
+        const template = this.templates.find(t => t._id === id);
+        const form = document.getElementById('recurringForm');
+        if (!template || !form) return;
+
+        const fields = form.elements;
+        this.editingId = id;
+        fields.name.value = template.name;
+        fields.type.value = template.type;
+        this.toggleType();
+        if (template.type === 'LOAN') {
+            fields.loan.value = template.loan?._id || '';
+        } else {
+            fields.category.value = template.category || '';
+        }
+        fields.amount.value = template.amount;
+        fields.interval.value = template.interval;
+        fields.frequency.value = template.frequency;
+        fields.startDate.value = template.startDate.substring(0, 10);
+        fields.endDate.value = template.endDate ? template.endDate.substring(0, 10) : '';
+        fields.mode.value = template.mode;
+        fields.notes.value = template.notes || '';
+
+        // The type decides what the posted transactions are; it stays as it was
+        fields.type.disabled = true;
+        document.getElementById('recurringFormTitle').textContent = `Edit ${template.name}`;
+        document.getElementById('recurringCancelEdit')?.classList.remove('hidden');
+        form.scrollIntoView({ behavior: 'smooth' });
+    },
+
+    /**
+     * Clear the form back to a new template
+     */
+    resetForm() {
+        const form = document.getElementById('recurringForm');
+        if (!form) return;
+
+        const fields = form.elements;
+        this.editingId = null;
+        form.reset();
+        fields.type.disabled = false;
+        fields.startDate.value = new Date().toISOString().split('T')[0];
+        document.getElementById('recurringFormTitle').textContent = 'New Recurring Transaction';
+        document.getElementById('recurringCancelEdit')?.classList.add('hidden');
+        this.toggleType();
+    },
+
+    /**
+     * Handle form submission (async)
+     */
+    async handleSubmit(event) {
+        const form = event.target;
+        const submitBtn = form.querySelector('button[type="submit"]');
+        const originalText = submitBtn.innerHTML;
+
+        submitBtn.disabled = true;
+        submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Saving...';
+
+        try {
+            const data = Object.fromEntries(new FormData(form).entries());
+            const type = form.elements.type.value;
+            const amount = parseFloat(data.amount);
+            if (isNaN(amount) || amount <= 0) {
+                throw new Error('Please enter a valid amount greater than 0');
+            }
+
+            const payload = {
+                name: data.name,
+                amount,
+                interval: parseInt(data.interval) || 1,
+                frequency: data.frequency,
+                startDate: data.startDate,
+                endDate: data.endDate || null,
+                mode: data.mode,
+                notes: data.notes || ''
+            };
+            if (type === 'LOAN') {
+                payload.loan = data.loan;
+            } else {
+                payload.category = data.category;
+            }
+
+            const response = this.editingId
+                ? await ApiService.updateRecurringTemplate(this.editingId, payload)
+                : await ApiService.createRecurringTemplate({ ...payload, type });
+
+            const { posted = 0, queued = 0, behind = [] } = response.run || {};
+            alert([
+                posted || queued
+                    ? `Saved. ${posted} transaction(s) recorded, ${queued} waiting for confirmation.`
+                    : 'Saved successfully!',
+                behind.includes(response.data?.name)
+                    ? 'Many occurrences are already due since the start date. Use Catch up in the list to record them.'
+                    : ''
+            ].filter(Boolean).join('\n\n'));
+
+            this.resetForm();
+            await this.update();
+            if (posted && this.onSuccess) {
+                this.onSuccess();
+            }
+        } catch (error) {
+            console.error('Save failed:', error);
+            alert(`Failed to save recurring transaction:\n\n${error.message}`);
+        } finally {
+            submitBtn.disabled = false;
+            submitBtn.innerHTML = originalText;
+        }
+    },
+
+    /**
+     * Record a queued occurrence, with the amount confirmed or corrected (async)
+     */
+    async confirmOccurrence(templateId, pendingId) {
+        const occurrence = this.pending.find(p => p._id === pendingId);
+        if (!occurrence) return;
+
+        const amount = prompt(`Amount to record for ${occurrence.template.name} (LKR):`, occurrence.template.amount);
+        if (amount === null) return;
+
+        try {
+            await ApiService.confirmRecurring(templateId, pendingId, {
+                date: occurrence.dueDate,
+                amount: parseFloat(amount)
+            });
+            await this.update();
+            if (this.onSuccess) {
+                this.onSuccess();
+            }
+        } catch (error) {
+            alert(`Failed to record transaction:\n\n${error.message}`);
+        }
+    },
+
+    /**
+     * Drop a queued occurrence without recording it (async)
+     */
+    async skipOccurrence(templateId, pendingId) {
+        const occurrence = this.pending.find(p => p._id === pendingId);
+        if (!occurrence || !confirm(`Skip ${occurrence.template.name} due ${this.formatDate(occurrence.dueDate)}? Nothing will be recorded.`)) return;
+
+        try {
+            await ApiService.skipRecurring(templateId, pendingId);
+            await this.update();
+        } catch (error) {
+            alert(`Failed to skip:\n\n${error.message}`);
+        }
+    },
+
+    /**
+     * Pause or resume a template; resuming does not record what fell due while paused (async)
+     */
+    async togglePaused(id) {
+        const template = this.templates.find(t => t._id === id);
+        if (!template) return;
+
+        try {
+            await ApiService.updateRecurringTemplate(id, { isActive: !template.isActive });
+            await this.update();
+        } catch (error) {
+            alert(`Failed to update:\n\n${error.message}`);
+        }
+    },
+
+    /**
+     * Record or queue everything a template missed, however far back (async)
+     */
+    async catchUp(id) {
+        const template = this.templates.find(t => t._id === id);
+        if (!template) return;
+
+        const action = template.mode === 'AUTO' ? 'Record' : 'Queue for confirmation';
+        if (!confirm(`${action} every occurrence of ${template.name} due since ${this.formatDate(template.nextDueDate)}?`)) return;
+
+        try {
+            const response = await ApiService.catchUpRecurring(id);
+            const { posted = 0, queued = 0 } = response.data || {};
+            alert(`${posted} transaction(s) recorded, ${queued} waiting for confirmation.`);
+            await this.update();
+            if (posted && this.onSuccess) {
+                this.onSuccess();
+            }
+        } catch (error) {
+            alert(`Failed to catch up:\n\n${error.message}`);
+        }
+    },
+
+    /**
+     * Delete a template; what it already recorded stays in the ledger (async)
+     */
+    async removeTemplate(id) {
+        const template = this.templates.find(t => t._id === id);
+        if (!template || !confirm(`Delete ${template.name}? Transactions it already recorded stay in the ledger.`)) return;
+
+        try {
+            await ApiService.deleteRecurringTemplate(id);
+            if (this.editingId === id) this.resetForm();
+            await this.update();
+        } catch (error) {
+            alert(`Failed to delete:\n\n${error.message}`);
+        }
+    },
+
+    /**
+     * Format a date for display
+     */
+    formatDate(value) {
+        return new Date(value).toLocaleDateString();
+    }
+};
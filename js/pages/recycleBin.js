@@ -0,0 +1,241 @@
+/**
+ * Recycle Bin Page Component
+ * Deleted transactions waiting to be restored or permanently removed (admin)
+ */
+
+import { AuthService } from '../services/auth.js';
+import { ApiService } from '../services/api.js';
+import { escapeHtml } from '../utils/html.js';
+
+const TYPE_BADGES = {
+    BUY: 'badge-buy',
+    SELL: 'badge-sell',
+    PAYMENT: 'badge-payment',
+    PROCESS: 'badge-proc',
+    BYPRODUCT: 'badge-byproduct',
+    DRYING: 'badge-drying',
+    INCOME: 'badge-income',
+    EXPENSE: 'badge-exp',
+    LOAN: 'badge-loan',
+    TRANSFER: 'badge-transfer',
+    ADJUSTMENT: 'badge-adjust'
+};
+
+export const RecycleBinPage = {
+    onDataChange: null,
+    transactions: [],
+
+    /**
+     * Render the recycle bin view
+     * @returns {string} HTML template
+     */
+    render() {
+        return `
+            <div id="recycle" class="view-section">
+                <div class="card">
+                    <div class="table-header">
+                        <h3>Recycle Bin</h3>
+                        <div class="recycle-actions">
+                            ${AuthService.hasPermission('delete') ? `
+                            <button id="restoreAllBtn" class="recycle-btn">
+                                <i class="fas fa-trash-restore"></i> Restore All
+                            </button>` : ''}
+                            ${this.isAdmin() ? `
+                            <button id="emptyBinBtn" class="reset-btn">
+                                <i class="fas fa-trash-alt"></i> Empty Bin
+                            </button>` : ''}
+                        </div>
+                    </div>
+                    <div class="table-responsive">
+                        <table class="recycle-table">
+                            <thead>
+                                <tr>
+                                    <th>Date</th>
+                                    <th>Type</th>
+                                    <th>Details</th>
+                                    <th>Deleted</th>
+                                    <th></th>
+                                </tr>
+                            </thead>
+                            <tbody id="recycleBody">
+                                <tr>
+                                    <td colspan="5" class="table-empty">
+                                        <i class="fas fa-spinner fa-spin"></i>
+                                    </td>
+                                </tr>
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Initialize event listeners
+     * @param {Function} onDataChange - Callback when restores or purges change the ledger
+     */
+    init(onDataChange) {
+        this.onDataChange = onDataChange;
+
+        document.getElementById('restoreAllBtn')?.addEventListener('click', () => this.restoreAll());
+        document.getElementById('emptyBinBtn')?.addEventListener('click', () => this.emptyBin());
+
+        document.getElementById('recycleBody')?.addEventListener('click', (e) => {
+            const restoreBtn = e.target.closest('.restore-btn');
+            const purgeBtn = e.target.closest('.purge-btn');
+
+            if (restoreBtn) this.restore(restoreBtn.dataset.id);
+            else if (purgeBtn) this.purge(purgeBtn.dataset.id);
+        });
+    },
+
+    /**
+     * Whether the current user can permanently delete
+     */
+    isAdmin() {
+        return ['admin', 'superadmin'].includes(AuthService.getUser()?.role);
+    },
+
+    /**
+     * Load deleted transactions and render them (async)
+     */
+    async update() {
+        try {
+            const response = await ApiService.getDeletedTransactions();
+            this.transactions = response.data || [];
+        } catch (error) {
+            console.error('Failed to load recycle bin:', error);
+            this.transactions = [];
+        }
+
+        this.renderRows();
+    },
+
+    /**
+     * Render the deleted transaction rows
+     */
+    renderRows() {
+        const tbody = document.getElementById('recycleBody');
+        if (!tbody) return;
+
+        if (!this.transactions.length) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="5" class="table-empty">
+                        <i class="fas fa-trash"></i>
+                        <p>The recycle bin is empty</p>
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+
+        tbody.innerHTML = this.transactions.map(t => `
+            <tr>
+                <td data-label="Date">${t.date ? t.date.substring(0, 10) : '-'}</td>
+                <td data-label="Type"><span class="badge ${TYPE_BADGES[t.type] || 'badge-info'}">${t.type}</span></td>
+                <td data-label="Details">${this.describe(t)}</td>
+                <td data-label="Deleted">
+                    ${new Date(t.deletedAt).toLocaleString()}
+                    <div class="recycle-meta">${t.deletedBy?.username ? `by ${escapeHtml(t.deletedBy.username)}` : ''}</div>
+                </td>
+                <td data-label="Actions" class="recycle-row-actions">
+                    ${AuthService.hasPermission('delete') ? `
+                    <button class="restore-btn" data-id="${t._id}" title="Restore">
+                        <i class="fas fa-undo"></i>
+                    </button>` : ''}
+                    ${this.isAdmin() ? `
+                    <button class="purge-btn" data-id="${t._id}" title="Delete permanently">
+                        <i class="fas fa-times"></i>
+                    </button>` : ''}
+                </td>
+            </tr>
+        `).join('');
+    },
+
+    /**
+     * One-line summary of a transaction
+     */
+    describe(t) {
+        const parts = [];
+
+        if (t.qty) parts.push(`${t.qty} kg`);
+        if (t.price) parts.push(`@ ${t.price}`);
+        if (t.category) parts.push(escapeHtml(t.category));
+        if (t.counterparty?.name) parts.push(escapeHtml(t.counterparty.name));
+        if (t.lotId) parts.push(escapeHtml(t.lotId));
+        if (t.batchId) parts.push(escapeHtml(t.batchId));
+
+        const amount = t.amount ? `LKR ${t.amount.toLocaleString()}` : '';
+        return [parts.join(' · '), amount].filter(Boolean).join('<br>') || '-';
+    },
+
+    /**
+     * Restore one transaction (async)
+     */
+    async restore(id) {
+        try {
+            const response = await ApiService.restoreTransaction(id);
+            await this.afterChange();
+            if (response.warning) alert(`Restored. Warning: ${response.warning}`);
+        } catch (error) {
+            alert(`Failed to restore:\n\n${error.message}`);
+        }
+    },
+
+    /**
+     * Restore everything in the bin (async)
+     */
+    async restoreAll() {
+        if (!this.transactions.length) return;
+        if (!confirm('Restore every transaction in the Recycle Bin?')) return;
+
+        try {
+            const response = await ApiService.restoreAllTransactions();
+            await this.afterChange();
+            if (response.skipped) alert(response.message);
+        } catch (error) {
+            alert(`Failed to restore:\n\n${error.message}`);
+        }
+    },
+
+    /**
+     * Permanently delete one transaction (async)
+     */
+    async purge(id) {
+        if (!confirm('Permanently delete this transaction? This cannot be undone.')) return;
+
+        try {
+            await ApiService.purgeTransaction(id);
+            await this.afterChange();
+        } catch (error) {
+            alert(`Failed to delete:\n\n${error.message}`);
+        }
+    },
+
+    /**
+     * Permanently delete everything in the bin (async)
+     */
+    async emptyBin() {
+        if (!this.transactions.length) return;
+        if (!confirm('Permanently delete everything in the Recycle Bin? This cannot be undone.')) return;
+
+        try {
+            await ApiService.emptyRecycleBin();
+            await this.afterChange();
+        } catch (error) {
+            alert(`Failed to empty the recycle bin:\n\n${error.message}`);
+        }
+    },
+
+    /**
+     * Reload the bin and let the app refresh the ledger and stats (async)
+     */
+    async afterChange() {
+        await this.update();
+        if (this.onDataChange) {
+            await this.onDataChange();
+        }
+    }
+};
@@ -0,0 +1,532 @@
+/**
+ * Workers Page Component
+ * Workers and their rates, daily attendance (optionally on a processing batch), wage
+ * payments and labour cost per kg of kernel
+ */
+
+import { AuthService } from '../services/auth.js';
+import { ApiService } from '../services/api.js';
+import { escapeHtml } from '../utils/html.js';
+
+export const WorkersPage = {
+    onSuccess: null,
+    workers: [],
+    batches: [],
+    attendance: [],
+    labourCost: null,
+
+    /**
+     * Render the workers view
+     * @returns {string} HTML template
+     */
+    render() {
+        // Recording attendance, wages and workers needs the write permission
+        const canWrite = AuthService.hasPermission('write');
+
+        return `
+            <div id="workers" class="view-section">
+                <!-- Attendance -->
+                <div class="form-card">
+                    <h2>
+                        <i class="fas fa-user-check" style="color: #7B1FA2"></i>
+                        Attendance
+                    </h2>
+                    <div class="form-group">
+                        <label>Date</label>
+                        <input type="date" class="form-control" name="date" id="attendanceDate" required>
+                    </div>
+                    ${canWrite ? `
+                    <form id="attendanceForm">
+                        <div class="form-group">
+                            <label>Processing Batch</label>
+                            <select class="form-control" name="batch" id="attendanceBatch">
+                                <option value="">Not on a batch</option>
+                            </select>
+                            <small class="loan-hint">Link dehusking work to its batch to get labour cost per kg of kernel</small>
+                        </div>
+                        <div id="attendanceWorkers">
+                            <div class="table-empty">Loading...</div>
+                        </div>
+                        <button type="submit" class="btn btn-purple">Save Attendance</button>
+                    </form>` : ''}
+                    <div id="attendanceDay" class="workers-day"></div>
+                </div>
+
+                <!-- Workers -->
+                <div class="chart-card workers-card">
+                    <h3>Workers</h3>
+                    <div id="workersList">
+                        <div class="table-empty">Loading...</div>
+                    </div>
+                    ${canWrite ? `
+                    <form id="workerForm" class="workers-add">
+                        <div class="form-group">
+                            <label>Name</label>
+                            <input type="text" class="form-control" name="name" required>
+                        </div>
+                        <div class="form-group">
+                            <label>Phone</label>
+                            <input type="text" class="form-control" name="phone" placeholder="Optional">
+                        </div>
+                        <div class="form-group">
+                            <label>Paid By</label>
+                            <select class="form-control" name="rateType">
+                                <option value="DAILY">Daily wage</option>
+                                <option value="PIECE">Piece rate (per kg)</option>
+                            </select>
+                        </div>
+                        <div class="form-group">
+                            <label>Rate (LKR per day or per kg)</label>
+                            <input type="number" class="form-control" name="rate" step="0.01" required>
+                        </div>
+                        <button type="submit" class="btn btn-purple">
+                            <i class="fas fa-plus"></i> Add Worker
+                        </button>
+                    </form>` : ''}
+                </div>
+
+                <!-- Labour Cost -->
+                <div class="chart-card workers-card">
+                    <h3>Labour Cost per kg of Kernel</h3>
+                    <div id="labourCost">
+                        <div class="table-empty">Loading...</div>
+                    </div>
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Initialize event listeners
+     * @param {Function} onSuccess - Callback after a wage payment is recorded
+     */
+    init(onSuccess) {
+        this.onSuccess = onSuccess;
+
+        const dateInput = document.getElementById('attendanceDate');
+        if (dateInput) dateInput.value = new Date().toISOString().split('T')[0];
+        dateInput?.addEventListener('change', () => this.loadDay());
+
+        document.getElementById('attendanceForm')?.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await this.saveAttendance(e);
+        });
+
+        document.getElementById('workerForm')?.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await this.addWorker(e);
+        });
+
+        document.getElementById('workersList')?.addEventListener('click', (e) => {
+            const payBtn = e.target.closest('.worker-pay-btn');
+            if (payBtn) {
+                this.payWorker(payBtn.dataset.id);
+                return;
+            }
+
+            const rateBtn = e.target.closest('.worker-rate-btn');
+            if (rateBtn) {
+                this.changeRate(rateBtn.dataset.id);
+                return;
+            }
+
+            const deleteBtn = e.target.closest('.worker-delete-btn');
+            if (deleteBtn) {
+                this.removeWorker(deleteBtn.dataset.id);
+            }
+        });
+
+        document.getElementById('attendanceDay')?.addEventListener('click', (e) => {
+            const deleteBtn = e.target.closest('.attendance-delete-btn');
+            if (deleteBtn) {
+                this.removeAttendance(deleteBtn.dataset.id);
+            }
+        });
+    },
+
+    /**
+     * Reload workers, batches, the day's attendance and labour cost (async)
+     */
+    async update() {
+        if (!AuthService.isAuthenticated()) return;
+
+        try {
+            const [workers, batches, labourCost] = await Promise.all([
+                ApiService.getWorkers(),
+                ApiService.getBatches(),
+                ApiService.getLabourCost()
+            ]);
+            this.workers = workers.data || [];
+            this.batches = batches.data || [];
+            this.labourCost = labourCost.data || null;
+        } catch (error) {
+            console.error('Failed to load workers:', error);
+        }
+
+        this.renderWorkers();
+        this.renderAttendanceForm();
+        this.renderLabourCost();
+        await this.loadDay();
+    },
+
+    /**
+     * Load and show the attendance already recorded for the selected date (async)
+     */
+    async loadDay() {
+        const date = document.getElementById('attendanceDate')?.value;
+        if (!date) return;
+
+        try {
+            const response = await ApiService.getAttendance({ date });
+            this.attendance = response.data || [];
+        } catch (error) {
+            console.error('Failed to load attendance:', error);
+            this.attendance = [];
+        }
+
+        this.renderDay();
+    },
+
+    /**
+     * Rate as shown to the user
+     */
+    describeRate(worker) {
+        return worker.rateType === 'PIECE'
+            ? `LKR ${worker.pieceRate.toLocaleString()} / kg`
+            : `LKR ${worker.dailyRate.toLocaleString()} / day`;
+    },
+
+    /**
+     * Render workers with what they have earned, been paid and are owed
+     */
+    renderWorkers() {
+        const container = document.getElementById('workersList');
+        if (!container) return;
+
+        if (!this.workers.length) {
+            container.innerHTML = '<div class="table-empty">No workers yet</div>';
+            return;
+        }
+
+        const canWrite = AuthService.hasPermission('write');
+        const canDelete = AuthService.hasPermission('delete');
+
+        container.innerHTML = `
+            <div class="table-responsive">
+                <table class="loans-table">
+                    <thead>
+                        <tr>
+                            <th>Worker</th>
+                            <th>Earned</th>
+                            <th>Paid</th>
+                            <th>Owed</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${this.workers.map(w => `
+                            <tr>
+                                <td>
+                                    <strong>${escapeHtml(w.name)}</strong>
+                                    <div class="loan-meta">${this.describeRate(w)}${w.phone ? ` · ${escapeHtml(w.phone)}` : ''}</div>
+                                </td>
+                                <td>${w.balance.earned.toLocaleString()}</td>
+                                <td>${w.balance.paid.toLocaleString()}</td>
+                                <td class="${w.balance.balance < 0 ? 'text-red' : ''}">
+                                    <strong>${w.balance.balance.toLocaleString()}</strong>
+                                    ${w.balance.balance < 0 ? '<div class="loan-meta">advance</div>' : ''}
+                                </td>
+                                <td class="loan-actions">
+                                    ${canWrite ? `
+                                    <button class="loan-action-btn worker-pay-btn" data-id="${w._id}" title="Pay wages">
+                                        <i class="fas fa-hand-holding-usd"></i>
+                                    </button>
+                                    <button class="loan-action-btn worker-rate-btn" data-id="${w._id}" title="Change rate">
+                                        <i class="fas fa-pen"></i>
+                                    </button>` : ''}
+                                    ${canDelete ? `
+                                    <button class="delete-btn worker-delete-btn" data-id="${w._id}" title="Delete">
+                                        <i class="fas fa-trash"></i>
+                                    </button>` : ''}
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    },
+
+    /**
+     * Render the batch choices and one row per active worker for marking attendance
+     */
+    renderAttendanceForm() {
+        const batchSelect = document.getElementById('attendanceBatch');
+        if (batchSelect) {
+            const current = batchSelect.value;
+            batchSelect.innerHTML = '<option value="">Not on a batch</option>' + this.batches.map(b => `
+                <option value="${b._id}">${escapeHtml(b.batchId || '')} · ${this.formatDate(b.date)} · ${(b.outputQty || 0).toLocaleString()} kg kernel</option>
+            `).join('');
+            if (this.batches.some(b => b._id === current)) batchSelect.value = current;
+        }
+
+        const container = document.getElementById('attendanceWorkers');
+        if (!container) return;
+
+        if (!this.workers.length) {
+            container.innerHTML = '<div class="table-empty">Add workers below to record attendance</div>';
+            return;
+        }
+
+        container.innerHTML = this.workers.map(w => `
+            <div class="attendance-row" data-worker="${w._id}">
+                <label class="attendance-name">
+                    <input type="checkbox" class="attendance-present">
+                    ${escapeHtml(w.name)}
+                </label>
+                ${w.rateType === 'PIECE' ? `
+                    <input type="number" class="form-control attendance-qty" step="0.001" min="0" placeholder="kg">
+                ` : `
+                    <select class="form-control attendance-days">
+                        <option value="1">Full day</option>
+                        <option value="0.5">Half day</option>
+                    </select>
+                `}
+            </div>
+        `).join('');
+    },
+
+    /**
+     * Render the attendance recorded for the selected date
+     */
+    renderDay() {
+        const container = document.getElementById('attendanceDay');
+        if (!container) return;
+
+        if (!this.attendance.length) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const total = this.attendance.reduce((sum, a) => sum + a.wage, 0);
+        container.innerHTML = `
+            <h4>Recorded for this day · LKR ${total.toLocaleString()}</h4>
+            <div class="table-responsive">
+                <table class="loans-table">
+                    <tbody>
+                        ${this.attendance.map(a => `
+                            <tr>
+                                <td>
+                                    ${escapeHtml(a.worker?.name || 'Deleted worker')}
+                                    ${a.batch ? `<div class="loan-meta">Batch ${escapeHtml(a.batch.batchId || '')}</div>` : ''}
+                                </td>
+                                <td>${a.rateType === 'PIECE' ? `${a.qty.toLocaleString()} kg` : a.days === 1 ? 'Full day' : 'Half day'}</td>
+                                <td>${a.wage.toLocaleString()}</td>
+                                <td class="loan-actions">
+                                    ${AuthService.hasPermission('delete') ? `
+                                    <button class="delete-btn attendance-delete-btn" data-id="${a._id}" title="Delete">
+                                        <i class="fas fa-trash"></i>
+                                    </button>` : ''}
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    },
+
+    /**
+     * Render labour cost per kg of kernel by batch
+     */
+    renderLabourCost() {
+        const container = document.getElementById('labourCost');
+        if (!container || !this.labourCost) return;
+
+        const { batches, totals } = this.labourCost;
+        const costed = batches.filter(b => b.labourCost > 0);
+        const perKg = (value) => value === null ? '-' : `LKR ${value.toLocaleString()}`;
+
+        container.innerHTML = `
+            <p class="loan-meta">
+                Linked batches: ${perKg(totals.costPerKg)} / kg ·
+                All wages over all kernel: ${perKg(totals.allInCostPerKg)} / kg ·
+                Wages not on a batch: LKR ${totals.unlinkedWages.toLocaleString()}
+            </p>
+            ${costed.length ? `
+                <div class="table-responsive">
+                    <table class="loans-table">
+                        <thead>
+                            <tr>
+                                <th>Batch</th>
+                                <th>Kernel (kg)</th>
+                                <th>Workers</th>
+                                <th>Labour (LKR)</th>
+                                <th>Per kg</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${costed.map(b => `
+                                <tr>
+                                    <td>
+                                        <strong>${escapeHtml(b.batchId || '')}</strong>
+                                        <div class="loan-meta">${this.formatDate(b.date)}</div>
+                                    </td>
+                                    <td>${(b.outputQty || 0).toLocaleString()}</td>
+                                    <td>${b.workers}</td>
+                                    <td>${b.labourCost.toLocaleString()}</td>
+                                    <td>${perKg(b.costPerKg)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            ` : '<div class="table-empty">No attendance linked to batches yet</div>'}
+        `;
+    },
+
+    /**
+     * Save attendance for the ticked workers (async)
+     */
+    async saveAttendance(event) {
+        const form = event.target;
+        const submitBtn = form.querySelector('button[type="submit"]');
+        const originalText = submitBtn.innerHTML;
+
+        const entries = [...form.querySelectorAll('.attendance-row')]
+            .filter(row => row.querySelector('.attendance-present')?.checked)
+            .map(row => ({
+                worker: row.dataset.worker,
+                days: row.querySelector('.attendance-days')?.value,
+                qty: row.querySelector('.attendance-qty')?.value
+            }));
+
+        if (!entries.length) {
+            alert('Tick the workers who were present');
+            return;
+        }
+
+        submitBtn.disabled = true;
+        submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Saving...';
+
+        try {
+            await ApiService.recordAttendance({
+                date: document.getElementById('attendanceDate').value,
+                batch: form.elements.batch.value || undefined,
+                entries
+            });
+
+            form.querySelectorAll('.attendance-present').forEach(box => { box.checked = false; });
+            form.querySelectorAll('.attendance-qty').forEach(input => { input.value = ''; });
+            await this.update();
+        } catch (error) {
+            alert(`Failed to save attendance:\n\n${error.message}`);
+        } finally {
+            submitBtn.disabled = false;
+            submitBtn.innerHTML = originalText;
+        }
+    },
+
+    /**
+     * Add a worker (async)
+     */
+    async addWorker(event) {
+        const form = event.target;
+        const data = Object.fromEntries(new FormData(form).entries());
+        const rate = parseFloat(data.rate);
+
+        try {
+            await ApiService.createWorker({
+                name: data.name,
+                phone: data.phone,
+                rateType: data.rateType,
+                dailyRate: data.rateType === 'DAILY' ? rate : 0,
+                pieceRate: data.rateType === 'PIECE' ? rate : 0
+            });
+            form.reset();
+            await this.update();
+        } catch (error) {
+            alert(`Failed to add worker:\n\n${error.message}`);
+        }
+    },
+
+    /**
+     * Pay a worker; the payment is recorded as a Labour expense (async)
+     */
+    async payWorker(id) {
+        const worker = this.workers.find(w => w._id === id);
+        if (!worker) return;
+
+        const amount = prompt(`Pay ${worker.name} (LKR):`, Math.max(worker.balance.balance, 0) || '');
+        if (amount === null) return;
+
+        try {
+            await ApiService.payWorker(id, {
+                date: new Date().toISOString().split('T')[0],
+                amount: parseFloat(amount)
+            });
+            await this.update();
+            if (this.onSuccess) {
+                this.onSuccess();
+            }
+        } catch (error) {
+            alert(`Failed to record payment:\n\n${error.message}`);
+        }
+    },
+
+    /**
+     * Change a worker's rate; attendance already recorded keeps the old rate (async)
+     */
+    async changeRate(id) {
+        const worker = this.workers.find(w => w._id === id);
+        if (!worker) return;
+
+        const field = worker.rateType === 'PIECE' ? 'pieceRate' : 'dailyRate';
+        const rate = prompt(`New rate for ${worker.name} (${this.describeRate(worker)} now):`, worker[field]);
+        if (rate === null) return;
+
+        try {
+            await ApiService.updateWorker(id, { [field]: parseFloat(rate) });
+            await this.update();
+        } catch (error) {
+            alert(`Failed to update worker:\n\n${error.message}`);
+        }
+    },
+
+    /**
+     * Delete a worker, or mark them inactive if they have worked or been paid (async)
+     */
+    async removeWorker(id) {
+        const worker = this.workers.find(w => w._id === id);
+        if (!worker || !confirm(`Remove ${worker.name}?`)) return;
+
+        try {
+            const response = await ApiService.deleteWorker(id);
+            if (response.message) alert(response.message);
+            await this.update();
+        } catch (error) {
+            alert(`Failed to remove worker:\n\n${error.message}`);
+        }
+    },
+
+    /**
+     * Delete one attendance entry (async)
+     */
+    async removeAttendance(id) {
+        if (!confirm('Delete this attendance entry?')) return;
+
+        try {
+            await ApiService.deleteAttendance(id);
+            await this.update();
+        } catch (error) {
+            alert(`Failed to delete attendance:\n\n${error.message}`);
+        }
+    },
+
+    /**
+     * Format a date for display
+     */
+    formatDate(value) {
+        return new Date(value).toLocaleDateString();
+    }
+};
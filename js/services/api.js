@@ -57,6 +57,23 @@ async function request(endpoint, options = {}) {
     }
 }
 
+/**
+ * Authenticated fetch for binary content (attachments), resolving to a Blob
+ */
+async function requestBlob(endpoint) {
+    const token = getToken();
+    const response = await fetch(`${API_BASE}${endpoint}`, {
+        headers: token ? { 'Authorization': `Bearer ${token}` } : {}
+    });
+
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Request failed');
+    }
+
+    return response.blob();
+}
+
 export const ApiService = {
     // Transaction CRUD
     async getTransactions(params = {}) {
@@ -83,6 +100,13 @@ export const ApiService = {
         });
     },
 
+    async previewTransactionUpdate(id, data) {
+        return request(`/transactions/${id}?preview=true`, {
+            method: 'PUT',
+            body: JSON.stringify(data)
+        });
+    },
+
     async deleteTransaction(id) {
         return request(`/transactions/${id}`, {
             method: 'DELETE'
@@ -95,13 +119,408 @@ export const ApiService = {
         });
     },
 
+    async getTransactionHistory(id) {
+        return request(`/transactions/${id}/history`);
+    },
+
+    // Recycle Bin
+    async getDeletedTransactions() {
+        return request('/transactions/deleted');
+    },
+
+    async restoreTransaction(id) {
+        return request(`/transactions/${id}/restore`, {
+            method: 'POST'
+        });
+    },
+
+    async restoreAllTransactions() {
+        return request('/transactions/deleted/restore', {
+            method: 'POST'
+        });
+    },
+
+    async purgeTransaction(id) {
+        return request(`/transactions/${id}/purge`, {
+            method: 'DELETE'
+        });
+    },
+
+    async emptyRecycleBin() {
+        return request('/transactions/deleted', {
+            method: 'DELETE'
+        });
+    },
+
+    // Attachments
+    async getAttachments(transactionId) {
+        return request(`/transactions/${transactionId}/attachments`);
+    },
+
+    async uploadAttachment(transactionId, data) {
+        return request(`/transactions/${transactionId}/attachments`, {
+            method: 'POST',
+            body: JSON.stringify(data)
+        });
+    },
+
+    async getAttachmentFile(transactionId, attachmentId, thumbnail = false) {
+        return requestBlob(`/transactions/${transactionId}/attachments/${attachmentId}${thumbnail ? '?thumbnail=true' : ''}`);
+    },
+
+    async deleteAttachment(transactionId, attachmentId) {
+        return request(`/transactions/${transactionId}/attachments/${attachmentId}`, {
+            method: 'DELETE'
+        });
+    },
+
     // Stats & Analytics
-    async getStats() {
-        return request('/transactions/stats');
+    async getStats(params = {}) {
+        const query = new URLSearchParams(params).toString();
+        const endpoint = query ? `/transactions/stats?${query}` : '/transactions/stats';
+        return request(endpoint);
+    },
+
+    async getAnalytics(type, grade = '') {
+        const query = grade ? `?${new URLSearchParams({ grade })}` : '';
+        return request(`/transactions/analytics/${type}${query}`);
+    },
+
+    async getAging(side) {
+        return request(`/transactions/aging/${side}`);
+    },
+
+    async getActivity(params = {}) {
+        const query = new URLSearchParams(params).toString();
+        return request(query ? `/transactions/activity?${query}` : '/transactions/activity');
+    },
+
+    // Approvals (changes waiting for an admin)
+    async getApprovals(params = {}) {
+        const query = new URLSearchParams(params).toString();
+        return request(query ? `/approvals?${query}` : '/approvals');
+    },
+
+    async approveChange(id, comment) {
+        return request(`/approvals/${id}/approve`, {
+            method: 'POST',
+            body: JSON.stringify({ comment })
+        });
+    },
+
+    async rejectChange(id, comment) {
+        return request(`/approvals/${id}/reject`, {
+            method: 'POST',
+            body: JSON.stringify({ comment })
+        });
+    },
+
+    async previewAutoProcess(params) {
+        const query = new URLSearchParams(params).toString();
+        return request(`/transactions/auto-process/preview?${query}`);
+    },
+
+    // Counterparties (suppliers & buyers)
+    async getCounterparties(params = {}) {
+        const query = new URLSearchParams(params).toString();
+        const endpoint = query ? `/counterparties?${query}` : '/counterparties';
+        return request(endpoint);
+    },
+
+    async createCounterparty(data) {
+        return request('/counterparties', {
+            method: 'POST',
+            body: JSON.stringify(data)
+        });
+    },
+
+    async updateCounterparty(id, data) {
+        return request(`/counterparties/${id}`, {
+            method: 'PUT',
+            body: JSON.stringify(data)
+        });
+    },
+
+    async deleteCounterparty(id) {
+        return request(`/counterparties/${id}`, {
+            method: 'DELETE'
+        });
+    },
+
+    async getCounterpartySuggestions() {
+        return request('/counterparties/suggestions');
+    },
+
+    async applyCounterpartySuggestion(data) {
+        return request('/counterparties/suggestions/apply', {
+            method: 'POST',
+            body: JSON.stringify(data)
+        });
+    },
+
+    // Loans
+    async getLoans(params = {}) {
+        const query = new URLSearchParams(params).toString();
+        const endpoint = query ? `/loans?${query}` : '/loans';
+        return request(endpoint);
+    },
+
+    async getLoan(id) {
+        return request(`/loans/${id}`);
+    },
+
+    async createLoan(data) {
+        return request('/loans', {
+            method: 'POST',
+            body: JSON.stringify(data)
+        });
+    },
+
+    async updateLoan(id, data) {
+        return request(`/loans/${id}`, {
+            method: 'PUT',
+            body: JSON.stringify(data)
+        });
+    },
+
+    async deleteLoan(id) {
+        return request(`/loans/${id}`, {
+            method: 'DELETE'
+        });
+    },
+
+    async repayLoan(id, data) {
+        return request(`/loans/${id}/repayments`, {
+            method: 'POST',
+            body: JSON.stringify(data)
+        });
+    },
+
+    // Recurring templates
+    async getRecurringTemplates() {
+        return request('/recurring');
+    },
+
+    async createRecurringTemplate(data) {
+        return request('/recurring', {
+            method: 'POST',
+            body: JSON.stringify(data)
+        });
+    },
+
+    async updateRecurringTemplate(id, data) {
+        return request(`/recurring/${id}`, {
+            method: 'PUT',
+            body: JSON.stringify(data)
+        });
     },
 
-    async getAnalytics(type) {
-        return request(`/transactions/analytics/${type}`);
+    async deleteRecurringTemplate(id) {
+        return request(`/recurring/${id}`, {
+            method: 'DELETE'
+        });
+    },
+
+    async getRecurringPending() {
+        return request('/recurring/pending');
+    },
+
+    async confirmRecurring(templateId, pendingId, data = {}) {
+        return request(`/recurring/${templateId}/pending/${pendingId}/confirm`, {
+            method: 'POST',
+            body: JSON.stringify(data)
+        });
+    },
+
+    async skipRecurring(templateId, pendingId) {
+        return request(`/recurring/${templateId}/pending/${pendingId}`, {
+            method: 'DELETE'
+        });
+    },
+
+    async catchUpRecurring(id) {
+        return request(`/recurring/${id}/catch-up`, {
+            method: 'POST'
+        });
+    },
+
+    // Workers & wages
+    async getWorkers(params = {}) {
+        const query = new URLSearchParams(params).toString();
+        return request(query ? `/workers?${query}` : '/workers');
+    },
+
+    async createWorker(data) {
+        return request('/workers', {
+            method: 'POST',
+            body: JSON.stringify(data)
+        });
+    },
+
+    async updateWorker(id, data) {
+        return request(`/workers/${id}`, {
+            method: 'PUT',
+            body: JSON.stringify(data)
+        });
+    },
+
+    async deleteWorker(id) {
+        return request(`/workers/${id}`, {
+            method: 'DELETE'
+        });
+    },
+
+    async payWorker(id, data) {
+        return request(`/workers/${id}/payments`, {
+            method: 'POST',
+            body: JSON.stringify(data)
+        });
+    },
+
+    async getAttendance(params = {}) {
+        const query = new URLSearchParams(params).toString();
+        return request(query ? `/workers/attendance?${query}` : '/workers/attendance');
+    },
+
+    async recordAttendance(data) {
+        return request('/workers/attendance', {
+            method: 'POST',
+            body: JSON.stringify(data)
+        });
+    },
+
+    async deleteAttendance(id) {
+        return request(`/workers/attendance/${id}`, {
+            method: 'DELETE'
+        });
+    },
+
+    async getLabourCost(params = {}) {
+        const query = new URLSearchParams(params).toString();
+        return request(query ? `/workers/labour-cost?${query}` : '/workers/labour-cost');
+    },
+
+    // Lots & traceability
+    async getLots(params = {}) {
+        const query = new URLSearchParams(params).toString();
+        return request(query ? `/lots?${query}` : '/lots');
+    },
+
+    async getBatches(params = {}) {
+        const query = new URLSearchParams(params).toString();
+        return request(query ? `/lots/batches?${query}` : '/lots/batches');
+    },
+
+    async traceLot(id) {
+        return request(`/lots/${encodeURIComponent(id)}/trace`);
+    },
+
+    // Locations
+    async getLocations(params = {}) {
+        const query = new URLSearchParams(params).toString();
+        return request(query ? `/locations?${query}` : '/locations');
+    },
+
+    async createLocation(data) {
+        return request('/locations', {
+            method: 'POST',
+            body: JSON.stringify(data)
+        });
+    },
+
+    async updateLocation(id, data) {
+        return request(`/locations/${id}`, {
+            method: 'PUT',
+            body: JSON.stringify(data)
+        });
+    },
+
+    async deleteLocation(id) {
+        return request(`/locations/${id}`, {
+            method: 'DELETE'
+        });
+    },
+
+    // Categories
+    async getCategories(params = {}) {
+        const query = new URLSearchParams(params).toString();
+        return request(query ? `/categories?${query}` : '/categories');
+    },
+
+    async createCategory(data) {
+        return request('/categories', {
+            method: 'POST',
+            body: JSON.stringify(data)
+        });
+    },
+
+    async updateCategory(id, data) {
+        return request(`/categories/${id}`, {
+            method: 'PUT',
+            body: JSON.stringify(data)
+        });
+    },
+
+    async deleteCategory(id) {
+        return request(`/categories/${id}`, {
+            method: 'DELETE'
+        });
+    },
+
+    // Settings
+    async getSettings() {
+        return request('/settings');
+    },
+
+    async updateSettings(data) {
+        return request('/settings', {
+            method: 'PUT',
+            body: JSON.stringify(data)
+        });
+    },
+
+    // Accounting periods
+    async getPeriods() {
+        return request('/periods');
+    },
+
+    async closePeriod(data) {
+        return request('/periods', {
+            method: 'POST',
+            body: JSON.stringify(data)
+        });
+    },
+
+    async reopenPeriod(id, reason) {
+        return request(`/periods/${id}/reopen`, {
+            method: 'POST',
+            body: JSON.stringify({ reason })
+        });
+    },
+
+    // Financial years
+    async getYears() {
+        return request('/years');
+    },
+
+    async createYear(data) {
+        return request('/years', {
+            method: 'POST',
+            body: JSON.stringify(data)
+        });
+    },
+
+    async updateYear(id, data) {
+        return request(`/years/${id}`, {
+            method: 'PUT',
+            body: JSON.stringify(data)
+        });
+    },
+
+    async rolloverYear(id) {
+        return request(`/years/${id}/rollover`, {
+            method: 'POST'
+        });
     },
 
     // Health check (no auth required)
@@ -0,0 +1,89 @@
+/**
+ * Attachment Service
+ * Reads photos/PDFs in the browser, makes image thumbnails and uploads them to a transaction
+ */
+
+import { ApiService } from './api.js';
+
+const MAX_FILE_BYTES = 5 * 1024 * 1024;
+const THUMBNAIL_SIZE = 240;
+
+/**
+ * Read a file as a data URL
+ */
+function readAsDataUrl(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(new Error(`Failed to read ${file.name}`));
+        reader.readAsDataURL(file);
+    });
+}
+
+/**
+ * Scale an image down to a small JPEG preview; null if the browser can't decode it (e.g. HEIC)
+ */
+function makeThumbnail(dataUrl) {
+    return new Promise((resolve) => {
+        const img = new Image();
+        img.onload = () => {
+            const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(img.width, img.height));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(img.width * scale);
+            canvas.height = Math.round(img.height * scale);
+            canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+            resolve(canvas.toDataURL('image/jpeg', 0.7));
+        };
+        img.onerror = () => resolve(null);
+        img.src = dataUrl;
+    });
+}
+
+export const AttachmentService = {
+    /**
+     * Turn a picked file into the upload payload
+     * @param {File} file
+     * @returns {Object} { fileName, mimeType, data, thumbnail }
+     */
+    async prepare(file) {
+        if (file.size > MAX_FILE_BYTES) {
+            throw new Error(`${file.name} is larger than ${MAX_FILE_BYTES / (1024 * 1024)} MB`);
+        }
+
+        const data = await readAsDataUrl(file);
+        const thumbnail = file.type.startsWith('image/') ? await makeThumbnail(data) : null;
+
+        return {
+            fileName: file.name || `photo-${Date.now()}.jpg`,
+            mimeType: file.type,
+            data,
+            thumbnail
+        };
+    },
+
+    /**
+     * Upload files to a transaction one by one
+     * @returns {Array} Names of files that failed, with the reason
+     */
+    async upload(transactionId, files) {
+        const failed = [];
+
+        for (const file of files) {
+            try {
+                await ApiService.uploadAttachment(transactionId, await this.prepare(file));
+            } catch (error) {
+                failed.push(`${file.name}: ${error.message}`);
+            }
+        }
+
+        return failed;
+    },
+
+    /**
+     * Object URL for a stored attachment (revoke it when done)
+     */
+    async objectUrl(transactionId, attachment, thumbnail = false) {
+        const blob = await ApiService.getAttachmentFile(transactionId, attachment._id, thumbnail && !!attachment.thumbnailId);
+        return URL.createObjectURL(blob);
+    }
+};
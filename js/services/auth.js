@@ -89,6 +89,17 @@ export const AuthService = {
         }
     },
 
+    /**
+     * Whether the logged-in user may read, write or delete (admins may do everything)
+     * @param {string} permission - 'read', 'write', 'delete' or 'admin'
+     */
+    hasPermission(permission) {
+        const user = this.getUser();
+        if (!user) return false;
+        if (['admin', 'superadmin'].includes(user.role)) return true;
+        return (user.permissions || []).includes(permission);
+    },
+
     /**
      * Store authentication data
      * Saves to localStorage to persist across browser sessions
@@ -274,6 +285,16 @@ export const AuthService = {
         return data.data;
     },
 
+    /**
+     * Switch the organization this session works in
+     */
+    async switchOrganization(organizationId) {
+        return this.request('/auth/organization', {
+            method: 'PUT',
+            body: JSON.stringify({ organizationId })
+        });
+    },
+
     /**
      * Make authenticated request
      */
@@ -401,6 +422,52 @@ export const AuthService = {
         });
     },
 
+    /**
+     * Get organizations with their members (admin only)
+     */
+    async getOrganizations() {
+        return this.request('/organizations');
+    },
+
+    /**
+     * Create organization (admin only)
+     */
+    async createOrganization(name) {
+        return this.request('/organizations', {
+            method: 'POST',
+            body: JSON.stringify({ name })
+        });
+    },
+
+    /**
+     * Rename or deactivate organization (admin only)
+     */
+    async updateOrganization(id, data) {
+        return this.request(`/organizations/${id}`, {
+            method: 'PUT',
+            body: JSON.stringify(data)
+        });
+    },
+
+    /**
+     * Add user to organization (admin only)
+     */
+    async addOrganizationMember(id, userId) {
+        return this.request(`/organizations/${id}/members`, {
+            method: 'POST',
+            body: JSON.stringify({ userId })
+        });
+    },
+
+    /**
+     * Remove user from organization (admin only)
+     */
+    async removeOrganizationMember(id, userId) {
+        return this.request(`/organizations/${id}/members/${userId}`, {
+            method: 'DELETE'
+        });
+    },
+
     /**
      * Download key file
      */
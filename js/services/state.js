@@ -70,9 +70,10 @@ export const StateService = {
 
     /**
      * Get transactions sorted for ledger display (newest first)
+     * @param {Object} filters - Extra API filters, e.g. { user }
      */
-    async getLedgerTransactions() {
-        const transactions = await this.getTransactions();
+    async getLedgerTransactions(filters = {}) {
+        const transactions = await StorageService.getTransactions(filters);
         // Sort by transaction date descending, and within the same day by entry time (createdAt) descending.
         return [...transactions].sort((a, b) => {
             const aDate = new Date(a.date);
@@ -101,18 +102,49 @@ export const StateService = {
      * Get market analytics for decision engine
      * Uses API when available
      */
-    async getMarketAnalytics(type) {
+    async getMarketAnalytics(type, grade = '') {
         if (StorageService.isUsingApi()) {
             try {
-                const response = await ApiService.getAnalytics(type);
+                const response = await ApiService.getAnalytics(type, grade);
                 return response.data;
             } catch (error) {
                 console.error('Analytics API failed:', error);
-                return this._calculateAnalyticsLocally(type);
+                return this._calculateAnalyticsLocally(type, grade);
             }
         }
         
-        return this._calculateAnalyticsLocally(type);
+        return this._calculateAnalyticsLocally(type, grade);
+    },
+
+    /**
+     * Get receivable or payable aging (API only)
+     * @param {string} side - 'receivables' or 'payables'
+     */
+    async getAging(side) {
+        if (!StorageService.isUsingApi()) return null;
+
+        try {
+            const response = await ApiService.getAging(side);
+            return response.data;
+        } catch (error) {
+            console.error('Aging API failed:', error);
+            return null;
+        }
+    },
+
+    /**
+     * Get processed batches with profit so far (API only)
+     */
+    async getBatches() {
+        if (!StorageService.isUsingApi()) return [];
+
+        try {
+            const response = await ApiService.getBatches();
+            return response.data || [];
+        } catch (error) {
+            console.error('Batches API failed:', error);
+            return [];
+        }
     },
 
     // Private helper methods
@@ -126,6 +158,7 @@ export const StateService = {
         
         let cash = 0, rawStock = 0, procStock = 0;
         let totalRecovery = 0, processCount = 0;
+        let receivables = 0, payables = 0;
         const chartData = {}, stockData = {};
 
         const sorted = [...transactions].sort((a, b) => 
@@ -142,6 +175,12 @@ export const StateService = {
                 processCount++;
             }
 
+            if (t.type === 'SELL' || t.type === 'BUY') {
+                const outstanding = Math.max((t.tradeValue || 0) - (t.settledAmount || 0), 0);
+                if (t.type === 'SELL') receivables += outstanding;
+                else payables += outstanding;
+            }
+
             const dateKey = new Date(t.date).toISOString().split('T')[0];
             chartData[dateKey] = cash;
             stockData[dateKey] = { raw: rawStock, proc: procStock };
@@ -159,6 +198,8 @@ export const StateService = {
             procStock,
             avgRecovery,
             processCount,
+            receivables,
+            payables,
             chartDates,
             cashPoints: chartDates.map(d => chartData[d]),
             rawPoints: chartDates.map(d => stockData[d].raw),
@@ -166,10 +207,10 @@ export const StateService = {
         };
     },
 
-    async _calculateAnalyticsLocally(type) {
+    async _calculateAnalyticsLocally(type, grade = '') {
         const transactions = await this.getTransactions();
         const history = transactions
-            .filter(t => t.type === type)
+            .filter(t => t.type === type && (!grade || t.grade === grade))
             .sort((a, b) => new Date(a.date) - new Date(b.date));
         
         const procHistory = transactions.filter(t => t.type === 'PROCESS');
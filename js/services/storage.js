@@ -27,16 +27,18 @@ const STORAGE_KEY = 'arecaTransactions';
 export const StorageService = {
     /**
      * Get all transactions
+     * @param {Object} filters - Extra API filters, e.g. { user } (ignored offline)
      * @returns {Promise<Array>} Array of transaction objects
      */
-    async getTransactions() {
+    async getTransactions(filters = {}) {
         if (useApi) {
             try {
                 // Sort by date descending, then createdAt descending so
                 // the latest entered record for a given day appears first.
                 const response = await ApiService.getTransactions({
                     sort: '-date -createdAt',
-                    limit: 1000
+                    limit: 1000,
+                    ...filters
                 });
                 return response.data || [];
             } catch {
@@ -54,7 +56,10 @@ export const StorageService = {
         if (useApi) {
             // Don't catch API errors - let them propagate so the user sees the error
             const response = await ApiService.createTransaction(transaction);
-            return response.data;
+            // Held for an admin's approval (adjustments by non-admins)
+            if (response.pending) return { pending: true, message: response.message };
+            // Saved despite a stock conflict (negative stock policy set to warn)
+            return response.warning ? { ...response.data, warning: response.warning } : response.data;
         }
         return this._addToLocalStorage(transaction);
     },
@@ -65,12 +70,8 @@ export const StorageService = {
      */
     async deleteTransaction(id) {
         if (useApi) {
-            try {
-                await ApiService.deleteTransaction(id);
-                return true;
-            } catch {
-                return this._deleteFromLocalStorage(id);
-            }
+            // Let refusals (linked payments, negative stock) reach the user
+            return ApiService.deleteTransaction(id);
         }
         return this._deleteFromLocalStorage(id);
     },
@@ -0,0 +1,18 @@
+/**
+ * HTML Helpers
+ * Shared by pages and components that build markup from user-entered text
+ */
+
+/**
+ * Escape HTML to prevent XSS (also safe inside quoted attribute values)
+ * @param {*} text - Text to escape; null and undefined become an empty string
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}